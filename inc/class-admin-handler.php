@@ -25,6 +25,7 @@ if (!defined('ABSPATH')) {
  * - Register admin menus and submenus
  * - Enqueue and localize admin assets (JS/CSS)
  * - Add emissions column to posts/pages list and render values
+ * - Offer a "Measure emissions" bulk action that queues a batch job
  * - Provide a dashboard widget with key metrics
  * - Output CSS variables for the frontend widget
  * - Provide a fallback activation redirect
@@ -43,14 +44,23 @@ class AdminHandler
    */
   private Emissions $emissions_handler;
 
+  /**
+   * Cache manager, to flag stale measurements in the emissions column
+   *
+   * @var Cache
+   */
+  private Cache $cache_manager;
+
   /**
    * Constructor
    *
    * @param Emissions $emissions_handler Emissions handler instance
+   * @param Cache     $cache_manager     Cache manager instance
    */
-  public function __construct(Emissions $emissions_handler)
+  public function __construct(Emissions $emissions_handler, Cache $cache_manager)
   {
     $this->emissions_handler = $emissions_handler;
+    $this->cache_manager = $cache_manager;
   }
 
   /**
@@ -65,6 +75,7 @@ class AdminHandler
   {
     add_action('admin_menu', [$this, 'register_admin_menus']);
     add_action('admin_enqueue_scripts', [$this, 'enqueue_admin_assets']);
+    add_action('enqueue_block_editor_assets', [$this, 'enqueue_editor_assets']);
     add_action('wp_dashboard_setup', [$this, 'register_dashboard_widgets']);
     add_action('admin_notices', [$this, 'handle_activation_redirect_fallback']);
 
@@ -74,6 +85,11 @@ class AdminHandler
     add_action('manage_posts_custom_column', [$this, 'render_emissions_column_content'], 10, 2);
     add_action('manage_pages_custom_column', [$this, 'render_emissions_column_content'], 10, 2);
 
+    // Bulk measuring from the post lists
+    add_action('load-edit.php', [$this, 'register_bulk_actions']);
+    add_action('admin_notices', [$this, 'render_bulk_measure_notice']);
+    add_filter('removable_query_args', [$this, 'add_removable_query_args']);
+
     // Plugin action links
     add_filter('plugin_action_links_' . plugin_basename(CARBONFOOTER_PLUGIN_FILE), [$this, 'add_plugin_action_links']);
 
@@ -82,9 +98,6 @@ class AdminHandler
 
     // Privacy policy
     add_action('admin_init', [$this, 'register_privacy_policy_content']);
-
-    // Frontend styles
-    add_action('wp_head', [$this, 'output_frontend_widget_styles']);
   }
 
   /**
@@ -151,6 +164,11 @@ class AdminHandler
    */
   public function enqueue_admin_assets(string $hook_suffix): void
   {
+    if ($hook_suffix === 'edit.php') {
+      $this->enqueue_list_table_assets();
+      return;
+    }
+
     // Only load on our plugin's admin pages
     $plugin_pages = Constants::get_admin_page_hooks();
 
@@ -196,7 +214,7 @@ class AdminHandler
       wp_enqueue_script(
         'carbonfooter-admin',
         CARBONFOOTER_PLUGIN_URL . 'build/index.js',
-        ['wp-element', 'wp-components', 'wp-i18n', 'wp-api-fetch'],
+        ['wp-element', 'wp-components', 'wp-i18n', 'wp-api-fetch', 'wp-data'],
         Plugin::VERSION,
         true
       );
@@ -210,6 +228,87 @@ class AdminHandler
     }
   }
 
+  /**
+   * Enqueue the emissions column and bulk measure progress of post lists.
+   *
+   * Only loads for public post types. Skipped until the assets are built;
+   * the column then shows its server-rendered fallback.
+   *
+   * @return void
+   */
+  private function enqueue_list_table_assets(): void
+  {
+    $screen = function_exists('get_current_screen') ? get_current_screen() : null;
+    if (!$screen || empty($screen->post_type) || !is_post_type_viewable($screen->post_type)) {
+      return;
+    }
+
+    $asset_file_path = CARBONFOOTER_PLUGIN_DIR . 'build/list-table.asset.php';
+    if (!file_exists($asset_file_path)) {
+      return;
+    }
+
+    $asset_data = include $asset_file_path;
+
+    wp_enqueue_script(
+      'carbonfooter-list-table',
+      CARBONFOOTER_PLUGIN_URL . 'build/list-table.js',
+      $asset_data['dependencies'],
+      $asset_data['version'],
+      true
+    );
+
+    wp_enqueue_style(
+      'carbonfooter-list-table',
+      CARBONFOOTER_PLUGIN_URL . 'build/list-table.css',
+      ['wp-components'],
+      $asset_data['version']
+    );
+
+    wp_set_script_translations('carbonfooter-list-table', 'carbonfooter', CARBONFOOTER_PLUGIN_DIR . 'languages');
+  }
+
+  /**
+   * Enqueue the block editor sidebar panel.
+   *
+   * Only loads when editing a public post type, so the site editor and
+   * internal post types do not get the panel. Skipped until the assets are
+   * built.
+   *
+   * @return void
+   */
+  public function enqueue_editor_assets(): void
+  {
+    $screen = function_exists('get_current_screen') ? get_current_screen() : null;
+    if (!$screen || empty($screen->post_type) || !is_post_type_viewable($screen->post_type)) {
+      return;
+    }
+
+    $asset_file_path = CARBONFOOTER_PLUGIN_DIR . 'build/editor.asset.php';
+    if (!file_exists($asset_file_path)) {
+      return;
+    }
+
+    $asset_data = include $asset_file_path;
+
+    wp_enqueue_script(
+      'carbonfooter-editor',
+      CARBONFOOTER_PLUGIN_URL . 'build/editor.js',
+      $asset_data['dependencies'],
+      $asset_data['version'],
+      true
+    );
+
+    wp_enqueue_style(
+      'carbonfooter-editor',
+      CARBONFOOTER_PLUGIN_URL . 'build/editor.css',
+      [],
+      $asset_data['version']
+    );
+
+    wp_set_script_translations('carbonfooter-editor', 'carbonfooter', CARBONFOOTER_PLUGIN_DIR . 'languages');
+  }
+
   /**
    * Localize script with admin data.
    *
@@ -244,17 +343,34 @@ class AdminHandler
         'latest_test_date' => null, // Will be loaded via AJAX
         'resource_stats' => [] // Will be loaded via AJAX
       ],
-      'i18n' => [
-        'measuring' => __('Measuring...', 'carbonfooter'),
-        'measureAgain' => __('Measure again', 'carbonfooter'),
-        'error' => __('Failed to measure emissions. Please try again.', 'carbonfooter')
-      ]
+      'trafficModel' => Helpers::get_traffic_model(),
+      'postTypes' => $this->get_post_type_options()
     ];
 
     wp_localize_script('carbonfooter-admin', 'carbonfooterVars', $localization_data);
     wp_set_script_translations('carbonfooter-admin', 'carbonfooter', CARBONFOOTER_PLUGIN_DIR . 'languages');
   }
 
+  /**
+   * Get public post types for select controls in the admin app.
+   *
+   * @return array List of `['name' => string, 'label' => string]`
+   */
+  private function get_post_type_options(): array
+  {
+    $options = [];
+    foreach (get_post_types(['public' => true], 'objects') as $name => $post_type) {
+      if ($name !== 'attachment') {
+        $options[] = [
+          'name' => $name,
+          'label' => $post_type->labels->singular_name,
+        ];
+      }
+    }
+
+    return $options;
+  }
+
   /**
    * Register dashboard widgets.
    *
@@ -286,6 +402,10 @@ class AdminHandler
   /**
    * Render content for emissions columns.
    *
+   * The cell carries its data for the React column (emissions, history,
+   * stale flag, budget status), which replaces the server-rendered content
+   * once the list table script loads.
+   *
    * Security:
    * - All dynamic output is escaped
    *
@@ -300,12 +420,44 @@ class AdminHandler
     }
 
     $emissions = $this->emissions_handler->get_post_emissions($post_id);
+    $exceeded = [];
+
+    if ($emissions) {
+      $page_size = get_post_meta($post_id, Constants::META_PAGE_SIZE, true);
+      $exceeded = Budgets::get_exceeded(
+        (float) $emissions,
+        is_numeric($page_size) ? (int) $page_size : null,
+        (string) get_post_type($post_id)
+      );
+    }
+
+    $data = [
+      'postId' => $post_id,
+      'emissions' => $emissions ? (float) $emissions : null,
+      'history' => $emissions ? Emissions_History::get_post_history($post_id) : [],
+      'stale' => $emissions ? $this->cache_manager->is_stale($this->emissions_handler->get_post_payload($post_id)) : null,
+      'exceeded' => $exceeded,
+      'canMeasure' => get_post_status($post_id) === 'publish' && current_user_can('edit_post', $post_id),
+      'url' => get_permalink($post_id),
+    ];
+
+    printf('<div class="carbonfooter-column" data-carbonfooter="%s">', esc_attr(wp_json_encode($data)));
 
     if ($emissions) {
       printf(
         '<p class="carbonfooter-emissions">%s</p>',
         esc_html(number_format($emissions, 2) . 'g CO2')
       );
+
+      if ($exceeded) {
+        printf(
+          '<p class="carbonfooter-over-budget" style="color: #d63638; font-weight: 600;" title="%s">%s</p>',
+          esc_attr(in_array('emissions', $exceeded, true)
+            ? __('Emissions exceed the budget for this post type', 'carbonfooter')
+            : __('Page size exceeds the budget for this post type', 'carbonfooter')),
+          esc_html__('Over budget', 'carbonfooter')
+        );
+      }
     } else {
       echo esc_html(__('No result yet', 'carbonfooter')) . '<br>';
       printf(
@@ -314,6 +466,142 @@ class AdminHandler
         esc_html__('Visit page to get a result', 'carbonfooter')
       );
     }
+
+    echo '</div>';
+  }
+
+  /**
+   * Register the bulk measure action for the current post list.
+   *
+   * Runs on `load-edit.php`, once the screen's post type is known. The
+   * action starts a site-wide batch job, so it is limited to users who
+   * manage the plugin.
+   *
+   * @return void
+   */
+  public function register_bulk_actions(): void
+  {
+    $screen = get_current_screen();
+    if (!$screen || !is_post_type_viewable($screen->post_type) || !current_user_can(Constants::REQUIRED_CAPABILITY)) {
+      return;
+    }
+
+    add_filter('bulk_actions-' . $screen->id, [$this, 'add_bulk_actions']);
+    add_filter('handle_bulk_actions-' . $screen->id, [$this, 'handle_bulk_measure'], 10, 3);
+  }
+
+  /**
+   * Add the "Measure emissions" bulk action.
+   *
+   * @param array $actions Bulk actions
+   * @return array Modified bulk actions
+   */
+  public function add_bulk_actions(array $actions): array
+  {
+    $actions[Constants::BULK_ACTION_MEASURE] = __('Measure emissions', 'carbonfooter');
+    return $actions;
+  }
+
+  /**
+   * Queue the selected posts for measuring.
+   *
+   * Unpublished posts are skipped, as the measurement service cannot open
+   * them. The result is passed on in the redirect URL and shown by
+   * `render_bulk_measure_notice()`.
+   *
+   * @param string $redirect_url URL to return to
+   * @param string $action       Bulk action
+   * @param int[]  $post_ids     Selected posts
+   * @return string Redirect URL
+   */
+  public function handle_bulk_measure(string $redirect_url, string $action, array $post_ids): string
+  {
+    if ($action !== Constants::BULK_ACTION_MEASURE) {
+      return $redirect_url;
+    }
+
+    $published = array_values(array_filter(array_map('intval', $post_ids), function ($post_id) {
+      return get_post_status($post_id) === 'publish';
+    }));
+
+    $redirect_url = remove_query_arg($this->add_removable_query_args([]), $redirect_url);
+
+    if (empty($published)) {
+      return add_query_arg('carbonfooter_bulk_error', 'nothing_to_measure', $redirect_url);
+    }
+
+    $result = Batch_Processor::start($published);
+    if (is_wp_error($result)) {
+      return add_query_arg('carbonfooter_bulk_error', 'batch_active', $redirect_url);
+    }
+
+    return add_query_arg([
+      'carbonfooter_queued' => count($published),
+      'carbonfooter_skipped' => count($post_ids) - count($published),
+    ], $redirect_url);
+  }
+
+  /**
+   * Show the result of the bulk measure action.
+   *
+   * After queueing, the notice holds the mount point of the progress bar,
+   * which follows the batch job until it stops.
+   *
+   * @return void
+   */
+  public function render_bulk_measure_notice(): void
+  {
+    $screen = get_current_screen();
+    if (!$screen || $screen->base !== 'edit' || !current_user_can(Constants::REQUIRED_CAPABILITY)) {
+      return;
+    }
+
+    // phpcs:disable WordPress.Security.NonceVerification.Recommended -- read-only display of a redirect result
+    $error = isset($_GET['carbonfooter_bulk_error']) ? sanitize_key(wp_unslash($_GET['carbonfooter_bulk_error'])) : '';
+    $queued = isset($_GET['carbonfooter_queued']) ? absint($_GET['carbonfooter_queued']) : 0;
+    $skipped = isset($_GET['carbonfooter_skipped']) ? absint($_GET['carbonfooter_skipped']) : 0;
+    // phpcs:enable
+
+    if ($error !== '') {
+      $message = $error === 'batch_active'
+        ? __('A measurement job is already in progress. Wait for it to finish, or cancel it on the Carbonfooter results page.', 'carbonfooter')
+        : __('None of the selected items are published, so there is nothing to measure.', 'carbonfooter');
+      printf('<div class="notice notice-error is-dismissible"><p>%s</p></div>', esc_html($message));
+      return;
+    }
+
+    if ($queued === 0) {
+      return;
+    }
+
+    $message = sprintf(
+      /* translators: %s: number of queued items */
+      _n('%s item queued for measuring.', '%s items queued for measuring.', $queued, 'carbonfooter'),
+      number_format_i18n($queued)
+    );
+    if ($skipped > 0) {
+      $message .= ' ' . sprintf(
+        /* translators: %s: number of skipped items */
+        _n('%s unpublished item was skipped.', '%s unpublished items were skipped.', $skipped, 'carbonfooter'),
+        number_format_i18n($skipped)
+      );
+    }
+
+    printf(
+      '<div class="notice notice-info is-dismissible"><p>%s</p><div id="carbonfooter-bulk-progress"></div></div>',
+      esc_html($message)
+    );
+  }
+
+  /**
+   * Drop the bulk measure result from the URL after it was shown.
+   *
+   * @param string[] $args Query arguments WordPress removes from admin URLs
+   * @return string[] Modified query arguments
+   */
+  public function add_removable_query_args(array $args): array
+  {
+    return array_merge($args, ['carbonfooter_queued', 'carbonfooter_skipped', 'carbonfooter_bulk_error']);
   }
 
   /**
@@ -340,7 +628,7 @@ class AdminHandler
   /**
    * Register plugin settings.
    *
-   * Splits appearance/privacy groups for clarity and REST exposure.
+   * Splits appearance/privacy/traffic groups for clarity and REST exposure.
    *
    * @return void
    */
@@ -348,6 +636,7 @@ class AdminHandler
   {
     $this->register_appearance_settings();
     $this->register_privacy_settings();
+    $this->register_traffic_settings();
   }
 
   /**
@@ -398,7 +687,8 @@ class AdminHandler
   /**
    * Register privacy-related settings.
    *
-   * Settings include data collection and attribution flags; exposed to REST.
+   * Settings include data collection, attribution and pageview counting
+   * flags; exposed to REST.
    *
    * @return void
    */
@@ -414,6 +704,11 @@ class AdminHandler
         'type' => 'boolean',
         'default' => Constants::DEFAULT_SHOW_ATTRIBUTION,
         'sanitize_callback' => 'rest_sanitize_boolean'
+      ],
+      Constants::OPTION_PAGEVIEW_COUNTER => [
+        'type' => 'boolean',
+        'default' => Constants::DEFAULT_PAGEVIEW_COUNTER,
+        'sanitize_callback' => 'rest_sanitize_boolean'
       ]
     ];
 
@@ -429,6 +724,41 @@ class AdminHandler
     }
   }
 
+  /**
+   * Register traffic model settings.
+   *
+   * Pages per visit and monthly visitors drive the yearly projections on the
+   * overview; exposed to REST.
+   *
+   * @return void
+   */
+  private function register_traffic_settings(): void
+  {
+    $traffic_settings = [
+      Constants::OPTION_PAGES_PER_VISIT => [
+        'type' => 'number',
+        'default' => Constants::DEFAULT_PAGES_PER_VISIT,
+        'sanitize_callback' => [Helpers::class, 'sanitize_pages_per_visit']
+      ],
+      Constants::OPTION_VISITORS_PER_MONTH => [
+        'type' => 'integer',
+        'default' => Constants::DEFAULT_VISITORS_PER_MONTH,
+        'sanitize_callback' => [Helpers::class, 'sanitize_visitors_per_month']
+      ]
+    ];
+
+    foreach ($traffic_settings as $setting_name => $setting_config) {
+      register_setting('carbonfooter_settings', $setting_name, array_merge($setting_config, [
+        'show_in_rest' => [
+          'name' => $setting_name,
+          'schema' => [
+            'type' => $setting_config['type']
+          ]
+        ]
+      ]));
+    }
+  }
+
   /**
    * Register privacy policy content.
    *
@@ -451,32 +781,20 @@ class AdminHandler
       __('Basic site information for analysis', 'carbonfooter')
     );
 
+    if (Pageview_Counter::is_enabled()) {
+      $content .= sprintf(
+        '<h3>%s</h3><p>%s</p>',
+        __('Page View Counting', 'carbonfooter'),
+        __('CarbonFooter counts how often each page is viewed per day to estimate the emissions caused by real traffic. No cookies are set and no IP addresses or other personal data are stored.', 'carbonfooter')
+      );
+    }
+
     wp_add_privacy_policy_content(
       'CarbonFooter',
       wp_kses_post(wpautop($content, false))
     );
   }
 
-  /**
-   * Output frontend widget styles.
-   *
-   * Emits CSS variables for background/text colors so frontend widgets can
-   * consume site-configured appearance without extra network requests.
-   *
-   * @return void
-   */
-  public function output_frontend_widget_styles(): void
-  {
-    $background_color = get_option(Constants::OPTION_WIDGET_BACKGROUND_COLOR, Constants::DEFAULT_BACKGROUND_COLOR);
-    $text_color = get_option(Constants::OPTION_WIDGET_TEXT_COLOR, Constants::DEFAULT_TEXT_COLOR);
-
-    printf(
-      '<style>:root{--cf-color-background:%s;--cf-color-foreground:%s;}</style>',
-      esc_attr($background_color),
-      esc_attr($text_color)
-    );
-  }
-
   /**
    * Fallback activation redirect using admin_notices.
    *
@@ -533,15 +851,26 @@ class AdminHandler
     // Get top 10 highest emission pages
     global $wpdb;
     $high_emission_pages = $wpdb->get_results("
-        SELECT p.ID, p.post_title, pm.meta_value as emissions
+        SELECT p.ID, p.post_title, p.post_type, pm.meta_value as emissions, size.meta_value as page_size
         FROM {$wpdb->posts} p
         JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id
+        LEFT JOIN {$wpdb->postmeta} size ON size.post_id = p.ID AND size.meta_key = '_carbon_page_size'
         WHERE pm.meta_key = '_carbon_emissions'
         AND pm.meta_value REGEXP '^[0-9]+(.[0-9]+)?$'
         ORDER BY CAST(pm.meta_value AS DECIMAL(10,2)) DESC
         LIMIT 10
     ");
 
+    $budgets = Budgets::get();
+    foreach ($high_emission_pages as $page) {
+      $page->over_budget = Budgets::is_over_budget(
+        (float) $page->emissions,
+        is_numeric($page->page_size) ? (int) $page->page_size : null,
+        $page->post_type,
+        $budgets
+      );
+    }
+
     include CARBONFOOTER_PLUGIN_DIR . 'views/dashboard-widget.php';
   }
 }
@@ -48,6 +48,13 @@ class AjaxHandler
    */
   private Cache $cache_manager;
 
+  /**
+   * Shared measurement and data management logic
+   *
+   * @var Data_Manager
+   */
+  private Data_Manager $data_manager;
+
   /**
    * AJAX nonce action
    *
@@ -65,6 +72,7 @@ class AjaxHandler
   {
     $this->emissions_handler = $emissions_handler;
     $this->cache_manager = $cache_manager;
+    $this->data_manager = new Data_Manager($emissions_handler, $cache_manager);
   }
 
   /**
@@ -98,8 +106,8 @@ class AjaxHandler
    * Structure:
    * - Capability: `edit_posts`
    * - Input: POST `post_id` (int)
-   * - Delegates to Emissions->process_post()
-   * - Returns: `{ emissions: float, formatted: string }` on success
+   * - Delegates to Data_Manager->measure_post()
+   * - Returns: `{ status, emissions: float, formatted: string }` on success
    *
    * @return void
    */
@@ -119,46 +127,14 @@ class AjaxHandler
       return;
     }
 
-    // Prevent duplicate processing via transient lock
-    $lock_key = 'carbonfooter_processing_' . $post_id;
-    if (get_transient($lock_key)) {
-      Logger::log('Measurement already in progress (locked)', ['post_id' => $post_id]);
-      // Try to return current cached value, if any
-      $payload = $this->cache_manager->get_post_payload($post_id);
-      $emissions = ($payload && isset($payload['emissions'])) ? (float) $payload['emissions'] : null;
-      $this->send_success_response([
-        'status' => 'in_progress',
-        'emissions' => $emissions,
-        'formatted' => is_null($emissions) ? null : number_format($emissions, 2) . 'g CO2',
-        'message' => __('A refresh is already running. Please wait a moment.', 'carbonfooter')
-      ]);
+    $result = $this->data_manager->measure_post($post_id);
+    if (is_wp_error($result)) {
+      $this->send_wp_error($result);
       return;
     }
 
-    // Set lock with short TTL to dedupe rapid clicks
-    set_transient($lock_key, true, 5 * MINUTE_IN_SECONDS);
-    Logger::info('Starting emissions processing for post: ' . $post_id);
-
-    try {
-      $result = $this->emissions_handler->process_post($post_id);
-      Logger::info('Emissions processing result: ' . ($result ? $result : 'false'));
-
-      if ($result) {
-        $response_data = [
-          'status' => 'completed',
-          'emissions' => $result,
-          'formatted' => number_format($result, 2) . 'g CO2'
-        ];
-        Logger::info('Sending success response: ' . wp_json_encode($response_data));
-        $this->send_success_response($response_data);
-      } else {
-        Logger::error('Emissions processing failed for post: ' . $post_id);
-        $this->send_error_response(__('Failed to measure emissions', 'carbonfooter'));
-      }
-    } finally {
-      // Clear lock
-      delete_transient($lock_key);
-    }
+    Logger::info('Sending success response: ' . wp_json_encode($result));
+    $this->send_success_response($result);
   }
 
   /**
@@ -184,8 +160,9 @@ class AjaxHandler
   /**
    * Handle heaviest pages request.
    *
-   * Input: POST `limit` (int, default 10). Returns an array of pages ordered by
-   * emissions descending.
+   * Input: POST `limit` (int, default 10) and `orderby` ('emissions' or
+   * 'impact', default 'emissions'). Returns an array of pages ordered
+   * descending by the chosen metric.
    *
    * @return void
    */
@@ -194,9 +171,13 @@ class AjaxHandler
     $this->verify_nonce_and_permissions();
 
     $limit = $this->get_sanitized_post_parameter('limit', 'int', 10);
+    $orderby = $this->get_sanitized_post_parameter('orderby', 'string', 'emissions');
+    if (!in_array($orderby, ['emissions', 'impact'], true)) {
+      $orderby = 'emissions';
+    }
 
     try {
-      $pages = Database_Optimizer::get_heaviest_pages($limit);
+      $pages = Database_Optimizer::get_heaviest_pages($limit, $orderby);
       $this->send_success_response($pages);
     } catch (\Exception $e) {
       Logger::log('Error getting heaviest pages: ' . $e->getMessage(), 'error');
@@ -276,48 +257,8 @@ class AjaxHandler
   {
     $this->verify_nonce_and_permissions('manage_options');
 
-    global $wpdb;
-
     try {
-      // Clear all CarbonFooter-related post meta
-      $meta_keys_to_delete = Constants::get_meta_keys();
-
-      $deleted_count = 0;
-      foreach ($meta_keys_to_delete as $meta_key) {
-        $result = $wpdb->delete(
-          $wpdb->postmeta,
-          ['meta_key' => $meta_key],
-          ['%s']
-        );
-        if ($result !== false) {
-          $deleted_count += $result;
-        }
-      }
-
-      // Clear cache
-      $this->cache_manager->clear_all();
-
-      // Clear WordPress transients
-      $cache_keys_cleared = $this->clear_carbonfooter_transients();
-
-      // Clear green host status
-      delete_option(Constants::OPTION_GREEN_HOST);
-
-      Logger::log('All CarbonFooter data cleared by user', [
-        'deleted_meta_count' => $deleted_count,
-        'cache_keys_cleared' => $cache_keys_cleared,
-        'user_id' => get_current_user_id()
-      ]);
-
-      $this->send_success_response([
-        'message' => sprintf(
-          /* translators: %d is the number of deleted data entries. */
-          __('Successfully cleared %d data entries and cache. All emissions data has been removed.', 'carbonfooter'),
-          $deleted_count
-        ),
-        'deleted_count' => $deleted_count,
-        'cache_cleared' => $cache_keys_cleared
-      ]);
+      $this->send_success_response($this->data_manager->clear_all_data());
     } catch (\Exception $e) {
       Logger::log('Error clearing data: ' . $e->getMessage(), 'error');
       $this->send_error_response(__('Failed to clear data', 'carbonfooter'));
@@ -337,46 +278,14 @@ class AjaxHandler
   {
     $this->verify_nonce_and_permissions('manage_options');
 
-    global $wpdb;
-
     try {
-      // Get all posts with emissions history data and current emissions
-      $results = $wpdb->get_results($wpdb->prepare("
-				SELECT
-					p.ID,
-					p.post_title,
-					pm_history.meta_value as history,
-					pm_current.meta_value as current_emissions
-				FROM {$wpdb->posts} p
-				JOIN {$wpdb->postmeta} pm_history ON p.ID = pm_history.post_id
-				LEFT JOIN {$wpdb->postmeta} pm_current ON p.ID = pm_current.post_id AND pm_current.meta_key = %s
-				WHERE pm_history.meta_key = %s
-				AND pm_history.meta_value != ''
-				ORDER BY p.post_title ASC
-			", Constants::META_EMISSIONS, Constants::META_EMISSIONS_HISTORY));
-
-      if (empty($results)) {
-        $this->send_error_response(__('No historical emissions data found to export.', 'carbonfooter'));
+      $result = $this->data_manager->export_history();
+      if (is_wp_error($result)) {
+        $this->send_wp_error($result);
+        return;
       }
 
-      $export_data = $this->prepare_export_data($results);
-      $filename = $this->generate_export_filename();
-
-      Logger::log('Emissions data exported by user', [
-        'exported_posts' => count($export_data),
-        'user_id' => get_current_user_id(),
-        'filename' => $filename
-      ]);
-
-      $this->send_success_response([
-        'data' => $export_data,
-        'filename' => $filename,
-        'message' => sprintf(
-          /* translators: %d is the number of exported posts. */
-          __('Successfully exported %d posts with historical emissions data.', 'carbonfooter'),
-          count($export_data)
-        )
-      ]);
+      $this->send_success_response($result);
     } catch (\Exception $e) {
       Logger::log('Error exporting data: ' . $e->getMessage(), 'error');
       $this->send_error_response(__('Failed to export data', 'carbonfooter'));
@@ -436,89 +345,6 @@ class AjaxHandler
     }
   }
 
-  /**
-   * Clear CarbonFooter-related transients.
-   *
-   * Scans options table for keys like `_transient_carbonfooter_%` and deletes
-   * the corresponding transients.
-   *
-   * @return int Number of transients cleared
-   */
-  private function clear_carbonfooter_transients(): int
-  {
-    global $wpdb;
-
-    $cache_keys = $wpdb->get_col($wpdb->prepare("
-			SELECT option_name
-			FROM {$wpdb->options}
-			WHERE option_name LIKE %s
-		", '_transient_carbonfooter_%'));
-
-    $cleared_count = 0;
-    foreach ($cache_keys as $cache_key) {
-      $key = str_replace('_transient_', '', $cache_key);
-      if (delete_transient($key)) {
-        $cleared_count++;
-      }
-    }
-
-    return $cleared_count;
-  }
-
-  /**
-   * Prepare export data from database results.
-   *
-   * Normalizes history to an array of `{ date, value }` entries and includes
-   * current emissions when available.
-   *
-   * @param array $results Database results
-   * @return array Formatted export data
-   */
-  private function prepare_export_data(array $results): array
-  {
-    $export_data = [];
-
-    foreach ($results as $result) {
-      $history = maybe_unserialize($result->history);
-
-      if (!is_array($history)) {
-        continue;
-      }
-
-      $formatted_history = [];
-      foreach ($history as $entry) {
-        if (isset($entry['date']) && isset($entry['value'])) {
-          $formatted_history[] = [
-            'date' => $entry['date'],
-            'value' => (float) $entry['value']
-          ];
-        }
-      }
-
-      $export_data[] = [
-        'ID' => $result->ID,
-        'post_title' => $result->post_title,
-        'emissions' => $result->current_emissions ? (float) $result->current_emissions : null,
-        'history' => $formatted_history
-      ];
-    }
-
-    return $export_data;
-  }
-
-  /**
-   * Generate export filename.
-   *
-   * Uses current date and site name to produce a stable, shareable filename.
-   *
-   * @return string Generated filename
-   */
-  private function generate_export_filename(): string
-  {
-    $site_name = sanitize_title(get_bloginfo('name'));
-    return date('Y-m-d') . '-carbon-emissions-' . $site_name . '.json';
-  }
-
   /**
    * Send success response.
    *
@@ -546,4 +372,18 @@ class AjaxHandler
     status_header($status_code);
     wp_send_json_error($message);
   }
+
+  /**
+   * Send error response for a `\WP_Error` from a shared service.
+   *
+   * Uses the `status` from the error data, like the REST API does.
+   *
+   * @param \WP_Error $error Error
+   * @return void
+   */
+  private function send_wp_error(\WP_Error $error): void
+  {
+    $data = $error->get_error_data();
+    $this->send_error_response($error->get_error_message(), (int) ($data['status'] ?? 400));
+  }
 }
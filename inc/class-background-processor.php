@@ -74,8 +74,8 @@ class Background_Processor
    */
   public function maybe_schedule_processing()
   {
-    // Only process on singular posts/pages
-    if (!\is_singular()) {
+    // Only process on singular posts/pages; previews are not the live page
+    if (!\is_singular() || \is_preview()) {
       return;
     }
 
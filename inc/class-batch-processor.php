@@ -0,0 +1,392 @@
+<?php
+
+/**
+ * Batch Processor for measuring many pages in one job.
+ *
+ * @package CarbonFooter
+ */
+
+namespace CarbonfooterPlugin;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+/**
+ * Batch_Processor
+ *
+ * Runs a "measure all untested pages" job in WP-Cron ticks, so it keeps going
+ * after the admin leaves the page and can be inspected again later.
+ *
+ * Structure:
+ * - The job lives in the `carbonfooter_batch_job` option:
+ *   `{ status, items: { post_id: item status }, started_at, updated_at, finished_at }`;
+ *   tracked URLs are items too, keyed `url-<id>` (see `Url_Registry`)
+ * - Job status: running | paused | cancelled | completed
+ * - Item status: queued | measuring | done | failed
+ * - Each tick measures at most `Constants::BATCH_SIZE` pages and
+ *   schedules the next tick while the job is running
+ *
+ * Concurrency:
+ * - A transient lock allows a single tick at a time; pages left `measuring`
+ *   by a tick that died (usually a timeout on that page) are marked failed by
+ *   the next one instead of being retried forever
+ * - Ticks reload the job before every write, so pause/cancel requests made
+ *   while a tick runs are kept
+ */
+class Batch_Processor
+{
+  /**
+   * Cron hook that processes the next batch.
+   */
+  public const HOOK = 'carbonfooter_batch_tick';
+
+  /**
+   * Job statuses in which pages are still waiting.
+   */
+  private const ACTIVE_STATUSES = ['running', 'paused'];
+
+  /**
+   * Emissions instance.
+   *
+   * @var Emissions
+   */
+  private $emissions;
+
+  /**
+   * Constructor.
+   *
+   * Hooks:
+   * - `carbonfooter_batch_tick` to measure the next batch
+   */
+  public function __construct()
+  {
+    $this->emissions = new Emissions();
+
+    add_action(self::HOOK, array($this, 'run_tick'));
+  }
+
+  /**
+   * Measure the next batch of queued pages.
+   *
+   * @return void
+   */
+  public function run_tick()
+  {
+    if (get_transient(Constants::TRANSIENT_BATCH_LOCK)) {
+      return;
+    }
+
+    $job = self::get_job();
+    if (!$job || $job['status'] !== 'running') {
+      return;
+    }
+
+    set_transient(Constants::TRANSIENT_BATCH_LOCK, true, 5 * MINUTE_IN_SECONDS);
+
+    // Nothing else holds the lock, so `measuring` items belong to a dead tick
+    $job = self::fail_stale($job);
+    $post_ids = self::next_batch($job, Constants::BATCH_SIZE);
+    if (empty($post_ids)) {
+      $job = self::complete_if_finished($job);
+    }
+
+    foreach ($post_ids as $post_id) {
+      $job['items'][$post_id] = 'measuring';
+    }
+    self::save_job($job);
+
+    foreach ($post_ids as $post_id) {
+      $url_id = Url_Registry::parse_item_key($post_id);
+      $result = $url_id ? $this->emissions->process_url($url_id) : $this->emissions->process_post($post_id);
+
+      $job = self::get_job();
+      if (!$job) {
+        break; // Data was cleared while measuring
+      }
+
+      $job['items'][$post_id] = $result === false ? 'failed' : 'done';
+      $job = self::complete_if_finished($job);
+      self::save_job($job);
+    }
+
+    delete_transient(Constants::TRANSIENT_BATCH_LOCK);
+
+    if ($job && $job['status'] === 'running') {
+      self::schedule_tick();
+    }
+  }
+
+  /**
+   * Start a new job for the given posts.
+   *
+   * @param array $post_ids Posts (and tracked URL item keys) to measure
+   * @return array|\WP_Error Job status, or an error when a job is active
+   */
+  public static function start(array $post_ids)
+  {
+    $job = self::get_job();
+    if ($job && in_array($job['status'], self::ACTIVE_STATUSES, true)) {
+      return new \WP_Error(
+        'carbonfooter_batch_active',
+        __('A measurement job is already in progress', 'carbonfooter'),
+        ['status' => 409]
+      );
+    }
+
+    $job = self::create_job($post_ids, current_time('mysql'));
+    self::save_job($job);
+    self::schedule_tick();
+
+    Logger::log('Batch measurement started', ['pages' => count($post_ids)]);
+
+    return self::get_status();
+  }
+
+  /**
+   * Pause, resume or cancel the current job.
+   *
+   * @param string $action 'pause' | 'resume' | 'cancel'
+   * @return array|\WP_Error Job status, or an error when the action does not apply
+   */
+  public static function control(string $action)
+  {
+    $job = self::get_job();
+    $next = $job ? self::transition($job['status'], $action) : null;
+
+    if ($next === null) {
+      return new \WP_Error(
+        'carbonfooter_batch_invalid_state',
+        sprintf(
+          /* translators: %s is the requested action (pause, resume or cancel). */
+          __('The measurement job cannot %s in its current state', 'carbonfooter'),
+          $action
+        ),
+        ['status' => 409]
+      );
+    }
+
+    $job['status'] = $next;
+    if ($next === 'cancelled') {
+      $job['finished_at'] = current_time('mysql');
+    }
+    self::save_job($job);
+
+    if ($next === 'running') {
+      self::schedule_tick();
+    }
+
+    return self::get_status();
+  }
+
+  /**
+   * Make sure a running job makes progress.
+   *
+   * Called while the admin polls the status: reschedules a tick lost with a
+   * crashed request. Never measures inline, so the poll stays fast.
+   *
+   * When WP-Cron is disabled, a server cron is expected to run wp-cron.php;
+   * in case it runs rarely, this also spawns the same non-blocking request
+   * to wp-cron.php that WordPress sends on page loads (`spawn_cron()`).
+   *
+   * @return void
+   */
+  public static function keep_alive(): void
+  {
+    $job = self::get_job();
+    if (!$job || $job['status'] !== 'running') {
+      return;
+    }
+
+    self::schedule_tick();
+
+    if (defined('DISABLE_WP_CRON') && DISABLE_WP_CRON) {
+      spawn_cron();
+    }
+  }
+
+  /**
+   * Get the status of the latest job.
+   *
+   * @return array|null Status payload (see `summarize()`) or null when no job ran yet
+   */
+  public static function get_status(): ?array
+  {
+    $job = self::get_job();
+
+    return $job ? self::summarize($job) : null;
+  }
+
+  /**
+   * Create a new running job.
+   *
+   * @param array  $post_ids Posts (and tracked URL item keys) to measure
+   * @param string $now      Current time (`Y-m-d H:i:s`)
+   * @return array Job
+   */
+  public static function create_job(array $post_ids, string $now): array
+  {
+    $items = [];
+    foreach ($post_ids as $post_id) {
+      $items[Url_Registry::parse_item_key($post_id) ? (string) $post_id : (int) $post_id] = 'queued';
+    }
+
+    return [
+      'status' => empty($items) ? 'completed' : 'running',
+      'items' => $items,
+      'started_at' => $now,
+      'updated_at' => $now,
+      'finished_at' => empty($items) ? $now : null,
+    ];
+  }
+
+  /**
+   * Resolve a control action to the next job status.
+   *
+   * @param string $status Current job status
+   * @param string $action 'pause' | 'resume' | 'cancel'
+   * @return string|null Next status, or null when the action does not apply
+   */
+  public static function transition(string $status, string $action): ?string
+  {
+    $transitions = [
+      'running' => ['pause' => 'paused', 'cancel' => 'cancelled'],
+      'paused' => ['resume' => 'running', 'cancel' => 'cancelled'],
+    ];
+
+    return $transitions[$status][$action] ?? null;
+  }
+
+  /**
+   * Pick the next queued posts.
+   *
+   * @param array $job   Job
+   * @param int   $limit Maximum number of posts
+   * @return array Post IDs and tracked URL item keys
+   */
+  public static function next_batch(array $job, int $limit): array
+  {
+    $queued = array_keys(array_filter($job['items'], function ($status) {
+      return $status === 'queued';
+    }));
+
+    return array_slice($queued, 0, max(1, $limit));
+  }
+
+  /**
+   * Mark items that were left measuring as failed.
+   *
+   * @param array $job Job
+   * @return array Job
+   */
+  public static function fail_stale(array $job): array
+  {
+    foreach ($job['items'] as $post_id => $status) {
+      if ($status === 'measuring') {
+        $job['items'][$post_id] = 'failed';
+      }
+    }
+
+    return $job;
+  }
+
+  /**
+   * Mark a running job completed once no page is waiting.
+   *
+   * @param array $job Job
+   * @return array Job
+   */
+  public static function complete_if_finished(array $job): array
+  {
+    $counts = self::count_items($job);
+
+    if ($job['status'] === 'running' && $counts['queued'] === 0 && $counts['measuring'] === 0) {
+      $job['status'] = 'completed';
+      $job['finished_at'] = current_time('mysql');
+      Logger::log('Batch measurement completed', $counts);
+    }
+
+    return $job;
+  }
+
+  /**
+   * Build the status payload of a job.
+   *
+   * @param array $job Job
+   * @return array{status: string, total: int, counts: array, progress: int, items: array, started_at: string, updated_at: string, finished_at: string|null}
+   */
+  public static function summarize(array $job): array
+  {
+    $counts = self::count_items($job);
+    $total = count($job['items']);
+    $processed = $counts['done'] + $counts['failed'];
+
+    return [
+      'status' => $job['status'],
+      'total' => $total,
+      'counts' => $counts,
+      'progress' => $total > 0 ? (int) floor($processed / $total * 100) : 100,
+      'items' => $job['items'],
+      'started_at' => $job['started_at'],
+      'updated_at' => $job['updated_at'],
+      'finished_at' => $job['finished_at'],
+    ];
+  }
+
+  /**
+   * Count items per status.
+   *
+   * @param array $job Job
+   * @return array{queued: int, measuring: int, done: int, failed: int}
+   */
+  private static function count_items(array $job): array
+  {
+    $counts = ['queued' => 0, 'measuring' => 0, 'done' => 0, 'failed' => 0];
+    foreach ($job['items'] as $status) {
+      if (isset($counts[$status])) {
+        $counts[$status]++;
+      }
+    }
+
+    return $counts;
+  }
+
+  /**
+   * Schedule the next tick unless one is pending.
+   *
+   * @return void
+   */
+  private static function schedule_tick(): void
+  {
+    if (!wp_next_scheduled(self::HOOK)) {
+      wp_schedule_single_event(time(), self::HOOK);
+    }
+  }
+
+  /**
+   * Read the stored job.
+   *
+   * @return array|null Job or null when none exists
+   */
+  private static function get_job(): ?array
+  {
+    // Bypass the options cache: ticks and REST requests write concurrently
+    wp_cache_delete(Constants::OPTION_BATCH_JOB, 'options');
+    $job = get_option(Constants::OPTION_BATCH_JOB, null);
+
+    return is_array($job) && isset($job['status'], $job['items']) ? $job : null;
+  }
+
+  /**
+   * Store the job.
+   *
+   * @param array $job Job
+   * @return void
+   */
+  private static function save_job(array $job): void
+  {
+    $job['updated_at'] = current_time('mysql');
+    update_option(Constants::OPTION_BATCH_JOB, $job, false);
+  }
+}
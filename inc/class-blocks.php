@@ -0,0 +1,142 @@
+<?php
+
+/**
+ * Block editor integration.
+ *
+ * This file registers the Carbonfooter widget block and its block pattern.
+ *
+ * @package CarbonFooter
+ */
+
+namespace CarbonfooterPlugin;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+/**
+ * Blocks
+ *
+ * Registers the `carbonfooter/widget` block from its built `block.json` and a
+ * footer pattern for block themes. The block is dynamic: it renders through
+ * the shortcode renderer, with the block attributes as per-instance options.
+ *
+ * Structure:
+ * - `register_blocks()` registers the block and passes the widget settings to the editor
+ * - `render_widget_block()` maps block attributes to widget options
+ * - `register_patterns()` offers the block for footer template parts
+ */
+class Blocks
+{
+  /**
+   * Block name.
+   */
+  public const WIDGET_BLOCK = 'carbonfooter/widget';
+
+  /**
+   * Shortcodes instance used to render the widget.
+   *
+   * @var Shortcodes
+   */
+  private Shortcodes $shortcodes;
+
+  /**
+   * Emissions instance for the site average shown in the editor.
+   *
+   * @var Emissions
+   */
+  private Emissions $emissions;
+
+  /**
+   * Constructor.
+   *
+   * @param Shortcodes $shortcodes Widget renderer
+   * @param Emissions  $emissions  Emissions service
+   */
+  public function __construct(Shortcodes $shortcodes, Emissions $emissions)
+  {
+    $this->shortcodes = $shortcodes;
+    $this->emissions = $emissions;
+
+    add_action('init', array($this, 'register_blocks'));
+    add_action('init', array($this, 'register_patterns'));
+  }
+
+  /**
+   * Register the widget block.
+   *
+   * Skipped when the assets have not been built yet, e.g. in a fresh checkout.
+   *
+   * @return void
+   */
+  public function register_blocks(): void
+  {
+    $block_dir = CARBONFOOTER_PLUGIN_DIR . Constants::ASSETS_BUILD_DIR . '/blocks/widget';
+
+    if (!function_exists('register_block_type') || !file_exists($block_dir . '/block.json')) {
+      return;
+    }
+
+    $block = register_block_type($block_dir, array(
+      'render_callback' => array($this, 'render_widget_block'),
+    ));
+
+    if (!$block || empty($block->editor_script_handles)) {
+      return;
+    }
+
+    // Defaults for the editor preview of blocks without their own options
+    $handle = $block->editor_script_handles[0];
+    wp_localize_script($handle, 'carbonfooterWidget', array(
+      'style' => get_option(Constants::OPTION_WIDGET_STYLE, Constants::DEFAULT_WIDGET_STYLE),
+      'backgroundColor' => get_option(Constants::OPTION_WIDGET_BACKGROUND_COLOR, Constants::DEFAULT_BACKGROUND_COLOR),
+      'textColor' => get_option(Constants::OPTION_WIDGET_TEXT_COLOR, Constants::DEFAULT_TEXT_COLOR),
+      'average' => (float) $this->emissions->get_average_emissions(),
+    ));
+    wp_set_script_translations($handle, 'carbonfooter', CARBONFOOTER_PLUGIN_DIR . 'languages');
+  }
+
+  /**
+   * Render callback of the widget block.
+   *
+   * Empty attributes fall back to the widget settings.
+   *
+   * @param array $attributes Block attributes
+   * @return string Widget markup in the block wrapper
+   */
+  public function render_widget_block(array $attributes): string
+  {
+    $markup = $this->shortcodes->render_carbonfooter(array(
+      'style' => $attributes['widgetStyle'] ?? '',
+      'background_color' => $attributes['backgroundColor'] ?? '',
+      'text_color' => $attributes['textColor'] ?? '',
+      'source' => $attributes['source'] ?? 'page',
+    ));
+
+    return sprintf('<div %s>%s</div>', get_block_wrapper_attributes(), $markup);
+  }
+
+  /**
+   * Register the footer pattern.
+   *
+   * `blockTypes` makes the pattern show up when inserting or replacing the
+   * content of a footer template part in the site editor.
+   *
+   * @return void
+   */
+  public function register_patterns(): void
+  {
+    if (!function_exists('register_block_pattern')) {
+      return;
+    }
+
+    register_block_pattern('carbonfooter/footer-widget', array(
+      'title' => __('Footer with Carbonfooter widget', 'carbonfooter'),
+      'description' => __('Shows the emissions of the current page in the footer.', 'carbonfooter'),
+      'categories' => array('footer'),
+      'blockTypes' => array('core/template-part/footer'),
+      'content' => '<!-- wp:' . self::WIDGET_BLOCK . ' {"align":"full"} /-->',
+    ));
+  }
+}
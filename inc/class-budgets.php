@@ -0,0 +1,259 @@
+<?php
+
+/**
+ * Emission Budgets
+ *
+ * Page-weight budgets agreed with site owners and the checks against them.
+ *
+ * @package CarbonFooter
+ */
+
+namespace CarbonfooterPlugin;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+/**
+ * Budgets
+ *
+ * A site-wide default budget in grams CO2 per visit and/or bytes per page,
+ * with optional overrides per post type. A page is over budget when it
+ * exceeds either limit that applies to its post type.
+ *
+ * Structure:
+ * - `sanitize()` normalizes raw input (REST or option) into the stored shape
+ * - `get()` returns the saved budgets
+ * - `for_post_type()` resolves the limits for one post type
+ * - `get_exceeded()` / `is_over_budget()` check a single measurement
+ * - `compare()` checks a draft against its budget or the site average
+ * - `get_sql_condition()` applies the same check inside listing queries
+ *
+ * Storage (`carbonfooter_budgets` option):
+ * `{ emissions: float|null, page_size: int|null, post_types: { <type>: { emissions, page_size } } }`
+ * where null means "no limit" (or, for overrides, "use the default").
+ */
+class Budgets
+{
+  /**
+   * Normalize budgets input.
+   *
+   * Empty, zero and negative limits are dropped, as are overrides without
+   * any limit of their own.
+   *
+   * @param mixed $value Raw budgets
+   * @return array{emissions: float|null, page_size: int|null, post_types: array}
+   */
+  public static function sanitize($value): array
+  {
+    $value = is_array($value) ? $value : [];
+
+    $budgets = self::sanitize_limits($value);
+    $budgets['post_types'] = [];
+
+    $post_types = isset($value['post_types']) && is_array($value['post_types']) ? $value['post_types'] : [];
+    foreach ($post_types as $post_type => $limits) {
+      $post_type = sanitize_key($post_type);
+      $limits = self::sanitize_limits(is_array($limits) ? $limits : []);
+
+      if ($post_type !== '' && ($limits['emissions'] !== null || $limits['page_size'] !== null)) {
+        $budgets['post_types'][$post_type] = $limits;
+      }
+    }
+
+    return $budgets;
+  }
+
+  /**
+   * Get the saved budgets.
+   *
+   * @return array{emissions: float|null, page_size: int|null, post_types: array}
+   */
+  public static function get(): array
+  {
+    return self::sanitize(get_option(Constants::OPTION_BUDGETS, []));
+  }
+
+  /**
+   * Resolve the limits that apply to a post type.
+   *
+   * Each limit of an override falls back to the site-wide default on its own,
+   * so a post type can tighten emissions while keeping the default page size.
+   *
+   * @param string     $post_type Post type name
+   * @param array|null $budgets   Budgets from `get()`; loaded when omitted
+   * @return array{emissions: float|null, page_size: int|null}
+   */
+  public static function for_post_type(string $post_type, ?array $budgets = null): array
+  {
+    $budgets = $budgets ?? self::get();
+    $override = $budgets['post_types'][$post_type] ?? [];
+
+    return [
+      'emissions' => $override['emissions'] ?? $budgets['emissions'],
+      'page_size' => $override['page_size'] ?? $budgets['page_size'],
+    ];
+  }
+
+  /**
+   * Get the limits a measurement exceeds.
+   *
+   * @param float      $emissions Grams CO2 per visit
+   * @param int|null   $page_size Transfer size in bytes, null when unknown
+   * @param string     $post_type Post type name
+   * @param array|null $budgets   Budgets from `get()`; loaded when omitted
+   * @return string[] 'emissions' and/or 'page_size'
+   */
+  public static function get_exceeded(float $emissions, ?int $page_size, string $post_type, ?array $budgets = null): array
+  {
+    $limits = self::for_post_type($post_type, $budgets);
+    $exceeded = [];
+
+    if ($limits['emissions'] !== null && $emissions > $limits['emissions']) {
+      $exceeded[] = 'emissions';
+    }
+    if ($limits['page_size'] !== null && $page_size !== null && $page_size > $limits['page_size']) {
+      $exceeded[] = 'page_size';
+    }
+
+    return $exceeded;
+  }
+
+  /**
+   * Compare a measurement with the budget of its post type, or with the site
+   * average when the post type has no budget.
+   *
+   * A measurement is heavy when it exceeds a reference by more than
+   * `$threshold` percent. Used by the pre-publish check.
+   *
+   * @param float      $emissions Grams CO2 per visit
+   * @param int|null   $page_size Transfer size in bytes, null when unknown
+   * @param string     $post_type Post type name
+   * @param float      $average   Site average in grams CO2 per visit, 0 when nothing is measured
+   * @param float      $threshold Allowed excess in percent
+   * @param array|null $budgets   Budgets from `get()`; loaded when omitted
+   * @return array{reference: string|null, reference_emissions: float|null, reference_page_size: int|null, exceeded: string[], is_heavy: bool}
+   *   where `reference` is 'budget', 'average' or null when there is nothing to compare with
+   */
+  public static function compare(float $emissions, ?int $page_size, string $post_type, float $average, float $threshold, ?array $budgets = null): array
+  {
+    $limits = self::for_post_type($post_type, $budgets);
+    $reference = 'budget';
+
+    if ($limits['emissions'] === null && $limits['page_size'] === null) {
+      $limits = ['emissions' => $average > 0 ? $average : null, 'page_size' => null];
+      $reference = $average > 0 ? 'average' : null;
+    }
+
+    $factor = 1 + max(0, $threshold) / 100;
+    $exceeded = [];
+    if ($limits['emissions'] !== null && $emissions > $limits['emissions'] * $factor) {
+      $exceeded[] = 'emissions';
+    }
+    if ($limits['page_size'] !== null && $page_size !== null && $page_size > $limits['page_size'] * $factor) {
+      $exceeded[] = 'page_size';
+    }
+
+    return [
+      'reference' => $reference,
+      'reference_emissions' => $limits['emissions'],
+      'reference_page_size' => $limits['page_size'],
+      'exceeded' => $exceeded,
+      'is_heavy' => !empty($exceeded),
+    ];
+  }
+
+  /**
+   * Check whether a measurement is over budget.
+   *
+   * @param float      $emissions Grams CO2 per visit
+   * @param int|null   $page_size Transfer size in bytes, null when unknown
+   * @param string     $post_type Post type name
+   * @param array|null $budgets   Budgets from `get()`; loaded when omitted
+   * @return bool
+   */
+  public static function is_over_budget(float $emissions, ?int $page_size, string $post_type, ?array $budgets = null): bool
+  {
+    return !empty(self::get_exceeded($emissions, $page_size, $post_type, $budgets));
+  }
+
+  /**
+   * Build a WHERE condition matching over-budget rows.
+   *
+   * Column arguments are SQL expressions chosen by the caller and are
+   * interpolated as-is; never pass request values.
+   *
+   * @param string $emissions_column Numeric emissions expression
+   * @param string $size_column      Numeric page size expression
+   * @param string $post_type_column Post type column
+   * @return string Condition; matches nothing when no budget is set
+   */
+  public static function get_sql_condition(string $emissions_column, string $size_column, string $post_type_column): string
+  {
+    global $wpdb;
+
+    $budgets = self::get();
+    $clauses = [];
+
+    foreach (array_keys($budgets['post_types']) as $post_type) {
+      $condition = self::get_limits_sql(self::for_post_type($post_type, $budgets), $emissions_column, $size_column);
+      if ($condition !== '') {
+        $clauses[] = $wpdb->prepare("({$post_type_column} = %s AND {$condition})", $post_type);
+      }
+    }
+
+    $condition = self::get_limits_sql($budgets, $emissions_column, $size_column);
+    if ($condition !== '') {
+      if (empty($budgets['post_types'])) {
+        $clauses[] = $condition;
+      } else {
+        $overridden = array_keys($budgets['post_types']);
+        $placeholders = implode(',', array_fill(0, count($overridden), '%s'));
+        $clauses[] = $wpdb->prepare("({$post_type_column} NOT IN ({$placeholders}) AND {$condition})", $overridden);
+      }
+    }
+
+    return empty($clauses) ? '1 = 0' : '(' . implode(' OR ', $clauses) . ')';
+  }
+
+  /**
+   * Build the condition for one set of limits.
+   *
+   * @param array  $limits           `{ emissions, page_size }`
+   * @param string $emissions_column Numeric emissions expression
+   * @param string $size_column      Numeric page size expression
+   * @return string Condition, or '' without limits
+   */
+  private static function get_limits_sql(array $limits, string $emissions_column, string $size_column): string
+  {
+    global $wpdb;
+
+    $parts = [];
+    if ($limits['emissions'] !== null) {
+      $parts[] = $wpdb->prepare("{$emissions_column} > %f", $limits['emissions']);
+    }
+    if ($limits['page_size'] !== null) {
+      $parts[] = $wpdb->prepare("{$size_column} > %d", $limits['page_size']);
+    }
+
+    return empty($parts) ? '' : '(' . implode(' OR ', $parts) . ')';
+  }
+
+  /**
+   * Normalize one set of limits.
+   *
+   * @param array $limits Raw `{ emissions, page_size }`
+   * @return array{emissions: float|null, page_size: int|null}
+   */
+  private static function sanitize_limits(array $limits): array
+  {
+    $emissions = isset($limits['emissions']) && is_numeric($limits['emissions']) ? round((float) $limits['emissions'], 2) : 0;
+    $page_size = isset($limits['page_size']) && is_numeric($limits['page_size']) ? (int) $limits['page_size'] : 0;
+
+    return [
+      'emissions' => $emissions > 0 ? $emissions : null,
+      'page_size' => $page_size > 0 ? $page_size : null,
+    ];
+  }
+}
@@ -168,10 +168,9 @@ class Cache
     // Also clear transient mirror for stats
     delete_transient(Constants::TRANSIENT_STATS_CACHE);
 
-    // Common list caches
-    wp_cache_delete(Constants::CACHE_HEAVIEST_PAGES_KEY . ':10', Constants::CACHE_GROUP);
-    wp_cache_delete(Constants::CACHE_HEAVIEST_PAGES_KEY . ':20', Constants::CACHE_GROUP);
-    wp_cache_delete(Constants::CACHE_HEAVIEST_PAGES_KEY . ':50', Constants::CACHE_GROUP);
-    wp_cache_delete(Constants::CACHE_UNTESTED_PAGES_KEY, Constants::CACHE_GROUP);
+    // List caches, for every limit and order
+    Database_Optimizer::invalidate_listing_caches();
+    wp_cache_delete(Constants::CACHE_HISTORIES_KEY, Constants::CACHE_GROUP);
+    wp_cache_delete(Constants::CACHE_TRAFFIC_KEY, Constants::CACHE_GROUP);
   }
 }
@@ -45,6 +45,8 @@ final class Constants
    */
   public const API_NAMESPACE = 'carbonfooter/v1';
   public const API_BASE_URL = 'https://carbonfooter.nl/api';
+  public const API_TIMEOUT = 60; // Seconds per measurement
+  public const FRONT_PAGE_CHECK_TIMEOUT = 10; // With API_TIMEOUT, within the editor's 90 second wait
 
   /**
    * Database meta keys
@@ -54,6 +56,9 @@ final class Constants
   public const META_RESOURCES = '_carbon_resources';
   public const META_EMISSIONS_UPDATED = '_carbon_emissions_updated';
   public const META_EMISSIONS_HISTORY = '_carbon_emissions_history';
+  public const META_IMPORTED_VIEWS = '_carbon_imported_views';
+  public const META_YEARLY_VIEWS = '_carbon_yearly_views';
+  public const META_GREEN_HOST = '_carbon_green_host';
 
   /**
    * Option keys
@@ -65,12 +70,25 @@ final class Constants
   public const OPTION_GREEN_HOST = 'carbonfooter_greenhost';
   public const OPTION_DATA_COLLECTION_ENABLED = 'carbonfooter_data_collection_enabled';
   public const OPTION_SHOW_ATTRIBUTION = 'carbonfooter_show_attribution';
+  public const OPTION_PAGES_PER_VISIT = 'carbonfooter_pages_per_visit';
+  public const OPTION_VISITORS_PER_MONTH = 'carbonfooter_visitors_per_month';
+  public const OPTION_PAGEVIEW_COUNTER = 'carbonfooter_pageview_counter';
+  public const OPTION_PAGEVIEW_COUNTER_STARTED = 'carbonfooter_pageview_counter_started';
+  public const OPTION_TRAFFIC_IMPORT = 'carbonfooter_traffic_import';
+  public const OPTION_BATCH_JOB = 'carbonfooter_batch_job';
+  public const OPTION_BUDGETS = 'carbonfooter_budgets';
+  public const OPTION_HOME_MEASUREMENT = 'carbonfooter_home_measurement';
+  public const OPTION_PREPUBLISH_THRESHOLD = 'carbonfooter_prepublish_threshold';
+  public const OPTION_DB_VERSION = 'carbonfooter_db_version';
+  public const OPTION_PAGEVIEWS_DB_VERSION = 'carbonfooter_pageviews_db_version';
 
   /**
    * Transient keys
    */
   public const TRANSIENT_ACTIVATION_REDIRECT = 'carbonfooter_activation_redirect';
   public const TRANSIENT_STATS_CACHE = 'carbonfooter_stats_cache';
+  public const TRANSIENT_BATCH_LOCK = 'carbonfooter_batch_lock';
+  public const TRANSIENT_PREVIEW_TOKEN_PREFIX = 'carbonfooter_preview_';
 
   /**
    * Cache keys
@@ -79,6 +97,9 @@ final class Constants
   public const CACHE_STATS_KEY = 'site_stats';
   public const CACHE_HEAVIEST_PAGES_KEY = 'heaviest_pages';
   public const CACHE_UNTESTED_PAGES_KEY = 'untested_pages';
+  public const CACHE_RESOURCE_LEADERBOARD_KEY = 'resource_leaderboard';
+  public const CACHE_HISTORIES_KEY = 'emissions_histories';
+  public const CACHE_TRAFFIC_KEY = 'traffic_summary';
   
   /**
    * Per-post emissions cache configuration
@@ -126,6 +147,10 @@ final class Constants
   public const DEFAULT_WIDGET_STYLE = 'minimal';
   public const DEFAULT_DATA_COLLECTION_ENABLED = true;
   public const DEFAULT_SHOW_ATTRIBUTION = false;
+  public const DEFAULT_PAGES_PER_VISIT = 2.5;
+  public const DEFAULT_VISITORS_PER_MONTH = 1000;
+  public const DEFAULT_PAGEVIEW_COUNTER = false;
+  public const DEFAULT_PREPUBLISH_THRESHOLD = 20; // percent above the budget or site average
 
   /**
    * Limits and constraints
@@ -135,12 +160,65 @@ final class Constants
   public const DEFAULT_HEAVIEST_PAGES_LIMIT = 10;
   public const DEFAULT_UNTESTED_PAGES_LIMIT = 20;
   public const CACHE_EXPIRATION_TIME = 3600; // 1 hour
+  public const MIN_PAGES_PER_VISIT = 1;
+  public const MAX_PAGES_PER_VISIT = 100;
+  public const MAX_VISITORS_PER_MONTH = 1000000000;
+  public const MAX_PREPUBLISH_THRESHOLD = 1000;
+  public const PREVIEW_TOKEN_TTL = 600; // 10 minutes, longer than one measurement
+  public const PAGEVIEW_RETENTION_DAYS = 365;
+  public const MAX_TRAFFIC_IMPORT_ROWS = 10000;
+  public const MAX_TRAFFIC_IMPORT_DAYS = 366;
+  public const MAX_HISTORY_ENTRIES = 12;
+  public const MAX_HISTORY_IMPORT_ENTRIES = 10000;
+  public const MAX_TIMELINE_DAYS = 1830; // About five years
+  public const DEFAULT_RESULTS_PER_PAGE = 20;
+  public const MAX_RESULTS_PER_PAGE = 100;
+  public const DEFAULT_LEADERBOARD_SIZE = 10;
+  public const BATCH_SIZE = 3; // Pages per batch tick
+  public const MAX_TRACKED_URLS = 500;
+  public const MAX_SITEMAPS = 50;
+  public const MAX_SITEMAP_BYTES = 10485760; // 10 MB
 
   /**
    * Widget styles
    */
   public const WIDGET_STYLES = ['minimal', 'full', 'sticker'];
 
+  /**
+   * What a widget placement shows: the current page or the site average
+   */
+  public const WIDGET_SOURCES = ['page', 'site'];
+
+  /**
+   * Resource types of a measurement; `total` and `thirdParty` overlap the others
+   */
+  public const RESOURCE_TYPES = ['total', 'images', 'script', 'css', 'font', 'media', 'thirdParty'];
+
+  /**
+   * Ranking metrics for resource leaderboards; `share` is the type's share of the page's bytes
+   */
+  public const RESOURCE_METRICS = ['transferSize', 'requestCount', 'share'];
+
+  /**
+   * Sort keys for the paginated results list
+   */
+  public const RESULTS_ORDERBY = ['emissions', 'page_size', 'updated', 'title', 'impact'];
+
+  /**
+   * Export formats: JSON, or CSV with one row per measurement (long) or per page (wide)
+   */
+  public const EXPORT_FORMATS = ['json', 'csv-long', 'csv-wide'];
+
+  /**
+   * Types of tracked (non-post) URLs, see `Url_Registry::classify()`
+   */
+  public const URL_TYPES = ['home', 'category', 'tag', 'taxonomy', 'author', 'archive', 'custom'];
+
+  /**
+   * Phases of a running single-post measurement, in order
+   */
+  public const MEASURE_PHASES = ['queued', 'fetching', 'storing'];
+
   /**
    * Display settings
    */
@@ -153,6 +231,11 @@ final class Constants
   public const ADMIN_PAGE_SETTINGS = 'carbonfooter_page_carbonfooter-settings';
   public const ADMIN_PAGE_RESULTS = 'carbonfooter_page_carbonfooter-results';
 
+  /**
+   * Bulk action on the posts and pages lists
+   */
+  public const BULK_ACTION_MEASURE = 'carbonfooter_measure';
+
   /**
    * Menu positions
    */
@@ -191,7 +274,10 @@ final class Constants
       self::META_PAGE_SIZE,
       self::META_RESOURCES,
       self::META_EMISSIONS_UPDATED,
-      self::META_EMISSIONS_HISTORY
+      self::META_EMISSIONS_HISTORY,
+      self::META_IMPORTED_VIEWS,
+      self::META_YEARLY_VIEWS,
+      self::META_GREEN_HOST
     ];
   }
 
@@ -209,7 +295,18 @@ final class Constants
       self::OPTION_WIDGET_STYLE,
       self::OPTION_GREEN_HOST,
       self::OPTION_DATA_COLLECTION_ENABLED,
-      self::OPTION_SHOW_ATTRIBUTION
+      self::OPTION_SHOW_ATTRIBUTION,
+      self::OPTION_PAGES_PER_VISIT,
+      self::OPTION_VISITORS_PER_MONTH,
+      self::OPTION_PAGEVIEW_COUNTER,
+      self::OPTION_PAGEVIEW_COUNTER_STARTED,
+      self::OPTION_TRAFFIC_IMPORT,
+      self::OPTION_BATCH_JOB,
+      self::OPTION_BUDGETS,
+      self::OPTION_HOME_MEASUREMENT,
+      self::OPTION_PREPUBLISH_THRESHOLD,
+      self::OPTION_DB_VERSION,
+      self::OPTION_PAGEVIEWS_DB_VERSION
     ];
   }
 
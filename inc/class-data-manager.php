@@ -0,0 +1,686 @@
+<?php
+
+/**
+ * Data Manager
+ *
+ * Measurement, clearing and export logic shared by the AJAX and REST APIs.
+ *
+ * @package CarbonFooter
+ */
+
+namespace CarbonfooterPlugin;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+/**
+ * Data_Manager
+ *
+ * Keeps `AjaxHandler` and `RestApiHandler` thin: both verify the request in
+ * their own way and then delegate here, so the two APIs always behave the
+ * same.
+ *
+ * Structure:
+ * - Methods return payload arrays on success and `\WP_Error` (with an HTTP
+ *   status in its data) on failure; callers format the response
+ */
+class Data_Manager
+{
+  /**
+   * Emissions handler instance
+   *
+   * @var Emissions
+   */
+  private Emissions $emissions_handler;
+
+  /**
+   * Cache manager instance
+   *
+   * @var Cache
+   */
+  private Cache $cache_manager;
+
+  /**
+   * Constructor
+   *
+   * @param Emissions $emissions_handler Emissions handler instance
+   * @param Cache $cache_manager Cache manager instance
+   */
+  public function __construct(Emissions $emissions_handler, Cache $cache_manager)
+  {
+    $this->emissions_handler = $emissions_handler;
+    $this->cache_manager = $cache_manager;
+  }
+
+  /**
+   * Measure a single post.
+   *
+   * A transient lock dedupes rapid repeated requests: while a measurement
+   * runs, the cached value is returned with status `in_progress`. The lock
+   * holds the current phase (queued, fetching, storing), see
+   * `get_measure_phase()`.
+   *
+   * @param int $post_id Post ID
+   * @return array|\WP_Error `{ status: 'completed'|'in_progress', emissions, formatted, message? }`
+   */
+  public function measure_post(int $post_id)
+  {
+    $lock_key = self::get_measure_lock_key($post_id);
+    if (get_transient($lock_key)) {
+      Logger::log('Measurement already in progress (locked)', ['post_id' => $post_id]);
+      // Try to return current cached value, if any
+      $payload = $this->cache_manager->get_post_payload($post_id);
+      return $this->get_in_progress_response(($payload && isset($payload['emissions'])) ? (float) $payload['emissions'] : null);
+    }
+
+    Logger::info('Starting emissions processing for post: ' . $post_id);
+    $result = $this->run_locked($lock_key, function (callable $on_phase) use ($post_id) {
+      return $this->emissions_handler->process_post($post_id, $on_phase);
+    });
+    Logger::info('Emissions processing result: ' . ($result ? $result : 'false'));
+
+    if (!$result) {
+      Logger::error('Emissions processing failed for post: ' . $post_id);
+      return $this->get_measure_error();
+    }
+
+    return [
+      'status' => 'completed',
+      'emissions' => $result,
+      'formatted' => number_format($result, 2) . 'g CO2'
+    ];
+  }
+
+  /**
+   * Measure the front page when it shows the latest posts.
+   *
+   * Locked like `measure_post()`, with 'home' as target. See
+   * `Emissions::process_home()` for the fallback to the latest post.
+   *
+   * @return array|\WP_Error `{ status: 'completed'|'in_progress', emissions, formatted, fallback?, message? }`
+   *   where `fallback` is `{ post_id, title }` when the latest post was measured instead
+   */
+  public function measure_home()
+  {
+    $lock_key = self::get_measure_lock_key('home');
+    if (get_transient($lock_key)) {
+      Logger::log('Measurement already in progress (locked)', ['post_id' => 'home']);
+      $stored = get_option(Constants::OPTION_HOME_MEASUREMENT);
+      return $this->get_in_progress_response(is_array($stored) && isset($stored['emissions']) ? (float) $stored['emissions'] : null);
+    }
+
+    $result = $this->run_locked($lock_key, function (callable $on_phase) {
+      return $this->emissions_handler->process_home($on_phase);
+    });
+
+    if (!$result) {
+      Logger::error('Emissions processing failed for the front page');
+      return $this->get_measure_error();
+    }
+
+    $response = [
+      'status' => 'completed',
+      'emissions' => $result['emissions'],
+      'formatted' => number_format($result['emissions'], 2) . 'g CO2'
+    ];
+    if ($result['post_id']) {
+      $response['fallback'] = [
+        'post_id' => $result['post_id'],
+        'title' => get_the_title($result['post_id']),
+      ];
+    }
+
+    return $response;
+  }
+
+  /**
+   * Measure a tracked URL.
+   *
+   * Locked like `measure_post()`, with `url-<id>` as target.
+   *
+   * @param int $url_id Tracked URL ID
+   * @return array|\WP_Error `{ status: 'completed'|'in_progress', emissions, formatted, message? }`
+   */
+  public function measure_url(int $url_id)
+  {
+    $tracked = Url_Registry::get($url_id);
+    if (!$tracked) {
+      return new \WP_Error(
+        'carbonfooter_url_not_found',
+        __('This URL is not tracked', 'carbonfooter'),
+        ['status' => 404]
+      );
+    }
+
+    $lock_key = self::get_measure_lock_key(Url_Registry::to_item_key($url_id));
+    if (get_transient($lock_key)) {
+      Logger::log('Measurement already in progress (locked)', ['url_id' => $url_id]);
+      return $this->get_in_progress_response($tracked['emissions']);
+    }
+
+    $result = $this->run_locked($lock_key, function (callable $on_phase) use ($url_id) {
+      return $this->emissions_handler->process_url($url_id, $on_phase);
+    });
+
+    if (!$result) {
+      Logger::error('Emissions processing failed for tracked URL: ' . $url_id);
+      return $this->get_measure_error();
+    }
+
+    return [
+      'status' => 'completed',
+      'emissions' => $result,
+      'formatted' => number_format($result, 2) . 'g CO2'
+    ];
+  }
+
+  /**
+   * Measure the preview of a post before it is published.
+   *
+   * The measurement service opens the preview through a token from
+   * `Preview_Access`, revoked once the measurement is done. Nothing is
+   * stored: the result is only compared with the post type's budget or the
+   * site average, see `Budgets::compare()`. Locked like `measure_post()`,
+   * with `preview-<id>` as target.
+   *
+   * @param int $post_id Post ID
+   * @return array|\WP_Error `{ status: 'completed', emissions, page_size, formatted, threshold, reference,
+   *   reference_emissions, reference_page_size, exceeded, is_heavy }` or `{ status: 'in_progress', ... }`
+   */
+  public function measure_preview(int $post_id)
+  {
+    $post = get_post($post_id);
+    if (!$post) {
+      return new \WP_Error(
+        'carbonfooter_invalid_post',
+        __('Invalid post ID', 'carbonfooter'),
+        ['status' => 404]
+      );
+    }
+
+    $lock_key = self::get_measure_lock_key('preview-' . $post_id);
+    if (get_transient($lock_key)) {
+      Logger::log('Preview measurement already in progress (locked)', ['post_id' => $post_id]);
+      return $this->get_in_progress_response(null);
+    }
+
+    $token = Preview_Access::create_token($post_id);
+    $url = Preview_Access::get_preview_url($post, $token);
+
+    try {
+      $result = $url === null ? false : $this->run_locked($lock_key, function (callable $on_phase) use ($post_id, $url) {
+        return $this->emissions_handler->process_preview($post_id, $url, $on_phase);
+      });
+    } finally {
+      Preview_Access::revoke_token($token);
+    }
+
+    if (!$result) {
+      Logger::error('Emissions processing failed for preview of post: ' . $post_id);
+      return $this->get_measure_error();
+    }
+
+    $threshold = (int) get_option(Constants::OPTION_PREPUBLISH_THRESHOLD, Constants::DEFAULT_PREPUBLISH_THRESHOLD);
+    $comparison = Budgets::compare(
+      (float) $result['emissions'],
+      $result['page_size'],
+      $post->post_type,
+      (float) $this->emissions_handler->get_average_emissions(),
+      $threshold
+    );
+
+    return array_merge([
+      'status' => 'completed',
+      'emissions' => $result['emissions'],
+      'page_size' => $result['page_size'],
+      'formatted' => number_format($result['emissions'], 2) . 'g CO2',
+      'threshold' => $threshold,
+    ], $comparison);
+  }
+
+  /**
+   * Get the phase of a running measurement.
+   *
+   * @param int|string $target Post ID, 'home' for the front page, `url-<id>` for a tracked URL or `preview-<id>` for a post's preview
+   * @return string|null 'queued', 'fetching' or 'storing', or null when no measurement runs
+   */
+  public function get_measure_phase($target): ?string
+  {
+    $phase = get_transient(self::get_measure_lock_key($target));
+
+    return in_array($phase, Constants::MEASURE_PHASES, true) ? $phase : null;
+  }
+
+  /**
+   * Run a measurement while holding its lock.
+   *
+   * The lock holds the current phase and is set with a short TTL, so a
+   * crashed request cannot block measuring for long.
+   *
+   * @param string   $lock_key Transient key
+   * @param callable $process  Receives an `$on_phase` callback and returns the result
+   * @return mixed Result of `$process`
+   */
+  private function run_locked(string $lock_key, callable $process)
+  {
+    set_transient($lock_key, 'queued', 5 * MINUTE_IN_SECONDS);
+
+    try {
+      return $process(function (string $phase) use ($lock_key) {
+        set_transient($lock_key, $phase, 5 * MINUTE_IN_SECONDS);
+      });
+    } finally {
+      delete_transient($lock_key);
+    }
+  }
+
+  /**
+   * Response for a measurement that is already running.
+   *
+   * @param float|null $emissions Last known emissions
+   * @return array
+   */
+  private function get_in_progress_response(?float $emissions): array
+  {
+    return [
+      'status' => 'in_progress',
+      'emissions' => $emissions,
+      'formatted' => is_null($emissions) ? null : number_format($emissions, 2) . 'g CO2',
+      'message' => __('A refresh is already running. Please wait a moment.', 'carbonfooter')
+    ];
+  }
+
+  /**
+   * Error for a failed measurement, with the reason when known.
+   *
+   * @return \WP_Error
+   */
+  private function get_measure_error(): \WP_Error
+  {
+    $reason = $this->emissions_handler->get_last_error();
+
+    return new \WP_Error(
+      'carbonfooter_measure_failed',
+      $reason
+        /* translators: %s: reason the measurement failed */
+        ? sprintf(__('Failed to measure emissions: %s', 'carbonfooter'), $reason)
+        : __('Failed to measure emissions', 'carbonfooter'),
+      ['status' => 500]
+    );
+  }
+
+  /**
+   * Get the transient key that locks measuring a post.
+   *
+   * @param int|string $target Post ID, 'home' for the front page, `url-<id>` for a tracked URL or `preview-<id>` for a post's preview
+   * @return string
+   */
+  private static function get_measure_lock_key($target): string
+  {
+    return 'carbonfooter_processing_' . $target;
+  }
+
+  /**
+   * Delete all measurements.
+   *
+   * Clears plugin post meta, transients, cache, green host status, the front
+   * page and tracked URL measurements, counted pageviews and imported
+   * traffic. Settings and the list of tracked URLs are kept.
+   *
+   * @return array{message: string, deleted_count: int, cache_cleared: int}
+   */
+  public function clear_all_data(): array
+  {
+    global $wpdb;
+
+    $deleted_count = 0;
+    foreach (Constants::get_meta_keys() as $meta_key) {
+      $result = $wpdb->delete(
+        $wpdb->postmeta,
+        ['meta_key' => $meta_key],
+        ['%s']
+      );
+      if ($result !== false) {
+        $deleted_count += $result;
+      }
+    }
+
+    // Clear cache
+    $this->cache_manager->clear_all();
+
+    // Clear WordPress transients
+    $cache_keys_cleared = $this->clear_carbonfooter_transients();
+
+    // Clear green host status and the front page and tracked URL measurements
+    // (the URLs stay tracked), restart pageview extrapolation and forget
+    // imported traffic
+    delete_option(Constants::OPTION_GREEN_HOST);
+    delete_option(Constants::OPTION_PAGEVIEW_COUNTER_STARTED);
+    delete_option(Constants::OPTION_TRAFFIC_IMPORT);
+    delete_option(Constants::OPTION_HOME_MEASUREMENT);
+    $deleted_count += Url_Registry::clear_measurements();
+    $deleted_count += Pageview_Counter::clear();
+
+    Logger::log('All CarbonFooter data cleared by user', [
+      'deleted_meta_count' => $deleted_count,
+      'cache_keys_cleared' => $cache_keys_cleared,
+      'user_id' => get_current_user_id()
+    ]);
+
+    return [
+      'message' => sprintf(
+        /* translators: %d is the number of deleted data entries. */
+        __('Successfully cleared %d data entries and cache. All emissions data has been removed.', 'carbonfooter'),
+        $deleted_count
+      ),
+      'deleted_count' => $deleted_count,
+      'cache_cleared' => $cache_keys_cleared
+    ];
+  }
+
+  /**
+   * Export the emissions history of every measured post.
+   *
+   * Structure of `$args` (all optional):
+   * - format:     one of `Constants::EXPORT_FORMATS`, defaults to 'json'
+   * - post_type:  only export this post type
+   * - start, end: `Y-m-d` range; only measurements within it are exported,
+   *               and pages without any are left out
+   *
+   * JSON exports carry the list of pages in `data`; CSV exports carry the
+   * file contents as a string.
+   *
+   * @param array $args Export arguments
+   * @return array|\WP_Error `{ data: array|string, format: string, filename: string, message: string }`, or an error when there is no history
+   */
+  public function export_history(array $args = [])
+  {
+    global $wpdb;
+
+    $format = in_array($args['format'] ?? '', Constants::EXPORT_FORMATS, true) ? $args['format'] : 'json';
+    $post_type_clause = empty($args['post_type']) ? '' : $wpdb->prepare('AND p.post_type = %s', $args['post_type']);
+
+    // Get all posts with emissions history data and current emissions
+    $results = $wpdb->get_results($wpdb->prepare("
+			SELECT
+				p.ID,
+				p.post_title,
+				p.post_name,
+				p.post_type,
+				pm_history.meta_value as history,
+				pm_current.meta_value as current_emissions,
+				pm_size.meta_value as page_size,
+				pm_updated.meta_value as updated
+			FROM {$wpdb->posts} p
+			JOIN {$wpdb->postmeta} pm_history ON p.ID = pm_history.post_id
+			LEFT JOIN {$wpdb->postmeta} pm_current ON p.ID = pm_current.post_id AND pm_current.meta_key = %s
+			LEFT JOIN {$wpdb->postmeta} pm_size ON p.ID = pm_size.post_id AND pm_size.meta_key = %s
+			LEFT JOIN {$wpdb->postmeta} pm_updated ON p.ID = pm_updated.post_id AND pm_updated.meta_key = %s
+			WHERE pm_history.meta_key = %s
+			AND pm_history.meta_value != ''
+			{$post_type_clause}
+			ORDER BY p.post_title ASC
+		", Constants::META_EMISSIONS, Constants::META_PAGE_SIZE, Constants::META_EMISSIONS_UPDATED, Constants::META_EMISSIONS_HISTORY));
+
+    $export_data = empty($results) ? [] : $this->prepare_export_data($results, $args['start'] ?? '', $args['end'] ?? '');
+
+    if (empty($export_data)) {
+      return new \WP_Error(
+        'carbonfooter_nothing_to_export',
+        __('No historical emissions data found to export.', 'carbonfooter'),
+        ['status' => 404]
+      );
+    }
+
+    $filename = $this->generate_export_filename($format);
+
+    Logger::log('Emissions data exported by user', [
+      'exported_posts' => count($export_data),
+      'format' => $format,
+      'user_id' => get_current_user_id(),
+      'filename' => $filename
+    ]);
+
+    $data = $export_data;
+    if ($format === 'csv-long') {
+      $data = $this->to_csv($this->get_long_csv_rows($export_data));
+    } elseif ($format === 'csv-wide') {
+      $data = $this->to_csv($this->get_wide_csv_rows($export_data));
+    }
+
+    return [
+      'data' => $data,
+      'format' => $format,
+      'filename' => $filename,
+      'message' => sprintf(
+        /* translators: %d is the number of exported posts. */
+        __('Successfully exported %d posts with historical emissions data.', 'carbonfooter'),
+        count($export_data)
+      )
+    ];
+  }
+
+  /**
+   * Clear CarbonFooter-related transients.
+   *
+   * Scans options table for keys like `_transient_carbonfooter_%` and deletes
+   * the corresponding transients.
+   *
+   * @return int Number of transients cleared
+   */
+  private function clear_carbonfooter_transients(): int
+  {
+    global $wpdb;
+
+    $cache_keys = $wpdb->get_col($wpdb->prepare("
+			SELECT option_name
+			FROM {$wpdb->options}
+			WHERE option_name LIKE %s
+		", '_transient_carbonfooter_%'));
+
+    $cleared_count = 0;
+    foreach ($cache_keys as $cache_key) {
+      $key = str_replace('_transient_', '', $cache_key);
+      if (delete_transient($key)) {
+        $cleared_count++;
+      }
+    }
+
+    return $cleared_count;
+  }
+
+  /**
+   * Prepare export data from database results.
+   *
+   * Normalizes history to an array of `{ date, value }` entries and includes
+   * current emissions, page details and links when available.
+   *
+   * @param array  $results Database results
+   * @param string $start   Only keep measurements on or after this `Y-m-d` date
+   * @param string $end     Only keep measurements on or before this `Y-m-d` date
+   * @return array Formatted export data
+   */
+  private function prepare_export_data(array $results, string $start = '', string $end = ''): array
+  {
+    $export_data = [];
+
+    foreach ($results as $result) {
+      $history = maybe_unserialize($result->history);
+
+      if (!is_array($history)) {
+        continue;
+      }
+
+      $formatted_history = [];
+      foreach ($history as $entry) {
+        if (!isset($entry['date']) || !isset($entry['value'])) {
+          continue;
+        }
+
+        $day = substr((string) $entry['date'], 0, 10);
+        if (($start !== '' && $day < $start) || ($end !== '' && $day > $end)) {
+          continue;
+        }
+
+        $formatted_history[] = [
+          'date' => $entry['date'],
+          'value' => (float) $entry['value']
+        ];
+      }
+
+      if (empty($formatted_history) && ($start !== '' || $end !== '')) {
+        continue;
+      }
+
+      $export_data[] = [
+        'ID' => $result->ID,
+        'post_title' => $result->post_title,
+        'slug' => $result->post_name,
+        'post_type' => $result->post_type,
+        'url' => get_permalink($result->ID),
+        'page_size' => is_numeric($result->page_size) ? (int) $result->page_size : null,
+        'updated' => $result->updated ?: null,
+        'emissions' => $result->current_emissions ? (float) $result->current_emissions : null,
+        'history' => $formatted_history
+      ];
+    }
+
+    return $export_data;
+  }
+
+  /**
+   * Get the page columns shared by both CSV layouts.
+   *
+   * @param array $page Page from `prepare_export_data()`
+   * @return array Header => value
+   */
+  private function get_csv_page_columns(array $page): array
+  {
+    return [
+      __('Post ID', 'carbonfooter') => $page['ID'],
+      __('Title', 'carbonfooter') => $page['post_title'],
+      __('URL', 'carbonfooter') => $page['url'],
+      __('Post type', 'carbonfooter') => $page['post_type'],
+      __('Page size (bytes)', 'carbonfooter') => $page['page_size'],
+      __('Last measured', 'carbonfooter') => $page['updated'],
+      __('Current emissions (g CO2)', 'carbonfooter') => $page['emissions'],
+    ];
+  }
+
+  /**
+   * Build CSV rows with one row per measurement.
+   *
+   * @param array $export_data Pages from `prepare_export_data()`
+   * @return array Rows, header first
+   */
+  private function get_long_csv_rows(array $export_data): array
+  {
+    $rows = [];
+    foreach ($export_data as $page) {
+      $columns = $this->get_csv_page_columns($page);
+      foreach ($page['history'] as $entry) {
+        $rows[] = array_merge($columns, [
+          __('Date', 'carbonfooter') => $entry['date'],
+          __('Emissions (g CO2)', 'carbonfooter') => $entry['value'],
+        ]);
+      }
+    }
+
+    return empty($rows) ? [] : array_merge([array_keys($rows[0])], array_map('array_values', $rows));
+  }
+
+  /**
+   * Build CSV rows with one row per page and one column per day.
+   *
+   * Days are sorted oldest first; when a page was measured more than once on
+   * a day, the last measurement of that day is used.
+   *
+   * @param array $export_data Pages from `prepare_export_data()`
+   * @return array Rows, header first
+   */
+  private function get_wide_csv_rows(array $export_data): array
+  {
+    $days = [];
+    $values = [];
+    foreach ($export_data as $index => $page) {
+      $history = $page['history'];
+      usort($history, function ($a, $b) {
+        return strcmp((string) $a['date'], (string) $b['date']);
+      });
+
+      foreach ($history as $entry) {
+        $day = substr((string) $entry['date'], 0, 10);
+        $days[$day] = true;
+        $values[$index][$day] = $entry['value'];
+      }
+    }
+    $days = array_keys($days);
+    sort($days);
+
+    $rows = [];
+    foreach ($export_data as $index => $page) {
+      $row = array_values($this->get_csv_page_columns($page));
+      foreach ($days as $day) {
+        $row[] = $values[$index][$day] ?? null;
+      }
+      $rows[] = $row;
+    }
+
+    $header = array_merge(array_keys($this->get_csv_page_columns($export_data[0])), $days);
+
+    return array_merge([$header], $rows);
+  }
+
+  /**
+   * Write rows as CSV.
+   *
+   * Text starting with a formula character is prefixed with a quote so
+   * spreadsheets never evaluate page titles or URLs.
+   *
+   * @param array $rows Rows of scalar values
+   * @return string CSV contents
+   */
+  private function to_csv(array $rows): string
+  {
+    $handle = fopen('php://temp', 'r+');
+
+    foreach ($rows as $row) {
+      $row = array_map(function ($value) {
+        if (is_string($value) && $value !== '' && strpos("=+-@\t\r", $value[0]) !== false) {
+          return "'" . $value;
+        }
+        return $value;
+      }, $row);
+
+      fputcsv($handle, $row, ',', '"', '\\');
+    }
+
+    rewind($handle);
+    $csv = stream_get_contents($handle);
+    fclose($handle);
+
+    return $csv;
+  }
+
+  /**
+   * Generate export filename.
+   *
+   * Uses current date and site name to produce a stable, shareable filename.
+   *
+   * @param string $format One of `Constants::EXPORT_FORMATS`
+   * @return string Generated filename
+   */
+  private function generate_export_filename(string $format = 'json'): string
+  {
+    $site_name = sanitize_title(get_bloginfo('name'));
+    $suffix = [
+      'json' => '.json',
+      'csv-long' => '-measurements.csv',
+      'csv-wide' => '-pages.csv',
+    ];
+
+    return date('Y-m-d') . '-carbon-emissions-' . $site_name . $suffix[$format];
+  }
+}
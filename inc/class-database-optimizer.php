@@ -78,6 +78,12 @@ class Database_Optimizer
       } else {
         $homepage_emissions = null;
       }
+    } else {
+      // The blog index has no post meta, see Emissions::process_home()
+      $home_measurement = get_option(Constants::OPTION_HOME_MEASUREMENT);
+      if (is_array($home_measurement) && isset($home_measurement['emissions']) && is_numeric($home_measurement['emissions'])) {
+        $homepage_emissions = (float) $home_measurement['emissions'];
+      }
     }
 
     $result = [
@@ -89,6 +95,7 @@ class Database_Optimizer
       'hosting_status' => get_option('carbonfooter_greenhost', false),
       'homepage_emissions' => $homepage_emissions,
       'resource_stats' => self::get_site_resource_stats(),
+      'traffic' => Pageview_Counter::get_traffic_summary(),
     ];
 
     // Cache for 5 minutes
@@ -100,12 +107,24 @@ class Database_Optimizer
   /**
    * Get heaviest pages with optimized query.
    *
-   * @param int $limit Number of pages to return (capped to 100)
+   * Ordering:
+   * - `emissions`: grams CO2 per view, descending
+   * - `impact`: emissions × counted or imported yearly views, descending;
+   *   pages without views follow, ordered by emissions
+   *
+   * Each page carries `views` (per year) and `impact` (grams per year), both
+   * null when the pageview counter has no data for it, and `over_budget`
+   * (see `Budgets`). Measured tracked URLs are included with `source` 'url'
+   * and their URL type as `type` (see `Url_Registry::get_heaviest()`).
+   *
+   * @param int    $limit   Number of pages to return (capped to 100)
+   * @param string $orderby 'emissions' or 'impact'
    * @return array Array of pages with emissions data
    */
-  public static function get_heaviest_pages($limit = 10)
+  public static function get_heaviest_pages($limit = 10, $orderby = 'emissions')
   {
-    $cache_key = Constants::CACHE_HEAVIEST_PAGES_KEY . ":{$limit}";
+    $by_impact = $orderby === 'impact';
+    $cache_key = self::get_listing_cache_key(Constants::CACHE_HEAVIEST_PAGES_KEY . ($by_impact ? ':impact' : '') . ":{$limit}");
 
     $cached = wp_cache_get($cache_key, Constants::CACHE_GROUP);
     if ($cached !== false) {
@@ -116,40 +135,330 @@ class Database_Optimizer
 
     $limit = min(absint($limit), 100);
 
+    $order_clause = $by_impact
+      ? self::get_impact_order_clause('DESC')
+      : 'CAST(pm.meta_value AS DECIMAL(10,2)) DESC';
+
     $results = $wpdb->get_results($wpdb->prepare("
             SELECT
                 p.ID,
                 p.post_title,
                 p.post_type,
                 p.post_name,
-                pm.meta_value as emissions
+                pm.meta_value as emissions,
+                size.meta_value as page_size,
+                views.meta_value as views
             FROM {$wpdb->posts} p
             INNER JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id
+            LEFT JOIN {$wpdb->postmeta} size ON size.post_id = p.ID AND size.meta_key = '_carbon_page_size'
+            LEFT JOIN {$wpdb->postmeta} views ON views.post_id = p.ID AND views.meta_key = %s
             WHERE pm.meta_key = '_carbon_emissions'
             AND pm.meta_value REGEXP '^[0-9]+(\\.[0-9]+)?$'
             AND p.post_status = 'publish'
-            ORDER BY CAST(pm.meta_value AS DECIMAL(10,2)) DESC
+            ORDER BY {$order_clause}
             LIMIT %d
-        ", $limit));
+        ", Constants::META_YEARLY_VIEWS, $limit));
+
+    $budgets = Budgets::get();
 
     $pages = [];
     foreach ($results as $result) {
-      $pages[] = [
-        'id' => (int) $result->ID,
-        'title' => $result->post_title,
-        'type' => $result->post_type,
-        'emissions' => (float) $result->emissions,
-        'url' => get_permalink($result->ID),
-        'edit_url' => get_edit_post_link($result->ID, 'raw')
+      $pages[] = self::to_page($result, $budgets);
+    }
+
+    // Tracked URLs have no views, so they never rank above a page with impact
+    $pages = array_merge($pages, Url_Registry::get_heaviest($limit, $budgets));
+
+    if ($by_impact) {
+      $pages = self::sort_by_impact($pages);
+    } else {
+      usort($pages, function ($a, $b) {
+        return $b['emissions'] <=> $a['emissions'];
+      });
+    }
+    $pages = array_slice($pages, 0, $limit);
+
+    // Cache for 10 minutes
+    wp_cache_set($cache_key, $pages, Constants::CACHE_GROUP, 600);
+
+    return $pages;
+  }
+
+  /**
+   * Query measured pages one page at a time.
+   *
+   * Unlike `get_heaviest_pages()` there is no upper bound on how many pages
+   * can be reached, and results are not cached: every combination of filters
+   * would need its own key.
+   *
+   * Structure of `$args` (all optional):
+   * - page, per_page: 1-based page number and page size (capped to `MAX_RESULTS_PER_PAGE`)
+   * - orderby: one of `Constants::RESULTS_ORDERBY`
+   * - order:   'asc' | 'desc'
+   * - post_type: limit to one post type
+   * - start, end: `Y-m-d` range on the last measurement date
+   * - search:  matched against the post title
+   * - over_budget: only pages over their emission budget (see `Budgets`)
+   *
+   * Each page carries the fields of `to_page()` plus its `history` (oldest
+   * first) and `delta`, as in `carbonfooter/v1/history/<id>`, so listings
+   * need no request per row.
+   *
+   * @param array $args Query arguments
+   * @return array{pages: array, total: int, total_pages: int, page: int, per_page: int}
+   */
+  public static function query_measured_pages(array $args = []): array
+  {
+    global $wpdb;
+
+    $page = max(1, absint($args['page'] ?? 1));
+    $per_page = min(max(1, absint($args['per_page'] ?? Constants::DEFAULT_RESULTS_PER_PAGE)), Constants::MAX_RESULTS_PER_PAGE);
+    $orderby = in_array($args['orderby'] ?? '', Constants::RESULTS_ORDERBY, true) ? $args['orderby'] : 'emissions';
+    $order = strtolower($args['order'] ?? 'desc') === 'asc' ? 'ASC' : 'DESC';
+
+    $where = [
+      $wpdb->prepare('pm.meta_key = %s', Constants::META_EMISSIONS),
+      "pm.meta_value REGEXP '^[0-9]+(\\.[0-9]+)?$'",
+      "p.post_status = 'publish'",
+    ];
+    if (!empty($args['post_type'])) {
+      $where[] = $wpdb->prepare('p.post_type = %s', $args['post_type']);
+    }
+    if (!empty($args['start'])) {
+      $where[] = $wpdb->prepare('updated.meta_value >= %s', $args['start'] . ' 00:00:00');
+    }
+    if (!empty($args['end'])) {
+      $where[] = $wpdb->prepare('updated.meta_value <= %s', $args['end'] . ' 23:59:59');
+    }
+    if (!empty($args['search'])) {
+      $where[] = $wpdb->prepare('p.post_title LIKE %s', '%' . $wpdb->esc_like($args['search']) . '%');
+    }
+    if (!empty($args['over_budget'])) {
+      $where[] = Budgets::get_sql_condition('CAST(pm.meta_value AS DECIMAL(10,2))', 'CAST(size.meta_value AS UNSIGNED)', 'p.post_type');
+    }
+
+    $from = $wpdb->prepare("
+            FROM {$wpdb->posts} p
+            INNER JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id
+            LEFT JOIN {$wpdb->postmeta} size ON size.post_id = p.ID AND size.meta_key = %s
+            LEFT JOIN {$wpdb->postmeta} updated ON updated.post_id = p.ID AND updated.meta_key = %s
+            LEFT JOIN {$wpdb->postmeta} views ON views.post_id = p.ID AND views.meta_key = %s
+        ", Constants::META_PAGE_SIZE, Constants::META_EMISSIONS_UPDATED, Constants::META_YEARLY_VIEWS);
+    $where_clause = ' WHERE ' . implode(' AND ', $where);
+
+    $total = (int) $wpdb->get_var("SELECT COUNT(*) {$from}{$where_clause}");
+
+    // Only the selected rows need their history, so the count skips it
+    $history_join = $wpdb->prepare("
+            LEFT JOIN {$wpdb->postmeta} history ON history.post_id = p.ID AND history.meta_key = %s
+        ", Constants::META_EMISSIONS_HISTORY);
+
+    // Whitelisted above; never interpolate request values here
+    $order_columns = [
+      'emissions' => 'CAST(pm.meta_value AS DECIMAL(10,2))',
+      'page_size' => 'CAST(size.meta_value AS UNSIGNED)',
+      'updated' => 'updated.meta_value',
+      'title' => 'p.post_title',
+    ];
+    $order_clause = $orderby === 'impact'
+      ? self::get_impact_order_clause($order)
+      : "{$order_columns[$orderby]} {$order}, p.ID {$order}";
+
+    $results = $wpdb->get_results("
+            SELECT
+                p.ID,
+                p.post_title,
+                p.post_type,
+                pm.meta_value as emissions,
+                size.meta_value as page_size,
+                updated.meta_value as updated,
+                views.meta_value as views,
+                history.meta_value as history
+            {$from}{$history_join}{$where_clause}
+            ORDER BY {$order_clause}
+            " . $wpdb->prepare('LIMIT %d OFFSET %d', $per_page, ($page - 1) * $per_page));
+
+    $budgets = Budgets::get();
+
+    $pages = [];
+    foreach ($results as $result) {
+      $history = Emissions_History::normalize($result->history ?? null);
+      $pages[] = self::to_page($result, $budgets) + [
+        'history' => $history,
+        'delta' => Emissions_History::get_delta($history),
       ];
     }
 
+    return [
+      'pages' => $pages,
+      'total' => $total,
+      'total_pages' => (int) ceil($total / $per_page),
+      'page' => $page,
+      'per_page' => $per_page,
+    ];
+  }
+
+  /**
+   * Rank measured pages by one resource type.
+   *
+   * Resources are stored serialized per post, so every measured page is
+   * read and ranked in PHP. Pages without that resource type are left out.
+   *
+   * Each page carries the fields of `to_page()` plus `resource`:
+   * `{ transferSize, requestCount, share }`, where `share` is the percentage
+   * of the page's transferred bytes (null when the total is unknown), and
+   * `resources`, all types as in `get_page_detail()`.
+   *
+   * Cached with the other listings, see `invalidate_listing_caches()`.
+   *
+   * @param string $type   One of `Constants::RESOURCE_TYPES`
+   * @param string $metric One of `Constants::RESOURCE_METRICS`
+   * @param int    $limit  Number of pages to return (capped to `MAX_RESULTS_PER_PAGE`)
+   * @return array Pages, highest first
+   */
+  public static function get_resource_leaderboard(string $type, string $metric = 'transferSize', int $limit = Constants::DEFAULT_LEADERBOARD_SIZE): array
+  {
+    global $wpdb;
+
+    if (!in_array($type, Constants::RESOURCE_TYPES, true)) {
+      return [];
+    }
+    $metric = in_array($metric, Constants::RESOURCE_METRICS, true) ? $metric : 'transferSize';
+    $limit = min(max(1, $limit), Constants::MAX_RESULTS_PER_PAGE);
+
+    $cache_key = self::get_listing_cache_key(Constants::CACHE_RESOURCE_LEADERBOARD_KEY . ":{$type}:{$metric}:{$limit}");
+    $cached = wp_cache_get($cache_key, Constants::CACHE_GROUP);
+    if ($cached !== false) {
+      return $cached;
+    }
+
+    $results = $wpdb->get_results($wpdb->prepare("
+            SELECT
+                p.ID,
+                p.post_title,
+                p.post_type,
+                pm.meta_value as emissions,
+                size.meta_value as page_size,
+                views.meta_value as views,
+                res.meta_value as resources
+            FROM {$wpdb->posts} p
+            INNER JOIN {$wpdb->postmeta} res ON res.post_id = p.ID AND res.meta_key = %s
+            INNER JOIN {$wpdb->postmeta} pm ON pm.post_id = p.ID AND pm.meta_key = %s
+            LEFT JOIN {$wpdb->postmeta} size ON size.post_id = p.ID AND size.meta_key = %s
+            LEFT JOIN {$wpdb->postmeta} views ON views.post_id = p.ID AND views.meta_key = %s
+            WHERE p.post_status = 'publish'
+            AND res.meta_value != ''
+        ", Constants::META_RESOURCES, Constants::META_EMISSIONS, Constants::META_PAGE_SIZE, Constants::META_YEARLY_VIEWS));
+
+    $ranked = [];
+    foreach ($results as $result) {
+      $resources = maybe_unserialize($result->resources);
+      if (!is_array($resources) || empty($resources[$type])) {
+        continue;
+      }
+
+      $resources = self::to_resources($resources);
+      $total = $resources['total']['transferSize'];
+      $resource = $resources[$type] + [
+        'share' => $total > 0 ? round($resources[$type]['transferSize'] / $total * 100, 1) : null,
+      ];
+      if (!$resource[$metric]) {
+        continue;
+      }
+
+      $ranked[] = ['row' => $result, 'resource' => $resource, 'resources' => $resources];
+    }
+
+    usort($ranked, function ($a, $b) use ($metric) {
+      return [$b['resource'][$metric], $b['resource']['transferSize']] <=> [$a['resource'][$metric], $a['resource']['transferSize']];
+    });
+
+    $budgets = Budgets::get();
+
+    $pages = array_map(function ($item) use ($budgets) {
+      return self::to_page($item['row'], $budgets) + [
+        'resource' => $item['resource'],
+        'resources' => $item['resources'],
+      ];
+    }, array_slice($ranked, 0, $limit));
+
     // Cache for 10 minutes
     wp_cache_set($cache_key, $pages, Constants::CACHE_GROUP, 600);
 
     return $pages;
   }
 
+  /**
+   * Build the page payload shared by listings.
+   *
+   * @param object $row     Query row with `ID`, `post_title`, `post_type`, `emissions`
+   *                        and optionally `page_size`, `updated` and `views` (per year)
+   * @param array  $budgets Budgets from `Budgets::get()`
+   * @return array Page with emissions, traffic, budget flag and links
+   */
+  private static function to_page($row, array $budgets): array
+  {
+    $post_views = isset($row->views) ? (int) $row->views : null;
+    $page_size = isset($row->page_size) ? (int) $row->page_size : null;
+
+    return [
+      'id' => (int) $row->ID,
+      'title' => $row->post_title,
+      'type' => $row->post_type,
+      'emissions' => (float) $row->emissions,
+      'page_size' => $page_size,
+      'updated' => $row->updated ?? null,
+      'views' => $post_views,
+      'impact' => $post_views === null ? null : round((float) $row->emissions * $post_views, 2),
+      'over_budget' => Budgets::is_over_budget((float) $row->emissions, $page_size, $row->post_type, $budgets),
+      'url' => get_permalink($row->ID),
+      'edit_url' => get_edit_post_link($row->ID, 'raw')
+    ];
+  }
+
+  /**
+   * Get the ORDER BY clause that ranks pages by yearly impact.
+   *
+   * Same order as `sort_by_impact()`: pages with views first, by emissions ×
+   * views, then the rest by emissions. Expects the `pm` (emissions) and
+   * `views` (`_carbon_yearly_views`) joins.
+   *
+   * @param string $order 'ASC' or 'DESC'; ascending reverses the whole ranking
+   * @return string
+   */
+  private static function get_impact_order_clause(string $order): string
+  {
+    $order = $order === 'ASC' ? 'ASC' : 'DESC';
+
+    return "views.meta_value IS NOT NULL {$order},"
+      . " CAST(pm.meta_value AS DECIMAL(10,4)) * CAST(views.meta_value AS UNSIGNED) {$order},"
+      . " CAST(pm.meta_value AS DECIMAL(10,2)) {$order}, p.ID {$order}";
+  }
+
+  /**
+   * Sort pages by yearly impact, falling back to per-view emissions.
+   *
+   * @param array $pages Pages with `impact` and `emissions` keys
+   * @return array Sorted pages
+   */
+  public static function sort_by_impact(array $pages): array
+  {
+    usort($pages, function ($a, $b) {
+      if ($a['impact'] === null || $b['impact'] === null) {
+        // Pages with traffic data first
+        if ($a['impact'] !== $b['impact']) {
+          return $a['impact'] === null ? 1 : -1;
+        }
+
+        return $b['emissions'] <=> $a['emissions'];
+      }
+
+      return [$b['impact'], $b['emissions']] <=> [$a['impact'], $a['emissions']];
+    });
+
+    return $pages;
+  }
+
   /**
    * Get untested pages with optimized query.
    *
@@ -158,7 +467,7 @@ class Database_Optimizer
    */
   public static function get_untested_pages($limit = 20)
   {
-    $cache_key = Constants::CACHE_UNTESTED_PAGES_KEY . ":{$limit}";
+    $cache_key = self::get_listing_cache_key(Constants::CACHE_UNTESTED_PAGES_KEY . ":{$limit}");
 
     $cached = wp_cache_get($cache_key, Constants::CACHE_GROUP);
     if ($cached !== false) {
@@ -169,13 +478,7 @@ class Database_Optimizer
 
     $limit = min(absint($limit), 100);
 
-    // Get all public post types
-    $post_types = get_post_types(['public' => true]);
-
-    // Remove blacklisted post types
-    $post_types = array_filter($post_types, function ($post_type) {
-      return !in_array($post_type, ['attachment']);
-    });
+    $post_types = self::get_measurable_post_types();
 
     // Create placeholders for the IN clause
     $placeholders = implode(',', array_fill(0, count($post_types), '%s'));
@@ -228,6 +531,147 @@ class Database_Optimizer
     return $grouped_pages;
   }
 
+  /**
+   * Get the IDs of every published, untested post.
+   *
+   * Same selection as `get_untested_pages()`, without the limit, for
+   * `Batch_Processor` jobs.
+   *
+   * @return int[] Post IDs, grouped by post type and newest first
+   */
+  public static function get_untested_post_ids(): array
+  {
+    global $wpdb;
+
+    $post_types = self::get_measurable_post_types();
+    $placeholders = implode(',', array_fill(0, count($post_types), '%s'));
+
+    $ids = $wpdb->get_col($wpdb->prepare("
+      SELECT p.ID
+      FROM {$wpdb->posts} p
+      LEFT JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id AND pm.meta_key = '_carbon_emissions'
+      WHERE p.post_status = 'publish'
+      AND p.post_type IN ({$placeholders})
+      AND pm.meta_value IS NULL
+      ORDER BY p.post_type ASC, p.post_date DESC
+    ", $post_types));
+
+    return array_map('intval', $ids);
+  }
+
+  /**
+   * Get the most recently published post or page.
+   *
+   * Stand-in for a front page that cannot be measured itself.
+   *
+   * @return int Post ID, or 0 when nothing is published
+   */
+  public static function get_latest_post_id(): int
+  {
+    global $wpdb;
+
+    return (int) $wpdb->get_var("
+      SELECT ID
+      FROM {$wpdb->posts}
+      WHERE post_status = 'publish'
+      AND post_type IN ('post', 'page')
+      ORDER BY post_date DESC
+      LIMIT 1
+    ");
+  }
+
+  /**
+   * Get public post types whose posts can be measured.
+   *
+   * @return string[] Post type names
+   */
+  private static function get_measurable_post_types(): array
+  {
+    // Get all public post types
+    $post_types = get_post_types(['public' => true]);
+
+    // Remove blacklisted post types
+    return array_values(array_filter($post_types, function ($post_type) {
+      return !in_array($post_type, ['attachment']);
+    }));
+  }
+
+  /**
+   * Get the detail of one post: its latest measurement, resources and history.
+   *
+   * Structure of the result:
+   * - The fields of `to_page()`; `emissions` is null when the post was never measured
+   * - resources: `{ <type>: { transferSize, requestCount } }` per `Constants::RESOURCE_TYPES`,
+   *   or null without resource data
+   * - site_resources: site averages, see `get_site_resource_stats()`
+   * - green_host: hosting status at measurement time, null for measurements
+   *   stored before it was recorded
+   * - history, delta: see `Emissions_History`
+   *
+   * @param int $post_id Post ID
+   * @return array|null Null when the post does not exist
+   */
+  public static function get_page_detail(int $post_id): ?array
+  {
+    $post = get_post($post_id);
+    if (!$post) {
+      return null;
+    }
+
+    $emissions = get_post_meta($post_id, Constants::META_EMISSIONS, true);
+    $page_size = get_post_meta($post_id, Constants::META_PAGE_SIZE, true);
+    $updated = get_post_meta($post_id, Constants::META_EMISSIONS_UPDATED, true);
+    $views = get_post_meta($post_id, Constants::META_YEARLY_VIEWS, true);
+    $measured = is_numeric($emissions);
+
+    $page = self::to_page((object) [
+      'ID' => $post_id,
+      'post_title' => get_the_title($post),
+      'post_type' => $post->post_type,
+      'emissions' => $measured ? $emissions : 0,
+      'page_size' => is_numeric($page_size) ? $page_size : null,
+      'updated' => $updated ?: null,
+      'views' => is_numeric($views) ? $views : null,
+    ], Budgets::get());
+
+    if (!$measured) {
+      $page['emissions'] = null;
+      $page['impact'] = null;
+      $page['over_budget'] = false;
+    }
+
+    $resources = get_post_meta($post_id, Constants::META_RESOURCES, true);
+    $green_host = get_post_meta($post_id, Constants::META_GREEN_HOST, true);
+    $history = Emissions_History::get_post_history($post_id);
+
+    return $page + [
+      'resources' => is_array($resources) && !empty($resources) ? self::to_resources($resources) : null,
+      'site_resources' => self::get_site_resource_stats(),
+      'green_host' => $green_host === '' ? null : (bool) $green_host,
+      'history' => $history,
+      'delta' => Emissions_History::get_delta($history),
+    ];
+  }
+
+  /**
+   * Keep the known resource types of a measurement, with numeric values.
+   *
+   * @param array $resources Resource data as returned by the API
+   * @return array `{ <type>: { transferSize, requestCount } }`
+   */
+  private static function to_resources(array $resources): array
+  {
+    $result = [];
+    foreach (Constants::RESOURCE_TYPES as $type) {
+      $result[$type] = [
+        'transferSize' => (int) ($resources[$type]['transferSize'] ?? 0),
+        'requestCount' => (int) ($resources[$type]['requestCount'] ?? 0),
+      ];
+    }
+
+    return $result;
+  }
+
   /**
    * Get site resource statistics.
    *
@@ -255,15 +699,7 @@ class Database_Optimizer
     if (empty($resources_data)) {
       $result = [];
     } else {
-      $total_stats = [
-        'total' => ['transferSize' => 0, 'requestCount' => 0],
-        'images' => ['transferSize' => 0, 'requestCount' => 0],
-        'script' => ['transferSize' => 0, 'requestCount' => 0],
-        'css' => ['transferSize' => 0, 'requestCount' => 0],
-        'font' => ['transferSize' => 0, 'requestCount' => 0],
-        'media' => ['transferSize' => 0, 'requestCount' => 0],
-        'thirdParty' => ['transferSize' => 0, 'requestCount' => 0]
-      ];
+      $total_stats = array_fill_keys(Constants::RESOURCE_TYPES, ['transferSize' => 0, 'requestCount' => 0]);
 
       $count = 0;
       foreach ($resources_data as $row) {
@@ -352,10 +788,38 @@ class Database_Optimizer
     // Invalidate site stats cache
     wp_cache_delete(Constants::CACHE_STATS_KEY, Constants::CACHE_GROUP);
 
-    // Invalidate page caches
-    wp_cache_delete(Constants::CACHE_HEAVIEST_PAGES_KEY . ':10', Constants::CACHE_GROUP);
-    wp_cache_delete(Constants::CACHE_HEAVIEST_PAGES_KEY . ':20', Constants::CACHE_GROUP);
-    wp_cache_delete(Constants::CACHE_UNTESTED_PAGES_KEY . ':20', Constants::CACHE_GROUP);
-    wp_cache_delete(Constants::CACHE_UNTESTED_PAGES_KEY . ':50', Constants::CACHE_GROUP);
+    // Invalidate listings for every limit and order
+    self::invalidate_listing_caches();
+
+    // Invalidate site-wide history map (timeline)
+    wp_cache_delete(Constants::CACHE_HISTORIES_KEY, Constants::CACHE_GROUP);
+
+    // Invalidate traffic-weighted figures
+    wp_cache_delete(Constants::CACHE_TRAFFIC_KEY, Constants::CACHE_GROUP);
+  }
+
+  /**
+   * Invalidate every cached listing at once.
+   *
+   * Listing keys embed the group's `last_changed` value (see
+   * `get_listing_cache_key()`); moving it on orphans all of them, whatever
+   * limit or order they were cached for.
+   *
+   * @return void
+   */
+  public static function invalidate_listing_caches(): void
+  {
+    wp_cache_set('last_changed', microtime(), Constants::CACHE_GROUP);
+  }
+
+  /**
+   * Build a listing cache key that `invalidate_listing_caches()` expires.
+   *
+   * @param string $key Base key including the listing arguments
+   * @return string
+   */
+  private static function get_listing_cache_key(string $key): string
+  {
+    return $key . ':' . wp_cache_get_last_changed(Constants::CACHE_GROUP);
   }
 }
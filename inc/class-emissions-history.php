@@ -0,0 +1,250 @@
+<?php
+
+/**
+ * Emissions History
+ *
+ * Reads and normalizes the per-post emissions history stored in post meta.
+ *
+ * @package CarbonFooter
+ */
+
+namespace CarbonfooterPlugin;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+/**
+ * Emissions_History
+ *
+ * Read-side helpers for the rolling `{ date, value }` history that
+ * `Emissions::update_emissions_history()` keeps per post.
+ *
+ * Responsibilities:
+ * - Normalize raw meta into a sorted, typed list of measurements
+ * - Derive the change between the two most recent measurements
+ * - Aggregate all histories into weekly/monthly site-wide timelines
+ */
+class Emissions_History
+{
+  /**
+   * Supported timeline bucket sizes.
+   */
+  public const INTERVALS = ['week', 'month'];
+
+  /**
+   * Get the normalized emissions history for a post.
+   *
+   * @param int $post_id Post ID
+   * @return array<int, array{date:string,value:float}> Entries sorted oldest first
+   */
+  public static function get_post_history(int $post_id): array
+  {
+    $history = get_post_meta($post_id, Constants::META_EMISSIONS_HISTORY, true);
+
+    return self::normalize($history);
+  }
+
+  /**
+   * Normalize raw history meta.
+   *
+   * Drops malformed entries, casts values to float and sorts by date so
+   * consumers can rely on the last entry being the latest measurement.
+   *
+   * @param mixed $history Raw (possibly serialized) history value
+   * @return array<int, array{date:string,value:float}> Normalized entries
+   */
+  public static function normalize($history): array
+  {
+    $history = maybe_unserialize($history);
+    if (!is_array($history)) {
+      return [];
+    }
+
+    $entries = [];
+    foreach ($history as $entry) {
+      if (!is_array($entry) || !isset($entry['date'], $entry['value']) || !is_numeric($entry['value'])) {
+        continue;
+      }
+
+      if (strtotime((string) $entry['date']) === false) {
+        continue;
+      }
+
+      $entries[] = [
+        'date' => (string) $entry['date'],
+        'value' => (float) $entry['value'],
+      ];
+    }
+
+    usort($entries, function ($a, $b) {
+      return strtotime($a['date']) <=> strtotime($b['date']);
+    });
+
+    return $entries;
+  }
+
+  /**
+   * Get the change between the two most recent measurements.
+   *
+   * @param array $entries Normalized history entries
+   * @return float|null Difference in grams (latest minus previous) or null with fewer than two entries
+   */
+  public static function get_delta(array $entries): ?float
+  {
+    $count = count($entries);
+    if ($count < 2) {
+      return null;
+    }
+
+    return round($entries[$count - 1]['value'] - $entries[$count - 2]['value'], 4);
+  }
+
+  /**
+   * Get the normalized history of every published post with measurements.
+   *
+   * Cached in the object cache; `Database_Optimizer::invalidate_post_cache()`
+   * clears it whenever a post is measured.
+   *
+   * @return array<int, array> Map of post ID to normalized history entries
+   */
+  public static function get_all_histories(): array
+  {
+    $cached = wp_cache_get(Constants::CACHE_HISTORIES_KEY, Constants::CACHE_GROUP);
+    if ($cached !== false) {
+      return $cached;
+    }
+
+    global $wpdb;
+
+    $rows = $wpdb->get_results($wpdb->prepare("
+            SELECT pm.post_id, pm.meta_value
+            FROM {$wpdb->postmeta} pm
+            INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+            WHERE pm.meta_key = %s
+            AND pm.meta_value != ''
+            AND p.post_status = 'publish'
+        ", Constants::META_EMISSIONS_HISTORY));
+
+    $histories = [];
+    foreach ($rows as $row) {
+      $entries = self::normalize($row->meta_value);
+      if (!empty($entries)) {
+        $histories[(int) $row->post_id] = $entries;
+      }
+    }
+
+    // Cache for 10 minutes
+    wp_cache_set(Constants::CACHE_HISTORIES_KEY, $histories, Constants::CACHE_GROUP, 600);
+
+    return $histories;
+  }
+
+  /**
+   * Build a site-wide timeline from per-post histories.
+   *
+   * Each post contributes its latest measurement within a bucket, so a page
+   * measured five times in one week does not outweigh the others. Empty
+   * buckets are kept (with a null average) so series line up across periods.
+   *
+   * @param array<int, array> $histories Map of post ID to normalized entries
+   * @param string            $interval  'week' or 'month'
+   * @param int               $start     Range start (unix timestamp, inclusive)
+   * @param int               $end       Range end (unix timestamp, inclusive)
+   * @return array{series: array, summary: array{average: float|null, measured: int}}
+   */
+  public static function build_timeline(array $histories, string $interval, int $start, int $end): array
+  {
+    $buckets = [];
+    for ($cursor = self::bucket_start($start, $interval); $cursor <= $end; $cursor = self::next_bucket($cursor, $interval)) {
+      $buckets[gmdate('Y-m-d', $cursor)] = [];
+    }
+
+    // Latest value per post for the whole range (for the summary)
+    $range_latest = [];
+
+    foreach ($histories as $post_id => $entries) {
+      foreach ($entries as $entry) {
+        $timestamp = strtotime($entry['date']);
+        if ($timestamp < $start || $timestamp > $end) {
+          continue;
+        }
+
+        // Entries are sorted oldest first, so later ones overwrite earlier ones
+        $key = gmdate('Y-m-d', self::bucket_start($timestamp, $interval));
+        $buckets[$key][$post_id] = $entry['value'];
+        $range_latest[$post_id] = $entry['value'];
+      }
+    }
+
+    $series = [];
+    foreach ($buckets as $period => $values) {
+      $series[] = [
+        'period' => $period,
+        'average' => empty($values) ? null : round(array_sum($values) / count($values), 4),
+        'measured' => count($values),
+      ];
+    }
+
+    return [
+      'series' => $series,
+      'summary' => [
+        'average' => empty($range_latest) ? null : round(array_sum($range_latest) / count($range_latest), 4),
+        'measured' => count($range_latest),
+      ],
+    ];
+  }
+
+  /**
+   * Calculate the percentage change between two values.
+   *
+   * @param float|int|null $current  Value for the selected period
+   * @param float|int|null $previous Value for the comparison period
+   * @return float|null Change in percent, or null when it cannot be computed
+   */
+  public static function percentage_change($current, $previous): ?float
+  {
+    if ($current === null || $previous === null || (float) $previous === 0.0) {
+      return null;
+    }
+
+    return round((($current - $previous) / $previous) * 100, 1);
+  }
+
+  /**
+   * Get the start of the bucket containing a timestamp.
+   *
+   * Weeks start on Monday; months on the first day.
+   *
+   * @param int    $timestamp Unix timestamp
+   * @param string $interval  'week' or 'month'
+   * @return int Unix timestamp at midnight of the bucket start
+   */
+  private static function bucket_start(int $timestamp, string $interval): int
+  {
+    $day = strtotime(gmdate('Y-m-d', $timestamp) . ' 00:00:00 UTC');
+
+    if ($interval === 'month') {
+      return strtotime(gmdate('Y-m-01', $day) . ' 00:00:00 UTC');
+    }
+
+    return $day - ((int) gmdate('N', $day) - 1) * DAY_IN_SECONDS;
+  }
+
+  /**
+   * Get the start of the bucket after the given one.
+   *
+   * @param int    $bucket_start Start of the current bucket
+   * @param string $interval     'week' or 'month'
+   * @return int Unix timestamp of the next bucket start
+   */
+  private static function next_bucket(int $bucket_start, string $interval): int
+  {
+    if ($interval === 'month') {
+      return strtotime('+1 month', $bucket_start);
+    }
+
+    return $bucket_start + WEEK_IN_SECONDS;
+  }
+}
@@ -40,6 +40,13 @@ class Emissions
    */
   private $cache;
 
+  /**
+   * Reason the last `process_post()` call failed.
+   *
+   * @var string|null
+   */
+  private $last_error = null;
+
   /**
    * Constructor.
    */
@@ -56,11 +63,14 @@ class Emissions
    * - Builds and performs API call (HTTPS enforced)
    * - Stores results and updates caches/history/options
    *
-   * @param int $post_id Post ID.
-   * @return float|false Emissions value or false on failure.
+   * @param int           $post_id  Post ID.
+   * @param callable|null $on_phase Called with 'fetching' before the API call and 'storing' after it.
+   * @return float|false Emissions value or false on failure; see `get_last_error()`.
    */
-  public function process_post($post_id)
+  public function process_post($post_id, ?callable $on_phase = null)
   {
+    $this->last_error = null;
+
     try {
       // Check if data collection is enabled
       if (!get_option(Constants::OPTION_DATA_COLLECTION_ENABLED, Constants::DEFAULT_DATA_COLLECTION_ENABLED)) {
@@ -77,21 +87,258 @@ class Emissions
       $url = set_url_scheme($url, 'https');
 
       // Get emissions data from API
+      if ($on_phase) {
+        $on_phase('fetching');
+      }
       $data = $this->get_emissions_from_api($url, $post_id);
       if (!$data) {
-        return false;
+        throw new \Exception(__('No emissions data found in response', 'carbonfooter'));
       }
 
       // Store the data
+      if ($on_phase) {
+        $on_phase('storing');
+      }
       $this->store_emissions_data($post_id, $data);
 
       return $data['emissions'];
     } catch (\Exception $e) {
+      $this->last_error = $e->getMessage();
       Logger::error("Error processing post $post_id: " . $e->getMessage());
       return false;
     }
   }
 
+  /**
+   * Measure the front page when it shows the latest posts.
+   *
+   * There is no post to store the result on, so it is kept in
+   * `Constants::OPTION_HOME_MEASUREMENT`. When the front page cannot be
+   * fetched at all, the most recently published post or page is measured
+   * instead and recorded as the front page's stand-in (with its `post_id`).
+   * Timeouts and errors of the measurement service are reported as failures.
+   *
+   * @param callable|null $on_phase See `process_post()`.
+   * @return array|false `{ emissions, page_size, updated, url, post_id }` or false on failure; see `get_last_error()`.
+   */
+  public function process_home(?callable $on_phase = null)
+  {
+    $this->last_error = null;
+
+    try {
+      if (!get_option(Constants::OPTION_DATA_COLLECTION_ENABLED, Constants::DEFAULT_DATA_COLLECTION_ENABLED)) {
+        throw new \Exception(__('Data collection is disabled in privacy settings', 'carbonfooter'));
+      }
+
+      $url = set_url_scheme(home_url('/'), 'https');
+      if ($on_phase) {
+        $on_phase('fetching');
+      }
+
+      if (!$this->is_fetchable($url)) {
+        return $this->process_home_stand_in($on_phase);
+      }
+
+      $data = $this->get_emissions_from_api($url, 0);
+
+      if ($on_phase) {
+        $on_phase('storing');
+      }
+      update_option(Constants::OPTION_GREEN_HOST, $data['is_green_host']);
+      $measurement = [
+        'emissions' => (float) $data['emissions'],
+        'page_size' => isset($data['page_size']) ? (int) $data['page_size'] : null,
+        'updated' => current_time('mysql'),
+        'url' => $url,
+        'post_id' => null,
+      ];
+    } catch (\Exception $e) {
+      $this->last_error = $e->getMessage();
+      Logger::error('Error processing front page: ' . $e->getMessage());
+      return false;
+    }
+
+    $this->store_home_measurement($measurement);
+
+    return $measurement;
+  }
+
+  /**
+   * Measure the latest post or page as the front page's stand-in.
+   *
+   * @param callable|null $on_phase See `process_post()`.
+   * @return array|false See `process_home()`.
+   */
+  private function process_home_stand_in(?callable $on_phase)
+  {
+    $post_id = Database_Optimizer::get_latest_post_id();
+    if (!$post_id) {
+      $this->last_error = __('The front page could not be fetched and there is no published post to measure instead', 'carbonfooter');
+      Logger::error('Error processing front page: ' . $this->last_error);
+      return false;
+    }
+
+    Logger::log('Measuring the latest post instead of the front page', ['post_id' => $post_id]);
+    $emissions = $this->process_post($post_id, $on_phase);
+    if ($emissions === false) {
+      return false;
+    }
+
+    $page_size = get_post_meta($post_id, Constants::META_PAGE_SIZE, true);
+    $measurement = [
+      'emissions' => (float) $emissions,
+      'page_size' => is_numeric($page_size) ? (int) $page_size : null,
+      'updated' => current_time('mysql'),
+      'url' => get_permalink($post_id),
+      'post_id' => $post_id,
+    ];
+
+    $this->store_home_measurement($measurement);
+
+    return $measurement;
+  }
+
+  /**
+   * Store the front page measurement and drop the caches that include it.
+   *
+   * @param array $measurement See `process_home()`.
+   * @return void
+   */
+  private function store_home_measurement(array $measurement): void
+  {
+    update_option(Constants::OPTION_HOME_MEASUREMENT, $measurement, false);
+
+    // The stats carry the homepage emissions and the heaviest pages list it,
+    // see `Url_Registry::get_heaviest()`
+    $this->cache->clear_all();
+  }
+
+  /**
+   * Check that a page of this site answers before sending it to the
+   * measurement service.
+   *
+   * Only reads the start of the response, within
+   * `Constants::FRONT_PAGE_CHECK_TIMEOUT`. Local sites are not checked: they
+   * are measured with mock data.
+   *
+   * @param string $url Page URL.
+   * @return bool Whether the page could be fetched
+   */
+  private function is_fetchable(string $url): bool
+  {
+    if ($this->is_local_environment()) {
+      return true;
+    }
+
+    $response = wp_remote_get($url, [
+      'timeout' => Constants::FRONT_PAGE_CHECK_TIMEOUT,
+      'limit_response_size' => 1024,
+      'user-agent' => 'WordPress/CarbonFooter-Plugin/' . CARBONFOOTER_VERSION,
+    ]);
+
+    if (is_wp_error($response)) {
+      Logger::error('Front page could not be fetched: ' . $response->get_error_message());
+      return false;
+    }
+
+    $response_code = (int) wp_remote_retrieve_response_code($response);
+    if ($response_code >= 400) {
+      Logger::error("Front page could not be fetched: Status $response_code");
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Measure a tracked URL (see `Url_Registry`).
+   *
+   * @param int           $url_id   Tracked URL ID.
+   * @param callable|null $on_phase See `process_post()`.
+   * @return float|false Emissions value or false on failure; see `get_last_error()`.
+   */
+  public function process_url(int $url_id, ?callable $on_phase = null)
+  {
+    $this->last_error = null;
+
+    try {
+      if (!get_option(Constants::OPTION_DATA_COLLECTION_ENABLED, Constants::DEFAULT_DATA_COLLECTION_ENABLED)) {
+        throw new \Exception(__('Data collection is disabled in privacy settings', 'carbonfooter'));
+      }
+
+      $tracked = Url_Registry::get($url_id);
+      if (!$tracked) {
+        throw new \Exception(__('This URL is not tracked', 'carbonfooter'));
+      }
+
+      if ($on_phase) {
+        $on_phase('fetching');
+      }
+      $data = $this->get_emissions_from_api(set_url_scheme($tracked['url'], 'https'), 0);
+
+      if ($on_phase) {
+        $on_phase('storing');
+      }
+      update_option(Constants::OPTION_GREEN_HOST, $data['is_green_host']);
+      Url_Registry::store_measurement($url_id, $data);
+      $this->cache->clear_all();
+
+      return $data['emissions'];
+    } catch (\Exception $e) {
+      $this->last_error = $e->getMessage();
+      Logger::error("Error processing tracked URL $url_id: " . $e->getMessage());
+      return false;
+    }
+  }
+
+  /**
+   * Measure the preview of a post without storing anything.
+   *
+   * Used to check a draft before it is published: the post meta, history,
+   * caches and green host option are left untouched.
+   *
+   * @param int           $post_id  Post ID.
+   * @param string        $url      Preview URL the measurement service can open, see `Preview_Access`.
+   * @param callable|null $on_phase See `process_post()`.
+   * @return array|false `{ emissions, page_size, is_green_host }` or false on failure; see `get_last_error()`.
+   */
+  public function process_preview(int $post_id, string $url, ?callable $on_phase = null)
+  {
+    $this->last_error = null;
+
+    try {
+      if (!get_option(Constants::OPTION_DATA_COLLECTION_ENABLED, Constants::DEFAULT_DATA_COLLECTION_ENABLED)) {
+        throw new \Exception(__('Data collection is disabled in privacy settings', 'carbonfooter'));
+      }
+
+      if ($on_phase) {
+        $on_phase('fetching');
+      }
+      // Post ID 0: the service must not file the draft under the live post
+      $data = $this->get_emissions_from_api($url, 0);
+
+      return [
+        'emissions' => $data['emissions'],
+        'page_size' => $data['page_size'] === null ? null : (int) $data['page_size'],
+        'is_green_host' => $data['is_green_host'],
+      ];
+    } catch (\Exception $e) {
+      $this->last_error = $e->getMessage();
+      Logger::error("Error processing preview of post $post_id: " . $e->getMessage());
+      return false;
+    }
+  }
+
+  /**
+   * Get the reason the last `process_post()`, `process_home()`, `process_url()` or `process_preview()` call failed.
+   *
+   * @return string|null Error message, or null when it succeeded
+   */
+  public function get_last_error(): ?string
+  {
+    return $this->last_error;
+  }
+
   /**
    * Get emissions data for a post.
    *
@@ -236,14 +483,8 @@ class Emissions
    */
   public function get_heaviest_pages($limit = 10)
   {
-    $cache_key = Constants::CACHE_HEAVIEST_PAGES_KEY . ':' . intval($limit);
-    $cached = wp_cache_get($cache_key, Constants::CACHE_GROUP);
-    if ($cached !== false) {
-      return $cached;
-    }
-    $pages = Database_Optimizer::get_heaviest_pages($limit);
-    wp_cache_set($cache_key, $pages, Constants::CACHE_GROUP, Constants::CACHE_EXPIRATION_TIME);
-    return $pages;
+    // Cached by Database_Optimizer, under keys its invalidation reaches
+    return Database_Optimizer::get_heaviest_pages($limit);
   }
 
   /**
@@ -253,14 +494,7 @@ class Emissions
    */
   public function get_untested_pages()
   {
-    $cache_key = Constants::CACHE_UNTESTED_PAGES_KEY;
-    $cached = wp_cache_get($cache_key, Constants::CACHE_GROUP);
-    if ($cached !== false) {
-      return $cached;
-    }
-    $pages = Database_Optimizer::get_untested_pages();
-    wp_cache_set($cache_key, $pages, Constants::CACHE_GROUP, Constants::CACHE_EXPIRATION_TIME);
-    return $pages;
+    return Database_Optimizer::get_untested_pages();
   }
 
   /**
@@ -307,7 +541,7 @@ class Emissions
     ], Constants::API_BASE_URL);
 
     $response = wp_remote_get($api_url, [
-      'timeout' => 60,
+      'timeout' => Constants::API_TIMEOUT,
       'user-agent' => 'WordPress/CarbonFooter-Plugin/' . CARBONFOOTER_VERSION,
       'headers' => [
         'Accept' => 'application/json',
@@ -371,7 +605,7 @@ class Emissions
    * Store emissions data for a post.
    *
    * Side effects:
-   * - Updates post meta (emissions, page size, resources, last updated)
+   * - Updates post meta (emissions, page size, resources, green host, last updated)
    * - Updates green host option
    * - Warms and invalidates caches/transients
    * - Appends to emissions history (max 12 entries)
@@ -412,6 +646,9 @@ class Emissions
       'changed' => $previous_status !== $data['is_green_host']
     ]);
 
+    // Keep the status with the measurement, the option only holds the latest
+    update_post_meta($post_id, Constants::META_GREEN_HOST, $data['is_green_host'] ? '1' : '0');
+
     // Store update time
     update_post_meta($post_id, Constants::META_EMISSIONS_UPDATED, current_time('mysql'));
 
@@ -425,15 +662,12 @@ class Emissions
     ];
     $this->cache->set_post_payload((int) $post_id, $payload);
 
-    // Invalidate optimized cache
+    // Invalidate optimized cache, including every list
     Database_Optimizer::invalidate_post_cache($post_id);
 
-    // Invalidate site-level caches (stats and lists)
+    // Invalidate site-level caches
     wp_cache_delete(Constants::CACHE_STATS_KEY, Constants::CACHE_GROUP);
     delete_transient(Constants::TRANSIENT_STATS_CACHE);
-    // Common list caches (default keys/limits)
-    wp_cache_delete(Constants::CACHE_HEAVIEST_PAGES_KEY . ':10', Constants::CACHE_GROUP);
-    wp_cache_delete(Constants::CACHE_UNTESTED_PAGES_KEY, Constants::CACHE_GROUP);
 
     // Warm site stats object cache from DB after clearing caches
     // This keeps admin and frontend views responsive after updates
@@ -514,8 +748,8 @@ class Emissions
     ];
 
     // Keep only the last 12 records
-    if (count($history) > 12) {
-      $history = array_slice($history, -12);
+    if (count($history) > Constants::MAX_HISTORY_ENTRIES) {
+      $history = array_slice($history, -Constants::MAX_HISTORY_ENTRIES);
     }
 
     update_post_meta($post_id, Constants::META_EMISSIONS_HISTORY, $history);
@@ -178,6 +178,49 @@ class Helpers
     return preg_match('/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/', $color);
   }
 
+  /**
+   * Sanitize the pages-per-visit setting.
+   * 
+   * Rounds to two decimals and clamps to the supported range so a typo can
+   * never zero out (or explode) the yearly projections.
+   * 
+   * @param mixed $value Raw value
+   * @return float Sanitized pages per visit
+   */
+  public static function sanitize_pages_per_visit($value)
+  {
+    $value = round((float) $value, 2);
+
+    return (float) max(Constants::MIN_PAGES_PER_VISIT, min(Constants::MAX_PAGES_PER_VISIT, $value));
+  }
+
+  /**
+   * Sanitize the visitors-per-month setting.
+   *
+   * Clamps to 1..`Constants::MAX_VISITORS_PER_MONTH`, the range the REST
+   * validator accepts, so the yearly projections never drop to zero.
+   *
+   * @param mixed $value Raw value
+   * @return int Sanitized visitors per month
+   */
+  public static function sanitize_visitors_per_month($value)
+  {
+    return (int) max(1, min(Constants::MAX_VISITORS_PER_MONTH, (int) $value));
+  }
+
+  /**
+   * Get the traffic model used for yearly projections.
+   * 
+   * @return array{pagesPerVisit: float, visitorsPerMonth: int} Saved values with defaults applied
+   */
+  public static function get_traffic_model()
+  {
+    return array(
+      'pagesPerVisit' => (float) get_option(Constants::OPTION_PAGES_PER_VISIT, Constants::DEFAULT_PAGES_PER_VISIT),
+      'visitorsPerMonth' => (int) get_option(Constants::OPTION_VISITORS_PER_MONTH, Constants::DEFAULT_VISITORS_PER_MONTH)
+    );
+  }
+
   /**
    * Create database table with proper error handling.
    * 
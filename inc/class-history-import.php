@@ -0,0 +1,304 @@
+<?php
+
+/**
+ * History Import
+ *
+ * Restores measurements from a JSON export of another (or the same) site.
+ *
+ * @package CarbonFooter
+ */
+
+namespace CarbonfooterPlugin;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+/**
+ * History_Import
+ *
+ * Counterpart of `Data_Manager::export_history()`: entries of a JSON export
+ * are matched to posts and their history is merged into the history already
+ * stored, so a migrated or rebuilt site keeps its trend lines.
+ *
+ * Structure:
+ * - `plan()` matches and validates entries and summarizes the merge (no writes)
+ * - `import()` does the same and then writes history and current emissions
+ *
+ * Matching, per entry:
+ * - By `ID`, when that post is published and its slug or title still matches
+ *   (or the entry has neither)
+ * - Otherwise by `slug`, then by `post_title`, when exactly one published post
+ *   (of the entry's `post_type`, if given) has it
+ */
+class History_Import
+{
+  /**
+   * Match and validate entries without writing anything.
+   *
+   * @param array $entries Entries of a JSON export
+   * @return array{merged: array, skipped: array} Summary per entry
+   */
+  public static function plan(array $entries): array
+  {
+    $analysis = self::analyze($entries);
+
+    return [
+      'merged' => array_map([self::class, 'to_summary'], $analysis['merged']),
+      'skipped' => $analysis['skipped'],
+    ];
+  }
+
+  /**
+   * Merge entries into the stored history.
+   *
+   * Current emissions (with page size and date) are only replaced when the
+   * entry is newer than the measurement already stored.
+   *
+   * @param array $entries Entries of a JSON export
+   * @return array{merged: array, skipped: array, imported: array{posts: int, entries: int}}
+   */
+  public static function import(array $entries): array
+  {
+    $analysis = self::analyze($entries);
+    $added = 0;
+
+    foreach ($analysis['merged'] as $item) {
+      update_post_meta($item['post_id'], Constants::META_EMISSIONS_HISTORY, $item['history']);
+
+      if ($item['current']) {
+        update_post_meta($item['post_id'], Constants::META_EMISSIONS, $item['current']['emissions']);
+        update_post_meta($item['post_id'], Constants::META_EMISSIONS_UPDATED, $item['current']['updated']);
+        if ($item['current']['page_size'] !== null) {
+          update_post_meta($item['post_id'], Constants::META_PAGE_SIZE, $item['current']['page_size']);
+        }
+      }
+
+      Database_Optimizer::invalidate_post_cache($item['post_id']);
+      $added += $item['new_entries'];
+    }
+
+    $imported = [
+      'posts' => count($analysis['merged']),
+      'entries' => $added,
+    ];
+
+    Logger::log('Emissions history imported', $imported);
+
+    return [
+      'merged' => array_map([self::class, 'to_summary'], $analysis['merged']),
+      'skipped' => $analysis['skipped'],
+      'imported' => $imported,
+    ];
+  }
+
+  /**
+   * Match entries to posts and compute the merged history of each.
+   *
+   * @param array $entries Entries of a JSON export
+   * @return array{merged: array, skipped: array}
+   */
+  private static function analyze(array $entries): array
+  {
+    $merged = [];
+    $skipped = [];
+
+    foreach (array_values($entries) as $index => $entry) {
+      $source = [
+        'index' => $index,
+        'source_id' => is_array($entry) && isset($entry['ID']) ? absint($entry['ID']) : null,
+        'source_title' => is_array($entry) && isset($entry['post_title']) ? sanitize_text_field((string) $entry['post_title']) : '',
+      ];
+
+      $history = is_array($entry) && isset($entry['history']) && is_array($entry['history'])
+        ? self::validate_history($entry['history'])
+        : [];
+      $current = is_array($entry) ? self::get_current($entry, $history) : null;
+
+      if (empty($history) && !$current) {
+        $skipped[] = $source + ['reason' => __('No valid measurements', 'carbonfooter')];
+        continue;
+      }
+
+      [$post_id, $matched_by] = self::match_post($entry);
+      if (!$post_id) {
+        $skipped[] = $source + ['reason' => __('No matching published post', 'carbonfooter')];
+        continue;
+      }
+      if (isset($merged[$post_id])) {
+        $skipped[] = $source + ['reason' => __('Another entry already matches this post', 'carbonfooter')];
+        continue;
+      }
+
+      $existing = Emissions_History::get_post_history($post_id);
+      $known_dates = array_column($existing, 'date');
+      $new_entries = array_values(array_filter($history, function ($item) use ($known_dates) {
+        return !in_array($item['date'], $known_dates, true);
+      }));
+
+      $stored_updated = (string) get_post_meta($post_id, Constants::META_EMISSIONS_UPDATED, true);
+      $stored_emissions = get_post_meta($post_id, Constants::META_EMISSIONS, true);
+      if ($current && is_numeric($stored_emissions) && strtotime($current['updated']) <= strtotime($stored_updated)) {
+        $current = null;
+      }
+
+      if (empty($new_entries) && !$current) {
+        $skipped[] = $source + ['reason' => __('Already up to date', 'carbonfooter')];
+        continue;
+      }
+
+      $combined = Emissions_History::normalize(array_merge($existing, $new_entries));
+
+      $merged[$post_id] = $source + [
+        'post_id' => $post_id,
+        'title' => get_the_title($post_id),
+        'matched_by' => $matched_by,
+        'new_entries' => count($new_entries),
+        'history' => array_slice($combined, -Constants::MAX_HISTORY_ENTRIES),
+        'current' => $current,
+      ];
+    }
+
+    return [
+      'merged' => array_values($merged),
+      'skipped' => $skipped,
+    ];
+  }
+
+  /**
+   * Keep the valid measurements of an imported history.
+   *
+   * @param array $history Raw `{ date, value }` entries
+   * @return array Normalized entries, dates as `Y-m-d H:i:s`
+   */
+  private static function validate_history(array $history): array
+  {
+    $entries = [];
+    foreach (Emissions_History::normalize($history) as $entry) {
+      if ($entry['value'] < 0) {
+        continue;
+      }
+
+      $entries[] = [
+        'date' => date('Y-m-d H:i:s', strtotime($entry['date'])),
+        'value' => $entry['value'],
+      ];
+    }
+
+    return $entries;
+  }
+
+  /**
+   * Get the current measurement of an entry.
+   *
+   * Entries without an `updated` date are dated by their latest history entry.
+   *
+   * @param array $entry   Export entry
+   * @param array $history Validated history of the entry
+   * @return array|null `{ emissions, page_size, updated }` or null without valid emissions
+   */
+  private static function get_current(array $entry, array $history): ?array
+  {
+    if (!isset($entry['emissions']) || !is_numeric($entry['emissions']) || $entry['emissions'] < 0) {
+      return null;
+    }
+
+    $updated = isset($entry['updated']) ? strtotime((string) $entry['updated']) : false;
+    if ($updated === false) {
+      if (empty($history)) {
+        return null;
+      }
+      $updated = strtotime(end($history)['date']);
+    }
+
+    return [
+      'emissions' => (float) $entry['emissions'],
+      'page_size' => isset($entry['page_size']) && is_numeric($entry['page_size']) ? absint($entry['page_size']) : null,
+      'updated' => date('Y-m-d H:i:s', $updated),
+    ];
+  }
+
+  /**
+   * Find the post an entry belongs to.
+   *
+   * @param mixed $entry Export entry
+   * @return array{0: int, 1: string|null} Post ID (0 when not found) and how it was matched
+   */
+  private static function match_post($entry): array
+  {
+    if (!is_array($entry)) {
+      return [0, null];
+    }
+
+    $slug = isset($entry['slug']) ? sanitize_title((string) $entry['slug']) : '';
+    $title = isset($entry['post_title']) ? trim((string) $entry['post_title']) : '';
+    $post_type = isset($entry['post_type']) ? sanitize_key((string) $entry['post_type']) : '';
+
+    $post = isset($entry['ID']) ? get_post(absint($entry['ID'])) : null;
+    if ($post && $post->post_status === 'publish' && ($post_type === '' || $post->post_type === $post_type)) {
+      $same_post = ($slug === '' && $title === '') || $post->post_name === $slug || $post->post_title === $title;
+      if ($same_post) {
+        return [(int) $post->ID, 'id'];
+      }
+    }
+
+    if ($slug !== '') {
+      $post_id = self::find_unique_post('post_name', $slug, $post_type);
+      if ($post_id) {
+        return [$post_id, 'slug'];
+      }
+    }
+
+    if ($title !== '') {
+      $post_id = self::find_unique_post('post_title', $title, $post_type);
+      if ($post_id) {
+        return [$post_id, 'title'];
+      }
+    }
+
+    return [0, null];
+  }
+
+  /**
+   * Find the only published post with a slug or title.
+   *
+   * @param string $column    'post_name' or 'post_title'
+   * @param string $value     Value to match exactly
+   * @param string $post_type Post type, or '' for any
+   * @return int Post ID, or 0 when none or several posts match
+   */
+  private static function find_unique_post(string $column, string $value, string $post_type): int
+  {
+    global $wpdb;
+
+    $column = $column === 'post_name' ? 'post_name' : 'post_title';
+    $post_type_clause = $post_type === '' ? '' : $wpdb->prepare('AND post_type = %s', $post_type);
+
+    $ids = $wpdb->get_col($wpdb->prepare("
+            SELECT ID
+            FROM {$wpdb->posts}
+            WHERE {$column} = %s
+            AND post_status = 'publish'
+            {$post_type_clause}
+            LIMIT 2
+        ", $value));
+
+    return count($ids) === 1 ? (int) $ids[0] : 0;
+  }
+
+  /**
+   * Strip internal fields from a merged entry.
+   *
+   * @param array $item Merged entry from `analyze()`
+   * @return array `{ index, source_id, source_title, post_id, title, matched_by, new_entries, updates_current }`
+   */
+  private static function to_summary(array $item): array
+  {
+    $summary = $item;
+    unset($summary['history'], $summary['current']);
+    $summary['updates_current'] = $item['current'] !== null;
+
+    return $summary;
+  }
+}
@@ -0,0 +1,502 @@
+<?php
+
+/**
+ * Pageview Counter
+ *
+ * Optional, cookieless pageview counting used to weight emissions by real traffic.
+ *
+ * @package CarbonFooter
+ */
+
+namespace CarbonfooterPlugin;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+/**
+ * Pageview_Counter
+ *
+ * Keeps a daily view count per post so yearly emissions can be computed as
+ * Σ(page emissions × page views) instead of one average times a guessed
+ * visitor count.
+ *
+ * Responsibilities:
+ * - Count frontend singular views during the same `wp` pass that
+ *   `Background_Processor::maybe_schedule_processing()` uses
+ * - Skip bots, prefetches, previews and logged-in editors
+ * - Extrapolate daily counts to yearly views and aggregate site-wide impact
+ *
+ * Storage:
+ * - `{prefix}carbonfooter_pageviews`: one `{ post_id, day, views }` row per
+ *   post and day, incremented in a single atomic query so concurrent views
+ *   are never lost
+ * - A daily cron job (`carbonfooter_pageviews_daily`) removes days outside
+ *   the retention window, off the request path, and stores the extrapolated
+ *   views per year in `_carbon_yearly_views` post meta
+ *
+ * Privacy:
+ * - Sets no cookies and stores no IP addresses or user agents; only a count
+ *   per post and day
+ * - Disabled by default (`carbonfooter_pageview_counter`)
+ *
+ * Limitations:
+ * - Views served from a full-page cache never reach PHP and are not counted
+ */
+class Pageview_Counter
+{
+  /**
+   * Matches user agents of crawlers, monitors and headless tooling.
+   */
+  private const BOT_PATTERN = '/bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python|java\/|go-http|httpclient/i';
+
+  /**
+   * Schema version, stored in `Constants::OPTION_PAGEVIEWS_DB_VERSION`.
+   */
+  public const DB_VERSION = '1';
+
+  /**
+   * Daily cron hook that prunes old counts.
+   */
+  public const CRON_HOOK = 'carbonfooter_pageviews_daily';
+
+  /**
+   * Constructor.
+   *
+   * Hooks:
+   * - `wp` to count singular frontend views
+   * - `admin_init` to schedule the daily maintenance job
+   * - `carbonfooter_pageviews_daily` to run it
+   * - `add_option_carbonfooter_pageview_counter` and
+   *   `update_option_carbonfooter_pageview_counter` to remember when counting
+   *   was enabled
+   */
+  public function __construct()
+  {
+    add_action('wp', array($this, 'maybe_count_pageview'));
+    add_action('admin_init', array($this, 'schedule_maintenance'));
+    add_action(self::CRON_HOOK, array(self::class, 'run_maintenance'));
+    add_action('add_option_' . Constants::OPTION_PAGEVIEW_COUNTER, array(self::class, 'mark_started'));
+    add_action('update_option_' . Constants::OPTION_PAGEVIEW_COUNTER, array(self::class, 'mark_started'));
+  }
+
+  /**
+   * Get the table name.
+   *
+   * @return string
+   */
+  public static function get_table(): string
+  {
+    global $wpdb;
+
+    return $wpdb->prefix . 'carbonfooter_pageviews';
+  }
+
+  /**
+   * Create the table when the schema version changed.
+   *
+   * @return void
+   */
+  public static function maybe_install(): void
+  {
+    if (get_option(Constants::OPTION_PAGEVIEWS_DB_VERSION) === self::DB_VERSION) {
+      return;
+    }
+
+    global $wpdb;
+
+    $table = self::get_table();
+    $charset_collate = $wpdb->get_charset_collate();
+
+    $sql = "CREATE TABLE {$table} (
+      post_id bigint(20) unsigned NOT NULL,
+      day date NOT NULL,
+      views int(10) unsigned NOT NULL DEFAULT 0,
+      PRIMARY KEY  (post_id,day),
+      KEY day (day)
+    ) {$charset_collate};";
+
+    if (!Helpers::create_table($table, $sql)) {
+      return;
+    }
+
+    self::mark_started();
+    self::refresh_yearly_views();
+    update_option(Constants::OPTION_PAGEVIEWS_DB_VERSION, self::DB_VERSION);
+  }
+
+  /**
+   * Remember the day counting started, so partial years can be extrapolated.
+   *
+   * Runs when counting is enabled, and from `maybe_install()` and
+   * `run_maintenance()` in case the day was cleared while counting stayed on.
+   * Keeps an existing day, so toggling the setting does not restart it.
+   *
+   * @return void
+   */
+  public static function mark_started(): void
+  {
+    if (self::is_enabled()) {
+      add_option(Constants::OPTION_PAGEVIEW_COUNTER_STARTED, current_time('Y-m-d'), '', false);
+    }
+  }
+
+  /**
+   * Schedule the daily maintenance job.
+   *
+   * @return void
+   */
+  public function schedule_maintenance()
+  {
+    if (!wp_next_scheduled(self::CRON_HOOK)) {
+      wp_schedule_event(time() + HOUR_IN_SECONDS, 'daily', self::CRON_HOOK);
+    }
+  }
+
+  /**
+   * Daily maintenance: drop counts outside the retention window and update
+   * the stored yearly views.
+   *
+   * @return void
+   */
+  public static function run_maintenance(): void
+  {
+    self::mark_started();
+    self::prune(current_time('Y-m-d'));
+    self::refresh_yearly_views();
+    (new Cache())->clear_all();
+  }
+
+  /**
+   * Delete counts older than the retention window.
+   *
+   * @param string $today Current day (`Y-m-d`)
+   * @return int Number of rows deleted
+   */
+  public static function prune(string $today): int
+  {
+    global $wpdb;
+
+    $table = self::get_table();
+
+    return (int) $wpdb->query($wpdb->prepare("DELETE FROM {$table} WHERE day < %s", self::get_window_start($today)));
+  }
+
+  /**
+   * Delete all counts.
+   *
+   * @return int Number of rows deleted
+   */
+  public static function clear(): int
+  {
+    global $wpdb;
+
+    $table = self::get_table();
+
+    return (int) $wpdb->query("DELETE FROM {$table}");
+  }
+
+  /**
+   * Get the first day inside the retention window.
+   *
+   * @param string $today Current day (`Y-m-d`)
+   * @return string Day in `Y-m-d`
+   */
+  private static function get_window_start(string $today): string
+  {
+    return gmdate('Y-m-d', strtotime($today . ' UTC') - (Constants::PAGEVIEW_RETENTION_DAYS - 1) * DAY_IN_SECONDS);
+  }
+
+  /**
+   * Count the current request if it is a countable singular view.
+   *
+   * @return void
+   */
+  public function maybe_count_pageview()
+  {
+    if (!self::is_enabled() || !\is_singular() || \is_preview()) {
+      return;
+    }
+
+    $post_id = get_the_ID();
+    if (!$post_id) {
+      return;
+    }
+
+    // Editors browsing their own site are not traffic
+    if (is_user_logged_in() && current_user_can('edit_posts')) {
+      return;
+    }
+
+    if (!$this->is_countable_request($_SERVER)) {
+      return;
+    }
+
+    self::increment($post_id, current_time('Y-m-d'));
+  }
+
+  /**
+   * Check whether request headers belong to a real, human page view.
+   *
+   * @param array $server Request server vars (`$_SERVER`)
+   * @return bool True when the request should be counted
+   */
+  public function is_countable_request(array $server): bool
+  {
+    if (($server['REQUEST_METHOD'] ?? 'GET') !== 'GET') {
+      return false;
+    }
+
+    // Speculative prefetch/prerender requests may never be shown
+    $purpose = strtolower(($server['HTTP_SEC_PURPOSE'] ?? '') . ' ' . ($server['HTTP_PURPOSE'] ?? '') . ' ' . ($server['HTTP_X_MOZ'] ?? ''));
+    if (str_contains($purpose, 'prefetch') || str_contains($purpose, 'prerender')) {
+      return false;
+    }
+
+    $user_agent = (string) ($server['HTTP_USER_AGENT'] ?? '');
+
+    return $user_agent !== '' && !preg_match(self::BOT_PATTERN, $user_agent);
+  }
+
+  /**
+   * Whether counting is enabled.
+   *
+   * @return bool
+   */
+  public static function is_enabled(): bool
+  {
+    return (bool) get_option(Constants::OPTION_PAGEVIEW_COUNTER, Constants::DEFAULT_PAGEVIEW_COUNTER);
+  }
+
+  /**
+   * Add one view for a post on a given day.
+   *
+   * A single upsert, so views counted at the same time do not overwrite
+   * each other. Old days are pruned by `run_maintenance()`, not here.
+   *
+   * @param int    $post_id Post ID
+   * @param string $day     Day in `Y-m-d` (site timezone)
+   * @return void
+   */
+  public static function increment(int $post_id, string $day): void
+  {
+    global $wpdb;
+
+    $table = self::get_table();
+    $wpdb->query($wpdb->prepare("
+            INSERT INTO {$table} (post_id, day, views)
+            VALUES (%d, %s, 1)
+            ON DUPLICATE KEY UPDATE views = views + 1
+        ", $post_id, $day));
+  }
+
+  /**
+   * Extrapolate daily counts to views per year.
+   *
+   * Uses the days since counting started (capped at the retention window) as
+   * the denominator, so a page viewed once in six months is not projected as
+   * if it had only existed for a day.
+   *
+   * @param array  $counts  Map of `Y-m-d` to view count
+   * @param string $started Day counting started (`Y-m-d`)
+   * @param string $today   Current day (`Y-m-d`)
+   * @return int Estimated views per year
+   */
+  public static function calculate_yearly_views(array $counts, string $started, string $today): int
+  {
+    $window_start = self::get_window_start($today);
+
+    $views = 0;
+    foreach ($counts as $day => $count) {
+      if ($day >= $window_start && $day <= $today) {
+        $views += $count;
+      }
+    }
+
+    return self::extrapolate($views, $started, $today);
+  }
+
+  /**
+   * Scale the views counted inside the retention window to views per year.
+   *
+   * @param int    $views   Views counted inside the window
+   * @param string $started Day counting started (`Y-m-d`)
+   * @param string $today   Current day (`Y-m-d`)
+   * @return int Estimated views per year
+   */
+  public static function extrapolate(int $views, string $started, string $today): int
+  {
+    $window = Constants::PAGEVIEW_RETENTION_DAYS;
+    $today_ts = strtotime($today . ' UTC');
+
+    $days_tracked = (int) floor(($today_ts - strtotime($started . ' UTC')) / DAY_IN_SECONDS) + 1;
+    $days_tracked = max(1, min($window, $days_tracked));
+
+    return (int) round($views * 365 / $days_tracked);
+  }
+
+  /**
+   * Get estimated yearly views for every post with traffic.
+   *
+   * Reads the values stored by `refresh_yearly_views()`.
+   *
+   * @return array<int, int> Map of post ID to views per year
+   */
+  public static function get_yearly_views_map(): array
+  {
+    global $wpdb;
+
+    $rows = $wpdb->get_results($wpdb->prepare("
+            SELECT post_id, meta_value
+            FROM {$wpdb->postmeta}
+            WHERE meta_key = %s
+        ", Constants::META_YEARLY_VIEWS));
+
+    $views = [];
+    foreach ($rows ?: [] as $row) {
+      $views[(int) $row->post_id] = (int) $row->meta_value;
+    }
+
+    return $views;
+  }
+
+  /**
+   * Recalculate yearly views and store them per post.
+   *
+   * Stored in `_carbon_yearly_views` post meta, so listings can sort and
+   * limit by impact in SQL. Views imported through `Traffic_Import` take
+   * precedence over counted views: analytics exports include visits served
+   * from a page cache. Only changed values are written.
+   *
+   * Runs in the daily maintenance job and after traffic is imported or
+   * cleared; callers clear the listing caches.
+   *
+   * @return void
+   */
+  public static function refresh_yearly_views(): void
+  {
+    $views = array_replace(self::get_counted_views_map(), Traffic_Import::get_yearly_views_map());
+    $stored = self::get_yearly_views_map();
+
+    foreach (array_diff_key($stored, $views) as $post_id => $value) {
+      delete_post_meta($post_id, Constants::META_YEARLY_VIEWS);
+    }
+
+    foreach ($views as $post_id => $value) {
+      if (($stored[$post_id] ?? null) !== $value) {
+        update_post_meta($post_id, Constants::META_YEARLY_VIEWS, $value);
+      }
+    }
+  }
+
+  /**
+   * Get extrapolated yearly views for every post counted on this site.
+   *
+   * @return array<int, int> Map of post ID to views per year
+   */
+  private static function get_counted_views_map(): array
+  {
+    global $wpdb;
+
+    $table = self::get_table();
+    $today = current_time('Y-m-d');
+    $started = get_option(Constants::OPTION_PAGEVIEW_COUNTER_STARTED, $today);
+
+    $rows = $wpdb->get_results($wpdb->prepare("
+            SELECT post_id, SUM(views) AS views
+            FROM {$table}
+            WHERE day BETWEEN %s AND %s
+            GROUP BY post_id
+        ", self::get_window_start($today), $today));
+
+    $views = [];
+    foreach ($rows ?: [] as $row) {
+      $views[(int) $row->post_id] = self::extrapolate((int) $row->views, $started, $today);
+    }
+
+    return $views;
+  }
+
+  /**
+   * Get the site-wide traffic-weighted summary.
+   *
+   * Cached for an hour: counts change on every view, so invalidating per
+   * request would make the cache useless.
+   *
+   * @return array{tracked_pages: int, yearly_views: int, yearly_emissions: float, tracking_since: string|null, imported: array|null}
+   */
+  public static function get_traffic_summary(): array
+  {
+    $cached = wp_cache_get(Constants::CACHE_TRAFFIC_KEY, Constants::CACHE_GROUP);
+    if ($cached !== false) {
+      return $cached;
+    }
+
+    $summary = self::summarize(self::get_yearly_views_map(), self::get_emissions_map());
+    $summary['tracking_since'] = get_option(Constants::OPTION_PAGEVIEW_COUNTER_STARTED, null) ?: null;
+    $summary['imported'] = Traffic_Import::get_details();
+
+    wp_cache_set(Constants::CACHE_TRAFFIC_KEY, $summary, Constants::CACHE_GROUP, HOUR_IN_SECONDS);
+
+    return $summary;
+  }
+
+  /**
+   * Combine yearly views and per-view emissions into site totals.
+   *
+   * Only pages that are both measured and counted contribute.
+   *
+   * @param array<int, int>   $views     Map of post ID to views per year
+   * @param array<int, float> $emissions Map of post ID to grams CO2 per view
+   * @return array{tracked_pages: int, yearly_views: int, yearly_emissions: float}
+   */
+  public static function summarize(array $views, array $emissions): array
+  {
+    $tracked_pages = 0;
+    $yearly_views = 0;
+    $yearly_emissions = 0.0;
+
+    foreach ($views as $post_id => $post_views) {
+      if (!isset($emissions[$post_id]) || $post_views <= 0) {
+        continue;
+      }
+
+      $tracked_pages++;
+      $yearly_views += $post_views;
+      $yearly_emissions += $emissions[$post_id] * $post_views;
+    }
+
+    return [
+      'tracked_pages' => $tracked_pages,
+      'yearly_views' => $yearly_views,
+      'yearly_emissions' => round($yearly_emissions, 2),
+    ];
+  }
+
+  /**
+   * Get the latest emissions of every published, measured post.
+   *
+   * @return array<int, float> Map of post ID to grams CO2 per view
+   */
+  private static function get_emissions_map(): array
+  {
+    global $wpdb;
+
+    $rows = $wpdb->get_results($wpdb->prepare("
+            SELECT pm.post_id, pm.meta_value
+            FROM {$wpdb->postmeta} pm
+            INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+            WHERE pm.meta_key = %s
+            AND pm.meta_value REGEXP '^[0-9]+(\\.[0-9]+)?$'
+            AND p.post_status = 'publish'
+        ", Constants::META_EMISSIONS));
+
+    $emissions = [];
+    foreach ($rows as $row) {
+      $emissions[(int) $row->post_id] = (float) $row->meta_value;
+    }
+
+    return $emissions;
+  }
+}
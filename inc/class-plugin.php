@@ -56,7 +56,11 @@ class Plugin
   private Emissions $emissions_handler;
   private Cache $cache_manager;
   private Shortcodes $shortcode_manager;
+  private Blocks $block_manager;
   private Background_Processor $background_processor;
+  private Pageview_Counter $pageview_counter;
+  private Preview_Access $preview_access;
+  private Batch_Processor $batch_processor;
   private AdminHandler $admin_handler;
   private AjaxHandler $ajax_handler;
   private RestApiHandler $rest_api_handler;
@@ -106,12 +110,16 @@ class Plugin
     $this->emissions_handler = new Emissions();
     $this->cache_manager = new Cache();
     $this->shortcode_manager = new Shortcodes();
+    $this->block_manager = new Blocks($this->shortcode_manager, $this->emissions_handler);
     $this->background_processor = new Background_Processor();
+    $this->pageview_counter = new Pageview_Counter();
+    $this->preview_access = new Preview_Access();
+    $this->batch_processor = new Batch_Processor();
 
     // Handler components
-    $this->admin_handler = new AdminHandler($this->emissions_handler);
+    $this->admin_handler = new AdminHandler($this->emissions_handler, $this->cache_manager);
     $this->ajax_handler = new AjaxHandler($this->emissions_handler, $this->cache_manager);
-    $this->rest_api_handler = new RestApiHandler();
+    $this->rest_api_handler = new RestApiHandler($this->emissions_handler, $this->cache_manager);
     $this->hooks_manager = new HooksManager($this->get_all_handlers());
   }
 
@@ -155,12 +163,16 @@ class Plugin
    *
    * Side effects:
    * - May create database indices via `Database_Optimizer::add_performance_indices()`
+   * - Creates or upgrades the tracked URL table via `Url_Registry::maybe_install()`
+   *   and the pageview table via `Pageview_Counter::maybe_install()`
    *
    * @return void
    */
   public function handle_database_setup(): void
   {
     Database_Optimizer::add_performance_indices();
+    Url_Registry::maybe_install();
+    Pageview_Counter::maybe_install();
   }
 
   /**
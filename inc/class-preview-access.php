@@ -0,0 +1,144 @@
+<?php
+
+/**
+ * Preview Access
+ *
+ * Short-lived preview links the measurement service can open without logging in.
+ *
+ * @package CarbonFooter
+ */
+
+namespace CarbonfooterPlugin;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+/**
+ * Preview_Access
+ *
+ * Drafts are only visible to logged-in editors, but the measurement service
+ * loads pages as an anonymous visitor. A preview token grants that visitor
+ * access to the preview of one post for a few minutes.
+ *
+ * Structure:
+ * - `create_token()` / `revoke_token()` manage tokens, stored as transients
+ * - `get_preview_url()` adds the token to the post's preview link
+ * - `allow_preview()` shows the post to requests carrying a valid token
+ *
+ * Security:
+ * - Tokens are random, bound to one post and expire after
+ *   `Constants::PREVIEW_TOKEN_TTL` seconds; `Data_Manager` revokes them as
+ *   soon as the measurement is done
+ * - Previews opened with a token are not indexed or cached
+ */
+class Preview_Access
+{
+  /**
+   * Query argument carrying the token.
+   */
+  public const QUERY_ARG = 'carbonfooter_preview';
+
+  /**
+   * Constructor.
+   *
+   * Hooks:
+   * - `posts_results` to show the previewed post before WordPress hides it
+   */
+  public function __construct()
+  {
+    add_filter('posts_results', array($this, 'allow_preview'), 10, 2);
+  }
+
+  /**
+   * Create a preview token for a post.
+   *
+   * @param int $post_id Post ID
+   * @return string Token
+   */
+  public static function create_token(int $post_id): string
+  {
+    $token = wp_generate_password(32, false);
+    set_transient(Constants::TRANSIENT_PREVIEW_TOKEN_PREFIX . $token, $post_id, Constants::PREVIEW_TOKEN_TTL);
+
+    return $token;
+  }
+
+  /**
+   * Revoke a preview token before it expires.
+   *
+   * @param string $token Token from `create_token()`
+   * @return void
+   */
+  public static function revoke_token(string $token): void
+  {
+    delete_transient(Constants::TRANSIENT_PREVIEW_TOKEN_PREFIX . $token);
+  }
+
+  /**
+   * Get the post a token grants access to.
+   *
+   * @param string $token Token from the request
+   * @return int|null Post ID, or null when the token is invalid or expired
+   */
+  public static function get_post_id(string $token): ?int
+  {
+    if (!preg_match('/^[A-Za-z0-9]{32}$/', $token)) {
+      return null;
+    }
+
+    $post_id = (int) get_transient(Constants::TRANSIENT_PREVIEW_TOKEN_PREFIX . $token);
+
+    return $post_id > 0 ? $post_id : null;
+  }
+
+  /**
+   * Get the preview link of a post with a token.
+   *
+   * @param \WP_Post $post  Post to preview
+   * @param string   $token Token from `create_token()`
+   * @return string|null Preview URL over HTTPS, or null when the post has no preview
+   */
+  public static function get_preview_url(\WP_Post $post, string $token): ?string
+  {
+    $url = get_preview_post_link($post);
+    if (!$url) {
+      return null;
+    }
+
+    return set_url_scheme(add_query_arg(self::QUERY_ARG, $token, $url), 'https');
+  }
+
+  /**
+   * Show the previewed post to a request with a valid token.
+   *
+   * WordPress drops drafts from the results for visitors who cannot edit
+   * them. Marking the post as published in memory, for this request only,
+   * keeps it in.
+   *
+   * @param \WP_Post[] $posts Posts found by the query
+   * @param \WP_Query  $query Query
+   * @return \WP_Post[] Posts
+   */
+  public function allow_preview($posts, $query)
+  {
+    if (empty($_GET[self::QUERY_ARG]) || !$query->is_main_query() || !$query->is_preview() || count($posts) !== 1) {
+      return $posts;
+    }
+
+    $post_id = self::get_post_id(sanitize_text_field(wp_unslash((string) $_GET[self::QUERY_ARG])));
+    if ($post_id === null || (int) $posts[0]->ID !== $post_id) {
+      return $posts;
+    }
+
+    $posts[0]->post_status = 'publish';
+
+    add_filter('wp_robots', 'wp_robots_no_robots');
+    if (!headers_sent()) {
+      nocache_headers();
+    }
+
+    return $posts;
+  }
+}
@@ -45,6 +45,40 @@ class RestApiHandler
    */
   private const API_NAMESPACE = Constants::API_NAMESPACE;
 
+  /**
+   * Emissions handler instance
+   *
+   * @var Emissions
+   */
+  private Emissions $emissions_handler;
+
+  /**
+   * Shared measurement and data management logic
+   *
+   * @var Data_Manager
+   */
+  private Data_Manager $data_manager;
+
+  /**
+   * Cache manager instance
+   *
+   * @var Cache
+   */
+  private Cache $cache_manager;
+
+  /**
+   * Constructor
+   *
+   * @param Emissions $emissions_handler Emissions handler instance
+   * @param Cache $cache_manager Cache manager instance
+   */
+  public function __construct(Emissions $emissions_handler, Cache $cache_manager)
+  {
+    $this->emissions_handler = $emissions_handler;
+    $this->cache_manager = $cache_manager;
+    $this->data_manager = new Data_Manager($emissions_handler, $cache_manager);
+  }
+
   /**
    * Register REST API hooks.
    *
@@ -68,6 +102,12 @@ class RestApiHandler
   public function register_rest_routes(): void
   {
     $this->register_settings_routes();
+    $this->register_history_routes();
+    $this->register_traffic_routes();
+    $this->register_results_routes();
+    $this->register_batch_routes();
+    $this->register_url_routes();
+    $this->register_data_routes();
   }
 
   /**
@@ -100,6 +140,536 @@ class RestApiHandler
     ]);
   }
 
+  /**
+   * Register emissions history REST API routes.
+   *
+   * Routes:
+   * - GET `carbonfooter/v1/history/<id>`  Measurement history for one post
+   * - GET `carbonfooter/v1/timeline`      Site-wide weekly/monthly aggregation
+   *
+   * Security:
+   * - Per-post history requires `edit_post` via `check_edit_post_permission()`
+   * - The site-wide timeline requires `manage_options`
+   *
+   * @return void
+   */
+  private function register_history_routes(): void
+  {
+    // GET /wp-json/carbonfooter/v1/history/<id>
+    register_rest_route(self::API_NAMESPACE, '/history/(?P<id>\d+)', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_history_request'],
+      'permission_callback' => [$this, 'check_edit_post_permission'],
+      'args' => [
+        'id' => [
+          'required' => true,
+          'sanitize_callback' => 'absint',
+          'validate_callback' => function ($value) {
+            return is_numeric($value) && (int) $value > 0;
+          },
+          'description' => __('Post ID to read the emissions history for', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // GET /wp-json/carbonfooter/v1/timeline
+    register_rest_route(self::API_NAMESPACE, '/timeline', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_timeline_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'interval' => [
+          'default' => 'week',
+          'sanitize_callback' => 'sanitize_key',
+          'validate_callback' => [$this, 'validate_timeline_interval'],
+          'description' => __('Bucket size: week or month', 'carbonfooter')
+        ],
+        'start' => [
+          'sanitize_callback' => 'sanitize_text_field',
+          'validate_callback' => [$this, 'validate_date'],
+          'description' => __('Range start (YYYY-MM-DD), defaults to 90 days before end', 'carbonfooter')
+        ],
+        'end' => [
+          'sanitize_callback' => 'sanitize_text_field',
+          'validate_callback' => [$this, 'validate_date'],
+          'description' => __('Range end (YYYY-MM-DD), defaults to today', 'carbonfooter')
+        ],
+        'compare' => [
+          'default' => false,
+          'sanitize_callback' => 'rest_sanitize_boolean',
+          'description' => __('Include the preceding period of equal length', 'carbonfooter')
+        ]
+      ]
+    ]);
+  }
+
+  /**
+   * Register traffic import REST API routes.
+   *
+   * Routes:
+   * - GET    `carbonfooter/v1/traffic/import`  Details of the latest import
+   * - POST   `carbonfooter/v1/traffic/import`  Match (and with `dry_run` false, store) exported rows
+   * - DELETE `carbonfooter/v1/traffic/import`  Remove imported traffic
+   *
+   * Security:
+   * - All routes require `manage_options` via `check_manage_options_permission()`
+   *
+   * @return void
+   */
+  private function register_traffic_routes(): void
+  {
+    // GET /wp-json/carbonfooter/v1/traffic/import
+    register_rest_route(self::API_NAMESPACE, '/traffic/import', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_traffic_import_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission']
+    ]);
+
+    // POST /wp-json/carbonfooter/v1/traffic/import
+    register_rest_route(self::API_NAMESPACE, '/traffic/import', [
+      'methods' => 'POST',
+      'callback' => [$this, 'handle_traffic_import_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'rows' => [
+          'required' => true,
+          'sanitize_callback' => [$this, 'sanitize_traffic_rows'],
+          'validate_callback' => [$this, 'validate_traffic_rows'],
+          'description' => __('Exported rows: list of { url, views }', 'carbonfooter')
+        ],
+        'period_days' => [
+          'default' => 30,
+          'sanitize_callback' => 'absint',
+          'validate_callback' => [$this, 'validate_period_days'],
+          'description' => __('Number of days the export covers', 'carbonfooter')
+        ],
+        'dry_run' => [
+          'default' => true,
+          'sanitize_callback' => 'rest_sanitize_boolean',
+          'description' => __('Only match the rows without storing them', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // DELETE /wp-json/carbonfooter/v1/traffic/import
+    register_rest_route(self::API_NAMESPACE, '/traffic/import', [
+      'methods' => 'DELETE',
+      'callback' => [$this, 'handle_delete_traffic_import_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission']
+    ]);
+  }
+
+  /**
+   * Register results REST API routes.
+   *
+   * Routes:
+   * - GET `carbonfooter/v1/pages`            Paginated, sortable and filterable measured pages
+   * - GET `carbonfooter/v1/pages/resources`  Pages ranked by one resource type
+   * - GET `carbonfooter/v1/pages/<id>`       Detail of one page: resources, history, green host
+   *
+   * Security:
+   * - The lists require `manage_options` via `check_manage_options_permission()`
+   * - The detail requires `edit_post` via `check_edit_post_permission()`
+   *
+   * @return void
+   */
+  private function register_results_routes(): void
+  {
+    // GET /wp-json/carbonfooter/v1/pages
+    register_rest_route(self::API_NAMESPACE, '/pages', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_pages_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'page' => [
+          'default' => 1,
+          'sanitize_callback' => 'absint',
+          'description' => __('Page number, starting at 1', 'carbonfooter')
+        ],
+        'per_page' => [
+          'default' => Constants::DEFAULT_RESULTS_PER_PAGE,
+          'sanitize_callback' => 'absint',
+          'validate_callback' => [$this, 'validate_per_page'],
+          'description' => __('Number of pages per result page', 'carbonfooter')
+        ],
+        'orderby' => [
+          'default' => 'emissions',
+          'sanitize_callback' => 'sanitize_key',
+          'validate_callback' => [$this, 'validate_results_orderby'],
+          'description' => __('Sort by emissions, page_size, updated, title or impact', 'carbonfooter')
+        ],
+        'order' => [
+          'default' => 'desc',
+          'sanitize_callback' => 'sanitize_key',
+          'validate_callback' => [$this, 'validate_order'],
+          'description' => __('Sort direction: asc or desc', 'carbonfooter')
+        ],
+        'post_type' => [
+          'sanitize_callback' => 'sanitize_key',
+          'validate_callback' => [$this, 'validate_post_type'],
+          'description' => __('Only include this post type', 'carbonfooter')
+        ],
+        'start' => [
+          'sanitize_callback' => 'sanitize_text_field',
+          'validate_callback' => [$this, 'validate_date'],
+          'description' => __('Last measured on or after (YYYY-MM-DD)', 'carbonfooter')
+        ],
+        'end' => [
+          'sanitize_callback' => 'sanitize_text_field',
+          'validate_callback' => [$this, 'validate_date'],
+          'description' => __('Last measured on or before (YYYY-MM-DD)', 'carbonfooter')
+        ],
+        'search' => [
+          'sanitize_callback' => 'sanitize_text_field',
+          'description' => __('Search in page titles', 'carbonfooter')
+        ],
+        'over_budget' => [
+          'default' => false,
+          'sanitize_callback' => 'rest_sanitize_boolean',
+          'description' => __('Only include pages over their emission budget', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // GET /wp-json/carbonfooter/v1/pages/resources
+    register_rest_route(self::API_NAMESPACE, '/pages/resources', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_resource_leaderboard_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'type' => [
+          'default' => 'script',
+          'validate_callback' => [$this, 'validate_resource_type'],
+          'description' => __('Resource type: images, script, css, font, media, thirdParty or total', 'carbonfooter')
+        ],
+        'metric' => [
+          'default' => 'transferSize',
+          'validate_callback' => [$this, 'validate_resource_metric'],
+          'description' => __('Rank by transferSize, requestCount or share (of the page bytes)', 'carbonfooter')
+        ],
+        'limit' => [
+          'default' => Constants::DEFAULT_LEADERBOARD_SIZE,
+          'sanitize_callback' => 'absint',
+          'validate_callback' => [$this, 'validate_per_page'],
+          'description' => __('Number of pages to return', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // GET /wp-json/carbonfooter/v1/pages/<id>
+    register_rest_route(self::API_NAMESPACE, '/pages/(?P<id>\d+)', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_page_request'],
+      'permission_callback' => [$this, 'check_edit_post_permission'],
+      'args' => [
+        'id' => [
+          'required' => true,
+          'sanitize_callback' => 'absint',
+          'validate_callback' => function ($value) {
+            return is_numeric($value) && (int) $value > 0;
+          },
+          'description' => __('Post ID', 'carbonfooter')
+        ]
+      ]
+    ]);
+  }
+
+  /**
+   * Register batch measurement REST API routes.
+   *
+   * Routes:
+   * - GET  `carbonfooter/v1/batch`           Status of the latest job
+   * - POST `carbonfooter/v1/batch`           Start measuring all untested pages
+   * - POST `carbonfooter/v1/batch/<action>`  Pause, resume or cancel the job
+   *
+   * Security:
+   * - All routes require `manage_options` via `check_manage_options_permission()`
+   *
+   * @return void
+   */
+  private function register_batch_routes(): void
+  {
+    // GET /wp-json/carbonfooter/v1/batch
+    register_rest_route(self::API_NAMESPACE, '/batch', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_batch_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission']
+    ]);
+
+    // POST /wp-json/carbonfooter/v1/batch
+    register_rest_route(self::API_NAMESPACE, '/batch', [
+      'methods' => 'POST',
+      'callback' => [$this, 'handle_start_batch_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission']
+    ]);
+
+    // POST /wp-json/carbonfooter/v1/batch/<pause|resume|cancel>
+    register_rest_route(self::API_NAMESPACE, '/batch/(?P<action>pause|resume|cancel)', [
+      'methods' => 'POST',
+      'callback' => [$this, 'handle_control_batch_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission']
+    ]);
+  }
+
+  /**
+   * Register tracked URL REST API routes.
+   *
+   * Routes:
+   * - GET    `carbonfooter/v1/urls`               Tracked URLs with their latest measurement
+   * - POST   `carbonfooter/v1/urls`               Track a URL
+   * - POST   `carbonfooter/v1/urls/sitemap`       Track the non-post URLs of a sitemap
+   * - DELETE `carbonfooter/v1/urls/<id>`          Stop tracking a URL
+   * - POST   `carbonfooter/v1/urls/<id>/measure`  Measure a tracked URL
+   *
+   * Security:
+   * - All routes require `manage_options` via `check_manage_options_permission()`
+   *
+   * @return void
+   */
+  private function register_url_routes(): void
+  {
+    // GET /wp-json/carbonfooter/v1/urls
+    register_rest_route(self::API_NAMESPACE, '/urls', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_urls_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission']
+    ]);
+
+    // POST /wp-json/carbonfooter/v1/urls
+    register_rest_route(self::API_NAMESPACE, '/urls', [
+      'methods' => 'POST',
+      'callback' => [$this, 'handle_add_url_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'url' => [
+          'required' => true,
+          'sanitize_callback' => 'esc_url_raw',
+          'description' => __('URL on this site', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // POST /wp-json/carbonfooter/v1/urls/sitemap
+    register_rest_route(self::API_NAMESPACE, '/urls/sitemap', [
+      'methods' => 'POST',
+      'callback' => [$this, 'handle_import_sitemap_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'sitemap' => [
+          'default' => '',
+          'sanitize_callback' => 'esc_url_raw',
+          'description' => __('Sitemap or sitemap index URL (default: the WordPress sitemap)', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // DELETE /wp-json/carbonfooter/v1/urls/<id>
+    register_rest_route(self::API_NAMESPACE, '/urls/(?P<id>\d+)', [
+      'methods' => 'DELETE',
+      'callback' => [$this, 'handle_delete_url_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'id' => [
+          'sanitize_callback' => 'absint',
+          'description' => __('Tracked URL ID', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // POST /wp-json/carbonfooter/v1/urls/<id>/measure
+    register_rest_route(self::API_NAMESPACE, '/urls/(?P<id>\d+)/measure', [
+      'methods' => 'POST',
+      'callback' => [$this, 'handle_measure_url_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'id' => [
+          'sanitize_callback' => 'absint',
+          'description' => __('Tracked URL ID', 'carbonfooter')
+        ]
+      ]
+    ]);
+  }
+
+  /**
+   * Register measurement and data management REST API routes.
+   *
+   * REST equivalents of the `wp_ajax_*` actions in `AjaxHandler`, with the
+   * same payloads.
+   *
+   * Routes:
+   * - GET    `carbonfooter/v1/stats`           Site-wide statistics
+   * - GET    `carbonfooter/v1/pages/heaviest`  Heaviest pages by emissions or impact
+   * - GET    `carbonfooter/v1/pages/untested`  Pages without measurement, grouped by post type
+   * - POST   `carbonfooter/v1/measure/<id>`    Measure one post
+   * - GET    `carbonfooter/v1/measure/<id>`    Phase of a running measurement of one post
+   * - POST   `carbonfooter/v1/measure/<id>/preview` Measure the preview of an unpublished post, without storing it
+   * - POST   `carbonfooter/v1/measure/home`    Measure the front page when it shows the latest posts
+   * - GET    `carbonfooter/v1/measure/home`    Phase of a running measurement of the front page
+   * - GET    `carbonfooter/v1/export`          Emissions history of all posts
+   * - POST   `carbonfooter/v1/import`          Merge (and with `dry_run` false, store) a JSON export
+   * - DELETE `carbonfooter/v1/data`            Delete all measurements (settings are kept)
+   *
+   * Security:
+   * - Measuring (and its phase) requires `edit_post` via `check_edit_post_permission()`
+   * - All other routes require `manage_options`
+   *
+   * @return void
+   */
+  private function register_data_routes(): void
+  {
+    // GET /wp-json/carbonfooter/v1/stats
+    register_rest_route(self::API_NAMESPACE, '/stats', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_stats_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission']
+    ]);
+
+    // GET /wp-json/carbonfooter/v1/pages/heaviest
+    register_rest_route(self::API_NAMESPACE, '/pages/heaviest', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_heaviest_pages_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'limit' => [
+          'default' => 10,
+          'sanitize_callback' => 'absint',
+          'validate_callback' => [$this, 'validate_per_page'],
+          'description' => __('Maximum number of pages', 'carbonfooter')
+        ],
+        'orderby' => [
+          'default' => 'emissions',
+          'sanitize_callback' => 'sanitize_key',
+          'validate_callback' => [$this, 'validate_heaviest_orderby'],
+          'description' => __('Sort by emissions or impact (emissions × views)', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // GET /wp-json/carbonfooter/v1/pages/untested
+    register_rest_route(self::API_NAMESPACE, '/pages/untested', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_untested_pages_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'limit' => [
+          'default' => 20,
+          'sanitize_callback' => 'absint',
+          'validate_callback' => [$this, 'validate_per_page'],
+          'description' => __('Maximum number of pages', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // POST /wp-json/carbonfooter/v1/measure/<id>
+    register_rest_route(self::API_NAMESPACE, '/measure/(?P<id>\d+)', [
+      'methods' => 'POST',
+      'callback' => [$this, 'handle_measure_request'],
+      'permission_callback' => [$this, 'check_edit_post_permission'],
+      'args' => [
+        'id' => [
+          'sanitize_callback' => 'absint',
+          'description' => __('Post ID', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // GET /wp-json/carbonfooter/v1/measure/<id>
+    register_rest_route(self::API_NAMESPACE, '/measure/(?P<id>\d+)', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_measure_phase_request'],
+      'permission_callback' => [$this, 'check_edit_post_permission'],
+      'args' => [
+        'id' => [
+          'sanitize_callback' => 'absint',
+          'description' => __('Post ID', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // POST /wp-json/carbonfooter/v1/measure/<id>/preview
+    register_rest_route(self::API_NAMESPACE, '/measure/(?P<id>\d+)/preview', [
+      'methods' => 'POST',
+      'callback' => [$this, 'handle_measure_preview_request'],
+      'permission_callback' => [$this, 'check_edit_post_permission'],
+      'args' => [
+        'id' => [
+          'sanitize_callback' => 'absint',
+          'description' => __('Post ID', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // POST /wp-json/carbonfooter/v1/measure/home
+    register_rest_route(self::API_NAMESPACE, '/measure/home', [
+      'methods' => 'POST',
+      'callback' => [$this, 'handle_measure_home_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission']
+    ]);
+
+    // GET /wp-json/carbonfooter/v1/measure/home
+    register_rest_route(self::API_NAMESPACE, '/measure/home', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_get_measure_phase_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission']
+    ]);
+
+    // GET /wp-json/carbonfooter/v1/export
+    register_rest_route(self::API_NAMESPACE, '/export', [
+      'methods' => 'GET',
+      'callback' => [$this, 'handle_export_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'format' => [
+          'default' => 'json',
+          'sanitize_callback' => 'sanitize_key',
+          'validate_callback' => [$this, 'validate_export_format'],
+          'description' => __('Export format: json, csv-long (one row per measurement) or csv-wide (one row per page)', 'carbonfooter')
+        ],
+        'post_type' => [
+          'sanitize_callback' => 'sanitize_key',
+          'validate_callback' => [$this, 'validate_post_type'],
+          'description' => __('Only export this post type', 'carbonfooter')
+        ],
+        'start' => [
+          'sanitize_callback' => 'sanitize_text_field',
+          'validate_callback' => [$this, 'validate_date'],
+          'description' => __('Only export measurements on or after (YYYY-MM-DD)', 'carbonfooter')
+        ],
+        'end' => [
+          'sanitize_callback' => 'sanitize_text_field',
+          'validate_callback' => [$this, 'validate_date'],
+          'description' => __('Only export measurements on or before (YYYY-MM-DD)', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // POST /wp-json/carbonfooter/v1/import
+    register_rest_route(self::API_NAMESPACE, '/import', [
+      'methods' => 'POST',
+      'callback' => [$this, 'handle_import_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission'],
+      'args' => [
+        'entries' => [
+          'required' => true,
+          'validate_callback' => [$this, 'validate_import_entries'],
+          'description' => __('Entries of a JSON export: list of { ID, post_title, slug, post_type, emissions, page_size, updated, history }', 'carbonfooter')
+        ],
+        'dry_run' => [
+          'default' => true,
+          'sanitize_callback' => 'rest_sanitize_boolean',
+          'description' => __('Only match the entries without storing them', 'carbonfooter')
+        ]
+      ]
+    ]);
+
+    // DELETE /wp-json/carbonfooter/v1/data
+    register_rest_route(self::API_NAMESPACE, '/data', [
+      'methods' => 'DELETE',
+      'callback' => [$this, 'handle_clear_data_request'],
+      'permission_callback' => [$this, 'check_manage_options_permission']
+    ]);
+  }
+
   /**
    * Describe accepted POST parameters for the settings endpoint.
    *
@@ -108,6 +678,11 @@ class RestApiHandler
    * - text_color:       hex color, validated by `validate_hex_color()`
    * - display_setting:  'auto' | 'shortcode', validated by `validate_display_setting()`
    * - widget_style:     'minimal' | 'full' | 'sticker', validated by `validate_widget_style()`
+   * - pages_per_visit:    number, validated by `validate_pages_per_visit()`
+   * - visitors_per_month: integer, validated by `validate_visitors_per_month()`
+   * - pageview_counter:   boolean, enables the cookieless pageview counter
+   * - budgets:            `{ emissions, page_size, post_types }`, see `Budgets`
+   * - prepublish_threshold: percentage, validated by `validate_prepublish_threshold()`
    *
    * @return array Endpoint arguments definition compatible with register_rest_route
    */
@@ -137,6 +712,35 @@ class RestApiHandler
         'sanitize_callback' => 'sanitize_text_field',
         'validate_callback' => [$this, 'validate_widget_style'],
         'description' => __('Widget style (minimal, detailed, compact)', 'carbonfooter')
+      ],
+      'pages_per_visit' => [
+        'required' => false,
+        'sanitize_callback' => [Helpers::class, 'sanitize_pages_per_visit'],
+        'validate_callback' => [$this, 'validate_pages_per_visit'],
+        'description' => __('Average number of pages viewed per visit, used for yearly projections', 'carbonfooter')
+      ],
+      'visitors_per_month' => [
+        'required' => false,
+        'sanitize_callback' => [Helpers::class, 'sanitize_visitors_per_month'],
+        'validate_callback' => [$this, 'validate_visitors_per_month'],
+        'description' => __('Number of visitors per month, used for yearly projections', 'carbonfooter')
+      ],
+      'pageview_counter' => [
+        'required' => false,
+        'sanitize_callback' => 'rest_sanitize_boolean',
+        'description' => __('Count page views (without cookies) to weight emissions by real traffic', 'carbonfooter')
+      ],
+      'budgets' => [
+        'required' => false,
+        'sanitize_callback' => [Budgets::class, 'sanitize'],
+        'validate_callback' => [$this, 'validate_budgets'],
+        'description' => __('Emission budgets: site-wide grams CO2 per visit and bytes, with overrides per post type', 'carbonfooter')
+      ],
+      'prepublish_threshold' => [
+        'required' => false,
+        'sanitize_callback' => 'absint',
+        'validate_callback' => [$this, 'validate_prepublish_threshold'],
+        'description' => __('Percentage above the budget or site average at which the pre-publish check warns', 'carbonfooter')
       ]
     ];
   }
@@ -188,7 +792,8 @@ class RestApiHandler
    * - Updates options only for provided params
    * - Returns merged success payload including the latest settings snapshot
    *
-   * Parameters (optional): background_color, text_color, display_setting, widget_style
+   * Parameters (optional): background_color, text_color, display_setting, widget_style,
+   * pages_per_visit, visitors_per_month, pageview_counter, budgets, prepublish_threshold
    * Returns: `{ success: true, ...settings }` on success or WP_Error on failure
    *
    * @param \WP_REST_Request $request Request object
@@ -202,7 +807,12 @@ class RestApiHandler
         'background_color' => Constants::OPTION_WIDGET_BACKGROUND_COLOR,
         'text_color' => Constants::OPTION_WIDGET_TEXT_COLOR,
         'display_setting' => Constants::OPTION_DISPLAY_SETTING,
-        'widget_style' => Constants::OPTION_WIDGET_STYLE
+        'widget_style' => Constants::OPTION_WIDGET_STYLE,
+        'pages_per_visit' => Constants::OPTION_PAGES_PER_VISIT,
+        'visitors_per_month' => Constants::OPTION_VISITORS_PER_MONTH,
+        'pageview_counter' => Constants::OPTION_PAGEVIEW_COUNTER,
+        'budgets' => Constants::OPTION_BUDGETS,
+        'prepublish_threshold' => Constants::OPTION_PREPUBLISH_THRESHOLD
       ];
 
       foreach ($settings_to_update as $param_key => $option_key) {
@@ -222,6 +832,11 @@ class RestApiHandler
         );
       }
 
+      // Cached page lists carry over-budget flags
+      if (isset($updated_settings['budgets'])) {
+        (new Cache())->clear_all();
+      }
+
       Logger::log('Settings updated via REST API', [
         'user_id' => get_current_user_id(),
         'updated_settings' => $updated_settings
@@ -244,59 +859,852 @@ class RestApiHandler
   }
 
   /**
-   * Get current plugin settings.
-   *
-   * Returns a normalized map of setting keys to values, applying defaults
-   * from `Constants` when options are not set.
+   * Handle GET history request.
    *
-   * @return array{background_color:string,text_color:string,display_setting:string,widget_style:string}
-   */
-  private function get_current_settings(): array
-  {
-    return [
-      'background_color' => get_option(Constants::OPTION_WIDGET_BACKGROUND_COLOR, Constants::DEFAULT_BACKGROUND_COLOR),
-      'text_color' => get_option(Constants::OPTION_WIDGET_TEXT_COLOR, Constants::DEFAULT_TEXT_COLOR),
-      'display_setting' => get_option(Constants::OPTION_DISPLAY_SETTING, Constants::DEFAULT_DISPLAY_SETTING),
-      'widget_style' => get_option(Constants::OPTION_WIDGET_STYLE, Constants::DEFAULT_WIDGET_STYLE)
-    ];
-  }
-
-  /**
-   * Permission callback for settings routes.
+   * Returns the post's measurements oldest first together with the change
+   * between the last two, so clients can render a trend without recomputing.
    *
-   * Security:
-   * - Restricts settings read/write to administrators (or roles with `manage_options`).
+   * Returns: `{ post_id, title, history: [{ date, value }], latest, delta }`
    *
-   * @return bool True if current user can manage options
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
    */
-  public function check_manage_options_permission(): bool
+  public function handle_get_history_request(\WP_REST_Request $request)
   {
-    return current_user_can('manage_options');
+    $post_id = (int) $request->get_param('id');
+    $post = get_post($post_id);
+
+    if (!$post) {
+      return new \WP_Error(
+        'carbonfooter_invalid_post',
+        __('Invalid post ID', 'carbonfooter'),
+        ['status' => 404]
+      );
+    }
+
+    $history = Emissions_History::get_post_history($post_id);
+    $latest = empty($history) ? null : end($history);
+
+    return rest_ensure_response([
+      'post_id' => $post_id,
+      'title' => get_the_title($post),
+      'history' => $history,
+      'latest' => $latest,
+      'delta' => Emissions_History::get_delta($history)
+    ]);
   }
 
   /**
-   * Validate a hex color value for REST params.
+   * Handle GET timeline request.
    *
-   * Accepts empty values to allow partial updates where a parameter is omitted.
+   * Aggregates every published post's history into buckets for the requested
+   * range. With `compare`, the preceding range of the same length is
+   * aggregated too and the percentage change between both summaries added.
    *
-   * @param string            $value   Color value to validate (e.g. #000 or #000000)
-   * @param \WP_REST_Request $request Request object (unused)
-   * @param string            $param   Parameter name, used in error message
-   * @return bool|\WP_Error True if valid or empty, WP_Error with message if invalid
+   * Returns: `{ interval, start, end, current: { series, summary }, previous, change }`
+   * where `previous`/`change` are null unless `compare` is set. Ranges longer
+   * than `Constants::MAX_TIMELINE_DAYS` are rejected.
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
    */
-  public function validate_hex_color($value, \WP_REST_Request $request, string $param)
+  public function handle_get_timeline_request(\WP_REST_Request $request)
   {
-    if (empty($value)) {
-      return true; // Allow empty values
+    $interval = (string) $request->get_param('interval');
+    $end_date = $request->get_param('end') ?: current_time('Y-m-d');
+    $start_date = $request->get_param('start') ?: gmdate('Y-m-d', strtotime($end_date . ' -90 days'));
+
+    // History dates are site-local without a zone; treat both sides as UTC
+    $start = strtotime($start_date . ' 00:00:00 UTC');
+    $end = strtotime($end_date . ' 23:59:59 UTC');
+
+    if ($start > $end) {
+      return new \WP_Error(
+        'carbonfooter_invalid_range',
+        __('Start date must be before end date', 'carbonfooter'),
+        ['status' => 400]
+      );
     }
 
-    if (!preg_match('/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/', $value)) {
+    // Every bucket in the range is built, even without history in it
+    if ($end - $start >= Constants::MAX_TIMELINE_DAYS * DAY_IN_SECONDS) {
+      return new \WP_Error(
+        'carbonfooter_range_too_long',
+        sprintf(
+          /* translators: %d: maximum number of days */
+          __('The date range cannot be longer than %d days', 'carbonfooter'),
+          Constants::MAX_TIMELINE_DAYS
+        ),
+        ['status' => 400]
+      );
+    }
+
+    $histories = Emissions_History::get_all_histories();
+    $current = Emissions_History::build_timeline($histories, $interval, $start, $end);
+
+    $previous = null;
+    $change = null;
+
+    if ($request->get_param('compare')) {
+      $length = $end - $start + 1;
+      $previous_start = $start - $length;
+      $previous_end = $start - 1;
+
+      $previous = array_merge(
+        [
+          'start' => gmdate('Y-m-d', $previous_start),
+          'end' => gmdate('Y-m-d', $previous_end),
+        ],
+        Emissions_History::build_timeline($histories, $interval, $previous_start, $previous_end)
+      );
+
+      $change = [
+        'average' => Emissions_History::percentage_change($current['summary']['average'], $previous['summary']['average']),
+        'measured' => Emissions_History::percentage_change($current['summary']['measured'], $previous['summary']['measured']),
+      ];
+    }
+
+    return rest_ensure_response([
+      'interval' => $interval,
+      'start' => $start_date,
+      'end' => $end_date,
+      'current' => $current,
+      'previous' => $previous,
+      'change' => $change
+    ]);
+  }
+
+  /**
+   * Handle GET traffic import request.
+   *
+   * Returns: `{ imported: { imported_at, period_days, pages, views } | null }`
+   *
+   * @param \WP_REST_Request $request Request object (unused)
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_get_traffic_import_request(\WP_REST_Request $request)
+  {
+    return rest_ensure_response([
+      'imported' => Traffic_Import::get_details()
+    ]);
+  }
+
+  /**
+   * Handle POST traffic import request.
+   *
+   * Matches the rows to posts. Unless `dry_run` is set, the matched rows
+   * replace any earlier import and caches using traffic are cleared.
+   *
+   * Returns: `{ matched: [{ post_id, title, url, views }], unmatched: [{ url, views }],
+   * matched_rows, unmatched_rows, imported }` where `imported` is null on a dry run.
+   * `matched` sums rows of the same page; the row counts do not.
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_traffic_import_request(\WP_REST_Request $request)
+  {
+    $result = Traffic_Import::match_rows($request->get_param('rows'));
+    $imported = null;
+
+    if (!$request->get_param('dry_run')) {
+      if (empty($result['matched'])) {
+        return new \WP_Error(
+          'carbonfooter_nothing_to_import',
+          __('None of the rows match a published page on this site', 'carbonfooter'),
+          ['status' => 400]
+        );
+      }
+
+      $imported = Traffic_Import::import($result['matched'], (int) $request->get_param('period_days'));
+      Pageview_Counter::refresh_yearly_views();
+      (new Cache())->clear_all();
+    }
+
+    return rest_ensure_response([
+      'matched' => $result['matched'],
+      'unmatched' => $result['unmatched'],
+      'matched_rows' => $result['matched_rows'],
+      'unmatched_rows' => count($result['unmatched']),
+      'imported' => $imported
+    ]);
+  }
+
+  /**
+   * Handle DELETE traffic import request.
+   *
+   * @param \WP_REST_Request $request Request object (unused)
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_delete_traffic_import_request(\WP_REST_Request $request)
+  {
+    Traffic_Import::clear();
+    Pageview_Counter::refresh_yearly_views();
+    (new Cache())->clear_all();
+
+    return rest_ensure_response([
+      'imported' => null
+    ]);
+  }
+
+  /**
+   * Handle GET urls request.
+   *
+   * Returns: `{ urls: [{ id, url, type, title, source, emissions, page_size, updated, history }] }`
+   *
+   * @param \WP_REST_Request $request Request object (unused)
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_get_urls_request(\WP_REST_Request $request)
+  {
+    return rest_ensure_response([
+      'urls' => Url_Registry::get_all()
+    ]);
+  }
+
+  /**
+   * Handle POST urls request.
+   *
+   * Returns: `{ url }`, the tracked URL
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_add_url_request(\WP_REST_Request $request)
+  {
+    $url = Url_Registry::add((string) $request->get_param('url'));
+    if (is_wp_error($url)) {
+      return $url;
+    }
+
+    return rest_ensure_response([
+      'url' => $url
+    ]);
+  }
+
+  /**
+   * Handle POST urls/sitemap request.
+   *
+   * Returns: `{ found, added, skipped }`
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_import_sitemap_request(\WP_REST_Request $request)
+  {
+    $result = Url_Registry::import_sitemap((string) $request->get_param('sitemap'));
+    if (is_wp_error($result)) {
+      return $result;
+    }
+
+    return rest_ensure_response($result);
+  }
+
+  /**
+   * Handle DELETE urls/<id> request.
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_delete_url_request(\WP_REST_Request $request)
+  {
+    if (!Url_Registry::remove((int) $request->get_param('id'))) {
+      return new \WP_Error(
+        'carbonfooter_url_not_found',
+        __('This URL is not tracked', 'carbonfooter'),
+        ['status' => 404]
+      );
+    }
+
+    return rest_ensure_response([
+      'deleted' => true
+    ]);
+  }
+
+  /**
+   * Handle POST urls/<id>/measure request.
+   *
+   * Returns: `{ status: 'completed'|'in_progress', emissions, formatted, message? }`
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_measure_url_request(\WP_REST_Request $request)
+  {
+    $result = $this->data_manager->measure_url((int) $request->get_param('id'));
+    if (is_wp_error($result)) {
+      return $result;
+    }
+
+    return rest_ensure_response($result);
+  }
+
+  /**
+   * Handle GET pages request.
+   *
+   * Returns: `{ pages, total, total_pages, page, per_page, post_types: [{ name, label }] }`
+   * where `post_types` lists the public post types available as filter.
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_get_pages_request(\WP_REST_Request $request)
+  {
+    $result = Database_Optimizer::query_measured_pages([
+      'page' => $request->get_param('page'),
+      'per_page' => $request->get_param('per_page'),
+      'orderby' => $request->get_param('orderby'),
+      'order' => $request->get_param('order'),
+      'post_type' => $request->get_param('post_type'),
+      'start' => $request->get_param('start'),
+      'end' => $request->get_param('end'),
+      'search' => $request->get_param('search'),
+      'over_budget' => $request->get_param('over_budget'),
+    ]);
+
+    $result['post_types'] = [];
+    foreach ($this->get_public_post_types() as $name => $post_type) {
+      $result['post_types'][] = [
+        'name' => $name,
+        'label' => $post_type->labels->singular_name,
+      ];
+    }
+
+    return rest_ensure_response($result);
+  }
+
+  /**
+   * Handle GET pages/resources request.
+   *
+   * Returns: `{ type, metric, pages }`, see `Database_Optimizer::get_resource_leaderboard()`
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_get_resource_leaderboard_request(\WP_REST_Request $request)
+  {
+    $type = (string) $request->get_param('type');
+    $metric = (string) $request->get_param('metric');
+
+    return rest_ensure_response([
+      'type' => $type,
+      'metric' => $metric,
+      'pages' => Database_Optimizer::get_resource_leaderboard($type, $metric, (int) $request->get_param('limit')),
+    ]);
+  }
+
+  /**
+   * Handle GET pages/<id> request.
+   *
+   * Returns: see `Database_Optimizer::get_page_detail()`, plus `stale`: whether
+   * the cached measurement is due for a refresh, null when never measured
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_get_page_request(\WP_REST_Request $request)
+  {
+    $post_id = (int) $request->get_param('id');
+    $detail = Database_Optimizer::get_page_detail($post_id);
+
+    if ($detail === null) {
+      return new \WP_Error(
+        'carbonfooter_invalid_post',
+        __('Invalid post ID', 'carbonfooter'),
+        ['status' => 404]
+      );
+    }
+
+    $detail['stale'] = $detail['emissions'] === null
+      ? null
+      : $this->cache_manager->is_stale($this->emissions_handler->get_post_payload($post_id));
+
+    return rest_ensure_response($detail);
+  }
+
+  /**
+   * Handle GET batch request.
+   *
+   * Polling this endpoint also keeps a running job moving (see
+   * `Batch_Processor::keep_alive()`).
+   *
+   * Returns: `{ job: { status, total, counts, progress, items, ... } | null }`
+   *
+   * @param \WP_REST_Request $request Request object (unused)
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_get_batch_request(\WP_REST_Request $request)
+  {
+    Batch_Processor::keep_alive();
+
+    return rest_ensure_response([
+      'job' => Batch_Processor::get_status()
+    ]);
+  }
+
+  /**
+   * Handle POST batch request.
+   *
+   * Queues every published page and tracked URL without measurement.
+   *
+   * @param \WP_REST_Request $request Request object (unused)
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_start_batch_request(\WP_REST_Request $request)
+  {
+    if (!get_option(Constants::OPTION_DATA_COLLECTION_ENABLED, Constants::DEFAULT_DATA_COLLECTION_ENABLED)) {
+      return new \WP_Error(
+        'carbonfooter_data_collection_disabled',
+        __('Data collection is disabled in privacy settings', 'carbonfooter'),
+        ['status' => 400]
+      );
+    }
+
+    $post_ids = array_merge(Database_Optimizer::get_untested_post_ids(), Url_Registry::get_unmeasured_item_keys());
+    if (empty($post_ids)) {
+      return new \WP_Error(
+        'carbonfooter_nothing_to_measure',
+        __('All pages have been tested for emissions', 'carbonfooter'),
+        ['status' => 400]
+      );
+    }
+
+    $job = Batch_Processor::start($post_ids);
+    if (is_wp_error($job)) {
+      return $job;
+    }
+
+    return rest_ensure_response([
+      'job' => $job
+    ]);
+  }
+
+  /**
+   * Handle POST batch control request.
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_control_batch_request(\WP_REST_Request $request)
+  {
+    $job = Batch_Processor::control((string) $request->get_param('action'));
+    if (is_wp_error($job)) {
+      return $job;
+    }
+
+    return rest_ensure_response([
+      'job' => $job
+    ]);
+  }
+
+  /**
+   * Handle GET stats request.
+   *
+   * Returns site-wide stats from `Emissions::get_site_stats()`.
+   *
+   * @param \WP_REST_Request $request Request object (unused)
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_get_stats_request(\WP_REST_Request $request)
+  {
+    return rest_ensure_response($this->emissions_handler->get_site_stats());
+  }
+
+  /**
+   * Handle GET heaviest pages request.
+   *
+   * Returns: pages ordered descending by the chosen metric (see
+   * `Database_Optimizer::get_heaviest_pages()`).
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_get_heaviest_pages_request(\WP_REST_Request $request)
+  {
+    return rest_ensure_response(Database_Optimizer::get_heaviest_pages(
+      (int) $request->get_param('limit'),
+      (string) $request->get_param('orderby')
+    ));
+  }
+
+  /**
+   * Handle GET untested pages request.
+   *
+   * Returns: `{ <post type>: { label, pages: [...] } }`
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_get_untested_pages_request(\WP_REST_Request $request)
+  {
+    return rest_ensure_response(Database_Optimizer::get_untested_pages((int) $request->get_param('limit')));
+  }
+
+  /**
+   * Handle POST measure request.
+   *
+   * Returns: `{ status: 'completed'|'in_progress', emissions, formatted, message? }`
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_measure_request(\WP_REST_Request $request)
+  {
+    $result = $this->data_manager->measure_post((int) $request->get_param('id'));
+    if (is_wp_error($result)) {
+      return $result;
+    }
+
+    return rest_ensure_response($result);
+  }
+
+  /**
+   * Handle GET measure request.
+   *
+   * Returns: `{ phase: 'queued'|'fetching'|'storing'|null }`, null when no
+   * measurement of the post (or, without `id`, the front page) is running
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_get_measure_phase_request(\WP_REST_Request $request)
+  {
+    $id = $request->get_param('id');
+
+    return rest_ensure_response([
+      'phase' => $this->data_manager->get_measure_phase($id === null ? 'home' : (int) $id),
+    ]);
+  }
+
+  /**
+   * Handle POST measure preview request.
+   *
+   * Returns: `{ status: 'completed', emissions, page_size, formatted, threshold, reference,
+   * reference_emissions, reference_page_size, exceeded, is_heavy }` or `{ status: 'in_progress', ... }`
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_measure_preview_request(\WP_REST_Request $request)
+  {
+    $result = $this->data_manager->measure_preview((int) $request->get_param('id'));
+    if (is_wp_error($result)) {
+      return $result;
+    }
+
+    return rest_ensure_response($result);
+  }
+
+  /**
+   * Handle POST measure home request.
+   *
+   * Returns: `{ status: 'completed'|'in_progress', emissions, formatted, fallback?, message? }`
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_measure_home_request(\WP_REST_Request $request)
+  {
+    $result = $this->data_manager->measure_home();
+    if (is_wp_error($result)) {
+      return $result;
+    }
+
+    return rest_ensure_response($result);
+  }
+
+  /**
+   * Handle GET export request.
+   *
+   * Returns: `{ data, format, filename, message }` where `data` is a list of
+   * `{ ID, post_title, slug, post_type, url, page_size, updated, emissions, history }`
+   * for JSON, or the file contents for CSV
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_export_request(\WP_REST_Request $request)
+  {
+    $result = $this->data_manager->export_history([
+      'format' => $request->get_param('format'),
+      'post_type' => $request->get_param('post_type'),
+      'start' => $request->get_param('start'),
+      'end' => $request->get_param('end'),
+    ]);
+    if (is_wp_error($result)) {
+      return $result;
+    }
+
+    return rest_ensure_response($result);
+  }
+
+  /**
+   * Handle POST import request.
+   *
+   * Matches the entries to posts. Unless `dry_run` is set, their history is
+   * merged into the stored history and caches are cleared.
+   *
+   * Returns: `{ merged: [{ index, source_id, source_title, post_id, title, matched_by, new_entries, updates_current }],
+   * skipped: [{ index, source_id, source_title, reason }], imported }` where `imported` is null on a dry run.
+   *
+   * @param \WP_REST_Request $request Request object
+   * @return \WP_REST_Response|\WP_Error Response object
+   */
+  public function handle_import_request(\WP_REST_Request $request)
+  {
+    $entries = $request->get_param('entries');
+
+    if ($request->get_param('dry_run')) {
+      return rest_ensure_response(History_Import::plan($entries) + ['imported' => null]);
+    }
+
+    $result = History_Import::import($entries);
+    if ($result['imported']['posts'] === 0) {
+      return new \WP_Error(
+        'carbonfooter_nothing_to_import',
+        __('None of the entries can be merged into this site', 'carbonfooter'),
+        ['status' => 400]
+      );
+    }
+
+    (new Cache())->clear_all();
+
+    return rest_ensure_response($result);
+  }
+
+  /**
+   * Handle DELETE data request.
+   *
+   * Returns: `{ message, deleted_count, cache_cleared }`
+   *
+   * @param \WP_REST_Request $request Request object (unused)
+   * @return \WP_REST_Response Response object
+   */
+  public function handle_clear_data_request(\WP_REST_Request $request)
+  {
+    return rest_ensure_response($this->data_manager->clear_all_data());
+  }
+
+  /**
+   * Get current plugin settings.
+   *
+   * Returns a normalized map of setting keys to values, applying defaults
+   * from `Constants` when options are not set.
+   *
+   * @return array{background_color:string,text_color:string,display_setting:string,widget_style:string,pages_per_visit:float,visitors_per_month:int,pageview_counter:bool,budgets:array,prepublish_threshold:int}
+   */
+  private function get_current_settings(): array
+  {
+    $traffic_model = Helpers::get_traffic_model();
+
+    return [
+      'background_color' => get_option(Constants::OPTION_WIDGET_BACKGROUND_COLOR, Constants::DEFAULT_BACKGROUND_COLOR),
+      'text_color' => get_option(Constants::OPTION_WIDGET_TEXT_COLOR, Constants::DEFAULT_TEXT_COLOR),
+      'display_setting' => get_option(Constants::OPTION_DISPLAY_SETTING, Constants::DEFAULT_DISPLAY_SETTING),
+      'widget_style' => get_option(Constants::OPTION_WIDGET_STYLE, Constants::DEFAULT_WIDGET_STYLE),
+      'pages_per_visit' => $traffic_model['pagesPerVisit'],
+      'visitors_per_month' => $traffic_model['visitorsPerMonth'],
+      'pageview_counter' => Pageview_Counter::is_enabled(),
+      'budgets' => Budgets::get(),
+      'prepublish_threshold' => (int) get_option(Constants::OPTION_PREPUBLISH_THRESHOLD, Constants::DEFAULT_PREPUBLISH_THRESHOLD)
+    ];
+  }
+
+  /**
+   * Get public post types that can be measured.
+   *
+   * @return array<string, \WP_Post_Type> Post type objects keyed by name
+   */
+  private function get_public_post_types(): array
+  {
+    $post_types = get_post_types(['public' => true], 'objects');
+    unset($post_types['attachment']);
+
+    return $post_types;
+  }
+
+  /**
+   * Permission callback for settings routes.
+   *
+   * Security:
+   * - Restricts settings read/write to administrators (or roles with `manage_options`).
+   *
+   * @return bool True if current user can manage options
+   */
+  public function check_manage_options_permission(): bool
+  {
+    return current_user_can('manage_options');
+  }
+
+  /**
+   * Permission callback for per-post routes.
+   *
+   * Security:
+   * - Allows anyone who can edit the requested post, so editors can read
+   *   data about their own content without `manage_options`.
+   *
+   * @param \WP_REST_Request $request Request object carrying the `id` route param
+   * @return bool True if current user can edit the post
+   */
+  public function check_edit_post_permission(\WP_REST_Request $request): bool
+  {
+    return current_user_can('edit_post', (int) $request->get_param('id'));
+  }
+
+  /**
+   * Validate a hex color value for REST params.
+   *
+   * Accepts empty values to allow partial updates where a parameter is omitted.
+   *
+   * @param string            $value   Color value to validate (e.g. #000 or #000000)
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid or empty, WP_Error with message if invalid
+   */
+  public function validate_hex_color($value, \WP_REST_Request $request, string $param)
+  {
+    if (empty($value)) {
+      return true; // Allow empty values
+    }
+
+    if (!preg_match('/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/', $value)) {
       return new \WP_Error(
         'carbonfooter_invalid_color',
         sprintf(
-          /* translators: %s is the parameter name that has an invalid hex color. */
-          __('Invalid hex color format for %s', 'carbonfooter'),
-          $param
+          /* translators: %s is the parameter name that has an invalid hex color. */
+          __('Invalid hex color format for %s', 'carbonfooter'),
+          $param
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate the display setting REST parameter.
+   *
+   * Allowed values: 'auto', 'shortcode'. Empty is allowed to support partial updates.
+   *
+   * @param string            $value   Display setting value to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name
+   * @return bool|\WP_Error True if valid or empty, WP_Error with allowed list if invalid
+   */
+  public function validate_display_setting($value, \WP_REST_Request $request, string $param)
+  {
+    if (empty($value)) {
+      return true; // Allow empty values
+    }
+
+    $valid_settings = ['auto', 'shortcode'];
+
+    if (!in_array($value, $valid_settings, true)) {
+      return new \WP_Error(
+        'carbonfooter_invalid_display_setting',
+        sprintf(
+          /* translators: %s is a comma-separated list of allowed display settings. */
+          __('Invalid display setting. Must be one of: %s', 'carbonfooter'),
+          implode(', ', $valid_settings)
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate the widget style REST parameter.
+   *
+   * Allowed values: 'minimal', 'full', 'sticker'. Empty is allowed to support partial updates.
+   *
+   * @param string            $value   Widget style value to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name
+   * @return bool|\WP_Error True if valid or empty, WP_Error with allowed list if invalid
+   */
+  public function validate_widget_style($value, \WP_REST_Request $request, string $param)
+  {
+    if (empty($value)) {
+      return true; // Allow empty values
+    }
+
+    $valid_styles = ['minimal', 'full', 'sticker'];
+
+    if (!in_array($value, $valid_styles, true)) {
+      return new \WP_Error(
+        'carbonfooter_invalid_widget_style',
+        sprintf(
+          /* translators: %s is a comma-separated list of allowed widget styles. */
+          __('Invalid widget style. Must be one of: %s', 'carbonfooter'),
+          implode(', ', $valid_styles)
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate the pages-per-visit REST parameter.
+   *
+   * Must be a number within the supported range. Empty is allowed to support partial updates.
+   *
+   * @param mixed             $value   Pages per visit to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid or empty, WP_Error with range if invalid
+   */
+  public function validate_pages_per_visit($value, \WP_REST_Request $request, string $param)
+  {
+    if ($value === null || $value === '') {
+      return true; // Allow empty values
+    }
+
+    if (!is_numeric($value) || $value < Constants::MIN_PAGES_PER_VISIT || $value > Constants::MAX_PAGES_PER_VISIT) {
+      return new \WP_Error(
+        'carbonfooter_invalid_traffic_setting',
+        sprintf(
+          /* translators: 1: parameter name, 2: minimum value, 3: maximum value. */
+          __('%1$s must be a number between %2$s and %3$s', 'carbonfooter'),
+          $param,
+          Constants::MIN_PAGES_PER_VISIT,
+          Constants::MAX_PAGES_PER_VISIT
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate the visitors-per-month REST parameter.
+   *
+   * Must be a positive whole number. Empty is allowed to support partial updates.
+   *
+   * @param mixed             $value   Visitors per month to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid or empty, WP_Error with range if invalid
+   */
+  public function validate_visitors_per_month($value, \WP_REST_Request $request, string $param)
+  {
+    if ($value === null || $value === '') {
+      return true; // Allow empty values
+    }
+
+    if (filter_var($value, FILTER_VALIDATE_INT) === false || $value < 1 || $value > Constants::MAX_VISITORS_PER_MONTH) {
+      return new \WP_Error(
+        'carbonfooter_invalid_traffic_setting',
+        sprintf(
+          /* translators: 1: parameter name, 2: maximum value. */
+          __('%1$s must be a whole number between 1 and %2$s', 'carbonfooter'),
+          $param,
+          number_format_i18n(Constants::MAX_VISITORS_PER_MONTH)
         ),
         ['status' => 400]
       );
@@ -306,30 +1714,141 @@ class RestApiHandler
   }
 
   /**
-   * Validate the display setting REST parameter.
+   * Validate the pre-publish threshold REST parameter.
    *
-   * Allowed values: 'auto', 'shortcode'. Empty is allowed to support partial updates.
+   * Must be a whole percentage within the supported range. Empty is allowed to support partial updates.
    *
-   * @param string            $value   Display setting value to validate
+   * @param mixed             $value   Threshold to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid or empty, WP_Error with range if invalid
+   */
+  public function validate_prepublish_threshold($value, \WP_REST_Request $request, string $param)
+  {
+    if ($value === null || $value === '') {
+      return true; // Allow empty values
+    }
+
+    if (filter_var($value, FILTER_VALIDATE_INT) === false || $value < 0 || $value > Constants::MAX_PREPUBLISH_THRESHOLD) {
+      return new \WP_Error(
+        'carbonfooter_invalid_prepublish_threshold',
+        sprintf(
+          /* translators: 1: parameter name, 2: maximum value. */
+          __('%1$s must be a whole number between 0 and %2$s', 'carbonfooter'),
+          $param,
+          number_format_i18n(Constants::MAX_PREPUBLISH_THRESHOLD)
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate the timeline interval REST parameter.
+   *
+   * @param string            $value   Interval value to validate
    * @param \WP_REST_Request $request Request object (unused)
    * @param string            $param   Parameter name
-   * @return bool|\WP_Error True if valid or empty, WP_Error with allowed list if invalid
+   * @return bool|\WP_Error True if valid, WP_Error with allowed list if invalid
    */
-  public function validate_display_setting($value, \WP_REST_Request $request, string $param)
+  public function validate_timeline_interval($value, \WP_REST_Request $request, string $param)
+  {
+    if (!in_array($value, Emissions_History::INTERVALS, true)) {
+      return new \WP_Error(
+        'carbonfooter_invalid_interval',
+        sprintf(
+          /* translators: %s is a comma-separated list of allowed intervals. */
+          __('Invalid interval. Must be one of: %s', 'carbonfooter'),
+          implode(', ', Emissions_History::INTERVALS)
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a `YYYY-MM-DD` date REST parameter.
+   *
+   * Empty is allowed so the handler can apply its defaults.
+   *
+   * @param string            $value   Date value to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid or empty, WP_Error with message if invalid
+   */
+  public function validate_date($value, \WP_REST_Request $request, string $param)
   {
     if (empty($value)) {
       return true; // Allow empty values
     }
 
-    $valid_settings = ['auto', 'shortcode'];
+    $parts = explode('-', (string) $value);
+    if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $value) || !checkdate((int) $parts[1], (int) $parts[2], (int) $parts[0])) {
+      return new \WP_Error(
+        'carbonfooter_invalid_date',
+        sprintf(
+          /* translators: %s is the parameter name that has an invalid date. */
+          __('Invalid date for %s, expected YYYY-MM-DD', 'carbonfooter'),
+          $param
+        ),
+        ['status' => 400]
+      );
+    }
 
-    if (!in_array($value, $valid_settings, true)) {
+    return true;
+  }
+
+  /**
+   * Sanitize exported traffic rows.
+   *
+   * Keeps only `url` and `views` of each row; anything else is dropped.
+   *
+   * @param mixed $value Raw rows
+   * @return array List of `['url' => string, 'views' => int]`
+   */
+  public function sanitize_traffic_rows($value): array
+  {
+    if (!is_array($value)) {
+      return [];
+    }
+
+    $rows = [];
+    foreach ($value as $row) {
+      if (!is_array($row)) {
+        continue;
+      }
+
+      $rows[] = [
+        'url' => sanitize_text_field((string) ($row['url'] ?? '')),
+        'views' => absint($row['views'] ?? 0),
+      ];
+    }
+
+    return $rows;
+  }
+
+  /**
+   * Validate exported traffic rows.
+   *
+   * @param mixed             $value   Rows to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid, WP_Error with message if invalid
+   */
+  public function validate_traffic_rows($value, \WP_REST_Request $request, string $param)
+  {
+    if (!is_array($value) || empty($value) || count($value) > Constants::MAX_TRAFFIC_IMPORT_ROWS) {
       return new \WP_Error(
-        'carbonfooter_invalid_display_setting',
+        'carbonfooter_invalid_traffic_rows',
         sprintf(
-          /* translators: %s is a comma-separated list of allowed display settings. */
-          __('Invalid display setting. Must be one of: %s', 'carbonfooter'),
-          implode(', ', $valid_settings)
+          /* translators: 1: parameter name, 2: maximum number of rows. */
+          __('%1$s must be a list of 1 to %2$s rows', 'carbonfooter'),
+          $param,
+          number_format_i18n(Constants::MAX_TRAFFIC_IMPORT_ROWS)
         ),
         ['status' => 400]
       );
@@ -339,30 +1858,302 @@ class RestApiHandler
   }
 
   /**
-   * Validate the widget style REST parameter.
+   * Validate emission budgets.
    *
-   * Allowed values: 'minimal', 'full', 'sticker'. Empty is allowed to support partial updates.
+   * Limits must be non-negative numbers; empty or zero means "no limit".
+   * Overrides must target public post types.
    *
-   * @param string            $value   Widget style value to validate
+   * @param mixed             $value   Budgets to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid, WP_Error with message if invalid
+   */
+  public function validate_budgets($value, \WP_REST_Request $request, string $param)
+  {
+    $error = new \WP_Error(
+      'carbonfooter_invalid_budgets',
+      sprintf(
+        /* translators: %s is the parameter name. */
+        __('%s must contain non-negative limits for public post types', 'carbonfooter'),
+        $param
+      ),
+      ['status' => 400]
+    );
+
+    if (!is_array($value)) {
+      return $error;
+    }
+
+    $limits = [$value];
+    $post_types = $value['post_types'] ?? [];
+    if (!is_array($post_types) || array_diff_key($post_types, $this->get_public_post_types())) {
+      return $error;
+    }
+    foreach ($post_types as $post_type_limits) {
+      if (!is_array($post_type_limits)) {
+        return $error;
+      }
+      $limits[] = $post_type_limits;
+    }
+
+    foreach ($limits as $limit) {
+      foreach (['emissions', 'page_size'] as $key) {
+        $number = $limit[$key] ?? null;
+        if ($number !== null && $number !== '' && (!is_numeric($number) || $number < 0)) {
+          return $error;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate the entries of a JSON export.
+   *
+   * Only the shape of the list is checked here; `History_Import` validates
+   * each entry and reports the ones it skips.
+   *
+   * @param mixed             $value   Entries to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid, WP_Error with message if invalid
+   */
+  public function validate_import_entries($value, \WP_REST_Request $request, string $param)
+  {
+    if (!is_array($value) || empty($value) || count($value) > Constants::MAX_HISTORY_IMPORT_ENTRIES) {
+      return new \WP_Error(
+        'carbonfooter_invalid_import',
+        sprintf(
+          /* translators: 1: parameter name, 2: maximum number of entries. */
+          __('%1$s must be a list of 1 to %2$s entries', 'carbonfooter'),
+          $param,
+          number_format_i18n(Constants::MAX_HISTORY_IMPORT_ENTRIES)
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate the number of days a traffic export covers.
+   *
+   * @param mixed             $value   Number of days to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid, WP_Error with range if invalid
+   */
+  public function validate_period_days($value, \WP_REST_Request $request, string $param)
+  {
+    if (filter_var($value, FILTER_VALIDATE_INT) === false || $value < 1 || $value > Constants::MAX_TRAFFIC_IMPORT_DAYS) {
+      return new \WP_Error(
+        'carbonfooter_invalid_period',
+        sprintf(
+          /* translators: 1: parameter name, 2: maximum number of days. */
+          __('%1$s must be a whole number of days between 1 and %2$s', 'carbonfooter'),
+          $param,
+          Constants::MAX_TRAFFIC_IMPORT_DAYS
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate the results page size REST parameter.
+   *
+   * @param mixed             $value   Page size to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid, WP_Error with range if invalid
+   */
+  public function validate_per_page($value, \WP_REST_Request $request, string $param)
+  {
+    if (filter_var($value, FILTER_VALIDATE_INT) === false || $value < 1 || $value > Constants::MAX_RESULTS_PER_PAGE) {
+      return new \WP_Error(
+        'carbonfooter_invalid_per_page',
+        sprintf(
+          /* translators: 1: parameter name, 2: maximum page size. */
+          __('%1$s must be a whole number between 1 and %2$s', 'carbonfooter'),
+          $param,
+          Constants::MAX_RESULTS_PER_PAGE
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate the results sort key REST parameter.
+   *
+   * @param string            $value   Sort key to validate
    * @param \WP_REST_Request $request Request object (unused)
    * @param string            $param   Parameter name
-   * @return bool|\WP_Error True if valid or empty, WP_Error with allowed list if invalid
+   * @return bool|\WP_Error True if valid, WP_Error with allowed list if invalid
    */
-  public function validate_widget_style($value, \WP_REST_Request $request, string $param)
+  public function validate_results_orderby($value, \WP_REST_Request $request, string $param)
+  {
+    if (!in_array($value, Constants::RESULTS_ORDERBY, true)) {
+      return new \WP_Error(
+        'carbonfooter_invalid_orderby',
+        sprintf(
+          /* translators: %s is a comma-separated list of allowed sort keys. */
+          __('Invalid sort key. Must be one of: %s', 'carbonfooter'),
+          implode(', ', Constants::RESULTS_ORDERBY)
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a sort direction REST parameter.
+   *
+   * @param string            $value   Direction to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name
+   * @return bool|\WP_Error True if valid, WP_Error with message if invalid
+   */
+  public function validate_order($value, \WP_REST_Request $request, string $param)
+  {
+    if (!in_array(strtolower((string) $value), ['asc', 'desc'], true)) {
+      return new \WP_Error(
+        'carbonfooter_invalid_order',
+        __('Invalid sort direction. Must be one of: asc, desc', 'carbonfooter'),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate the export format REST parameter.
+   *
+   * @param string            $value   Format to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name
+   * @return bool|\WP_Error True if valid, WP_Error with allowed list if invalid
+   */
+  public function validate_export_format($value, \WP_REST_Request $request, string $param)
+  {
+    if (!in_array($value, Constants::EXPORT_FORMATS, true)) {
+      return new \WP_Error(
+        'carbonfooter_invalid_export_format',
+        sprintf(
+          /* translators: %s is a comma-separated list of formats. */
+          __('Invalid export format. Must be one of: %s', 'carbonfooter'),
+          implode(', ', Constants::EXPORT_FORMATS)
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a post type REST parameter.
+   *
+   * Empty is allowed to include all post types.
+   *
+   * @param string            $value   Post type to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name, used in error message
+   * @return bool|\WP_Error True if valid or empty, WP_Error with message if invalid
+   */
+  public function validate_post_type($value, \WP_REST_Request $request, string $param)
   {
     if (empty($value)) {
       return true; // Allow empty values
     }
 
-    $valid_styles = ['minimal', 'full', 'sticker'];
+    if (!array_key_exists($value, $this->get_public_post_types())) {
+      return new \WP_Error(
+        'carbonfooter_invalid_post_type',
+        sprintf(
+          /* translators: %s is the parameter name. */
+          __('%s must be a public post type', 'carbonfooter'),
+          $param
+        ),
+        ['status' => 400]
+      );
+    }
 
-    if (!in_array($value, $valid_styles, true)) {
+    return true;
+  }
+
+  /**
+   * Validate the heaviest pages sort key REST parameter.
+   *
+   * @param string            $value   Sort key to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name
+   * @return bool|\WP_Error True if valid, WP_Error with allowed list if invalid
+   */
+  public function validate_heaviest_orderby($value, \WP_REST_Request $request, string $param)
+  {
+    if (!in_array($value, ['emissions', 'impact'], true)) {
       return new \WP_Error(
-        'carbonfooter_invalid_widget_style',
+        'carbonfooter_invalid_orderby',
+        __('Invalid sort key. Must be one of: emissions, impact', 'carbonfooter'),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a resource type REST parameter.
+   *
+   * @param string            $value   Resource type to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name
+   * @return bool|\WP_Error True if valid, WP_Error with allowed list if invalid
+   */
+  public function validate_resource_type($value, \WP_REST_Request $request, string $param)
+  {
+    if (!in_array($value, Constants::RESOURCE_TYPES, true)) {
+      return new \WP_Error(
+        'carbonfooter_invalid_resource_type',
         sprintf(
-          /* translators: %s is a comma-separated list of allowed widget styles. */
-          __('Invalid widget style. Must be one of: %s', 'carbonfooter'),
-          implode(', ', $valid_styles)
+          /* translators: %s is a comma-separated list of allowed resource types. */
+          __('Invalid resource type. Must be one of: %s', 'carbonfooter'),
+          implode(', ', Constants::RESOURCE_TYPES)
+        ),
+        ['status' => 400]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a resource ranking metric REST parameter.
+   *
+   * @param string            $value   Metric to validate
+   * @param \WP_REST_Request $request Request object (unused)
+   * @param string            $param   Parameter name
+   * @return bool|\WP_Error True if valid, WP_Error with allowed list if invalid
+   */
+  public function validate_resource_metric($value, \WP_REST_Request $request, string $param)
+  {
+    if (!in_array($value, Constants::RESOURCE_METRICS, true)) {
+      return new \WP_Error(
+        'carbonfooter_invalid_resource_metric',
+        sprintf(
+          /* translators: %s is a comma-separated list of allowed metrics. */
+          __('Invalid metric. Must be one of: %s', 'carbonfooter'),
+          implode(', ', Constants::RESOURCE_METRICS)
         ),
         ['status' => 400]
       );
@@ -88,35 +88,83 @@ class Shortcodes
    * Returns a string to be used in a `style` attr to pass CSS custom props
    * (background/text colors) to the inline widget styles.
    *
+   * @param array $args Widget options from `get_widget_args()`
    * @return string CSS variables string
    */
-  private function get_common_css_vars()
+  private function get_common_css_vars(array $args)
   {
     return "
       --cf-container-width: 1200px;
-      --cf-color-background: " . esc_attr(get_option('carbonfooter_widget_background_color', '#000000')) . ";
-      --cf-color-foreground: " . esc_attr(get_option('carbonfooter_widget_text_color', '#FFFFFF')) . ";
+      --cf-color-background: " . esc_attr($args['background_color']) . ";
+      --cf-color-foreground: " . esc_attr($args['text_color']) . ";
     ";
   }
 
+  /**
+   * Get a unique element ID for one widget.
+   *
+   * A page can hold several widgets (shortcodes, blocks, the footer), so each
+   * gets its own ID to scope its inline styles and colors.
+   *
+   * @return string Element ID
+   */
+  private function get_widget_id(): string
+  {
+    return wp_unique_id('carbonfooter-');
+  }
+
+  /**
+   * Resolve the widget options of one placement.
+   *
+   * Options come from shortcode attributes or block attributes. Missing or
+   * invalid values fall back to the widget settings, so `[carbonfooter]`
+   * without attributes renders the configured widget.
+   *
+   * @param array $args Optional `style`, `background_color`, `text_color` and `source` (`page` or `site`)
+   * @return array{style:string,background_color:string,text_color:string,source:string} Widget options
+   */
+  private function get_widget_args(array $args): array
+  {
+    $defaults = array(
+      'style' => get_option(Constants::OPTION_WIDGET_STYLE, Constants::DEFAULT_WIDGET_STYLE),
+      'background_color' => get_option(Constants::OPTION_WIDGET_BACKGROUND_COLOR, Constants::DEFAULT_BACKGROUND_COLOR),
+      'text_color' => get_option(Constants::OPTION_WIDGET_TEXT_COLOR, Constants::DEFAULT_TEXT_COLOR),
+      'source' => 'page',
+    );
+    $args = shortcode_atts($defaults, $args, 'carbonfooter');
+
+    if (!in_array($args['style'], Constants::WIDGET_STYLES, true)) {
+      $args['style'] = $defaults['style'];
+    }
+    if (!in_array($args['source'], Constants::WIDGET_SOURCES, true)) {
+      $args['source'] = $defaults['source'];
+    }
+    foreach (array('background_color', 'text_color') as $key) {
+      $args[$key] = sanitize_hex_color((string) $args[$key]) ?: $defaults[$key];
+    }
+
+    return $args;
+  }
+
   /**
    * Get minimal widget styles.
    *
    * Inline CSS limited to the widget scope. Consumers are encouraged to
    * override via CSS variables.
    *
+   * @param string $id Element ID of the widget, see `get_widget_id()`
    * @return string Style tag markup
    */
-  private function get_minimal_styles()
+  private function get_minimal_styles(string $id)
   {
     return "<style>
-      .cf-minimal {
+      #{$id} .cf-minimal {
         background-color: var(--cf-color-background);
         color: var(--cf-color-foreground);
         padding: 8px 0 16px;
         font-size: 14px;
       }
-      .cf-minimal__content {
+      #{$id} .cf-minimal__content {
         display: flex;
         justify-content: center;
         text-align: center;
@@ -124,24 +172,24 @@ class Shortcodes
         max-width: 900px;
         margin: 0 auto;
       }
-      .cf-minimal__text {
+      #{$id} .cf-minimal__text {
         font-size: 14px;
       }
-      .cf-minimal__text a {
+      #{$id} .cf-minimal__text a {
         color: var(--cf-color-foreground);
       }
-      .cf-minimal__value {
+      #{$id} .cf-minimal__value {
         font-weight: bold;
       }
-      .cf-minimal__link {
+      #{$id} .cf-minimal__link {
         display: inline-flex;
         align-items: baseline;
         gap: 4px;
       }
-      .cf-minimal__link:hover {
+      #{$id} .cf-minimal__link:hover {
         text-decoration: underline;
       }
-      .cf-minimal__link-icon {
+      #{$id} .cf-minimal__link-icon {
         --icon-size: 24px;
         width: var(--icon-size);
         height: var(--icon-size);
@@ -152,12 +200,13 @@ class Shortcodes
   /**
    * Get sticker widget styles.
    *
+   * @param string $id Element ID of the widget, see `get_widget_id()`
    * @return string Style tag markup
    */
-  private function get_sticker_styles()
+  private function get_sticker_styles(string $id)
   {
     return "<style>
-      .cf-sticker {
+      #{$id} .cf-sticker {
         aspect-ratio: 1/1;
         width: 100%;
         max-width: 300px;
@@ -170,7 +219,7 @@ class Shortcodes
         line-height: 1.2;
         margin-left: auto;
       }
-      .cf-sticker__cloud {
+      #{$id} .cf-sticker__cloud {
         --icon-size: 100%;
         width: var(--icon-size);
         height: var(--icon-size);
@@ -178,7 +227,7 @@ class Shortcodes
         top: 0;
         left: 0;
       }
-      .cf-sticker__text {
+      #{$id} .cf-sticker__text {
         text-wrap: balance;
         position: relative;
         z-index: 1;
@@ -187,7 +236,7 @@ class Shortcodes
         margin-left: 20px;
         line-height: 1.2;
       }
-      .cf-sticker__value {
+      #{$id} .cf-sticker__value {
         font-weight: bold;
       }
     </style>";
@@ -196,19 +245,20 @@ class Shortcodes
   /**
    * Get full widget styles.
    *
+   * @param string $id Element ID of the widget, see `get_widget_id()`
    * @return string Style tag markup
    */
-  private function get_full_styles()
+  private function get_full_styles(string $id)
   {
     return "<style>
-      .cf-full {
+      #{$id}.cf-full {
         background-color: var(--cf-color-background);
         color: var(--cf-color-foreground);
         padding: 24px 0 32px;
         font-size: 16px;
         text-align: center;
       }
-      .cf-full__row {
+      #{$id} .cf-full__row {
         display: grid;
         grid-template-columns: repeat(2, 1fr);
         gap: 24px;
@@ -222,16 +272,16 @@ class Shortcodes
         border-bottom: 1px solid var(--cf-color-foreground);
       }
       @media(min-width: 1024px) {
-        .cf-full__row {
+        #{$id} .cf-full__row {
           grid-template-columns: repeat(4, 1fr);
         }
       }
       @media(min-width: 1280px) {
-        .cf-full__row {
+        #{$id} .cf-full__row {
           grid-template-columns: repeat(5, 1fr);
         }
       }
-      .cf-full__col {
+      #{$id} .cf-full__col {
         display: flex;
         flex-direction: column;
         align-items: center;
@@ -241,44 +291,44 @@ class Shortcodes
         height: 100%;
       }
       @media(min-width: 1280px) {
-        .cf-full__col {
+        #{$id} .cf-full__col {
           padding: 0;
           border: none;
         }
       }
-      .cf-full__col.trees-offset {
+      #{$id} .cf-full__col.trees-offset {
         display: none;
       }
       @media (min-width: 1280px) {
-        .cf-full__col.trees-offset {
+        #{$id} .cf-full__col.trees-offset {
           display: flex;
         }
       }
-      .cf-full__title {
+      #{$id} .cf-full__title {
         font-weight: bold;
         color: var(--cf-color-foreground);
         margin: 0;
         line-height: 1;
       }
-      .cf-full__text {
+      #{$id} .cf-full__text {
         margin: 0;
         line-height: 1;
       }
-      .cf-full__cta {
+      #{$id} .cf-full__cta {
         display: flex;
         justify-content: center;
         line-height: 1;
         gap: 8px;
         margin-top: 32px;
       }
-      .cf-full__cta-link-text {
+      #{$id} .cf-full__cta-link-text {
         display: flex;
         gap: 4px;
         margin-top: 4px;
         justify-content: center;
       }
       @media(min-width: 600px) {
-        .cf-full__cta-link-text {
+        #{$id} .cf-full__cta-link-text {
           display: inline-flex;
           justify-content: start;
           margin-top: 0;
@@ -286,10 +336,10 @@ class Shortcodes
           gap: 4px;
         }
       }
-      .cf-full__cta-icon {
+      #{$id} .cf-full__cta-icon {
         height: 20px;
       }
-      .cf-full__icon {
+      #{$id} .cf-full__icon {
         display: block;
         margin-bottom: 12px;
         width: auto;
@@ -297,7 +347,7 @@ class Shortcodes
         color: var(--cf-color-foreground);
       }
       @media(min-width: 768px) {
-        .cf-full__icon {
+        #{$id} .cf-full__icon {
           height: 80px;
         }
       }
@@ -327,7 +377,8 @@ class Shortcodes
       return;
     }
 
-    // Wrap in a div with clear styling to avoid theme conflicts
+    // Wrap in a div with clear styling to avoid theme conflicts; printed once
+    // per page, so its ID is the anchor the admin links to (`#carbonfooter`)
     echo '<div id="carbonfooter" class="carbonfooter">';
     echo do_shortcode('[carbonfooter]');
     echo '</div>';
@@ -336,46 +387,51 @@ class Shortcodes
   /**
    * Render the carbonfooter shortcode based on widget style setting.
    *
-   * Reads `carbonfooter_widget_style` and dispatches to the corresponding
-   * renderer. Defaults to minimal.
+   * Attributes override the widget settings for this placement only, e.g.
+   * `[carbonfooter style="sticker" source="site" background_color="#1e1e1e"]`.
+   * Dispatches to the renderer of the resolved style. Defaults to minimal.
    *
+   * @param array|string $atts Shortcode attributes; an empty string when none are given
    * @return string The shortcode output.
    */
-  public function render_carbonfooter()
+  public function render_carbonfooter($atts = array())
   {
-    // Get the widget style from settings
-    $widget_style = get_option('carbonfooter_widget_style', 'minimal');
+    $args = $this->get_widget_args(is_array($atts) ? $atts : array());
 
     // Render the appropriate style
-    switch ($widget_style) {
+    switch ($args['style']) {
       case 'sticker':
-        return $this->render_sticker();
+        return $this->render_sticker($args);
       case 'full':
-        return $this->render_full();
+        return $this->render_full($args);
       case 'minimal':
       default:
-        return $this->render_minimal();
+        return $this->render_minimal($args);
     }
   }
 
   /**
    * Render minimal emissions display.
    *
+   * @param array $args Widget options, see `get_widget_args()`
    * @return string The shortcode output.
    */
-  public function render_minimal()
+  public function render_minimal(array $args = array())
   {
-    $emissions = $this->get_current_page_emissions();
+    $args = $this->get_widget_args($args);
+    $emissions = $this->get_current_page_emissions($args['source']);
     $link = 'https://carbonfooter.nl/';
     $icon = '<svg class="cf-minimal__link-icon" fill="currentColor" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 995 768">
     <path d="M102.26,600.22s-31.43-47.8-67.16-27.24c-41.94,24.74-15.18,73.97-15.18,73.97,0,0-38.96,43.14,5.38,69.43,49.47,29.52,67.88-24.74,67.88-24.74h0s65.6,4.55,66.68-49.35c.84-47.8-57.6-42.07-57.6-42.07Z" />
     <path d="M841.11,279.51c20.9-26.96,31.38-60.17,29.63-93.85-1.75-33.68-15.63-65.7-39.22-90.49C748.06-.49,627.65,55.4,627.65,55.4h0c-17.13-19.23-39.17-33.76-63.9-42.15-24.74-8.39-51.31-10.35-77.08-5.68-27.11,3.63-52.79,13.96-74.6,30-21.8,16.03-38.98,37.23-49.89,61.56,0,0-71.19-67.65-165.66,27.33-94.46,94.98-17.76,176.42-17.76,176.42,0,0-116.31,47.7-72.46,165.76,12.02,33.28,34.39,62.13,64.04,82.56,29.64,20.44,65.1,31.46,101.48,31.54,0,0-5.5,157.7,121.81,177.65,34.61,6.59,70.49,2.17,102.29-12.6,31.81-14.78,57.84-39.11,74.22-69.39,0,0,56.39,122.99,188.77,48.79,132.38-74.2,83.46-143.9,83.46-143.9,0,0,134.07-14.62,145.07-134.06,10.99-119.43-146.32-169.72-146.34-169.73Z" />
   </svg>';
 
+    $id = $this->get_widget_id();
+
     ob_start();
 ?>
-    <div id="carbonfooter" style="<?php echo esc_attr($this->get_common_css_vars()); ?>">
-      <?php echo $this->get_minimal_styles(); ?>
+    <div id="<?php echo esc_attr($id); ?>" class="carbonfooter-widget" style="<?php echo esc_attr($this->get_common_css_vars($args)); ?>">
+      <?php echo $this->get_minimal_styles($id); ?>
       <div class="cf-minimal">
         <div class="cf-minimal__content">
           <p class="cf-minimal__text">
@@ -390,7 +446,9 @@ class Shortcodes
 
             echo wp_kses_post(sprintf(
               /* translators: %1$s is the CO2 emissions HTML span, %2$s is the link HTML */
-              esc_html__('This page produced %1$s per page view. Want to learn more? %2$s', 'carbonfooter'),
+              'site' === $args['source']
+                ? esc_html__('On average, pages on this site produce %1$s per page view. Want to learn more? %2$s', 'carbonfooter')
+                : esc_html__('This page produced %1$s per page view. Want to learn more? %2$s', 'carbonfooter'),
               $emissions_value,
               $link_html
             ));
@@ -406,18 +464,22 @@ class Shortcodes
   /**
    * Render sticker emissions display.
    *
+   * @param array $args Widget options, see `get_widget_args()`
    * @return string The shortcode output.
    */
-  public function render_sticker()
+  public function render_sticker(array $args = array())
   {
-    $emissions = $this->get_current_page_emissions();
+    $args = $this->get_widget_args($args);
+    $emissions = $this->get_current_page_emissions($args['source']);
     $link = 'https://carbonfooter.nl/';
     $icon = '<svg class="cf-sticker__cloud" xmlns="http://www.w3.org/2000/svg" fill="var(--cf-color-background)" viewBox="0 0 995 768"><path d="M841.11,279.51c20.9-26.96,31.38-60.17,29.63-93.85-1.75-33.68-15.63-65.7-39.22-90.49C748.06-.49,627.65,55.4,627.65,55.4h0c-17.13-19.23-39.17-33.76-63.9-42.15-24.74-8.39-51.31-10.35-77.08-5.68-27.11,3.63-52.79,13.96-74.6,30-21.8,16.03-38.98,37.23-49.89,61.56,0,0-71.19-67.65-165.66,27.33-94.46,94.98-17.76,176.42-17.76,176.42,0,0-116.31,47.7-72.46,165.76,12.02,33.28,34.39,62.13,64.04,82.56,29.64,20.44,65.1,31.46,101.48,31.54,0,0-5.5,157.7,121.81,177.65,34.61,6.59,70.49,2.17,102.29-12.6,31.81-14.78,57.84-39.11,74.22-69.39,0,0,56.39,122.99,188.77,48.79,132.38-74.2,83.46-143.9,83.46-143.9,0,0,134.07-14.62,145.07-134.06,10.99-119.43-146.32-169.72-146.34-169.73Z"/><path class="cls-1" d="M102.26,600.22s-31.43-47.8-67.16-27.24c-41.94,24.74-15.18,73.97-15.18,73.97,0,0-38.96,43.14,5.38,69.43,49.47,29.52,67.88-24.74,67.88-24.74h0s65.6,4.55,66.68-49.35c.84-47.8-57.6-42.07-57.6-42.07Z"/><path class="cls-1" d="M841.11,279.51c20.9-26.96,31.38-60.17,29.63-93.85-1.75-33.68-15.63-65.7-39.22-90.49C748.06-.49,627.65,55.4,627.65,55.4h0c-17.13-19.23-39.17-33.76-63.9-42.15-24.74-8.39-51.31-10.35-77.08-5.68-27.11,3.63-52.79,13.96-74.6,30-21.8,16.03-38.98,37.23-49.89,61.56,0,0-71.19-67.65-165.66,27.33-94.46,94.98-17.76,176.42-17.76,176.42,0,0-116.31,47.7-72.46,165.76,12.02,33.28,34.39,62.13,64.04,82.56,29.64,20.44,65.1,31.46,101.48,31.54,0,0-5.5,157.7,121.81,177.65,34.61,6.59,70.49,2.17,102.29-12.6,31.81-14.78,57.84-39.11,74.22-69.39,0,0,56.39,122.99,188.77,48.79,132.38-74.2,83.46-143.9,83.46-143.9,0,0,134.07-14.62,145.07-134.06,10.99-119.43-146.32-169.72-146.34-169.73Z"/></svg>';
 
+    $id = $this->get_widget_id();
+
     ob_start();
   ?>
-    <div id="carbonfooter" style="<?php echo esc_attr($this->get_common_css_vars()); ?>">
-      <?php echo $this->get_sticker_styles(); ?>
+    <div id="<?php echo esc_attr($id); ?>" class="carbonfooter-widget" style="<?php echo esc_attr($this->get_common_css_vars($args)); ?>">
+      <?php echo $this->get_sticker_styles($id); ?>
       <div class="cf-sticker">
         <?php echo wp_kses_post($icon); ?>
         <p class="cf-sticker__text">
@@ -431,7 +493,9 @@ class Shortcodes
 
           echo wp_kses_post(sprintf(
             /* translators: %1$s is the CO2 emissions HTML span, %2$s is the link HTML */
-            esc_html__('This page produced %1$s per page view.', 'carbonfooter'),
+            'site' === $args['source']
+              ? esc_html__('On average, pages on this site produce %1$s per page view.', 'carbonfooter')
+              : esc_html__('This page produced %1$s per page view.', 'carbonfooter'),
             $emissions_value,
             $link_html
           ));
@@ -446,11 +510,13 @@ class Shortcodes
   /**
    * Render full emissions display.
    *
+   * @param array $args Widget options, see `get_widget_args()`
    * @return string The shortcode output.
    */
-  public function render_full()
+  public function render_full(array $args = array())
   {
-    $emissions = $this->get_current_page_emissions();
+    $args = $this->get_widget_args($args);
+    $emissions = $this->get_current_page_emissions($args['source']);
     $average = get_option('carbonfooter_average_emissions', 0);
     $link = 'https://carbonfooter.nl/';
 
@@ -474,12 +540,14 @@ class Shortcodes
     <path d="M841.11,279.51c20.9-26.96,31.38-60.17,29.63-93.85-1.75-33.68-15.63-65.7-39.22-90.49C748.06-.49,627.65,55.4,627.65,55.4h0c-17.13-19.23-39.17-33.76-63.9-42.15-24.74-8.39-51.31-10.35-77.08-5.68-27.11,3.63-52.79,13.96-74.6,30-21.8,16.03-38.98,37.23-49.89,61.56,0,0-71.19-67.65-165.66,27.33-94.46,94.98-17.76,176.42-17.76,176.42,0,0-116.31,47.7-72.46,165.76,12.02,33.28,34.39,62.13,64.04,82.56,29.64,20.44,65.1,31.46,101.48,31.54,0,0-5.5,157.7,121.81,177.65,34.61,6.59,70.49,2.17,102.29-12.6,31.81-14.78,57.84-39.11,74.22-69.39,0,0,56.39,122.99,188.77,48.79,132.38-74.2,83.46-143.9,83.46-143.9,0,0,134.07-14.62,145.07-134.06,10.99-119.43-146.32-169.72-146.34-169.73Z" />
   </svg>';
 
+    $id = $this->get_widget_id();
+
     ob_start();
 
-    echo $this->get_full_styles();
+    echo $this->get_full_styles($id);
   ?>
 
-    <div id="carbonfooter" class="cf-full">
+    <div id="<?php echo esc_attr($id); ?>" class="carbonfooter-widget cf-full" style="<?php echo esc_attr($this->get_common_css_vars($args)); ?>">
       <div class="cf-full__row">
         <div class="cf-full__col green-host">
           <svg class="cf-full__icon" fill="currentColor" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 156.76 154.49">
@@ -528,7 +596,7 @@ class Shortcodes
             ?>
           </p>
           <p class="cf-full__text">
-            <?php echo esc_html__('per visit', 'carbonfooter'); ?>
+            <?php echo 'site' === $args['source'] ? esc_html__('per visit on average', 'carbonfooter') : esc_html__('per visit', 'carbonfooter'); ?>
           </p>
         </div>
         <div class="cf-full__col driving-distance">
@@ -602,12 +670,18 @@ class Shortcodes
    * - Current queried object ID
    * - Global post ID
    * - `p` query param
-   * Falls back to site average when no page data is available.
+   * Falls back to site average when no page data is available, or right away
+   * when the placement shows the site average.
    *
+   * @param string $source `page` for the current page, `site` for the site average
    * @return array{emissions:string,page_size:mixed} Emissions string and raw page size
    */
-  private function get_current_page_emissions()
+  private function get_current_page_emissions(string $source = 'page')
   {
+    if ('site' === $source) {
+      return $this->get_average_emissions();
+    }
+
     // Get the current queried object ID
     $post_id = get_queried_object_id();
 
@@ -641,6 +715,16 @@ class Shortcodes
     }
 
     // Otherwise return the site average
+    return $this->get_average_emissions();
+  }
+
+  /**
+   * Get the site average in the shape of `get_current_page_emissions()`.
+   *
+   * @return array{emissions:string,page_size:mixed} Emissions string and placeholder page size
+   */
+  private function get_average_emissions()
+  {
     $average = $this->emissions->get_average_emissions();
     $average_formatted = number_format($average, 2);
     return array(
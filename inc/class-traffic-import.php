@@ -0,0 +1,231 @@
+<?php
+
+/**
+ * Traffic Import
+ *
+ * Matches pageview exports from analytics tools to posts and stores them.
+ *
+ * @package CarbonFooter
+ */
+
+namespace CarbonfooterPlugin;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+/**
+ * Traffic_Import
+ *
+ * Alternative to `Pageview_Counter` for sites that cannot add a tracker:
+ * pageviews per URL are exported from an analytics tool, matched to post IDs
+ * and stored as views per year, so the same Σ(emissions × views) figures can
+ * be computed.
+ *
+ * Structure:
+ * - `match_rows()` resolves `{ url, views }` rows to posts (no writes)
+ * - `import()` replaces any previous import with the matched rows
+ * - `get_yearly_views_map()` feeds `Pageview_Counter::refresh_yearly_views()`
+ *
+ * Storage:
+ * - `_carbon_imported_views` post meta: views per year
+ * - `carbonfooter_traffic_import` option: details of the latest import
+ */
+class Traffic_Import
+{
+  /**
+   * Resolve rows to posts.
+   *
+   * Accepts absolute URLs and site-relative paths (as most analytics tools
+   * export them). Query strings and fragments are ignored, and rows that
+   * resolve to the same post are summed; `matched_rows` counts them before
+   * summing. Rows without a URL are left out of both counts.
+   *
+   * @param array $rows List of `['url' => string, 'views' => int]`
+   * @return array{matched: array, unmatched: array, matched_rows: int}
+   */
+  public static function match_rows(array $rows): array
+  {
+    $matched = [];
+    $unmatched = [];
+    $matched_rows = 0;
+
+    foreach ($rows as $row) {
+      $url = isset($row['url']) ? trim((string) $row['url']) : '';
+      $views = isset($row['views']) ? absint($row['views']) : 0;
+
+      if ($url === '') {
+        continue;
+      }
+
+      $post_id = self::resolve_post_id($url);
+      if (!$post_id) {
+        $unmatched[] = ['url' => $url, 'views' => $views];
+        continue;
+      }
+
+      $matched_rows++;
+      if (!isset($matched[$post_id])) {
+        $matched[$post_id] = [
+          'post_id' => $post_id,
+          'title' => get_the_title($post_id),
+          'url' => $url,
+          'views' => 0,
+        ];
+      }
+      $matched[$post_id]['views'] += $views;
+    }
+
+    return [
+      'matched' => array_values($matched),
+      'unmatched' => $unmatched,
+      'matched_rows' => $matched_rows,
+    ];
+  }
+
+  /**
+   * Store matched rows, replacing the previous import.
+   *
+   * @param array $matched     Matched rows from `match_rows()`
+   * @param int   $period_days Number of days the export covers
+   * @return array Import details as stored in the option
+   */
+  public static function import(array $matched, int $period_days): array
+  {
+    $period_days = max(1, $period_days);
+
+    delete_post_meta_by_key(Constants::META_IMPORTED_VIEWS);
+
+    $total_views = 0;
+    foreach ($matched as $row) {
+      $yearly_views = self::to_yearly_views((int) $row['views'], $period_days);
+      update_post_meta((int) $row['post_id'], Constants::META_IMPORTED_VIEWS, $yearly_views);
+      $total_views += (int) $row['views'];
+    }
+
+    $details = [
+      'imported_at' => current_time('mysql'),
+      'period_days' => $period_days,
+      'pages' => count($matched),
+      'views' => $total_views,
+    ];
+    update_option(Constants::OPTION_TRAFFIC_IMPORT, $details, false);
+
+    Logger::log('Traffic imported', $details);
+
+    return $details;
+  }
+
+  /**
+   * Remove all imported traffic.
+   *
+   * @return void
+   */
+  public static function clear(): void
+  {
+    delete_post_meta_by_key(Constants::META_IMPORTED_VIEWS);
+    delete_option(Constants::OPTION_TRAFFIC_IMPORT);
+  }
+
+  /**
+   * Get details of the latest import.
+   *
+   * @return array|null `{ imported_at, period_days, pages, views }` or null when nothing was imported
+   */
+  public static function get_details(): ?array
+  {
+    $details = get_option(Constants::OPTION_TRAFFIC_IMPORT, null);
+
+    return is_array($details) ? $details : null;
+  }
+
+  /**
+   * Get imported views per year for every matched post.
+   *
+   * @return array<int, int> Map of post ID to views per year
+   */
+  public static function get_yearly_views_map(): array
+  {
+    global $wpdb;
+
+    $rows = $wpdb->get_results($wpdb->prepare("
+            SELECT post_id, meta_value
+            FROM {$wpdb->postmeta}
+            WHERE meta_key = %s
+        ", Constants::META_IMPORTED_VIEWS));
+
+    $views = [];
+    foreach ($rows as $row) {
+      $views[(int) $row->post_id] = (int) $row->meta_value;
+    }
+
+    return $views;
+  }
+
+  /**
+   * Scale views over a period to views per year.
+   *
+   * @param int $views       Views in the exported period
+   * @param int $period_days Length of the exported period in days
+   * @return int Views per year
+   */
+  public static function to_yearly_views(int $views, int $period_days): int
+  {
+    return (int) round($views * 365 / max(1, $period_days));
+  }
+
+  /**
+   * Normalize an exported URL or path to an absolute site URL.
+   *
+   * @param string $url Absolute URL or site-relative path
+   * @return string Absolute URL without query string or fragment
+   */
+  public static function normalize_url(string $url): string
+  {
+    $url = preg_replace('/[?#].*$/', '', trim($url));
+
+    if (!preg_match('#^https?://#i', $url)) {
+      // Some tools export "example.com/path" without a scheme
+      if (preg_match('#^[a-z0-9.-]+\.[a-z]{2,}(/|$)#i', $url)) {
+        $url = 'https://' . $url;
+      } else {
+        $url = home_url('/' . ltrim($url, '/'));
+      }
+    }
+
+    return $url;
+  }
+
+  /**
+   * Resolve one exported URL to a published post ID.
+   *
+   * @param string $url Absolute URL or site-relative path
+   * @return int Post ID or 0 when the URL does not belong to a post
+   */
+  private static function resolve_post_id(string $url): int
+  {
+    $url = self::normalize_url($url);
+
+    // Exports can contain other properties of the same analytics account
+    $home_host = preg_replace('/^www\./', '', strtolower((string) wp_parse_url(home_url('/'), PHP_URL_HOST)));
+    $host = preg_replace('/^www\./', '', strtolower((string) wp_parse_url($url, PHP_URL_HOST)));
+    if ($host !== $home_host) {
+      return 0;
+    }
+
+    // `url_to_postid()` does not know about a static front page
+    $home_path = (string) wp_parse_url(home_url('/'), PHP_URL_PATH);
+    $path = (string) wp_parse_url($url, PHP_URL_PATH);
+    if (untrailingslashit($path) === untrailingslashit($home_path)) {
+      return get_option('show_on_front') === 'page' ? (int) get_option('page_on_front', 0) : 0;
+    }
+
+    $post_id = url_to_postid($url);
+    if (!$post_id || get_post_status($post_id) !== 'publish') {
+      return 0;
+    }
+
+    return (int) $post_id;
+  }
+}
@@ -0,0 +1,767 @@
+<?php
+
+/**
+ * URL Registry
+ *
+ * Tracks pages that are not posts: archives and custom routes.
+ *
+ * @package CarbonFooter
+ */
+
+namespace CarbonfooterPlugin;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+/**
+ * Url_Registry
+ *
+ * Post measurements live in post meta; tracked URLs have no post, so they and
+ * their measurements are kept in the `{prefix}carbonfooter_urls` table.
+ *
+ * Structure:
+ * - Row: `{ id, url, url_hash, type, title, source, emissions, page_size,
+ *   resources, history, updated, created }`; `history` is the same
+ *   `{ date, value }` list as `_carbon_emissions_history`
+ * - `type` is one of `Constants::URL_TYPES`, see `classify()`
+ * - `source` is 'manual' or 'sitemap'
+ * - Batch jobs refer to tracked URLs by item key `url-<id>`, next to post IDs
+ *
+ * Security:
+ * - Only URLs on this site's host can be added; posts and the home page are
+ *   refused, they are measured through post meta and
+ *   `Emissions::process_home()` already
+ */
+class Url_Registry
+{
+  /**
+   * Schema version, stored in `Constants::OPTION_DB_VERSION`.
+   */
+  public const DB_VERSION = '1';
+
+  /**
+   * Prefix of tracked URL keys in batch jobs.
+   */
+  public const ITEM_PREFIX = 'url-';
+
+  /**
+   * Get the table name.
+   *
+   * @return string
+   */
+  public static function get_table(): string
+  {
+    global $wpdb;
+
+    return $wpdb->prefix . 'carbonfooter_urls';
+  }
+
+  /**
+   * Create or upgrade the table when the schema version changed.
+   *
+   * @return void
+   */
+  public static function maybe_install(): void
+  {
+    if (get_option(Constants::OPTION_DB_VERSION) === self::DB_VERSION) {
+      return;
+    }
+
+    global $wpdb;
+
+    $table = self::get_table();
+    $charset_collate = $wpdb->get_charset_collate();
+
+    $sql = "CREATE TABLE {$table} (
+      id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+      url text NOT NULL,
+      url_hash char(32) NOT NULL,
+      type varchar(20) NOT NULL DEFAULT 'custom',
+      title varchar(255) NOT NULL DEFAULT '',
+      source varchar(20) NOT NULL DEFAULT 'manual',
+      emissions double DEFAULT NULL,
+      page_size bigint(20) unsigned DEFAULT NULL,
+      resources longtext DEFAULT NULL,
+      history longtext DEFAULT NULL,
+      updated datetime DEFAULT NULL,
+      created datetime NOT NULL,
+      PRIMARY KEY  (id),
+      UNIQUE KEY url_hash (url_hash)
+    ) {$charset_collate};";
+
+    if (Helpers::create_table($table, $sql)) {
+      update_option(Constants::OPTION_DB_VERSION, self::DB_VERSION);
+    }
+  }
+
+  /**
+   * Get all tracked URLs, heaviest first and unmeasured last.
+   *
+   * @return array[] See `to_url()`
+   */
+  public static function get_all(): array
+  {
+    global $wpdb;
+
+    $table = self::get_table();
+    $rows = $wpdb->get_results("
+      SELECT *
+      FROM {$table}
+      ORDER BY emissions IS NULL, emissions DESC, id ASC
+    ");
+
+    return array_map([self::class, 'to_url'], $rows ?: []);
+  }
+
+  /**
+   * Get one tracked URL.
+   *
+   * @param int $id Tracked URL ID
+   * @return array|null See `to_url()`
+   */
+  public static function get(int $id): ?array
+  {
+    global $wpdb;
+
+    $table = self::get_table();
+    $row = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table} WHERE id = %d", $id));
+
+    return $row ? self::to_url($row) : null;
+  }
+
+  /**
+   * Get measured URLs in the shape of `Database_Optimizer::get_heaviest_pages()`.
+   *
+   * The home page is never tracked: when it shows the latest posts, its
+   * measurement from `Emissions::process_home()` is added with the id 'home'.
+   *
+   * @param int   $limit   Maximum number of URLs, heaviest first
+   * @param array $budgets Budgets from `Budgets::get()`
+   * @return array[] Pages with `source` 'url' and a string `id` (`url-<id>` or 'home')
+   */
+  public static function get_heaviest(int $limit, array $budgets): array
+  {
+    global $wpdb;
+
+    $table = self::get_table();
+    $rows = $wpdb->get_results($wpdb->prepare("
+      SELECT id, url, type, title, emissions, page_size, updated
+      FROM {$table}
+      WHERE emissions IS NOT NULL
+      ORDER BY emissions DESC
+      LIMIT %d
+    ", $limit));
+
+    $pages = array_map(function ($row) use ($budgets) {
+      $page_size = $row->page_size === null ? null : (int) $row->page_size;
+
+      return [
+        'id' => self::to_item_key((int) $row->id),
+        'title' => $row->title,
+        'type' => $row->type,
+        'source' => 'url',
+        'emissions' => (float) $row->emissions,
+        'page_size' => $page_size,
+        'updated' => $row->updated,
+        'views' => null,
+        'impact' => null,
+        // URL types are not post types: use the site-wide budget on purpose
+        'over_budget' => Budgets::is_over_budget((float) $row->emissions, $page_size, '', $budgets),
+        'url' => $row->url,
+        'edit_url' => null,
+      ];
+    }, $rows ?: []);
+
+    $home = self::get_home_page($budgets);
+    if ($home) {
+      $pages[] = $home;
+    }
+
+    return $pages;
+  }
+
+  /**
+   * Get the measurement of a front page that shows the latest posts.
+   *
+   * @param array $budgets Budgets from `Budgets::get()`
+   * @return array|null Page in the shape of `get_heaviest()`, or null when the
+   *                    front page is a post or was measured through a stand-in
+   */
+  private static function get_home_page(array $budgets): ?array
+  {
+    if (get_option('show_on_front', 'posts') === 'page') {
+      return null;
+    }
+
+    // A stand-in post is listed already
+    $measurement = get_option(Constants::OPTION_HOME_MEASUREMENT);
+    if (!is_array($measurement) || !isset($measurement['emissions']) || !empty($measurement['post_id'])) {
+      return null;
+    }
+
+    $emissions = (float) $measurement['emissions'];
+    $page_size = isset($measurement['page_size']) ? (int) $measurement['page_size'] : null;
+
+    return [
+      'id' => 'home',
+      'title' => self::get_title(home_url('/'), 'home'),
+      'type' => 'home',
+      'source' => 'url',
+      'emissions' => $emissions,
+      'page_size' => $page_size,
+      'updated' => $measurement['updated'] ?? null,
+      'views' => null,
+      'impact' => null,
+      // Site-wide budget, like the tracked URLs
+      'over_budget' => Budgets::is_over_budget($emissions, $page_size, '', $budgets),
+      'url' => home_url('/'),
+      'edit_url' => null,
+    ];
+  }
+
+  /**
+   * Track a URL.
+   *
+   * @param string $url    URL on this site
+   * @param string $source 'manual' or 'sitemap'
+   * @return array|\WP_Error Tracked URL, or an error when it cannot be added
+   */
+  public static function add(string $url, string $source = 'manual')
+  {
+    global $wpdb;
+
+    $url = self::normalize_url($url);
+    if ($url === null) {
+      return new \WP_Error(
+        'carbonfooter_invalid_url',
+        __('Enter a URL on this website', 'carbonfooter'),
+        ['status' => 400]
+      );
+    }
+
+    if (self::is_home_url($url)) {
+      return new \WP_Error(
+        'carbonfooter_url_is_home',
+        __('This URL is the home page, which is measured already', 'carbonfooter'),
+        ['status' => 400]
+      );
+    }
+
+    if (url_to_postid($url) > 0) {
+      return new \WP_Error(
+        'carbonfooter_url_is_post',
+        __('This URL is a post or page, which is measured already', 'carbonfooter'),
+        ['status' => 400]
+      );
+    }
+
+    $table = self::get_table();
+    $hash = md5($url);
+    if ($wpdb->get_var($wpdb->prepare("SELECT id FROM {$table} WHERE url_hash = %s", $hash))) {
+      return new \WP_Error(
+        'carbonfooter_url_exists',
+        __('This URL is tracked already', 'carbonfooter'),
+        ['status' => 409]
+      );
+    }
+
+    if ((int) $wpdb->get_var("SELECT COUNT(*) FROM {$table}") >= Constants::MAX_TRACKED_URLS) {
+      return new \WP_Error(
+        'carbonfooter_too_many_urls',
+        sprintf(
+          /* translators: %d: maximum number of tracked URLs */
+          __('At most %d URLs can be tracked', 'carbonfooter'),
+          Constants::MAX_TRACKED_URLS
+        ),
+        ['status' => 400]
+      );
+    }
+
+    $id = self::insert($url, $hash, $source);
+    if (!$id) {
+      return new \WP_Error(
+        'carbonfooter_url_not_saved',
+        __('The URL could not be saved', 'carbonfooter'),
+        ['status' => 500]
+      );
+    }
+
+    return self::get($id);
+  }
+
+  /**
+   * Track many URLs at once, skipping the ones that cannot be added.
+   *
+   * Same rules as `add()`, with one query for the URLs tracked already and
+   * one for the number of tracked URLs instead of both per URL.
+   *
+   * @param string[] $urls   URLs on this site; others are skipped
+   * @param string   $source 'manual' or 'sitemap'
+   * @return int Number of URLs added
+   */
+  public static function add_many(array $urls, string $source = 'manual'): int
+  {
+    global $wpdb;
+
+    $candidates = [];
+    foreach ($urls as $url) {
+      $url = self::normalize_url((string) $url);
+      if ($url !== null) {
+        $candidates[md5($url)] = $url;
+      }
+    }
+    if (!$candidates) {
+      return 0;
+    }
+
+    $table = self::get_table();
+    $room = Constants::MAX_TRACKED_URLS - (int) $wpdb->get_var("SELECT COUNT(*) FROM {$table}");
+    if ($room <= 0) {
+      return 0;
+    }
+
+    $tracked = [];
+    foreach (array_chunk(array_keys($candidates), Constants::MAX_TRACKED_URLS) as $hashes) {
+      $placeholders = implode(',', array_fill(0, count($hashes), '%s'));
+      $tracked = array_merge($tracked, $wpdb->get_col($wpdb->prepare("SELECT url_hash FROM {$table} WHERE url_hash IN ({$placeholders})", $hashes)) ?: []);
+    }
+
+    $added = 0;
+    foreach (array_diff_key($candidates, array_flip($tracked)) as $hash => $url) {
+      if ($added >= $room) {
+        break;
+      }
+      if (self::is_home_url($url) || url_to_postid($url) > 0) {
+        continue;
+      }
+      if (self::insert($url, $hash, $source)) {
+        $added++;
+      }
+    }
+
+    return $added;
+  }
+
+  /**
+   * Insert a validated URL.
+   *
+   * @param string $url    Normalized URL on this site
+   * @param string $hash   `md5()` of the URL
+   * @param string $source 'manual' or 'sitemap'
+   * @return int Tracked URL ID, or 0 when the row could not be inserted
+   */
+  private static function insert(string $url, string $hash, string $source): int
+  {
+    global $wpdb;
+
+    $type = self::classify($url);
+    $inserted = $wpdb->insert(self::get_table(), [
+      'url' => $url,
+      'url_hash' => $hash,
+      'type' => $type,
+      'title' => self::get_title($url, $type),
+      'source' => $source === 'sitemap' ? 'sitemap' : 'manual',
+      'created' => current_time('mysql'),
+    ]);
+
+    return $inserted ? (int) $wpdb->insert_id : 0;
+  }
+
+  /**
+   * Stop tracking a URL.
+   *
+   * @param int $id Tracked URL ID
+   * @return bool Whether a URL was removed
+   */
+  public static function remove(int $id): bool
+  {
+    global $wpdb;
+
+    $removed = (bool) $wpdb->delete(self::get_table(), ['id' => $id], ['%d']);
+    if ($removed) {
+      (new Cache())->clear_all();
+    }
+
+    return $removed;
+  }
+
+  /**
+   * Track the non-post URLs listed in a sitemap.
+   *
+   * Follows sitemap indexes one level deep and skips the sitemaps of post
+   * types, as posts are measured already. When the front page shows the
+   * latest posts, it is added as well (it is listed in the skipped sitemap
+   * of pages).
+   *
+   * Security:
+   * - Only sitemaps on this site are fetched, including the ones a sitemap
+   *   index refers to, through `wp_safe_remote_get()` with a size limit
+   *
+   * @param string $sitemap_url Sitemap or sitemap index; the core sitemap when empty
+   * @return array|\WP_Error `{ found, added, skipped }` or an error when the sitemap cannot be read
+   */
+  public static function import_sitemap(string $sitemap_url = '')
+  {
+    $sitemap_url = $sitemap_url === '' ? home_url('/wp-sitemap.xml') : self::normalize_url($sitemap_url);
+    if ($sitemap_url === null) {
+      return new \WP_Error(
+        'carbonfooter_invalid_url',
+        __('Enter a sitemap URL on this website', 'carbonfooter'),
+        ['status' => 400]
+      );
+    }
+
+    $xml = self::fetch_sitemap($sitemap_url);
+    if (is_wp_error($xml)) {
+      return $xml;
+    }
+
+    $urls = [];
+    if ($xml->getName() === 'sitemapindex') {
+      $sitemaps = 0;
+      foreach ($xml->sitemap as $sitemap) {
+        $location = self::normalize_url((string) $sitemap->loc);
+        if ($location === null || self::is_post_sitemap($location)) {
+          continue;
+        }
+        if (++$sitemaps > Constants::MAX_SITEMAPS) {
+          break;
+        }
+
+        $child = self::fetch_sitemap($location);
+        if (!is_wp_error($child)) {
+          $urls = array_merge($urls, self::get_locations($child));
+        }
+      }
+    } else {
+      $urls = self::get_locations($xml);
+    }
+
+    $urls = array_unique($urls);
+    $found = count($urls);
+    $added = self::add_many($urls, 'sitemap');
+
+    Logger::log('Tracked URLs imported from sitemap', ['sitemap' => $sitemap_url, 'found' => $found, 'added' => $added]);
+
+    return [
+      'found' => $found,
+      'added' => $added,
+      'skipped' => $found - $added,
+    ];
+  }
+
+  /**
+   * Store a measurement of a tracked URL.
+   *
+   * @param int   $id   Tracked URL ID
+   * @param array $data Measurement from `Emissions`: `{ emissions, page_size, resources }`
+   * @return void
+   */
+  public static function store_measurement(int $id, array $data): void
+  {
+    global $wpdb;
+
+    $table = self::get_table();
+    $now = current_time('mysql');
+
+    $history = json_decode((string) $wpdb->get_var($wpdb->prepare("SELECT history FROM {$table} WHERE id = %d", $id)), true);
+    $history = is_array($history) ? $history : [];
+    $history[] = ['date' => $now, 'value' => (float) $data['emissions']];
+
+    $wpdb->update($table, [
+      'emissions' => (float) $data['emissions'],
+      'page_size' => isset($data['page_size']) ? (int) $data['page_size'] : null,
+      'resources' => empty($data['resources']) ? null : wp_json_encode($data['resources']),
+      'history' => wp_json_encode(array_slice($history, -Constants::MAX_HISTORY_ENTRIES)),
+      'updated' => $now,
+    ], ['id' => $id]);
+  }
+
+  /**
+   * Delete the measurements of all tracked URLs; the URLs stay tracked.
+   *
+   * @return int Number of URLs that had a measurement
+   */
+  public static function clear_measurements(): int
+  {
+    global $wpdb;
+
+    $table = self::get_table();
+
+    return (int) $wpdb->query("
+      UPDATE {$table}
+      SET emissions = NULL, page_size = NULL, resources = NULL, history = NULL, updated = NULL
+      WHERE emissions IS NOT NULL OR history IS NOT NULL
+    ");
+  }
+
+  /**
+   * Get batch item keys of the tracked URLs without measurement.
+   *
+   * @return string[] Item keys (`url-<id>`)
+   */
+  public static function get_unmeasured_item_keys(): array
+  {
+    global $wpdb;
+
+    $table = self::get_table();
+    $ids = $wpdb->get_col("SELECT id FROM {$table} WHERE emissions IS NULL ORDER BY id ASC");
+
+    return array_map(function ($id) {
+      return self::to_item_key((int) $id);
+    }, $ids ?: []);
+  }
+
+  /**
+   * Get the batch item key of a tracked URL.
+   *
+   * @param int $id Tracked URL ID
+   * @return string
+   */
+  public static function to_item_key(int $id): string
+  {
+    return self::ITEM_PREFIX . $id;
+  }
+
+  /**
+   * Get the tracked URL ID of a batch item key.
+   *
+   * @param int|string $key Batch item key
+   * @return int Tracked URL ID, or 0 when the key is a post ID
+   */
+  public static function parse_item_key($key): int
+  {
+    $key = (string) $key;
+
+    return strpos($key, self::ITEM_PREFIX) === 0 ? absint(substr($key, strlen(self::ITEM_PREFIX))) : 0;
+  }
+
+  /**
+   * Tell what kind of page a URL is from its path.
+   *
+   * @param string $url Normalized URL on this site
+   * @return string One of `Constants::URL_TYPES`
+   */
+  public static function classify(string $url): string
+  {
+    global $wp_rewrite;
+
+    if (self::is_home_url($url)) {
+      return 'home';
+    }
+
+    $path = self::get_site_path($url);
+
+    if (preg_match('#^\d{4}(/\d{2}){0,2}(/page/\d+)?$#', $path)) {
+      return 'archive';
+    }
+
+    $author_base = trim($wp_rewrite->author_base ?? 'author', '/');
+    if ($author_base !== '' && strpos($path . '/', $author_base . '/') === 0) {
+      return 'author';
+    }
+
+    // Archive base => type
+    $bases = [];
+    foreach (get_taxonomies(['public' => true], 'objects') as $taxonomy) {
+      if (!empty($taxonomy->rewrite['slug'])) {
+        $bases[$taxonomy->rewrite['slug']] = ['category' => 'category', 'post_tag' => 'tag'][$taxonomy->name] ?? 'taxonomy';
+      }
+    }
+    foreach (get_post_types(['has_archive' => true], 'objects') as $post_type) {
+      $slug = is_string($post_type->has_archive) ? $post_type->has_archive : ($post_type->rewrite['slug'] ?? $post_type->name);
+      $bases[$slug] = 'archive';
+    }
+
+    foreach ($bases as $base => $type) {
+      $base = trim((string) $base, '/');
+      if ($base !== '' && strpos($path . '/', $base . '/') === 0) {
+        return $type;
+      }
+    }
+
+    return 'custom';
+  }
+
+  /**
+   * Whether a URL is the home page, without query arguments.
+   *
+   * @param string $url Normalized URL on this site
+   * @return bool
+   */
+  private static function is_home_url(string $url): bool
+  {
+    return self::get_site_path($url) === '' && !wp_parse_url($url, PHP_URL_QUERY);
+  }
+
+  /**
+   * Get the path of a URL relative to the home URL, without slashes around it.
+   *
+   * @param string $url Normalized URL on this site
+   * @return string
+   */
+  private static function get_site_path(string $url): string
+  {
+    $path = trim((string) wp_parse_url($url, PHP_URL_PATH), '/');
+    $home_path = trim((string) wp_parse_url(home_url('/'), PHP_URL_PATH), '/');
+    if ($home_path !== '' && strpos($path . '/', $home_path . '/') === 0) {
+      $path = trim(substr($path, strlen($home_path)), '/');
+    }
+
+    return $path;
+  }
+
+  /**
+   * Normalize a URL on this site.
+   *
+   * @param string $url URL, absolute or relative to the home URL
+   * @return string|null URL without fragment, or null when it is not on this site
+   */
+  public static function normalize_url(string $url): ?string
+  {
+    $url = trim($url);
+    if ($url === '') {
+      return null;
+    }
+    if (strpos($url, '/') === 0 && strpos($url, '//') !== 0) {
+      $url = home_url($url);
+    }
+
+    $url = esc_url_raw(strtok($url, '#'));
+    $host = wp_parse_url($url, PHP_URL_HOST);
+    if (!$host || strcasecmp($host, (string) wp_parse_url(home_url(), PHP_URL_HOST)) !== 0) {
+      return null;
+    }
+
+    return $url;
+  }
+
+  /**
+   * Format a table row.
+   *
+   * @param object $row Table row
+   * @return array `{ id, url, type, title, source, emissions, page_size, updated, history }`
+   */
+  private static function to_url($row): array
+  {
+    $history = json_decode((string) $row->history, true);
+
+    return [
+      'id' => (int) $row->id,
+      'url' => $row->url,
+      'type' => $row->type,
+      'title' => $row->title,
+      'source' => $row->source,
+      'emissions' => $row->emissions === null ? null : (float) $row->emissions,
+      'page_size' => $row->page_size === null ? null : (int) $row->page_size,
+      'updated' => $row->updated,
+      'history' => is_array($history) ? $history : [],
+    ];
+  }
+
+  /**
+   * Get a readable title for a URL.
+   *
+   * @param string $url  URL
+   * @param string $type Type from `classify()`
+   * @return string
+   */
+  private static function get_title(string $url, string $type): string
+  {
+    if ($type === 'home') {
+      return __('Home page', 'carbonfooter');
+    }
+
+    $path = (string) wp_parse_url($url, PHP_URL_PATH);
+    $query = (string) wp_parse_url($url, PHP_URL_QUERY);
+
+    return substr(urldecode($path . ($query === '' ? '' : '?' . $query)), 0, 255);
+  }
+
+  /**
+   * Fetch and parse a sitemap.
+   *
+   * Larger responses are cut off at `Constants::MAX_SITEMAP_BYTES` and then
+   * fail to parse.
+   *
+   * @param string $url Sitemap URL on this site, see `normalize_url()`
+   * @return \SimpleXMLElement|\WP_Error
+   */
+  private static function fetch_sitemap(string $url)
+  {
+    $response = wp_safe_remote_get($url, [
+      'timeout' => 15,
+      'limit_response_size' => Constants::MAX_SITEMAP_BYTES,
+    ]);
+    if (is_wp_error($response) || wp_remote_retrieve_response_code($response) !== 200) {
+      return new \WP_Error(
+        'carbonfooter_sitemap_unavailable',
+        /* translators: %s: sitemap URL */
+        sprintf(__('The sitemap %s could not be loaded', 'carbonfooter'), $url),
+        ['status' => 400]
+      );
+    }
+
+    $previous = libxml_use_internal_errors(true);
+    $xml = simplexml_load_string(wp_remote_retrieve_body($response), 'SimpleXMLElement', LIBXML_NONET);
+    libxml_clear_errors();
+    libxml_use_internal_errors($previous);
+
+    if (!$xml || !in_array($xml->getName(), ['sitemapindex', 'urlset'], true)) {
+      return new \WP_Error(
+        'carbonfooter_sitemap_invalid',
+        /* translators: %s: sitemap URL */
+        sprintf(__('%s is not an XML sitemap', 'carbonfooter'), $url),
+        ['status' => 400]
+      );
+    }
+
+    return $xml;
+  }
+
+  /**
+   * Get the page URLs of a `urlset` sitemap.
+   *
+   * @param \SimpleXMLElement $xml Sitemap
+   * @return string[]
+   */
+  private static function get_locations(\SimpleXMLElement $xml): array
+  {
+    $urls = [];
+    foreach ($xml->url as $entry) {
+      $location = trim((string) $entry->loc);
+      if ($location !== '') {
+        $urls[] = $location;
+      }
+    }
+
+    return $urls;
+  }
+
+  /**
+   * Whether a sitemap lists posts of a post type.
+   *
+   * Recognizes the core sitemaps (`wp-sitemap-posts-page-1.xml`) and the
+   * `<post type>-sitemap.xml` naming of SEO plugins.
+   *
+   * @param string $url Sitemap URL
+   * @return bool
+   */
+  private static function is_post_sitemap(string $url): bool
+  {
+    $name = basename((string) wp_parse_url($url, PHP_URL_PATH));
+    if (strpos($name, 'wp-sitemap-posts-') === 0) {
+      return true;
+    }
+
+    foreach (get_post_types(['public' => true]) as $post_type) {
+      if (preg_match('/^' . preg_quote($post_type, '/') . '-sitemap\d*\.xml$/', $name)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+}
@@ -0,0 +1,150 @@
+import { useState, useEffect } from "@wordpress/element";
+import { __ } from "@wordpress/i18n";
+import {
+	InspectorControls,
+	PanelColorSettings,
+	useBlockProps,
+} from "@wordpress/block-editor";
+import {
+	PanelBody,
+	SelectControl,
+	__experimentalToggleGroupControl as ToggleGroupControl,
+	__experimentalToggleGroupControlOption as ToggleGroupControlOption,
+} from "@wordpress/components";
+
+import WidgetPreview from "../../components/WidgetPreview";
+import { getPageDetail } from "../../lib/api";
+
+// Widget settings, passed by `Blocks::register_blocks()`
+const defaults = window.carbonfooterWidget || {
+	style: "minimal",
+	backgroundColor: "#000000",
+	textColor: "#FFFFFF",
+	average: 0,
+};
+
+/**
+ * Emissions of the edited post, or null when it has not been measured
+ *
+ * @param {number|undefined} postId Post ID from the block context; missing in
+ *   template parts
+ * @return {number|null}
+ */
+const usePageEmissions = (postId) => {
+	const [emissions, setEmissions] = useState(null);
+
+	useEffect(() => {
+		let isMounted = true;
+		setEmissions(null);
+		if (!postId) {
+			return;
+		}
+
+		getPageDetail(postId)
+			.then((detail) => {
+				if (isMounted) {
+					setEmissions(detail.emissions);
+				}
+			})
+			.catch(() => {
+				// Not measured or not readable: the preview shows the site average
+			});
+
+		return () => {
+			isMounted = false;
+		};
+	}, [postId]);
+
+	return emissions;
+};
+
+const Edit = ({ attributes, setAttributes, context }) => {
+	const { widgetStyle, backgroundColor, textColor, source } = attributes;
+	const pageEmissions = usePageEmissions(
+		source === "page" ? context.postId : undefined,
+	);
+	const blockProps = useBlockProps();
+
+	// Like on the frontend, unmeasured pages show the site average
+	const emissions =
+		source === "page" && pageEmissions !== null
+			? pageEmissions
+			: defaults.average;
+
+	return (
+		<>
+			<InspectorControls>
+				<PanelBody title={__("Widget", "carbonfooter")}>
+					<SelectControl
+						label={__("Layout", "carbonfooter")}
+						value={widgetStyle}
+						options={[
+							{ label: __("Plugin setting", "carbonfooter"), value: "" },
+							{ label: __("Minimal", "carbonfooter"), value: "minimal" },
+							{ label: __("Sticker", "carbonfooter"), value: "sticker" },
+							{ label: __("Full Banner", "carbonfooter"), value: "full" },
+						]}
+						onChange={(value) => setAttributes({ widgetStyle: value })}
+						__nextHasNoMarginBottom
+					/>
+					<ToggleGroupControl
+						label={__("Show", "carbonfooter")}
+						value={source}
+						onChange={(value) => setAttributes({ source: value })}
+						help={
+							source === "page"
+								? __(
+										"Pages that have not been measured show the site average.",
+										"carbonfooter",
+									)
+								: __(
+										"The average of all measured pages, the same on every page.",
+										"carbonfooter",
+									)
+						}
+						isBlock
+						__nextHasNoMarginBottom
+					>
+						<ToggleGroupControlOption
+							value="page"
+							label={__("Current page", "carbonfooter")}
+						/>
+						<ToggleGroupControlOption
+							value="site"
+							label={__("Site average", "carbonfooter")}
+						/>
+					</ToggleGroupControl>
+				</PanelBody>
+				<PanelColorSettings
+					title={__("Colors", "carbonfooter")}
+					initialOpen={false}
+					colorSettings={[
+						{
+							label: __("Background color", "carbonfooter"),
+							value: backgroundColor,
+							onChange: (value) =>
+								setAttributes({ backgroundColor: value || "" }),
+						},
+						{
+							label: __("Text color", "carbonfooter"),
+							value: textColor,
+							onChange: (value) => setAttributes({ textColor: value || "" }),
+						},
+					]}
+				/>
+			</InspectorControls>
+
+			<div {...blockProps}>
+				<WidgetPreview
+					widgetStyle={widgetStyle || defaults.style}
+					backgroundColor={backgroundColor || defaults.backgroundColor}
+					textColor={textColor || defaults.textColor}
+					emissions={emissions}
+					source={source}
+				/>
+			</div>
+		</>
+	);
+};
+
+export default Edit;
@@ -0,0 +1,9 @@
+import { registerBlockType } from "@wordpress/blocks";
+import metadata from "./block.json";
+import Edit from "./edit";
+
+// Rendered on the server, see `Blocks::render_widget_block()`
+registerBlockType(metadata.name, {
+	edit: Edit,
+	save: () => null,
+});
@@ -0,0 +1,102 @@
+import { Button, Notice } from "@wordpress/components";
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * Labels for the per-page status of a batch job
+ */
+export const getBatchItemLabel = (status) =>
+	({
+		queued: __("Queued", "carbonfooter"),
+		measuring: __("Measuring…", "carbonfooter"),
+		done: __("Done", "carbonfooter"),
+		failed: __("Failed", "carbonfooter"),
+	})[status] || "";
+
+const getJobMessage = (job) => {
+	switch (job.status) {
+		case "paused":
+			return __("Measuring is paused.", "carbonfooter");
+		case "cancelled":
+			return __("Measuring was cancelled.", "carbonfooter");
+		case "completed":
+			return __("All pages have been measured.", "carbonfooter");
+		default:
+			return __(
+				"Measuring pages in the background. You can leave this page; the job keeps running.",
+				"carbonfooter",
+			);
+	}
+};
+
+const BatchProgress = ({ job, onControl, isBusy }) => {
+	const { counts } = job;
+
+	return (
+		<div className="cf-batch">
+			<div
+				className="cf-batch__bar"
+				role="progressbar"
+				aria-valuemin={0}
+				aria-valuemax={100}
+				aria-valuenow={job.progress}
+			>
+				<div
+					className={`cf-batch__fill cf-batch__fill--${job.status}`}
+					style={{ width: `${job.progress}%` }}
+				/>
+			</div>
+
+			<p className="cf-batch__summary">
+				{sprintf(
+					/* translators: 1: processed pages, 2: total pages, 3: failed pages */
+					__("%1$s of %2$s pages processed, %3$s failed.", "carbonfooter"),
+					counts.done + counts.failed,
+					job.total,
+					counts.failed,
+				)}{" "}
+				{getJobMessage(job)}
+			</p>
+
+			{counts.failed > 0 && job.status === "completed" && (
+				<Notice status="warning" isDismissible={false}>
+					{__(
+						"Some pages could not be measured. They stay in the list below, so you can try again later.",
+						"carbonfooter",
+					)}
+				</Notice>
+			)}
+
+			<div className="cf-batch__controls">
+				{job.status === "running" && (
+					<Button
+						isSecondary
+						disabled={isBusy}
+						onClick={() => onControl("pause")}
+					>
+						{__("Pause", "carbonfooter")}
+					</Button>
+				)}
+				{job.status === "paused" && (
+					<Button
+						isSecondary
+						disabled={isBusy}
+						onClick={() => onControl("resume")}
+					>
+						{__("Resume", "carbonfooter")}
+					</Button>
+				)}
+				{(job.status === "running" || job.status === "paused") && (
+					<Button
+						isDestructive
+						disabled={isBusy}
+						onClick={() => onControl("cancel")}
+					>
+						{__("Cancel", "carbonfooter")}
+					</Button>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default BatchProgress;
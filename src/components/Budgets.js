@@ -0,0 +1,145 @@
+import {
+	Button,
+	Panel,
+	PanelBody,
+	TextControl,
+	__experimentalHeading as Heading,
+	__experimentalSpacer as Spacer,
+} from "@wordpress/components";
+
+import { __ } from "@wordpress/i18n";
+
+import Text from "../components/Text";
+
+const BudgetFields = ({ fields, onChange, placeholders = {} }) => (
+	<div className="cf-budgets__fields">
+		<TextControl
+			type="number"
+			label={__("Grams CO2 per visit", "carbonfooter")}
+			min={0}
+			step={0.01}
+			value={fields.emissions}
+			placeholder={placeholders.emissions}
+			onChange={(emissions) => onChange({ ...fields, emissions })}
+			__nextHasNoMarginBottom
+		/>
+		<TextControl
+			type="number"
+			label={__("Page size (KB)", "carbonfooter")}
+			min={0}
+			step={1}
+			value={fields.pageSize}
+			placeholder={placeholders.pageSize}
+			onChange={(pageSize) => onChange({ ...fields, pageSize })}
+			__nextHasNoMarginBottom
+		/>
+	</div>
+);
+
+const Budgets = ({
+	budgetForm,
+	setBudgetForm,
+	prepublishThreshold,
+	setPrepublishThreshold,
+	saveBudgets,
+}) => {
+	const postTypes = window.carbonfooterVars?.postTypes || [];
+	const defaults = {
+		emissions: budgetForm.emissions,
+		pageSize: budgetForm.pageSize,
+	};
+
+	return (
+		<Panel>
+			<PanelBody
+				title={__("Emission budgets", "carbonfooter")}
+				className="carbonfooter-settings-panel"
+				initialOpen={false}
+			>
+				<Text>
+					{__(
+						"Agree on a maximum footprint per page, and pages that go over it are marked in the results, the post lists and the dashboard widget. Leave a field empty to not set that limit.",
+						"carbonfooter",
+					)}
+				</Text>
+				<Spacer margin={4} />
+
+				<Heading level={4}>{__("All pages", "carbonfooter")}</Heading>
+				<Spacer margin={2} />
+				<BudgetFields
+					fields={budgetForm}
+					onChange={({ emissions, pageSize }) =>
+						setBudgetForm({ ...budgetForm, emissions, pageSize })
+					}
+				/>
+				<Spacer margin={6} />
+
+				{postTypes.length > 0 && (
+					<>
+						<Heading level={4}>
+							{__("Per post type", "carbonfooter")}
+						</Heading>
+						<Text>
+							{__(
+								"Overrides the budget above for one post type. Empty fields use the budget for all pages.",
+								"carbonfooter",
+							)}
+						</Text>
+						<Spacer margin={2} />
+						{postTypes.map((postType) => (
+							<div className="cf-budgets__post-type" key={postType.name}>
+								<span className="cf-budgets__label">{postType.label}</span>
+								<BudgetFields
+									fields={
+										budgetForm.postTypes[postType.name] || {
+											emissions: "",
+											pageSize: "",
+										}
+									}
+									placeholders={defaults}
+									onChange={(fields) =>
+										setBudgetForm({
+											...budgetForm,
+											postTypes: {
+												...budgetForm.postTypes,
+												[postType.name]: fields,
+											},
+										})
+									}
+								/>
+							</div>
+						))}
+						<Spacer margin={6} />
+					</>
+				)}
+
+				<Heading level={4}>{__("Before publishing", "carbonfooter")}</Heading>
+				<Text>
+					{__(
+						"The block editor can measure a draft before it is published. It warns when the draft goes over its budget, or the site average when there is no budget, by more than this percentage.",
+						"carbonfooter",
+					)}
+				</Text>
+				<Spacer margin={2} />
+				<div className="cf-budgets__fields">
+					<TextControl
+						type="number"
+						label={__("Warning threshold (%)", "carbonfooter")}
+						min={0}
+						step={1}
+						value={prepublishThreshold}
+						onChange={setPrepublishThreshold}
+						__nextHasNoMarginBottom
+					/>
+				</div>
+				<Spacer margin={6} />
+
+				<Button isPrimary onClick={saveBudgets}>
+					{__("Save budgets", "carbonfooter")}
+				</Button>
+			</PanelBody>
+		</Panel>
+	);
+};
+
+export default Budgets;
@@ -0,0 +1,79 @@
+import { useState, useEffect } from "@wordpress/element";
+import { __ } from "@wordpress/i18n";
+import { Notice } from "@wordpress/components";
+
+import BatchProgress from "./BatchProgress";
+import { controlBatch, getBatch, getErrorMessage } from "../lib/api";
+
+const BATCH_POLL_INTERVAL = 3000;
+
+/**
+ * Progress of the job started by the "Measure emissions" bulk action
+ *
+ * Follows the batch job while it runs. The list is not reloaded: the
+ * emissions column shows the new results on the next page load.
+ */
+const BulkMeasureProgress = () => {
+	const [job, setJob] = useState(null);
+	const [isBusy, setIsBusy] = useState(false);
+	const [error, setError] = useState(null);
+
+	const loadBatch = async () => {
+		try {
+			const response = await getBatch();
+			setJob(response.job);
+		} catch (loadError) {
+			console.error("Error loading measurement job:", loadError);
+		}
+	};
+
+	useEffect(() => {
+		loadBatch();
+	}, []);
+
+	// Poll while a job runs; the server keeps it going between polls
+	useEffect(() => {
+		if (job?.status !== "running") {
+			return undefined;
+		}
+
+		const timer = setInterval(loadBatch, BATCH_POLL_INTERVAL);
+		return () => clearInterval(timer);
+	}, [job?.status]);
+
+	const onControl = async (action) => {
+		setIsBusy(true);
+		setError(null);
+		try {
+			const response = await controlBatch(action);
+			setJob(response.job);
+		} catch (controlError) {
+			console.error("Error updating measurement job:", controlError);
+			setError(
+				getErrorMessage(
+					controlError,
+					__("The measurement job could not be updated.", "carbonfooter"),
+				),
+			);
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	if (!job) {
+		return null;
+	}
+
+	return (
+		<>
+			<BatchProgress job={job} onControl={onControl} isBusy={isBusy} />
+			{error && (
+				<Notice status="error" isDismissible={false}>
+					{error}
+				</Notice>
+			)}
+		</>
+	);
+};
+
+export default BulkMeasureProgress;
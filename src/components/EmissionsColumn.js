@@ -0,0 +1,141 @@
+import { useState } from "@wordpress/element";
+import { useDispatch, useSelect } from "@wordpress/data";
+import { __ } from "@wordpress/i18n";
+import { Button } from "@wordpress/components";
+
+import Sparkline from "./Sparkline";
+import { store as carbonfooterStore } from "../store";
+
+const getBudgetMessage = (exceeded) =>
+	exceeded.includes("emissions")
+		? __("Emissions exceed the budget for this post type", "carbonfooter")
+		: __("Page size exceeds the budget for this post type", "carbonfooter");
+
+/**
+ * Emissions cell of the posts and pages lists
+ *
+ * Shows the latest emissions with a trend sparkline, flags stale and
+ * over-budget measurements and measures published posts in place. Props
+ * come from the cell's `data-carbonfooter` attribute, see
+ * `AdminHandler::render_emissions_column_content()`.
+ *
+ * @param {Object}      props
+ * @param {number}      props.postId     Post ID
+ * @param {number|null} props.emissions  Grams CO2 per view, null when never measured
+ * @param {Array}       props.history    `{ date, value }` per measurement, oldest first
+ * @param {boolean}     props.stale      Whether the measurement is due for a refresh
+ * @param {string[]}    props.exceeded   Budget limits the post exceeds
+ * @param {boolean}     props.canMeasure Whether the post is published and editable
+ * @param {string}      props.url        Permalink
+ */
+const EmissionsColumn = ({
+	postId,
+	emissions: initialEmissions,
+	history: initialHistory,
+	stale: initialStale,
+	exceeded,
+	canMeasure,
+	url,
+}) => {
+	const [emissions, setEmissions] = useState(initialEmissions);
+	const [history, setHistory] = useState(initialHistory);
+	const [isStale, setIsStale] = useState(initialStale);
+	const { measurePost } = useDispatch(carbonfooterStore);
+	const measurement = useSelect(
+		(select) => select(carbonfooterStore).getMeasurement(postId),
+		[postId],
+	);
+	const isMeasuring = measurement?.status === "measuring";
+	const isMeasured = emissions !== null;
+
+	const measure = async () => {
+		try {
+			const result = await measurePost(postId);
+			if (result.status === "completed") {
+				setEmissions(result.emissions);
+				setHistory((entries) => [
+					...entries,
+					{ date: new Date().toISOString(), value: result.emissions },
+				]);
+				setIsStale(false);
+			}
+		} catch {
+			// The store keeps the error, shown below
+		}
+	};
+
+	return (
+		<div className="cf-column">
+			{isMeasured ? (
+				<p className="cf-column__value">
+					{`${emissions.toFixed(2)}g CO2`}
+					{isStale && (
+						<span
+							className="cf-column__stale"
+							title={__(
+								"This measurement is due for a refresh. Measure again to update it.",
+								"carbonfooter",
+							)}
+						>
+							{__("Stale", "carbonfooter")}
+						</span>
+					)}
+				</p>
+			) : (
+				<p className="cf-column__value">
+					{__("No result yet", "carbonfooter")}
+				</p>
+			)}
+
+			{history.length >= 2 && (
+				<div className="cf-column__sparkline">
+					<Sparkline history={history} width={120} height={32} />
+				</div>
+			)}
+
+			{exceeded.length > 0 && (
+				<p
+					className="cf-column__over-budget"
+					title={getBudgetMessage(exceeded)}
+				>
+					{__("Over budget", "carbonfooter")}
+				</p>
+			)}
+
+			{measurement?.status === "failed" && (
+				<p className="cf-column__error" role="alert">
+					{measurement.error}
+				</p>
+			)}
+
+			{canMeasure ? (
+				<Button
+					isSecondary
+					isSmall
+					isBusy={isMeasuring}
+					disabled={isMeasuring}
+					onClick={measure}
+				>
+					{isMeasuring && __("Measuring…", "carbonfooter")}
+					{!isMeasuring &&
+						(isMeasured
+							? __("Measure again", "carbonfooter")
+							: __("Measure", "carbonfooter"))}
+				</Button>
+			) : (
+				!isMeasured && (
+					<Button
+						isLink
+						href={url}
+						target="_blank"
+						rel="noopener noreferrer"
+					>
+						{__("Visit page to get a result", "carbonfooter")}
+					</Button>
+				)
+			)}
+		</div>
+	);
+};
+
+export default EmissionsColumn;
@@ -0,0 +1,43 @@
+import { __ } from "@wordpress/i18n";
+import Sparkline from "./Sparkline";
+import { formatEmissionsDelta, getDeltaDirection } from "../lib/emissionsDelta";
+
+export const DeltaBadge = ({ delta }) => {
+	if (delta === null || delta === undefined) {
+		return null;
+	}
+
+	return (
+		<span
+			className={`cf-delta-badge cf-delta-badge--${getDeltaDirection(delta)}`}
+		>
+			{formatEmissionsDelta(delta)}
+		</span>
+	);
+};
+
+/**
+ * Emissions trend of one page with the change since the previous measurement
+ *
+ * @param {Object}      props
+ * @param {Array}       props.history `{ date, value }` per measurement, oldest first
+ * @param {number|null} props.delta   Grams CO2 between the last two measurements
+ */
+const EmissionsHistory = ({ history = [], delta = null }) => {
+	if (history.length < 2) {
+		return (
+			<span className="cf-emissions-history__empty">
+				{__("Not enough measurements yet", "carbonfooter")}
+			</span>
+		);
+	}
+
+	return (
+		<div className="cf-emissions-history">
+			<Sparkline history={history} />
+			<DeltaBadge delta={delta} />
+		</div>
+	);
+};
+
+export default EmissionsHistory;
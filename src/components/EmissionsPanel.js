@@ -0,0 +1,156 @@
+import { useState, useEffect } from "@wordpress/element";
+import { useDispatch, useSelect } from "@wordpress/data";
+import { __ } from "@wordpress/i18n";
+import { Button, Notice, Spinner } from "@wordpress/components";
+
+import LiveEstimate from "./LiveEstimate";
+import Sparkline from "./Sparkline";
+import { DeltaBadge } from "./EmissionsHistory";
+import { getPageDetail, getErrorMessage } from "../lib/api";
+import { formatBytes } from "../lib/formatBytes";
+import { formatDate } from "../lib/formatDate";
+import { store as carbonfooterStore } from "../store";
+
+/**
+ * Emissions of the edited post, for the block editor sidebar
+ *
+ * Shows the latest measurement, whether the cached value is due for a
+ * refresh, a small history chart and an estimate of the unsaved changes.
+ * Measuring updates the panel in place once the measurement completes.
+ *
+ * @param {Object}  props
+ * @param {number}  props.postId      Post ID
+ * @param {boolean} props.isPublished Whether the post is public; drafts cannot be measured
+ */
+const EmissionsPanel = ({ postId, isPublished }) => {
+	const [detail, setDetail] = useState(null);
+	const [error, setError] = useState(null);
+	const { measurePost } = useDispatch(carbonfooterStore);
+	const { measurement, lastMeasuredAt } = useSelect(
+		(select) => {
+			const store = select(carbonfooterStore);
+			return {
+				measurement: store.getMeasurement(postId),
+				lastMeasuredAt: store.getLastMeasuredAt(),
+			};
+		},
+		[postId],
+	);
+	const isMeasuring = measurement?.status === "measuring";
+
+	useEffect(() => {
+		let isMounted = true;
+		setError(null);
+
+		getPageDetail(postId)
+			.then((response) => {
+				if (isMounted) {
+					setDetail(response);
+				}
+			})
+			.catch((fetchError) => {
+				console.error("Error loading emissions:", fetchError);
+				if (isMounted) {
+					setError(
+						getErrorMessage(
+							fetchError,
+							__("Could not load the emissions.", "carbonfooter"),
+						),
+					);
+				}
+			});
+
+		return () => {
+			isMounted = false;
+		};
+	}, [postId, lastMeasuredAt]);
+
+	const measureNow = () => {
+		// The store keeps the error, shown below
+		measurePost(postId).catch(() => {});
+	};
+
+	if (error) {
+		return (
+			<Notice status="error" isDismissible={false}>
+				{error}
+			</Notice>
+		);
+	}
+
+	if (!detail) {
+		return <Spinner />;
+	}
+
+	const isMeasured = detail.emissions !== null;
+
+	return (
+		<div className="cf-emissions-panel">
+			{isMeasured ? (
+				<dl className="cf-emissions-panel__summary">
+					<div>
+						<dt>{__("Emissions per view", "carbonfooter")}</dt>
+						<dd>{`${detail.emissions.toFixed(2)}g CO2`}</dd>
+					</div>
+					<div>
+						<dt>{__("Page size", "carbonfooter")}</dt>
+						<dd>{detail.page_size ? formatBytes(detail.page_size) : "–"}</dd>
+					</div>
+					<div>
+						<dt>{__("Last measured", "carbonfooter")}</dt>
+						<dd>
+							{formatDate(detail.updated)}{" "}
+							<span
+								className={`cf-emissions-panel__freshness${
+									detail.stale ? " is-stale" : ""
+								}`}
+							>
+								{detail.stale
+									? __("Stale", "carbonfooter")
+									: __("Fresh", "carbonfooter")}
+							</span>
+						</dd>
+					</div>
+				</dl>
+			) : (
+				<p>{__("This page has not been measured yet.", "carbonfooter")}</p>
+			)}
+
+			{detail.history.length >= 2 && (
+				<div className="cf-emissions-history">
+					<Sparkline history={detail.history} />
+					<DeltaBadge delta={detail.delta} />
+				</div>
+			)}
+
+			<LiveEstimate detail={detail} />
+
+			{measurement?.status === "failed" && (
+				<Notice status="error" isDismissible={false}>
+					{measurement.error}
+				</Notice>
+			)}
+
+			<Button
+				isSecondary
+				isBusy={isMeasuring}
+				disabled={isMeasuring || !isPublished}
+				onClick={measureNow}
+			>
+				{isMeasuring
+					? __("Measuring…", "carbonfooter")
+					: __("Measure now", "carbonfooter")}
+			</Button>
+			<p className="cf-emissions-panel__help">
+				{isPublished
+					? __(
+							"Measures the published version of this page. Update the page first to include your latest changes.",
+							"carbonfooter",
+						)
+					: __("Publish this page to measure it.", "carbonfooter")}
+			</p>
+		</div>
+	);
+};
+
+export default EmissionsPanel;
@@ -0,0 +1,243 @@
+import { useState, useEffect } from "@wordpress/element";
+import { __, sprintf } from "@wordpress/i18n";
+import {
+	Panel,
+	PanelBody,
+	Notice,
+	SelectControl,
+	Spinner,
+	TextControl,
+	ToggleControl,
+} from "@wordpress/components";
+import LineChart from "./LineChart";
+import Text from "./Text";
+import { getTimeline, getErrorMessage } from "../lib/api";
+import {
+	formatPercentageChange,
+	getDeltaDirection,
+} from "../lib/emissionsDelta";
+
+const DEFAULT_RANGE_DAYS = 90;
+
+// Value for <input type="date">
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const getDefaultRange = () => {
+	const end = new Date();
+	const start = new Date(end);
+	start.setDate(start.getDate() - DEFAULT_RANGE_DAYS);
+
+	return { start: toDateInput(start), end: toDateInput(end) };
+};
+
+const formatPeriod = (period, interval) => {
+	const date = new Date(`${period}T00:00:00`);
+
+	if (interval === "month") {
+		return date.toLocaleDateString(undefined, {
+			month: "short",
+			year: "numeric",
+		});
+	}
+
+	return sprintf(
+		/* translators: %s: first day of the week */
+		__("Week of %s", "carbonfooter"),
+		date.toLocaleDateString(),
+	);
+};
+
+const ChangeBadge = ({ change, neutral = false }) => {
+	if (change === null || change === undefined) {
+		return null;
+	}
+
+	const direction = neutral ? "flat" : getDeltaDirection(change);
+
+	return (
+		<span className={`cf-delta-badge cf-delta-badge--${direction}`}>
+			{formatPercentageChange(change)}
+		</span>
+	);
+};
+
+const EmissionsTimeline = () => {
+	const [interval, setTimelineInterval] = useState("week");
+	const [range, setRange] = useState(getDefaultRange);
+	const [compare, setCompare] = useState(false);
+	const [timeline, setTimeline] = useState(null);
+	const [isLoading, setIsLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		let isMounted = true;
+
+		setIsLoading(true);
+		setError(null);
+
+		getTimeline({ interval, start: range.start, end: range.end, compare })
+			.then((response) => {
+				if (isMounted) {
+					setTimeline(response);
+				}
+			})
+			.catch((fetchError) => {
+				console.error("Error loading emissions timeline:", fetchError);
+				if (isMounted) {
+					setError(
+						getErrorMessage(
+							fetchError,
+							__("Could not load the emissions timeline.", "carbonfooter"),
+						),
+					);
+				}
+			})
+			.finally(() => {
+				if (isMounted) {
+					setIsLoading(false);
+				}
+			});
+
+		return () => {
+			isMounted = false;
+		};
+	}, [interval, range, compare]);
+
+	const buildSeries = (field) => {
+		const series = [
+			{
+				key: "current",
+				label: __("Selected period", "carbonfooter"),
+				color: "#2271b1",
+				points: timeline.current.series.map((bucket) => ({
+					label: formatPeriod(bucket.period, timeline.interval),
+					value: bucket[field],
+				})),
+			},
+		];
+
+		if (timeline.previous) {
+			series.push({
+				key: "previous",
+				label: __("Previous period", "carbonfooter"),
+				color: "#a7aaad",
+				dashed: true,
+				points: timeline.previous.series.map((bucket) => ({
+					label: formatPeriod(bucket.period, timeline.interval),
+					value: bucket[field],
+				})),
+			});
+		}
+
+		return series;
+	};
+
+	const hasData =
+		timeline &&
+		(timeline.current.summary.measured > 0 ||
+			timeline.previous?.summary.measured > 0);
+
+	return (
+		<Panel>
+			<PanelBody
+				title={__("Emissions over time", "carbonfooter")}
+				initialOpen={true}
+				className="carbonfooter-settings-panel"
+			>
+				<Text>
+					{__(
+						"How the average emissions per visit and the number of measured pages develop across your site.",
+						"carbonfooter",
+					)}
+				</Text>
+
+				<div className="cf-timeline__controls">
+					<SelectControl
+						label={__("Group by", "carbonfooter")}
+						value={interval}
+						options={[
+							{ label: __("Week", "carbonfooter"), value: "week" },
+							{ label: __("Month", "carbonfooter"), value: "month" },
+						]}
+						onChange={setTimelineInterval}
+						__nextHasNoMarginBottom
+					/>
+					<TextControl
+						type="date"
+						label={__("From", "carbonfooter")}
+						value={range.start}
+						max={range.end}
+						onChange={(start) => start && setRange({ ...range, start })}
+						__nextHasNoMarginBottom
+					/>
+					<TextControl
+						type="date"
+						label={__("To", "carbonfooter")}
+						value={range.end}
+						min={range.start}
+						onChange={(end) => end && setRange({ ...range, end })}
+						__nextHasNoMarginBottom
+					/>
+					<ToggleControl
+						label={__("Compare to previous period", "carbonfooter")}
+						checked={compare}
+						onChange={setCompare}
+						__nextHasNoMarginBottom
+					/>
+				</div>
+
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{isLoading && !timeline && <Spinner />}
+
+				{timeline && !hasData && !error && (
+					<p className="cf-timeline__empty">
+						{__("No measurements in this period.", "carbonfooter")}
+					</p>
+				)}
+
+				{hasData && !error && (
+					<div className="cf-timeline">
+						<div className="cf-timeline__chart">
+							<div className="cf-timeline__summary">
+								<strong>{__("Average per visit", "carbonfooter")}</strong>
+								<span>
+									{timeline.current.summary.average === null
+										? "–"
+										: `${timeline.current.summary.average.toFixed(2)}g CO2`}
+								</span>
+								<ChangeBadge change={timeline.change?.average} />
+							</div>
+							<LineChart
+								showAxis={true}
+								label={__("Average emissions per visit", "carbonfooter")}
+								formatValue={(value) => `${value.toFixed(2)}g`}
+								series={buildSeries("average")}
+							/>
+						</div>
+
+						<div className="cf-timeline__chart">
+							<div className="cf-timeline__summary">
+								<strong>{__("Pages measured", "carbonfooter")}</strong>
+								<span>{timeline.current.summary.measured}</span>
+								<ChangeBadge change={timeline.change?.measured} neutral />
+							</div>
+							<LineChart
+								showAxis={true}
+								label={__("Pages measured", "carbonfooter")}
+								formatValue={(value) => `${Math.round(value)}`}
+								series={buildSeries("measured")}
+							/>
+						</div>
+					</div>
+				)}
+			</PanelBody>
+		</Panel>
+	);
+};
+
+export default EmissionsTimeline;
@@ -3,9 +3,12 @@ import {
 	Panel,
 	PanelBody,
 	Notice,
+	SelectControl,
+	TextControl,
 	__experimentalSpacer as Spacer,
 } from "@wordpress/components";
 
+import { useState } from "@wordpress/element";
 import { __ } from "@wordpress/i18n";
 
 import Text from "../components/Text";
@@ -16,6 +19,19 @@ const ExportData = ({
 	exportNotice,
 	setExportNotice,
 }) => {
+	const [format, setFormat] = useState("json");
+	const [postType, setPostType] = useState("");
+	const [start, setStart] = useState("");
+	const [end, setEnd] = useState("");
+
+	const postTypeOptions = [
+		{ label: __("All post types", "carbonfooter"), value: "" },
+		...(window.carbonfooterVars?.postTypes || []).map((type) => ({
+			label: type.label,
+			value: type.name,
+		})),
+	];
+
 	return (
 		<Panel>
 			<PanelBody
@@ -39,7 +55,7 @@ const ExportData = ({
 
 				<Text>
 					{__(
-						"This is especially relevant if you want to use the carbon emissions from your website for another platform. You can export all historical emissions as a JSON file. This includes all pages with measurement history, including the serialized PHP arrays that contain the historical measurements. ",
+						"This is especially relevant if you want to use the carbon emissions from your website for another platform. You can export all historical emissions as a JSON file, or as a CSV file to open in a spreadsheet.",
 						"carbonfooter",
 					)}
 				</Text>
@@ -53,23 +69,74 @@ const ExportData = ({
 							paddingLeft: "20px",
 						}}
 					>
-						<li>{__("Post ID and title", "carbonfooter")}</li>
-						<li>{__("Complete measurement history", "carbonfooter")}</li>
+						<li>{__("Post ID, title, URL and post type", "carbonfooter")}</li>
+						<li>
+							{__(
+								"Page size, last measured date and current emissions",
+								"carbonfooter",
+							)}
+						</li>
 						<li>
 							{__(
-								"Serialized PHP arrays with dates and values",
+								"Every measurement in the selected period, with its date",
 								"carbonfooter",
 							)}
 						</li>
-						<li>{__("All pages with historical data", "carbonfooter")}</li>
 					</ul>
 				</Notice>
 
 				<Spacer margin={4} />
 
+				<div className="cf-export__options">
+					<SelectControl
+						label={__("Format", "carbonfooter")}
+						value={format}
+						options={[
+							{ label: __("JSON", "carbonfooter"), value: "json" },
+							{
+								label: __("CSV, one row per measurement", "carbonfooter"),
+								value: "csv-long",
+							},
+							{
+								label: __("CSV, one row per page", "carbonfooter"),
+								value: "csv-wide",
+							},
+						]}
+						onChange={setFormat}
+						__nextHasNoMarginBottom
+					/>
+					<SelectControl
+						label={__("Post type", "carbonfooter")}
+						value={postType}
+						options={postTypeOptions}
+						onChange={setPostType}
+						__nextHasNoMarginBottom
+					/>
+					<TextControl
+						type="date"
+						label={__("Measured from", "carbonfooter")}
+						value={start}
+						max={end || undefined}
+						onChange={setStart}
+						__nextHasNoMarginBottom
+					/>
+					<TextControl
+						type="date"
+						label={__("Measured until", "carbonfooter")}
+						value={end}
+						min={start || undefined}
+						onChange={setEnd}
+						__nextHasNoMarginBottom
+					/>
+				</div>
+
+				<Spacer margin={4} />
+
 				<Button
 					isPrimary
-					onClick={exportHistoricalData}
+					onClick={() =>
+						exportHistoricalData({ format, postType, start, end })
+					}
 					disabled={isExportingData}
 				>
 					{isExportingData
@@ -0,0 +1,260 @@
+import { useState } from "@wordpress/element";
+import { __, _n, sprintf } from "@wordpress/i18n";
+import { useDispatch } from "@wordpress/data";
+import {
+	Button,
+	FormFileUpload,
+	Notice,
+	Panel,
+	PanelBody,
+	__experimentalSpacer as Spacer,
+} from "@wordpress/components";
+
+import Text from "../components/Text";
+import { Table } from "../components/Table";
+import { importData, getErrorMessage } from "../lib/api";
+import { store as carbonfooterStore } from "../store";
+
+// Files saved from the raw API response wrap the entries in `data`
+const getEntries = (json) => {
+	if (Array.isArray(json)) {
+		return json;
+	}
+	return Array.isArray(json?.data) ? json.data : null;
+};
+
+const ImportData = () => {
+	const [fileName, setFileName] = useState("");
+	const [entries, setEntries] = useState([]);
+	const [preview, setPreview] = useState(null);
+	const [isBusy, setIsBusy] = useState(false);
+	const [notice, setNotice] = useState(null);
+	const { invalidateData } = useDispatch(carbonfooterStore);
+
+	const previewFile = async (file) => {
+		setNotice(null);
+		setPreview(null);
+		setFileName(file.name);
+
+		let parsed = null;
+		try {
+			parsed = getEntries(JSON.parse(await file.text()));
+		} catch (error) {
+			console.error("Error reading export file:", error);
+		}
+		setEntries(parsed || []);
+
+		if (!parsed || parsed.length === 0) {
+			setNotice({
+				type: "error",
+				message: __(
+					"This is not a carbonfooter JSON export, or it contains no pages.",
+					"carbonfooter",
+				),
+			});
+			return;
+		}
+
+		setIsBusy(true);
+		try {
+			setPreview(await importData(parsed));
+		} catch (error) {
+			console.error("Error previewing data import:", error);
+			setNotice({
+				type: "error",
+				message: getErrorMessage(
+					error,
+					__("The file could not be checked.", "carbonfooter"),
+				),
+			});
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	const runImport = async () => {
+		setIsBusy(true);
+		setNotice(null);
+		try {
+			const response = await importData(entries, { dryRun: false });
+			invalidateData();
+			setPreview(null);
+			setEntries([]);
+			setFileName("");
+			setNotice({
+				type: "success",
+				message: sprintf(
+					/* translators: 1: number of measurements, 2: number of pages */
+					_n(
+						"%1$s measurements restored for %2$s page.",
+						"%1$s measurements restored for %2$s pages.",
+						response.imported.posts,
+						"carbonfooter",
+					),
+					response.imported.entries,
+					response.imported.posts,
+				),
+			});
+		} catch (error) {
+			console.error("Error importing data:", error);
+			setNotice({
+				type: "error",
+				message: getErrorMessage(
+					error,
+					__("There was an error importing your data.", "carbonfooter"),
+				),
+			});
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	const matchedBy = {
+		id: __("Post ID", "carbonfooter"),
+		slug: __("Slug", "carbonfooter"),
+		title: __("Title", "carbonfooter"),
+	};
+
+	const mergedColumns = [
+		{ key: "title", label: __("Page", "carbonfooter") },
+		{ key: "source_title", label: __("Title in file", "carbonfooter") },
+		{ key: "matched_by", label: __("Matched by", "carbonfooter") },
+		{
+			key: "new_entries",
+			label: __("New measurements", "carbonfooter"),
+			align: "right",
+		},
+		{
+			key: "updates_current",
+			label: __("Current emissions", "carbonfooter"),
+		},
+	];
+
+	const skippedColumns = [
+		{ key: "source_title", label: __("Title in file", "carbonfooter") },
+		{ key: "reason", label: __("Reason", "carbonfooter") },
+	];
+
+	const mergedRows = (preview?.merged || []).map((item) => ({
+		...item,
+		id: item.post_id,
+		matched_by: matchedBy[item.matched_by] || item.matched_by,
+		updates_current: item.updates_current
+			? __("Replaced", "carbonfooter")
+			: __("Kept", "carbonfooter"),
+	}));
+
+	const skippedRows = (preview?.skipped || []).map((item) => ({
+		...item,
+		id: `skipped-${item.index}`,
+		source_title:
+			item.source_title || `#${item.source_id ?? item.index + 1}`,
+	}));
+
+	return (
+		<Panel>
+			<PanelBody
+				title={__("Import data", "carbonfooter")}
+				className="carbonfooter-settings-panel"
+				initialOpen={false}
+			>
+				{notice && (
+					<>
+						<Notice
+							status={notice.type}
+							isDismissible={true}
+							onRemove={() => setNotice(null)}
+						>
+							{notice.message}
+						</Notice>
+						<Spacer margin={3} />
+					</>
+				)}
+
+				<Text>
+					{__(
+						"Restore the measurement history from a JSON file made with the export above, for example after moving your website or rebuilding a staging site. Pages are matched by post ID, or by slug or title when the ID belongs to another page. Measurements are added to the history already on this site; nothing is removed.",
+						"carbonfooter",
+					)}
+				</Text>
+				<Spacer margin={4} />
+
+				<FormFileUpload
+					accept=".json,application/json"
+					onChange={(event) => {
+						const file = event.currentTarget.files[0];
+						event.currentTarget.value = "";
+						if (file) {
+							previewFile(file);
+						}
+					}}
+					render={({ openFileDialog }) => (
+						<Button
+							isSecondary
+							onClick={openFileDialog}
+							disabled={isBusy}
+						>
+							{fileName || __("Choose JSON file", "carbonfooter")}
+						</Button>
+					)}
+				/>
+
+				{preview && (
+					<>
+						<Spacer margin={4} />
+						<Text>
+							{sprintf(
+								/* translators: 1: merged entries, 2: total entries, 3: skipped entries */
+								__(
+									"%1$s of %2$s pages in the file can be merged, %3$s will be skipped.",
+									"carbonfooter",
+								),
+								preview.merged.length,
+								entries.length,
+								preview.skipped.length,
+							)}
+						</Text>
+
+						{mergedRows.length > 0 && (
+							<>
+								<h4>{__("Will be merged", "carbonfooter")}</h4>
+								<div className="cf-traffic-import__table">
+									<Table data={mergedRows} columns={mergedColumns} />
+								</div>
+							</>
+						)}
+
+						{skippedRows.length > 0 && (
+							<>
+								<h4>{__("Will be skipped", "carbonfooter")}</h4>
+								<div className="cf-traffic-import__table">
+									<Table data={skippedRows} columns={skippedColumns} />
+								</div>
+							</>
+						)}
+
+						<Spacer margin={4} />
+						<Button
+							isPrimary
+							onClick={runImport}
+							disabled={isBusy || preview.merged.length === 0}
+						>
+							{sprintf(
+								/* translators: %d: number of pages */
+								_n(
+									"Import data for %d page",
+									"Import data for %d pages",
+									preview.merged.length,
+									"carbonfooter",
+								),
+								preview.merged.length,
+							)}
+						</Button>
+					</>
+				)}
+			</PanelBody>
+		</Panel>
+	);
+};
+
+export default ImportData;
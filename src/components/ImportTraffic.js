@@ -0,0 +1,327 @@
+import { useState, useEffect } from "@wordpress/element";
+import { __, _n, sprintf } from "@wordpress/i18n";
+import {
+	Button,
+	FormFileUpload,
+	Notice,
+	Panel,
+	PanelBody,
+	TextControl,
+	__experimentalSpacer as Spacer,
+} from "@wordpress/components";
+
+import Text from "../components/Text";
+import { Table } from "../components/Table";
+import { parseTrafficCsv } from "../lib/csv";
+import {
+	getErrorMessage,
+	getTrafficImport,
+	importTraffic,
+	previewTrafficImport,
+	removeTrafficImport,
+} from "../lib/api";
+
+const DEFAULT_PERIOD_DAYS = 30;
+
+const ImportTraffic = () => {
+	const [fileName, setFileName] = useState("");
+	const [rows, setRows] = useState([]);
+	const [periodDays, setPeriodDays] = useState(String(DEFAULT_PERIOD_DAYS));
+	const [preview, setPreview] = useState(null);
+	const [imported, setImported] = useState(null);
+	const [isBusy, setIsBusy] = useState(false);
+	const [notice, setNotice] = useState(null);
+
+	useEffect(() => {
+		getTrafficImport()
+			.then((response) => setImported(response.imported))
+			.catch((error) => {
+				console.error("Error loading traffic import:", error);
+				setNotice({
+					type: "error",
+					message: getErrorMessage(
+						error,
+						__("The imported traffic could not be loaded.", "carbonfooter"),
+					),
+				});
+			});
+	}, []);
+
+	const previewFile = async (file) => {
+		setNotice(null);
+		setPreview(null);
+		setFileName(file.name);
+
+		const { rows: parsedRows, skipped } = parseTrafficCsv(
+			await file.text(),
+		);
+		setRows(parsedRows);
+
+		if (parsedRows.length === 0) {
+			setNotice({
+				type: "error",
+				message: __(
+					"No rows with a URL and a number of page views were found in this file.",
+					"carbonfooter",
+				),
+			});
+			return;
+		}
+
+		setIsBusy(true);
+		try {
+			const response = await previewTrafficImport(parsedRows);
+			setPreview({ ...response, skipped });
+		} catch (error) {
+			console.error("Error previewing traffic import:", error);
+			setNotice({
+				type: "error",
+				message: getErrorMessage(
+					error,
+					__("The file could not be checked.", "carbonfooter"),
+				),
+			});
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	const runImport = async () => {
+		setIsBusy(true);
+		setNotice(null);
+		try {
+			const response = await importTraffic(rows, Number(periodDays));
+			setImported(response.imported);
+			setPreview(null);
+			setRows([]);
+			setFileName("");
+			setNotice({
+				type: "success",
+				message: sprintf(
+					/* translators: %d: number of pages */
+					_n(
+						"Traffic imported for %d page.",
+						"Traffic imported for %d pages.",
+						response.imported.pages,
+						"carbonfooter",
+					),
+					response.imported.pages,
+				),
+			});
+		} catch (error) {
+			console.error("Error importing traffic:", error);
+			setNotice({
+				type: "error",
+				message: getErrorMessage(
+					error,
+					__("There was an error importing your traffic.", "carbonfooter"),
+				),
+			});
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	const removeImport = async () => {
+		setIsBusy(true);
+		setNotice(null);
+		try {
+			await removeTrafficImport();
+			setImported(null);
+			setNotice({
+				type: "success",
+				message: __("Imported traffic has been removed.", "carbonfooter"),
+			});
+		} catch (error) {
+			console.error("Error removing imported traffic:", error);
+			setNotice({
+				type: "error",
+				message: getErrorMessage(
+					error,
+					__("There was an error removing imported traffic.", "carbonfooter"),
+				),
+			});
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	const matchedColumns = [
+		{ key: "title", label: __("Page", "carbonfooter") },
+		{ key: "url", label: __("URL in file", "carbonfooter") },
+		{
+			key: "views",
+			label: __("Page views", "carbonfooter"),
+			align: "right",
+		},
+	];
+
+	const unmatchedColumns = [
+		{ key: "url", label: __("URL in file", "carbonfooter") },
+		{
+			key: "views",
+			label: __("Page views", "carbonfooter"),
+			align: "right",
+		},
+	];
+
+	const formatRows = (list) =>
+		list.map((row) => ({
+			...row,
+			id: row.post_id,
+			views: row.views.toLocaleString(),
+		}));
+
+	return (
+		<Panel>
+			<PanelBody
+				title={__("Import traffic", "carbonfooter")}
+				className="carbonfooter-settings-panel"
+				initialOpen={false}
+			>
+				{notice && (
+					<>
+						<Notice
+							status={notice.type}
+							isDismissible={true}
+							onRemove={() => setNotice(null)}
+						>
+							{notice.message}
+						</Notice>
+						<Spacer margin={3} />
+					</>
+				)}
+
+				<Text>
+					{__(
+						"Upload a CSV export with page views per URL from your analytics tool, such as Google Analytics, Plausible or Matomo. Yearly emissions will then be calculated from the real traffic of each page. A new import replaces the previous one.",
+						"carbonfooter",
+					)}
+				</Text>
+				<Spacer margin={4} />
+
+				{imported && (
+					<>
+						<Notice status="info" isDismissible={false}>
+							{sprintf(
+								/* translators: 1: number of pages, 2: number of days, 3: import date */
+								__(
+									"Using imported traffic for %1$s pages (%2$s days of data), imported on %3$s.",
+									"carbonfooter",
+								),
+								imported.pages,
+								imported.period_days,
+								new Date(
+									imported.imported_at.replace(" ", "T"),
+								).toLocaleDateString(),
+							)}
+						</Notice>
+						<Spacer margin={2} />
+						<Button
+							isDestructive
+							onClick={removeImport}
+							disabled={isBusy}
+						>
+							{__("Remove imported traffic", "carbonfooter")}
+						</Button>
+						<Spacer margin={4} />
+					</>
+				)}
+
+				<div className="cf-traffic-import__controls">
+					<FormFileUpload
+						accept=".csv,text/csv"
+						onChange={(event) => {
+							const file = event.currentTarget.files[0];
+							event.currentTarget.value = "";
+							if (file) {
+								previewFile(file);
+							}
+						}}
+						render={({ openFileDialog }) => (
+							<Button
+								isSecondary
+								onClick={openFileDialog}
+								disabled={isBusy}
+							>
+								{fileName || __("Choose CSV file", "carbonfooter")}
+							</Button>
+						)}
+					/>
+					<TextControl
+						type="number"
+						label={__("Days covered by the export", "carbonfooter")}
+						min={1}
+						max={366}
+						step={1}
+						value={periodDays}
+						onChange={setPeriodDays}
+						__nextHasNoMarginBottom
+					/>
+				</div>
+
+				{preview && (
+					<>
+						<Spacer margin={4} />
+						<Text>
+							{sprintf(
+								/* translators: 1: matched rows, 2: total rows, 3: skipped rows */
+								__(
+									"%1$s of %2$s rows match a published page. %3$s rows without page views were skipped.",
+									"carbonfooter",
+								),
+								preview.matched_rows,
+								preview.matched_rows + preview.unmatched_rows,
+								preview.skipped,
+							)}
+						</Text>
+
+						{preview.matched.length > 0 && (
+							<>
+								<h4>{__("Matched pages", "carbonfooter")}</h4>
+								<div className="cf-traffic-import__table">
+									<Table
+										data={formatRows(preview.matched)}
+										columns={matchedColumns}
+									/>
+								</div>
+							</>
+						)}
+
+						{preview.unmatched.length > 0 && (
+							<>
+								<h4>{__("Not matched", "carbonfooter")}</h4>
+								<div className="cf-traffic-import__table">
+									<Table
+										data={formatRows(preview.unmatched)}
+										columns={unmatchedColumns}
+									/>
+								</div>
+							</>
+						)}
+
+						<Spacer margin={4} />
+						<Button
+							isPrimary
+							onClick={runImport}
+							disabled={isBusy || preview.matched.length === 0}
+						>
+							{sprintf(
+								/* translators: %d: number of pages */
+								_n(
+									"Import traffic for %d page",
+									"Import traffic for %d pages",
+									preview.matched.length,
+									"carbonfooter",
+								),
+								preview.matched.length,
+							)}
+						</Button>
+					</>
+				)}
+			</PanelBody>
+		</Panel>
+	);
+};
+
+export default ImportTraffic;
@@ -0,0 +1,168 @@
+import { useState } from "@wordpress/element";
+
+const PADDING = { top: 12, right: 12, bottom: 12, left: 12 };
+const AXIS_PADDING = { top: 12, right: 12, bottom: 28, left: 56 };
+
+/**
+ * Lightweight SVG line chart.
+ *
+ * Every series shares the same x positions, so point `i` of each series is
+ * drawn above the same label. Hovering or focusing a point shows a tooltip.
+ * A `null` value leaves a gap in the line instead of dropping to zero.
+ *
+ * @param {Object}   props
+ * @param {Array}    props.series      List of `{ key, label, color, points: [{ label, value }] }`
+ * @param {number}   props.width       ViewBox width
+ * @param {number}   props.height      ViewBox height
+ * @param {boolean}  props.showAxis    Draw min/max value and first/last label
+ * @param {Function} props.formatValue Formats a value for tooltips and the axis
+ * @param {string}   props.label       Accessible description of the chart
+ */
+const LineChart = ({
+	series,
+	width = 600,
+	height = 200,
+	showAxis = false,
+	formatValue = (value) => `${value}`,
+	label,
+}) => {
+	const [activePoint, setActivePoint] = useState(null);
+
+	const visibleSeries = series.filter((item) =>
+		item.points.some((point) => point.value !== null),
+	);
+	if (visibleSeries.length === 0) {
+		return null;
+	}
+
+	const padding = showAxis ? AXIS_PADDING : PADDING;
+	const innerWidth = width - padding.left - padding.right;
+	const innerHeight = height - padding.top - padding.bottom;
+
+	const allValues = visibleSeries.flatMap((item) =>
+		item.points
+			.map((point) => point.value)
+			.filter((value) => value !== null),
+	);
+	const maxValue = Math.max(...allValues);
+	const minValue = Math.min(0, ...allValues);
+	const range = maxValue - minValue || 1;
+	const pointCount = Math.max(...visibleSeries.map((item) => item.points.length));
+
+	const getX = (index) =>
+		padding.left +
+		(pointCount > 1 ? (index / (pointCount - 1)) * innerWidth : innerWidth / 2);
+	const getY = (value) =>
+		padding.top + innerHeight - ((value - minValue) / range) * innerHeight;
+
+	const labels = visibleSeries[0].points.map((point) => point.label);
+
+	// Split a series into runs of consecutive non-null points
+	const getSegments = (points) =>
+		points
+			.reduce(
+				(segments, point, index) => {
+					if (point.value === null) {
+						segments.push([]);
+					} else {
+						segments[segments.length - 1].push(
+							`${getX(index)},${getY(point.value)}`,
+						);
+					}
+					return segments;
+				},
+				[[]],
+			)
+			.filter((segment) => segment.length > 0);
+	const active =
+		activePoint &&
+		visibleSeries.find((item) => item.key === activePoint.seriesKey);
+	const activeData = active?.points[activePoint.index];
+
+	return (
+		<div className="cf-line-chart">
+			<svg
+				viewBox={`0 0 ${width} ${height}`}
+				className="cf-line-chart__svg"
+				role="img"
+				aria-label={label}
+				onMouseLeave={() => setActivePoint(null)}
+			>
+				{showAxis && (
+					<g className="cf-line-chart__axis">
+						<line
+							x1={padding.left}
+							x2={width - padding.right}
+							y1={getY(minValue)}
+							y2={getY(minValue)}
+						/>
+						<text x={padding.left - 8} y={getY(maxValue)} textAnchor="end">
+							{formatValue(maxValue)}
+						</text>
+						<text x={padding.left - 8} y={getY(minValue)} textAnchor="end">
+							{formatValue(minValue)}
+						</text>
+						<text x={getX(0)} y={height - 8} textAnchor="start">
+							{labels[0]}
+						</text>
+						{pointCount > 1 && (
+							<text x={getX(pointCount - 1)} y={height - 8} textAnchor="end">
+								{labels[pointCount - 1]}
+							</text>
+						)}
+					</g>
+				)}
+
+				{visibleSeries.map((item) => (
+					<g key={item.key} style={{ color: item.color }}>
+						{getSegments(item.points).map((segment) => (
+							<polyline
+								key={segment[0]}
+								className={`cf-line-chart__line ${item.dashed ? "is-dashed" : ""}`}
+								points={segment.join(" ")}
+							/>
+						))}
+						{item.points.map((point, index) =>
+							point.value === null ? null : (
+								<circle
+									// biome-ignore lint/suspicious/noArrayIndexKey: points are positional
+									key={index}
+									className="cf-line-chart__point"
+									role="button"
+									cx={getX(index)}
+									cy={getY(point.value)}
+									r={4}
+									tabIndex={0}
+									onMouseEnter={() =>
+										setActivePoint({ seriesKey: item.key, index })
+									}
+									onFocus={() => setActivePoint({ seriesKey: item.key, index })}
+									onBlur={() => setActivePoint(null)}
+									aria-label={`${point.label}: ${formatValue(point.value)}`}
+								/>
+							),
+						)}
+					</g>
+				))}
+			</svg>
+
+			{activeData && (
+				<div
+					className="cf-line-chart__tooltip"
+					style={{
+						left: `${(getX(activePoint.index) / width) * 100}%`,
+						top: `${(getY(activeData.value) / height) * 100}%`,
+					}}
+				>
+					{visibleSeries.length > 1 && (
+						<span className="cf-line-chart__tooltip-series">{active.label}</span>
+					)}
+					<strong>{formatValue(activeData.value)}</strong>
+					<span>{activeData.label}</span>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default LineChart;
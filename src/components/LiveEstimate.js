@@ -0,0 +1,137 @@
+import { useSelect } from "@wordpress/data";
+import { __, _n, sprintf } from "@wordpress/i18n";
+
+import { estimateEmissions } from "../lib/emissionsModel";
+import { formatBytes } from "../lib/formatBytes";
+import {
+	getMediaBytes,
+	getMediaReferences,
+	getTemplateBytes,
+} from "../lib/liveEstimate";
+
+// Where the weight around the content comes from, see `getTemplateBytes()`
+const getTemplateHelp = (detail, templateBytes) => {
+	if (templateBytes <= 0) {
+		return __(
+			"Only counts media until this site has been measured.",
+			"carbonfooter",
+		);
+	}
+
+	if (detail.resources) {
+		return sprintf(
+			/* translators: %s: size, e.g. "1.2 MB" */
+			__(
+				"Includes %s for the theme, scripts and styles, from the last measurement.",
+				"carbonfooter",
+			),
+			formatBytes(templateBytes),
+		);
+	}
+
+	return sprintf(
+		/* translators: %s: size, e.g. "1.2 MB" */
+		__(
+			"Includes %s for the theme, scripts and styles, from the site average.",
+			"carbonfooter",
+		),
+		formatBytes(templateBytes),
+	);
+};
+
+/**
+ * Instant emissions estimate of the post being edited
+ *
+ * Adds the size of the media in the post's blocks to the weight of the page
+ * around its content, and converts the total with the local emissions model.
+ * Updates as blocks change, without saving or measuring.
+ *
+ * @param {Object} props
+ * @param {Object} props.detail Page detail from `pages/<id>`
+ */
+const LiveEstimate = ({ detail }) => {
+	const { mediaBytes, mediaCount, unknownCount } = useSelect((select) => {
+		const { getMedia } = select("core");
+		const references = getMediaReferences(
+			select("core/block-editor").getBlocks(),
+		);
+
+		let bytes = 0;
+		let unknown = 0;
+		for (const reference of references) {
+			// Files outside the media library, or still loading
+			const size = reference.id
+				? getMediaBytes(
+						getMedia(reference.id, { context: "view" }),
+						reference.sizeSlug,
+					)
+				: null;
+			if (size === null) {
+				unknown++;
+			} else {
+				bytes += size;
+			}
+		}
+
+		return {
+			mediaBytes: bytes,
+			mediaCount: references.length,
+			unknownCount: unknown,
+		};
+	}, []);
+
+	const templateBytes = getTemplateBytes(detail);
+	const totalBytes = templateBytes + mediaBytes;
+	const emissions = estimateEmissions(totalBytes, {
+		greenHost: detail.green_host === true,
+	});
+
+	return (
+		<div className="cf-live-estimate">
+			<h3 className="cf-live-estimate__title">
+				{__("Estimate while editing", "carbonfooter")}
+			</h3>
+			<dl className="cf-emissions-panel__summary">
+				<div>
+					<dt>{__("Emissions per view", "carbonfooter")}</dt>
+					<dd>{`~${emissions.toFixed(2)}g CO2`}</dd>
+				</div>
+				<div>
+					<dt>{__("Page size", "carbonfooter")}</dt>
+					<dd>{formatBytes(totalBytes)}</dd>
+				</div>
+				<div>
+					<dt>
+						{sprintf(
+							/* translators: %s: number of media files */
+							_n(
+								"Media (%s file)",
+								"Media (%s files)",
+								mediaCount,
+								"carbonfooter",
+							),
+							mediaCount,
+						)}
+					</dt>
+					<dd>{formatBytes(mediaBytes)}</dd>
+				</div>
+			</dl>
+			<p className="cf-emissions-panel__help">
+				{getTemplateHelp(detail, templateBytes)}{" "}
+				{unknownCount > 0 &&
+					sprintf(
+						/* translators: %s: number of files */
+						_n(
+							"%s file of unknown size is not counted.",
+							"%s files of unknown size are not counted.",
+							unknownCount,
+							"carbonfooter",
+						),
+						unknownCount,
+					)}
+			</p>
+		</div>
+	);
+};
+
+export default LiveEstimate;
@@ -0,0 +1,233 @@
+import { useState, useEffect, useCallback } from "@wordpress/element";
+import { __ } from "@wordpress/i18n";
+import { useSelect } from "@wordpress/data";
+import {
+	CheckboxControl,
+	Notice,
+	Panel,
+	PanelBody,
+	SelectControl,
+	Spinner,
+	TextControl,
+} from "@wordpress/components";
+import { Table, TablePagination, TableSearch } from "./Table";
+import {
+	getPageColumns,
+	hasPageImpact,
+	toPageRow,
+} from "./OverViewDirtyPages";
+import PageDetail from "./PageDetail";
+import { getMeasuredPages, getErrorMessage } from "../lib/api";
+import { formatBytes } from "../lib/formatBytes";
+import { formatDate } from "../lib/formatDate";
+import { store as carbonfooterStore } from "../store";
+
+const DEFAULT_QUERY = {
+	page: 1,
+	orderby: "emissions",
+	order: "desc",
+	post_type: "",
+	start: "",
+	end: "",
+	search: "",
+	over_budget: "",
+};
+
+const MeasuredPages = ({ perPage = 20 }) => {
+	const [query, setQuery] = useState(DEFAULT_QUERY);
+	const [result, setResult] = useState(null);
+	const [isLoading, setIsLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [detailId, setDetailId] = useState(null);
+	// Reload when a page is measured anywhere in the admin
+	const lastMeasuredAt = useSelect(
+		(select) => select(carbonfooterStore).getLastMeasuredAt(),
+		[],
+	);
+
+	useEffect(() => {
+		let isMounted = true;
+
+		setIsLoading(true);
+		setError(null);
+
+		getMeasuredPages({
+			page: query.page,
+			perPage,
+			orderby: query.orderby,
+			order: query.order,
+			postType: query.post_type,
+			start: query.start,
+			end: query.end,
+			search: query.search,
+			overBudget: query.over_budget === "1",
+		})
+			.then((response) => {
+				if (isMounted) {
+					setResult(response);
+				}
+			})
+			.catch((fetchError) => {
+				console.error("Error loading measured pages:", fetchError);
+				if (isMounted) {
+					setError(
+						getErrorMessage(
+							fetchError,
+							__("Could not load the measured pages.", "carbonfooter"),
+						),
+					);
+				}
+			})
+			.finally(() => {
+				if (isMounted) {
+					setIsLoading(false);
+				}
+			});
+
+		return () => {
+			isMounted = false;
+		};
+	}, [query, perPage, lastMeasuredAt]);
+
+	// Any change other than paging starts again at the first page
+	const updateQuery = useCallback((changes) => {
+		setQuery((current) => ({ ...current, page: 1, ...changes }));
+	}, []);
+
+	const onSearch = useCallback(
+		(search) => updateQuery({ search }),
+		[updateQuery],
+	);
+
+	const pages = result?.pages || [];
+	const showImpact = hasPageImpact(pages) || query.orderby === "impact";
+
+	const sortable = ["title", "emissions", "page_size", "updated", "impact"];
+	const columns = getPageColumns({ showImpact, showHistory: true });
+	columns.splice(
+		2,
+		0,
+		{
+			key: "page_size",
+			label: __("Page size", "carbonfooter"),
+			align: "right",
+		},
+		{
+			key: "updated",
+			label: __("Last measured", "carbonfooter"),
+			align: "right",
+		},
+	);
+	for (const column of columns) {
+		column.sortable = sortable.includes(column.key);
+	}
+
+	const tableData = pages.map((page) => ({
+		...toPageRow(page, { showHistory: true, onOpenDetail: setDetailId }),
+		page_size: page.page_size ? formatBytes(page.page_size) : "–",
+		updated: formatDate(page.updated),
+	}));
+
+	const postTypeOptions = [
+		{ label: __("All post types", "carbonfooter"), value: "" },
+		...(result?.post_types || []).map((postType) => ({
+			label: postType.label,
+			value: postType.name,
+		})),
+	];
+
+	return (
+		<Panel>
+			<PanelBody
+				title={__("Emissions per page", "carbonfooter")}
+				initialOpen={true}
+				className="carbonfooter-settings-panel"
+			>
+				<div className="cf-results__filters">
+					<TableSearch
+						value={query.search}
+						onSearch={onSearch}
+						label={__("Search pages", "carbonfooter")}
+					/>
+					<SelectControl
+						label={__("Post type", "carbonfooter")}
+						value={query.post_type}
+						options={postTypeOptions}
+						onChange={(postType) =>
+							updateQuery({ post_type: postType })
+						}
+						__nextHasNoMarginBottom
+					/>
+					<TextControl
+						type="date"
+						label={__("Measured from", "carbonfooter")}
+						value={query.start}
+						max={query.end || undefined}
+						onChange={(start) => updateQuery({ start })}
+						__nextHasNoMarginBottom
+					/>
+					<TextControl
+						type="date"
+						label={__("Measured until", "carbonfooter")}
+						value={query.end}
+						min={query.start || undefined}
+						onChange={(end) => updateQuery({ end })}
+						__nextHasNoMarginBottom
+					/>
+					<CheckboxControl
+						label={__("Over budget only", "carbonfooter")}
+						checked={query.over_budget === "1"}
+						onChange={(checked) =>
+							updateQuery({ over_budget: checked ? "1" : "" })
+						}
+						__nextHasNoMarginBottom
+					/>
+				</div>
+
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{isLoading && !result && <Spinner />}
+
+				{result && pages.length === 0 && !error && (
+					<Notice status="info" isDismissible={false}>
+						{__("No pages with emissions data found.", "carbonfooter")}
+					</Notice>
+				)}
+
+				{pages.length > 0 && (
+					<div
+						className={
+							isLoading ? "cf-results__table is-loading" : "cf-results__table"
+						}
+					>
+						<Table
+							data={tableData}
+							columns={columns}
+							sort={{ orderby: query.orderby, order: query.order }}
+							onSort={updateQuery}
+						/>
+					</div>
+				)}
+
+				{result && (
+					<TablePagination
+						page={result.page}
+						totalPages={result.total_pages}
+						total={result.total}
+						onChange={(page) => setQuery({ ...query, page })}
+					/>
+				)}
+
+				{detailId !== null && (
+					<PageDetail postId={detailId} onClose={() => setDetailId(null)} />
+				)}
+			</PanelBody>
+		</Panel>
+	);
+};
+
+export default MeasuredPages;
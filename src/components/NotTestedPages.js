@@ -1,4 +1,5 @@
 import {
+	Button,
 	Card,
 	CardBody,
 	CardHeader,
@@ -8,68 +9,99 @@ import {
 	PanelBody,
 } from "@wordpress/components";
 import { __ } from "@wordpress/i18n";
-import { useState, useEffect } from "@wordpress/element";
+import { useState, useEffect, useRef } from "@wordpress/element";
+import { useSelect, useDispatch } from "@wordpress/data";
 import { Table, ActionButtons } from "./Table";
+import BatchProgress, { getBatchItemLabel } from "./BatchProgress";
+import Text from "./Text";
+import { store as carbonfooterStore } from "../store";
+import {
+	controlBatch,
+	getBatch,
+	getErrorMessage,
+	startBatch,
+} from "../lib/api";
+
+const BATCH_POLL_INTERVAL = 3000;
 
 const NotTestedPages = () => {
-	const [untestedPages, setUntestedPages] = useState({});
-	const [heaviestPages, setHeaviestPages] = useState([]);
-	const [isLoading, setIsLoading] = useState(true);
-	const [error, setError] = useState(null);
+	const { untestedPages, error } = useSelect((select) => {
+		const store = select(carbonfooterStore);
+		return {
+			untestedPages: store.getUntestedPages(),
+			error: store.getError("untestedPages"),
+		};
+	}, []);
+	const { invalidateData } = useDispatch(carbonfooterStore);
+	const isLoading = untestedPages === null && !error;
+	const [job, setJob] = useState(null);
+	const [isBatchBusy, setIsBatchBusy] = useState(false);
+	const [batchError, setBatchError] = useState(null);
+	const previousJobStatus = useRef(null);
 
 	useEffect(() => {
-		loadData();
+		loadBatch();
 	}, []);
 
-	const loadData = async () => {
-		try {
-			setIsLoading(true);
-			await Promise.all([loadUntestedPages(), loadHeaviestPages()]);
-		} catch (error) {
-			console.error("Error loading data:", error);
-			setError(__("Error loading data", "carbonfooter"));
-		} finally {
-			setIsLoading(false);
+	// Poll while a job runs; the server keeps it going between polls
+	useEffect(() => {
+		if (job?.status !== "running") {
+			return undefined;
 		}
-	};
 
-	const loadUntestedPages = async () => {
-		const formData = new FormData();
-		formData.append("action", "carbonfooter_get_untested_pages");
-		formData.append("nonce", window.carbonfooterVars?.nonce);
-
-		const response = await fetch(window.carbonfooterVars?.ajaxUrl, {
-			method: "POST",
-			body: formData,
-		});
-
-		const data = await response.json();
-		if (data.success) {
-			setUntestedPages(data.data);
-		} else {
-			throw new Error(__("Failed to load untested pages", "carbonfooter"));
+		const timer = setInterval(loadBatch, BATCH_POLL_INTERVAL);
+		return () => clearInterval(timer);
+	}, [job?.status]);
+
+	// Refresh the list once a job stops, so measured pages drop out
+	useEffect(() => {
+		const status = job?.status;
+		if (
+			previousJobStatus.current === "running" &&
+			(status === "completed" || status === "cancelled")
+		) {
+			invalidateData();
+		}
+		previousJobStatus.current = status;
+	}, [job?.status]);
+
+	const loadBatch = async () => {
+		try {
+			const response = await getBatch();
+			setJob(response.job);
+		} catch (batchLoadError) {
+			console.error("Error loading measurement job:", batchLoadError);
+			setBatchError(
+				getErrorMessage(
+					batchLoadError,
+					__("The measurement job could not be loaded.", "carbonfooter"),
+				),
+			);
 		}
 	};
 
-	const loadHeaviestPages = async () => {
-		const formData = new FormData();
-		formData.append("action", "carbonfooter_get_heaviest_pages");
-		formData.append("nonce", window.carbonfooterVars?.nonce);
-		// formData.append("limit", "10");
-
-		const response = await fetch(window.carbonfooterVars?.ajaxUrl, {
-			method: "POST",
-			body: formData,
-		});
-
-		const data = await response.json();
-		if (data.success) {
-			setHeaviestPages(data.data);
-		} else {
-			throw new Error(__("Failed to load heaviest pages", "carbonfooter"));
+	const updateBatch = async (send) => {
+		setIsBatchBusy(true);
+		setBatchError(null);
+		try {
+			const response = await send();
+			setJob(response.job);
+		} catch (requestError) {
+			console.error("Error updating measurement job:", requestError);
+			setBatchError(
+				getErrorMessage(
+					requestError,
+					__("The measurement job could not be updated.", "carbonfooter"),
+				),
+			);
+		} finally {
+			setIsBatchBusy(false);
 		}
 	};
 
+	const onStart = () => updateBatch(startBatch);
+	const onControl = (action) => updateBatch(() => controlBatch(action));
+
 	const formatDate = (dateString) => {
 		const date = new Date(dateString);
 		return date.toLocaleDateString();
@@ -83,6 +115,8 @@ const NotTestedPages = () => {
 		return total;
 	};
 
+	const isJobActive = job?.status === "running" || job?.status === "paused";
+
 	// Define table columns for untested pages
 	const untestedPagesColumns = [
 		{
@@ -90,6 +124,15 @@ const NotTestedPages = () => {
 			label: __("Title", "carbonfooter"),
 			align: "left",
 		},
+		...(job
+			? [
+					{
+						key: "batchStatus",
+						label: __("Status", "carbonfooter"),
+						align: "left",
+					},
+				]
+			: []),
 		{
 			key: "actions",
 			label: __("Actions", "carbonfooter"),
@@ -140,6 +183,42 @@ const NotTestedPages = () => {
 				initialOpen={false}
 				className="carbonfooter-settings-panel"
 			>
+				{batchError && (
+					<Notice
+						status="error"
+						isDismissible={true}
+						onRemove={() => setBatchError(null)}
+					>
+						{batchError}
+					</Notice>
+				)}
+
+				{job && (
+					<BatchProgress
+						job={job}
+						onControl={onControl}
+						isBusy={isBatchBusy}
+					/>
+				)}
+
+				{totalUntestedPages > 0 && !isJobActive && (
+					<div className="cf-batch__start">
+						<Button
+							isPrimary
+							onClick={onStart}
+							disabled={isBatchBusy}
+						>
+							{__("Measure all", "carbonfooter")}
+						</Button>
+						<Text>
+							{__(
+								"Measures every untested page in the background, a few pages at a time.",
+								"carbonfooter",
+							)}
+						</Text>
+					</div>
+				)}
+
 				{totalUntestedPages > 0 ? (
 					<div>
 						{Object.entries(untestedPages).map(([postType, group]) => (
@@ -158,6 +237,9 @@ const NotTestedPages = () => {
 									<Table
 										data={group.pages.map((page) => ({
 											...page,
+											batchStatus: getBatchItemLabel(
+												job?.items?.[page.id],
+											),
 											actions: (
 												<ActionButtons
 													actions={[
@@ -4,60 +4,166 @@ import {
 	Panel,
 	PanelBody,
 } from "@wordpress/components";
-import { __ } from "@wordpress/i18n";
+import { __, sprintf } from "@wordpress/i18n";
 import { Table, ActionButtons } from "./Table";
+import EmissionsHistory from "./EmissionsHistory";
+import { formatEmissions } from "../lib/formatEmissions";
+import { getUrlTypeLabel } from "../lib/urlTypes";
 
-const OverViewDirtyPages = ({ heaviestPages, maxPages }) => {
+// Only show traffic columns once counted or imported traffic exists
+export const hasPageImpact = (pages) =>
+	pages.some((page) => page.impact !== null && page.impact !== undefined);
+
+// Columns shared by the page emissions tables
+export const getPageColumns = ({ showImpact = false, showHistory = false }) => [
+	{
+		key: "title",
+		label: __("Page title", "carbonfooter"),
+		align: "left",
+	},
+	{
+		key: "emissions",
+		label: __("Emissions", "carbonfooter"),
+		align: "left",
+	},
+	...(showImpact
+		? [
+				{
+					key: "views",
+					label: __("Views per year", "carbonfooter"),
+					align: "right",
+				},
+				{
+					key: "impact",
+					label: __("Total impact", "carbonfooter"),
+					align: "right",
+				},
+			]
+		: []),
+	...(showHistory
+		? [
+				{
+					key: "history",
+					label: __("History", "carbonfooter"),
+					align: "left",
+				},
+			]
+		: []),
+	{
+		key: "actions",
+		label: __("Actions", "carbonfooter"),
+		align: "right",
+	},
+];
+
+// Emissions cell, flagged when the page is over its budget
+const EmissionsCell = ({ page }) => {
+	const emissions = `${page.emissions.toFixed(2)}g CO2`;
+	if (!page.over_budget) {
+		return emissions;
+	}
+
+	return (
+		<span className="cf-budget-flag">
+			{emissions}
+			<span className="cf-budget-flag__label">
+				{__("Over budget", "carbonfooter")}
+			</span>
+		</span>
+	);
+};
+
+// Title cell; tracked URLs (source "url") are labeled with their type
+const TitleCell = ({ page }) => {
+	if (page.source !== "url") {
+		return page.title;
+	}
+
+	return (
+		<>
+			{page.title}{" "}
+			<span className="cf-url-type">{getUrlTypeLabel(page.type)}</span>
+		</>
+	);
+};
+
+// Transform a page from the API into table cells, including actions.
+// Tracked URLs have no edit screen, no post history and no detail view.
+// With `showHistory`, pages carry `history` and `delta` (see `pages`).
+export const toPageRow = (
+	page,
+	{ showHistory = false, onOpenDetail = null } = {},
+) => ({
+	...page,
+	title: <TitleCell page={page} />,
+	emissions: <EmissionsCell page={page} />,
+	views: page.views === null ? "–" : page.views.toLocaleString(),
+	impact:
+		page.impact === null
+			? "–"
+			: sprintf(
+					/* translators: %s: CO2 emissions per year, e.g. "1.20 kg" */
+					__("%s CO2 per year", "carbonfooter"),
+					formatEmissions(page.impact),
+				),
+	history:
+		showHistory && page.source !== "url" ? (
+			<EmissionsHistory history={page.history} delta={page.delta} />
+		) : null,
+	actions: (
+		<ActionButtons
+			actions={[
+				...(onOpenDetail && page.source !== "url"
+					? [
+							{
+								onClick: () => onOpenDetail(page.id),
+								label: __("Details", "carbonfooter"),
+							},
+						]
+					: []),
+				...(page.edit_url
+					? [
+							{
+								href: page.edit_url,
+								label: __("Edit", "carbonfooter"),
+							},
+						]
+					: []),
+				{
+					href: page.url,
+					label: __("View", "carbonfooter"),
+					target: "_blank",
+					rel: "noopener noreferrer",
+				},
+			]}
+		/>
+	),
+});
+
+const OverViewDirtyPages = ({ heaviestPages, maxPages, showHistory = false }) => {
 	// Limit the number of pages if maxPages is provided
 	const limitedPages = maxPages
 		? heaviestPages.slice(0, maxPages)
 		: heaviestPages;
 
-	// Define table columns
-	const columns = [
-		{
-			key: "title",
-			label: __("Page title", "carbonfooter"),
-			align: "left",
-		},
-		{
-			key: "emissions",
-			label: __("Emissions", "carbonfooter"),
-			align: "left",
-		},
-		{
-			key: "actions",
-			label: __("Actions", "carbonfooter"),
-			align: "right",
-		},
-	];
+	const showImpact = hasPageImpact(limitedPages);
 
-	// Transform data to include actions
-	const tableData = limitedPages.map((page) => ({
-		...page,
-		emissions: `${page.emissions.toFixed(2)}g CO2`,
-		actions: (
-			<ActionButtons
-				actions={[
-					{
-						href: page.edit_url,
-						label: __("Edit", "carbonfooter"),
-					},
-					{
-						href: page.url,
-						label: __("View", "carbonfooter"),
-						target: "_blank",
-						rel: "noopener noreferrer",
-					},
-				]}
-			/>
-		),
-	}));
+	const columns = getPageColumns({ showImpact, showHistory });
+	const tableData = limitedPages.map((page) =>
+		toPageRow(page, { showHistory }),
+	);
 
 	return (
 		<Panel>
 			<PanelBody
-				title={__("Emissions per page - from dirty to clean", "carbonfooter")}
+				title={
+					showImpact
+						? __(
+								"Emissions per page - highest total impact first",
+								"carbonfooter",
+							)
+						: __("Emissions per page - from dirty to clean", "carbonfooter")
+				}
 				initialOpen={true}
 				className="carbonfooter-settings-panel"
 			>
@@ -3,44 +3,72 @@ import OverviewEmissions from "./OverviewEmissions";
 import OverviewDriving from "./OverviewDriving";
 import OverviewTrees from "./OverviewTrees";
 import { formatEmissions } from "../lib/formatEmissions";
-import { __ } from "@wordpress/i18n";
+import {
+	calculateYearlyEmissions,
+	getTrafficModel,
+	hasCountedTraffic,
+} from "../lib/yearlyEmissions";
+import { __, sprintf } from "@wordpress/i18n";
 import Text from "./Text";
 
-const Overview = ({ stats }) => {
-	const { average, hosting_status } = stats;
+const Overview = ({ stats, trafficModel = getTrafficModel() }) => {
+	const { average, hosting_status, traffic } = stats;
 
-	const emissionsPerYear = (emissions) => {
-		// avarage emissions is used for calculating the emissions per year
-		// we use 2.5 pages per visit and 1000 visitors per month
-		// this is a rough estimate, but it's a good starting point
-		const pagesPerVisit = 2.5;
-		const visitorsPerMonth = 1000;
+	// Counted or imported views give Σ(page emissions × views); otherwise use the model
+	const isCounted = hasCountedTraffic(traffic);
+	const emissionsPerYear = isCounted
+		? Number(traffic.yearly_emissions)
+		: calculateYearlyEmissions(average, trafficModel);
 
-		const emissionsPerVisitor = emissions * pagesPerVisit;
-
-		const emissionsPerYear = emissionsPerVisitor * visitorsPerMonth * 12;
+	let disclaimer = sprintf(
+		/* translators: 1: visitors per month, 2: average pages per visit */
+		__(
+			"These statistics are based on %1$s visitors per month, each viewing %2$s average pages, over a 12-month period.",
+			"carbonfooter",
+		),
+		trafficModel.visitorsPerMonth.toLocaleString(),
+		trafficModel.pagesPerVisit.toLocaleString(),
+	);
 
-		return emissionsPerYear;
-	};
+	if (isCounted && traffic.imported) {
+		disclaimer = sprintf(
+			/* translators: 1: page views per year, 2: number of pages, 3: import date */
+			__(
+				"These statistics are based on %1$s page views per year on %2$s measured pages, from traffic imported on %3$s.",
+				"carbonfooter",
+			),
+			traffic.yearly_views.toLocaleString(),
+			traffic.tracked_pages.toLocaleString(),
+			new Date(
+				traffic.imported.imported_at.replace(" ", "T"),
+			).toLocaleDateString(),
+		);
+	} else if (isCounted) {
+		disclaimer = sprintf(
+			/* translators: 1: counted page views per year, 2: number of pages, 3: date counting started */
+			__(
+				"These statistics are based on %1$s page views per year, counted on %2$s measured pages since %3$s.",
+				"carbonfooter",
+			),
+			traffic.yearly_views.toLocaleString(),
+			traffic.tracked_pages.toLocaleString(),
+			new Date(`${traffic.tracking_since}T00:00:00`).toLocaleDateString(),
+		);
+	}
 
 	return (
 		<>
 			<div className="cf-overview">
 				<OverviewGreenhost isGreenhost={hosting_status} />
 				<OverviewEmissions
-					averageEmissions={formatEmissions(emissionsPerYear(average))}
+					averageEmissions={formatEmissions(emissionsPerYear)}
 				/>
-				<OverviewDriving emissionsPerYear={emissionsPerYear(average)} />
-				<OverviewTrees emissionsPerYear={emissionsPerYear(average)} />
+				<OverviewDriving emissionsPerYear={emissionsPerYear} />
+				<OverviewTrees emissionsPerYear={emissionsPerYear} />
 			</div>
 
 			<div className="cf-overview__disclaimer">
-				<Text>
-					{__(
-						"These statistics are based on 1,000 visitors per month, each viewing 2.5 average pages, over a 12-month period.",
-						"carbonfooter",
-					)}
-				</Text>
+				<Text>{disclaimer}</Text>
 			</div>
 		</>
 	);
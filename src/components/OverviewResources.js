@@ -1,42 +1,61 @@
-import { Panel, PanelBody } from "@wordpress/components";
-import { __ } from "@wordpress/i18n";
+import { useState } from "@wordpress/element";
+import {
+	Notice,
+	Panel,
+	PanelBody,
+	__experimentalToggleGroupControl as ToggleGroupControl,
+	__experimentalToggleGroupControlOption as ToggleGroupControlOption,
+} from "@wordpress/components";
+import { __, _n, sprintf } from "@wordpress/i18n";
 import { formatBytes } from "../lib/formatBytes";
+import { getResourceTypes } from "../lib/resourceTypes";
+import StackedBar from "./StackedBar";
 import Text from "./Text";
-import { Table } from "./Table";
+
+const METRICS = {
+	bytes: {
+		field: "avgTransferSize",
+		format: (value) => formatBytes(Math.round(value)),
+	},
+	requests: {
+		field: "avgRequestCount",
+		format: (value) => `${Math.round(value * 10) / 10}`,
+	},
+};
 
 const OverviewResources = ({ stats }) => {
-	const columns = [
-		{
-			key: "type",
-			label: __("Resource type", "carbonfooter"),
-			align: "left",
-		},
-		{
-			key: "requests",
-			label: __("Avg. Requests per page", "carbonfooter"),
-			align: "right",
-		},
-		{
-			key: "size",
-			label: __("Avg. size of resources per page", "carbonfooter"),
-			align: "right",
-		},
-	];
-
-	const tableData = Object.entries(stats.resource_stats).map(
-		([type, data]) => ({
-			type,
-			requests: data.avgRequestCount || 0,
-			size: formatBytes(data.avgTransferSize || 0),
-		}),
-	);
+	const [metric, setMetric] = useState("bytes");
+	const resourceStats = stats.resource_stats || {};
+	const pagesAnalyzed = resourceStats.pages_analyzed || 0;
+	const { field, format } = METRICS[metric];
+	const getValue = (type) => Number(resourceStats[type]?.[field]) || 0;
+
+	const segments = getResourceTypes().map((type) => ({
+		...type,
+		value: getValue(type.key),
+	}));
+
+	// Whatever the typed resources leave of the total: HTML, XHR and the like
+	const total = getValue("total");
+	const typed = segments.reduce((sum, segment) => sum + segment.value, 0);
+	segments.push({
+		key: "other",
+		label: __("Other", "carbonfooter"),
+		color: "#a7aaad",
+		value: Math.max(0, total - typed),
+	});
+
+	const thirdPartyShare =
+		total > 0
+			? Math.min(100, Math.round((getValue("thirdParty") / total) * 100))
+			: 0;
 
 	return (
 		<Panel>
 			<PanelBody
 				title={__("Resource Statistics", "carbonfooter")}
 				initialOpen={false}
-				className="carbonfooter-settings-panel"
+				className="carbonfooter-settings-panel cf-resources"
 			>
 				<Text>
 					{__(
@@ -45,12 +64,84 @@ const OverviewResources = ({ stats }) => {
 					)}
 				</Text>
 
-				<Table
-					columns={columns}
-					data={tableData}
-					actions={[]}
-					showActions={false}
-				/>
+				{pagesAnalyzed === 0 ? (
+					<Notice status="info" isDismissible={false}>
+						{__(
+							"No resource data yet. Measure a page to see what it is made of.",
+							"carbonfooter",
+						)}
+					</Notice>
+				) : (
+					<>
+						<ToggleGroupControl
+							label={__("Show", "carbonfooter")}
+							value={metric}
+							onChange={setMetric}
+							isBlock
+						>
+							<ToggleGroupControlOption
+								value="bytes"
+								label={__("Transfer size", "carbonfooter")}
+							/>
+							<ToggleGroupControlOption
+								value="requests"
+								label={__("Requests", "carbonfooter")}
+							/>
+						</ToggleGroupControl>
+
+						<StackedBar
+							segments={segments}
+							formatValue={format}
+							label={
+								metric === "bytes"
+									? __(
+											"Average transfer size per page by resource type",
+											"carbonfooter",
+										)
+									: __(
+											"Average requests per page by resource type",
+											"carbonfooter",
+										)
+							}
+						/>
+
+						<div className="cf-resources__third-party">
+							<span className="cf-resources__third-party-label">
+								{__("Third-party", "carbonfooter")}
+							</span>
+							<span className="cf-resources__meter">
+								<span
+									className="cf-resources__meter-value"
+									style={{ width: `${thirdPartyShare}%` }}
+								/>
+							</span>
+							<span>
+								{sprintf(
+									/* translators: 1: percentage, 2: average size or number of requests per page */
+									__(
+										"%1$s%% of the total (%2$s per page)",
+										"carbonfooter",
+									),
+									thirdPartyShare,
+									format(getValue("thirdParty")),
+								)}
+							</span>
+						</div>
+
+						<p className="cf-resources__caption">
+							{sprintf(
+								/* translators: %s: number of pages */
+								_n(
+									"Averages over %s analyzed page.",
+									"Averages over %s analyzed pages.",
+									pagesAnalyzed,
+									"carbonfooter",
+								),
+								pagesAnalyzed.toLocaleString(),
+							)}
+						</p>
+					</>
+				)}
 			</PanelBody>
 		</Panel>
 	);
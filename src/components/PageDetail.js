@@ -0,0 +1,295 @@
+import { useState, useEffect } from "@wordpress/element";
+import { useDispatch, useSelect } from "@wordpress/data";
+import { __, sprintf } from "@wordpress/i18n";
+import { Button, Modal, Notice, Spinner } from "@wordpress/components";
+
+import LineChart from "./LineChart";
+import RecommendationList from "./RecommendationList";
+import Text from "./Text";
+import { Table } from "./Table";
+import { DeltaBadge } from "./EmissionsHistory";
+import { getPageDetail, getErrorMessage } from "../lib/api";
+import { formatBytes } from "../lib/formatBytes";
+import { formatDate } from "../lib/formatDate";
+import { getRecommendations } from "../lib/recommendations";
+import { getResourceTypes } from "../lib/resourceTypes";
+import { store as carbonfooterStore } from "../store";
+
+const formatResource = (resource) =>
+	sprintf(
+		/* translators: 1: transfer size, e.g. "120 KB", 2: number of requests */
+		__("%1$s in %2$s requests", "carbonfooter"),
+		formatBytes(Math.round(resource.transferSize)),
+		Math.round(resource.requestCount * 10) / 10,
+	);
+
+// Difference in transfer size with the site average, as a percentage
+const formatDifference = (size, average) => {
+	if (!average) {
+		return "–";
+	}
+	const difference = Math.round(((size - average) / average) * 100);
+	return `${difference > 0 ? "+" : ""}${difference}%`;
+};
+
+const getGreenHostText = (greenHost) => {
+	if (greenHost === null) {
+		return __("Not recorded for this measurement", "carbonfooter");
+	}
+	return greenHost
+		? __("Green host", "carbonfooter")
+		: __("Not a green host", "carbonfooter");
+};
+
+/**
+ * Detail of one measured page, in a modal
+ *
+ * Compares the page's resources with the site average, lists what could be
+ * improved and shows its history.
+ * Measuring again reloads the detail once the measurement completes.
+ *
+ * @param {Object}   props
+ * @param {number}   props.postId  Post ID
+ * @param {Function} props.onClose Called when the modal is closed
+ */
+const PageDetail = ({ postId, onClose }) => {
+	const [detail, setDetail] = useState(null);
+	const [error, setError] = useState(null);
+	const { measurePost } = useDispatch(carbonfooterStore);
+	const { measurement, lastMeasuredAt } = useSelect(
+		(select) => {
+			const store = select(carbonfooterStore);
+			return {
+				measurement: store.getMeasurement(postId),
+				lastMeasuredAt: store.getLastMeasuredAt(),
+			};
+		},
+		[postId],
+	);
+	const isMeasuring = measurement?.status === "measuring";
+
+	useEffect(() => {
+		let isMounted = true;
+		setError(null);
+
+		getPageDetail(postId)
+			.then((response) => {
+				if (isMounted) {
+					setDetail(response);
+				}
+			})
+			.catch((fetchError) => {
+				console.error("Error loading page detail:", fetchError);
+				if (isMounted) {
+					setError(
+						getErrorMessage(
+							fetchError,
+							__("Could not load this page.", "carbonfooter"),
+						),
+					);
+				}
+			});
+
+		return () => {
+			isMounted = false;
+		};
+	}, [postId, lastMeasuredAt]);
+
+	const measureAgain = () => {
+		// The store keeps the error, shown below
+		measurePost(postId).catch(() => {});
+	};
+
+	const siteResources = detail?.site_resources || {};
+	const resourceRows = detail?.resources
+		? [
+				...getResourceTypes(),
+				{ key: "thirdParty", label: __("Third-party", "carbonfooter") },
+				{ key: "total", label: __("Total", "carbonfooter") },
+			].map((type) => {
+				const average = {
+					transferSize: siteResources[type.key]?.avgTransferSize || 0,
+					requestCount: siteResources[type.key]?.avgRequestCount || 0,
+				};
+				return {
+					id: type.key,
+					type: type.label,
+					page: formatResource(detail.resources[type.key]),
+					average: formatResource(average),
+					difference: formatDifference(
+						detail.resources[type.key].transferSize,
+						average.transferSize,
+					),
+				};
+			})
+		: [];
+
+	const recommendations = detail
+		? getRecommendations({
+				resources: detail.resources,
+				pageSize: detail.page_size,
+				emissions: detail.emissions,
+				greenHost: detail.green_host,
+			})
+		: [];
+
+	const resourceColumns = [
+		{
+			key: "type",
+			label: __("Resource type", "carbonfooter"),
+			align: "left",
+		},
+		{ key: "page", label: __("This page", "carbonfooter"), align: "right" },
+		{
+			key: "average",
+			label: __("Site average", "carbonfooter"),
+			align: "right",
+		},
+		{
+			key: "difference",
+			label: __("Difference in size", "carbonfooter"),
+			align: "right",
+		},
+	];
+
+	return (
+		<Modal
+			title={detail?.title || __("Page details", "carbonfooter")}
+			onRequestClose={onClose}
+			size="large"
+			className="cf-page-detail"
+			overlayClassName="carbonfooter-modal-overlay"
+		>
+			{error && (
+				<Notice status="error" isDismissible={false}>
+					{error}
+				</Notice>
+			)}
+
+			{!detail && !error && <Spinner />}
+
+			{detail && (
+				<>
+					<dl className="cf-page-detail__summary">
+						<div>
+							<dt>{__("Emissions per view", "carbonfooter")}</dt>
+							<dd>
+								{detail.emissions === null
+									? "–"
+									: `${detail.emissions.toFixed(2)}g CO2`}
+							</dd>
+						</div>
+						<div>
+							<dt>{__("Page size", "carbonfooter")}</dt>
+							<dd>
+								{detail.page_size ? formatBytes(detail.page_size) : "–"}
+							</dd>
+						</div>
+						<div>
+							<dt>{__("Last measured", "carbonfooter")}</dt>
+							<dd>{formatDate(detail.updated)}</dd>
+						</div>
+						<div>
+							<dt>
+								{__("Hosting at measurement time", "carbonfooter")}
+							</dt>
+							<dd>{getGreenHostText(detail.green_host)}</dd>
+						</div>
+					</dl>
+
+					<h3>{__("Resources compared with the site", "carbonfooter")}</h3>
+					{resourceRows.length > 0 ? (
+						<div style={{ overflowX: "auto" }}>
+							<Table data={resourceRows} columns={resourceColumns} />
+						</div>
+					) : (
+						<Text>
+							{__(
+								"No resource data for this page yet. Measure it again to see what it is made of.",
+								"carbonfooter",
+							)}
+						</Text>
+					)}
+
+					<h3>{__("Recommendations", "carbonfooter")}</h3>
+					{recommendations.length > 0 ? (
+						<RecommendationList recommendations={recommendations} />
+					) : (
+						<Text>
+							{detail.resources
+								? __(
+										"No obvious improvements found for this page.",
+										"carbonfooter",
+									)
+								: __(
+										"Recommendations need resource data. Measure this page again to see them.",
+										"carbonfooter",
+									)}
+						</Text>
+					)}
+
+					<h3>{__("Emissions history", "carbonfooter")}</h3>
+					{detail.history.length < 2 ? (
+						<Text>
+							{__("Not enough measurements yet", "carbonfooter")}
+						</Text>
+					) : (
+						<div className="cf-page-detail__history">
+							<LineChart
+								showAxis
+								label={__("Emissions history", "carbonfooter")}
+								formatValue={(value) => `${value.toFixed(2)}g`}
+								series={[
+									{
+										key: "emissions",
+										label: __("Emissions", "carbonfooter"),
+										color: "#2271b1",
+										points: detail.history.map((entry) => ({
+											label: formatDate(entry.date),
+											value: entry.value,
+										})),
+									},
+								]}
+							/>
+							<DeltaBadge delta={detail.delta} />
+						</div>
+					)}
+
+					{measurement?.status === "failed" && (
+						<Notice status="error" isDismissible={false}>
+							{measurement.error}
+						</Notice>
+					)}
+
+					<div className="cf-page-detail__actions">
+						<Button
+							isPrimary
+							isBusy={isMeasuring}
+							disabled={isMeasuring}
+							onClick={measureAgain}
+						>
+							{isMeasuring
+								? __("Measuring…", "carbonfooter")
+								: __("Measure again", "carbonfooter")}
+						</Button>
+						{detail.edit_url && (
+							<Button isSecondary href={detail.edit_url}>
+								{__("Edit page", "carbonfooter")}
+							</Button>
+						)}
+						<Button
+							isTertiary
+							href={detail.url}
+							target="_blank"
+							rel="noopener noreferrer"
+						>
+							{__("View page", "carbonfooter")}
+						</Button>
+					</div>
+				</>
+			)}
+		</Modal>
+	);
+};
+
+export default PageDetail;
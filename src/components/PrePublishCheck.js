@@ -0,0 +1,154 @@
+import { useState } from "@wordpress/element";
+import { useDispatch, useSelect } from "@wordpress/data";
+import { __, sprintf } from "@wordpress/i18n";
+import { Button, Notice } from "@wordpress/components";
+
+import { measurePreview, getErrorMessage } from "../lib/api";
+import { formatBytes } from "../lib/formatBytes";
+
+const formatEmissions = (emissions) => `${emissions.toFixed(2)}g CO2`;
+
+const getReferenceLabel = (reference) =>
+	reference === "budget"
+		? __("Emissions budget", "carbonfooter")
+		: __("Site average", "carbonfooter");
+
+const getWarning = (result) => {
+	const limit =
+		result.reference === "budget"
+			? __("the budget for this post type", "carbonfooter")
+			: __("the site average", "carbonfooter");
+	return sprintf(
+		/* translators: 1: percentage, e.g. "20", 2: "the site average" or "the budget for this post type" */
+		__(
+			"This page is more than %1$s%% heavier than %2$s. Consider compressing images or removing embeds before publishing.",
+			"carbonfooter",
+		),
+		result.threshold,
+		limit,
+	);
+};
+
+/**
+ * Emissions check of a draft, for the pre-publish sidebar
+ *
+ * Saves pending changes, measures the preview of the post and compares it
+ * with the budget of its post type or, without budget, the site average.
+ * The result is not stored: the post is measured again once it is published.
+ *
+ * @param {Object} props
+ * @param {number} props.postId Post ID
+ */
+const PrePublishCheck = ({ postId }) => {
+	const [result, setResult] = useState(null);
+	const [error, setError] = useState(null);
+	const [isChecking, setIsChecking] = useState(false);
+	const { savePost } = useDispatch("core/editor");
+	const isDirty = useSelect(
+		(select) => select("core/editor").isEditedPostDirty(),
+		[],
+	);
+
+	const check = async () => {
+		setIsChecking(true);
+		setError(null);
+		setResult(null);
+
+		try {
+			// The preview shows the saved draft
+			if (isDirty) {
+				await savePost();
+			}
+			const response = await measurePreview(postId);
+			if (response.status === "in_progress") {
+				setError(response.message);
+			} else {
+				setResult(response);
+			}
+		} catch (checkError) {
+			console.error("Error checking the preview:", checkError);
+			setError(
+				getErrorMessage(
+					checkError,
+					__("Could not measure the preview.", "carbonfooter"),
+				),
+			);
+		} finally {
+			setIsChecking(false);
+		}
+	};
+
+	return (
+		<div className="cf-emissions-panel">
+			{result && (
+				<dl className="cf-emissions-panel__summary">
+					<div>
+						<dt>{__("Emissions per view", "carbonfooter")}</dt>
+						<dd>{formatEmissions(result.emissions)}</dd>
+					</div>
+					{result.page_size !== null && (
+						<div>
+							<dt>{__("Page size", "carbonfooter")}</dt>
+							<dd>{formatBytes(result.page_size)}</dd>
+						</div>
+					)}
+					{result.reference_emissions !== null && (
+						<div>
+							<dt>{getReferenceLabel(result.reference)}</dt>
+							<dd>{formatEmissions(result.reference_emissions)}</dd>
+						</div>
+					)}
+					{/* Only budgets limit the page size */}
+					{result.reference_page_size !== null && (
+						<div>
+							<dt>{__("Page size budget", "carbonfooter")}</dt>
+							<dd>{formatBytes(result.reference_page_size)}</dd>
+						</div>
+					)}
+				</dl>
+			)}
+
+			{result?.is_heavy && (
+				<Notice status="warning" isDismissible={false}>
+					{getWarning(result)}
+				</Notice>
+			)}
+
+			{result && !result.is_heavy && (
+				<p className="cf-emissions-panel__help">
+					{result.reference === null
+						? __(
+								"Nothing to compare with yet: set a budget or measure some published pages.",
+								"carbonfooter",
+							)
+						: __("This page is within the expected weight.", "carbonfooter")}
+				</p>
+			)}
+
+			{error && (
+				<Notice status="error" isDismissible={false}>
+					{error}
+				</Notice>
+			)}
+
+			<Button
+				isSecondary
+				isBusy={isChecking}
+				disabled={isChecking}
+				onClick={check}
+			>
+				{isChecking
+					? __("Measuring…", "carbonfooter")
+					: __("Check emissions", "carbonfooter")}
+			</Button>
+			<p className="cf-emissions-panel__help">
+				{__(
+					"Measures a preview of this page. The result is not saved.",
+					"carbonfooter",
+				)}
+			</p>
+		</div>
+	);
+};
+
+export default PrePublishCheck;
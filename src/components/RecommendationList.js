@@ -0,0 +1,81 @@
+import { __, _n, sprintf } from "@wordpress/i18n";
+import { Button } from "@wordpress/components";
+import { formatBytes } from "../lib/formatBytes";
+
+const getPriorityLabel = (priority) =>
+	({
+		high: __("High impact", "carbonfooter"),
+		medium: __("Medium impact", "carbonfooter"),
+		low: __("Low impact", "carbonfooter"),
+	})[priority];
+
+const formatSaving = ({ savingBytes, savingEmissions }) => {
+	const parts = [];
+	if (savingBytes) {
+		parts.push(formatBytes(Math.round(savingBytes)));
+	}
+	if (savingEmissions) {
+		parts.push(`${savingEmissions.toFixed(2)}g CO2`);
+	}
+	return parts.join(" · ");
+};
+
+/**
+ * List of recommendations with their priority and estimated saving
+ *
+ * @param {Object}   props
+ * @param {Array}    props.recommendations From `getRecommendations()` or `getTopOpportunities()`
+ * @param {Function} [props.onOpenPage]    Opens an affected page; pages are only listed when given
+ */
+const RecommendationList = ({ recommendations, onOpenPage }) => (
+	<ol className="cf-recommendations">
+		{recommendations.map((recommendation) => (
+			<li key={recommendation.id} className="cf-recommendations__item">
+				<div className="cf-recommendations__header">
+					<strong>{recommendation.title}</strong>
+					<span
+						className={`cf-recommendations__priority cf-recommendations__priority--${recommendation.priority}`}
+					>
+						{getPriorityLabel(recommendation.priority)}
+					</span>
+				</div>
+				{recommendation.detail && <p>{recommendation.detail}</p>}
+				<p>{recommendation.advice}</p>
+				{formatSaving(recommendation) && (
+					<p className="cf-recommendations__saving">
+						{sprintf(
+							/* translators: %s: estimated saving per view, e.g. "300 KB · 0.12g CO2" */
+							__("Estimated saving per view: %s", "carbonfooter"),
+							formatSaving(recommendation),
+						)}
+					</p>
+				)}
+				{onOpenPage && recommendation.pages?.length > 0 && (
+					<p className="cf-recommendations__pages">
+						{sprintf(
+							/* translators: %s: number of pages */
+							_n(
+								"Applies to %s page:",
+								"Applies to %s pages:",
+								recommendation.pages.length,
+								"carbonfooter",
+							),
+							recommendation.pages.length,
+						)}{" "}
+						{recommendation.pages.slice(0, 3).map((page, index) => (
+							<span key={page.id}>
+								{index > 0 && ", "}
+								<Button isLink onClick={() => onOpenPage(page.id)}>
+									{page.title}
+								</Button>
+							</span>
+						))}
+						{recommendation.pages.length > 3 && "…"}
+					</p>
+				)}
+			</li>
+		))}
+	</ol>
+);
+
+export default RecommendationList;
@@ -0,0 +1,191 @@
+import { useState, useEffect } from "@wordpress/element";
+import { useSelect } from "@wordpress/data";
+import { __ } from "@wordpress/i18n";
+import {
+	Notice,
+	Panel,
+	PanelBody,
+	SelectControl,
+	Spinner,
+	__experimentalToggleGroupControl as ToggleGroupControl,
+	__experimentalToggleGroupControlOption as ToggleGroupControlOption,
+} from "@wordpress/components";
+
+import PageDetail from "./PageDetail";
+import Text from "./Text";
+import { Table } from "./Table";
+import { toPageRow } from "./OverViewDirtyPages";
+import { getResourceLeaderboard, getErrorMessage } from "../lib/api";
+import { formatBytes } from "../lib/formatBytes";
+import { getResourceTypes } from "../lib/resourceTypes";
+import { store as carbonfooterStore } from "../store";
+
+// Ranks pages by the share of third-party bytes instead of one resource type
+const THIRD_PARTY_VIEW = "thirdPartyShare";
+
+const formatShare = (share) => (share === null ? "–" : `${share}%`);
+
+const ResourceLeaderboard = ({ limit = 10 }) => {
+	const [view, setView] = useState("script");
+	const [metric, setMetric] = useState("transferSize");
+	const [pages, setPages] = useState(null);
+	const [error, setError] = useState(null);
+	const [detailId, setDetailId] = useState(null);
+	// Reload when a page is measured anywhere in the admin
+	const lastMeasuredAt = useSelect(
+		(select) => select(carbonfooterStore).getLastMeasuredAt(),
+		[],
+	);
+
+	const isThirdPartyView = view === THIRD_PARTY_VIEW;
+	const query = isThirdPartyView
+		? { type: "thirdParty", metric: "share" }
+		: { type: view, metric };
+
+	useEffect(() => {
+		let isMounted = true;
+		setError(null);
+
+		getResourceLeaderboard({ ...query, limit })
+			.then((response) => {
+				if (isMounted) {
+					setPages(response.pages);
+				}
+			})
+			.catch((fetchError) => {
+				console.error("Error loading resource leaderboard:", fetchError);
+				if (isMounted) {
+					setPages([]);
+					setError(
+						getErrorMessage(
+							fetchError,
+							__("Could not load the ranking.", "carbonfooter"),
+						),
+					);
+				}
+			});
+
+		return () => {
+			isMounted = false;
+		};
+	}, [query.type, query.metric, limit, lastMeasuredAt]);
+
+	const viewOptions = [
+		...getResourceTypes().map((type) => ({
+			label: type.label,
+			value: type.key,
+		})),
+		{
+			label: __("Third-party share", "carbonfooter"),
+			value: THIRD_PARTY_VIEW,
+		},
+	];
+
+	const columns = [
+		{ key: "title", label: __("Page title", "carbonfooter"), align: "left" },
+		{
+			key: "size",
+			label: isThirdPartyView
+				? __("Third-party size", "carbonfooter")
+				: __("Transfer size", "carbonfooter"),
+			align: "right",
+		},
+		{ key: "requests", label: __("Requests", "carbonfooter"), align: "right" },
+		{
+			key: "share",
+			label: __("Share of page size", "carbonfooter"),
+			align: "right",
+		},
+		{ key: "emissions", label: __("Emissions", "carbonfooter"), align: "left" },
+		{ key: "actions", label: __("Actions", "carbonfooter"), align: "right" },
+	];
+
+	const tableData = (pages || []).map((page) => ({
+		...toPageRow(page, { onOpenDetail: setDetailId }),
+		size: formatBytes(page.resource.transferSize),
+		requests: page.resource.requestCount.toLocaleString(),
+		share: formatShare(page.resource.share),
+	}));
+
+	return (
+		<Panel>
+			<PanelBody
+				title={__("Heaviest pages per resource type", "carbonfooter")}
+				initialOpen={false}
+				className="carbonfooter-settings-panel"
+			>
+				<Text>
+					{isThirdPartyView
+						? __(
+								"Pages where scripts, fonts and other files from other domains make up the biggest share of the bytes. These are often tracking scripts, embeds or chat widgets.",
+								"carbonfooter",
+							)
+						: __(
+								"Find the pages that carry the most of one kind of resource, so you know where to start optimizing.",
+								"carbonfooter",
+							)}
+				</Text>
+
+				<div className="cf-results__filters">
+					<SelectControl
+						label={__("Rank pages by", "carbonfooter")}
+						value={view}
+						options={viewOptions}
+						onChange={setView}
+						__nextHasNoMarginBottom
+					/>
+					{!isThirdPartyView && (
+						<ToggleGroupControl
+							label={__("Measure", "carbonfooter")}
+							value={metric}
+							onChange={setMetric}
+							__nextHasNoMarginBottom
+						>
+							<ToggleGroupControlOption
+								value="transferSize"
+								label={__("Transfer size", "carbonfooter")}
+							/>
+							<ToggleGroupControlOption
+								value="requestCount"
+								label={__("Requests", "carbonfooter")}
+							/>
+							<ToggleGroupControlOption
+								value="share"
+								label={__("Share of page", "carbonfooter")}
+							/>
+						</ToggleGroupControl>
+					)}
+				</div>
+
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{pages === null && <Spinner />}
+
+				{pages !== null && pages.length === 0 && !error && (
+					<Notice status="info" isDismissible={false}>
+						{__(
+							"No measured pages load this kind of resource.",
+							"carbonfooter",
+						)}
+					</Notice>
+				)}
+
+				{tableData.length > 0 && (
+					<div style={{ overflowX: "auto" }}>
+						<Table data={tableData} columns={columns} />
+					</div>
+				)}
+
+				{detailId !== null && (
+					<PageDetail postId={detailId} onClose={() => setDetailId(null)} />
+				)}
+			</PanelBody>
+		</Panel>
+	);
+};
+
+export default ResourceLeaderboard;
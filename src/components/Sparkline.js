@@ -0,0 +1,37 @@
+import { __ } from "@wordpress/i18n";
+
+import LineChart from "./LineChart";
+import { formatDate } from "../lib/formatDate";
+
+/**
+ * Small emissions trend chart without axes
+ *
+ * Shared by the posts list column, the editor sidebar and the measured
+ * pages table; points show their date and value on hover.
+ *
+ * @param {Object} props
+ * @param {Array}  props.history `{ date, value }` per measurement, oldest first
+ * @param {number} props.width   ViewBox width
+ * @param {number} props.height  ViewBox height
+ */
+const Sparkline = ({ history, width = 200, height = 48 }) => (
+	<LineChart
+		width={width}
+		height={height}
+		label={__("Emissions history", "carbonfooter")}
+		formatValue={(value) => `${value.toFixed(2)}g CO2`}
+		series={[
+			{
+				key: "emissions",
+				label: __("Emissions", "carbonfooter"),
+				color: "#2271b1",
+				points: history.map((entry) => ({
+					label: formatDate(entry.date),
+					value: entry.value,
+				})),
+			},
+		]}
+	/>
+);
+
+export default Sparkline;
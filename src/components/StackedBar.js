@@ -0,0 +1,64 @@
+/**
+ * Horizontal stacked bar with a legend.
+ *
+ * Each segment is as wide as its share of the sum of all values. Segments
+ * without a value are left out of the bar but stay in the legend, so the
+ * legend does not jump around when switching between metrics.
+ *
+ * @param {Object}   props
+ * @param {Array}    props.segments    List of `{ key, label, color, value }`
+ * @param {Function} props.formatValue Formats a value for the legend and tooltips
+ * @param {string}   props.label       Accessible description of the chart
+ */
+const StackedBar = ({
+	segments,
+	formatValue = (value) => `${value}`,
+	label,
+}) => {
+	const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+	if (total <= 0) {
+		return null;
+	}
+
+	const getShare = (value) => Math.round((value / total) * 100);
+
+	return (
+		<div className="cf-stacked-bar">
+			<div className="cf-stacked-bar__bar" role="img" aria-label={label}>
+				{segments
+					.filter((segment) => segment.value > 0)
+					.map((segment) => (
+						<span
+							key={segment.key}
+							className="cf-stacked-bar__segment"
+							style={{
+								width: `${(segment.value / total) * 100}%`,
+								background: segment.color,
+							}}
+							title={`${segment.label}: ${formatValue(segment.value)}`}
+						/>
+					))}
+			</div>
+
+			<ul className="cf-stacked-bar__legend">
+				{segments.map((segment) => (
+					<li key={segment.key} className="cf-stacked-bar__legend-item">
+						<span
+							className="cf-stacked-bar__swatch"
+							style={{ background: segment.color }}
+						/>
+						<span className="cf-stacked-bar__legend-label">
+							{segment.label}
+						</span>
+						<strong>{formatValue(segment.value)}</strong>
+						<span className="cf-stacked-bar__share">
+							{`${getShare(segment.value)}%`}
+						</span>
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
+
+export default StackedBar;
@@ -1,81 +1,80 @@
 import {
 	Modal,
 	Button,
+	Notice,
 	ProgressBar,
 	__experimentalSpacer as Spacer,
 } from "@wordpress/components";
-import { useState, useEffect } from "react";
 import { __, sprintf } from "@wordpress/i18n";
 
 import Text from "./Text";
 import { PageHeading } from "./PageTitle";
 import { formatEmissions } from "../lib/formatEmissions";
 
-const StartModal = ({
-	isOpen,
-	closeModal,
-	isLoading,
-	setIsLoading,
-	onMeasurementComplete,
-	emissions,
-}) => {
-	const [progress, setProgress] = useState(0);
+/**
+ * Progress shown for each phase the server reports while measuring
+ */
+const PHASE_PROGRESS = {
+	queued: 10,
+	fetching: 40,
+	storing: 85,
+};
 
-	const handleCloseModal = () => {
-		closeModal();
-		setIsLoading(false);
-	};
+const getPhaseText = (phase) =>
+	({
+		queued: __("Waiting for the measurement to start…", "carbonfooter"),
+		fetching: __(
+			"Loading your home page and measuring everything it downloads. This can take up to a minute.",
+			"carbonfooter",
+		),
+		storing: __("Saving the results…", "carbonfooter"),
+	})[phase];
 
-	useEffect(() => {
-		// Only start progress when isLoading is true
-		if (isLoading) {
-			// Progress bar takes 30 seconds total (30000ms)
-			// Update every 300ms, so need 100 steps
-			// 30000ms / 100 steps = 300ms per step
-			const interval = setInterval(() => {
-				setProgress((prevProgress) => {
-					const newProgress = prevProgress + 1;
-					if (newProgress >= 100) {
-						clearInterval(interval);
-						setIsLoading(false); // Set isLoading to false when progress reaches 100%
-						if (onMeasurementComplete) {
-							onMeasurementComplete();
-						}
-						return 100;
-					}
-					return newProgress;
-				});
-			}, 300); // 300ms * 100 steps = 30 seconds total
-			return () => clearInterval(interval);
-		}
-	}, [isLoading, setIsLoading, onMeasurementComplete]);
+const getStepTitle = (step) =>
+	({
+		done: __(
+			"The emissions for your home page have been calculated.",
+			"carbonfooter",
+		),
+		busy: __("Your home page is already being measured", "carbonfooter"),
+		failed: __("Your home page could not be measured", "carbonfooter"),
+	})[step];
 
-	// Reset progress when modal opens
-	useEffect(() => {
-		if (isOpen) {
-			setProgress(0);
-		}
-	}, [isOpen]);
+/**
+ * Step of the modal for a measurement status from the store
+ *
+ * @param {Object|null} measurement `{ status, phase, emissions, error, message }`
+ * @return {string} queued | fetching | storing | done | busy | failed
+ */
+const getStep = (measurement) => {
+	switch (measurement?.status) {
+		case "measuring":
+			return measurement.phase || "queued";
+		case "completed":
+			return "done";
+		case "in_progress":
+			return "busy";
+		case "failed":
+			return "failed";
+		default:
+			return "queued";
+	}
+};
 
-	const title = isLoading ? (
-		<>
-			{__("Hang on while we are preparing your carbonfooter", "carbonfooter")}
-		</>
-	) : (
-		<>
-			{__(
-				"The emissions for your home page have been calculated.",
-				"carbonfooter",
-			)}
-		</>
-	);
+const StartModal = ({ isOpen, closeModal, measurement, onRetry }) => {
+	const step = getStep(measurement);
+	const isLoading = step in PHASE_PROGRESS;
+
+	const title =
+		getStepTitle(step) ||
+		__("Hang on while we are preparing your carbonfooter", "carbonfooter");
 
 	return (
 		<>
 			{isOpen && (
 				<Modal
 					__experimentalHideHeader={true}
-					onRequestClose={handleCloseModal}
+					onRequestClose={closeModal}
 					size="large"
 					isDismissible={false}
 					shouldCloseOnClickOutside={false}
@@ -83,7 +82,7 @@ const StartModal = ({
 				>
 					<PageHeading title={title} />
 					<Button
-						onClick={handleCloseModal}
+						onClick={closeModal}
 						aria-label={__("Close modal", "carbonfooter")}
 						style={{
 							position: "absolute",
@@ -109,7 +108,7 @@ const StartModal = ({
 					{isLoading && (
 						<ProgressBar
 							className="carbonfooter-progress-bar"
-							value={progress}
+							value={PHASE_PROGRESS[step]}
 							label={__(
 								"We are measuring your carbon footprint",
 								"carbonfooter",
@@ -117,33 +116,40 @@ const StartModal = ({
 						/>
 					)}
 					<Spacer margin={4} />
-					{isLoading ? (
+					{isLoading && <Text>{getPhaseText(step)}</Text>}
+					{step === "done" && measurement.fallback && (
 						<Text>
-							{__(
-								"We are measuring the carbon footprint of your home page. This may take 30 seconds.",
-								"carbonfooter",
+							{sprintf(
+								/* translators: %s: title of the post that was measured instead */
+								__(
+									"Your home page could not be loaded, so we measured your latest post, %s, instead.",
+									"carbonfooter",
+								),
+								measurement.fallback.title,
 							)}
 						</Text>
-					) : (
+					)}
+					{step === "done" && (
 						<Text>
-							{emissions && emissions > 0
-								? sprintf(
-										/* translators: %s: formatted emissions amount (e.g., "1.23 g") */
-										__("Per visit it will emit %s of CO2.", "carbonfooter"),
-										formatEmissions(emissions),
-									)
-								: __(
-										"There was an error calculating the emissions for your home page. Please visit the page to trigger re-measurement.",
-										"carbonfooter",
-									)}
+							{sprintf(
+								/* translators: %s: formatted emissions amount (e.g., "1.23 g") */
+								__("Per visit it will emit %s of CO2.", "carbonfooter"),
+								formatEmissions(measurement.emissions),
+							)}
 						</Text>
 					)}
+					{step === "busy" && <Text>{measurement.message}</Text>}
+					{step === "failed" && (
+						<Notice status="error" isDismissible={false}>
+							{measurement.error}
+						</Notice>
+					)}
 					<Spacer margin={20} />
 					<div className="carbonfooter-modal-buttons">
 						<Button
 							variant="secondary"
 							disabled={isLoading}
-							onClick={handleCloseModal}
+							onClick={closeModal}
 							style={{
 								display: "flex",
 								alignItems: "center",
@@ -163,8 +169,13 @@ const StartModal = ({
 
 							{__("Back to settings", "carbonfooter")}
 						</Button>
+						{(step === "failed" || step === "busy") && onRetry && (
+							<Button variant="primary" onClick={onRetry}>
+								{__("Try again", "carbonfooter")}
+							</Button>
+						)}
 						<Button
-							variant="primary"
+							variant={step === "done" ? "primary" : "secondary"}
 							disabled={isLoading}
 							onClick={() => {
 								window.open(
@@ -1,7 +1,19 @@
 import React from "react";
+import { useState, useEffect } from "@wordpress/element";
+import { Button, SearchControl } from "@wordpress/components";
+import { __, _n, sprintf } from "@wordpress/i18n";
 
 // Main Table Component
-export const Table = ({ data, columns, className = "", style = {} }) => {
+// Pass `sort` ({ orderby, order }) and `onSort` to make columns with
+// `sortable: true` clickable.
+export const Table = ({
+	data,
+	columns,
+	className = "",
+	style = {},
+	sort,
+	onSort,
+}) => {
 	return (
 		<table
 			className={className}
@@ -12,7 +24,7 @@ export const Table = ({ data, columns, className = "", style = {} }) => {
 				...style,
 			}}
 		>
-			<TableHeader columns={columns} />
+			<TableHeader columns={columns} sort={sort} onSort={onSort} />
 			<tbody>
 				{data.map((item, index) => (
 					<TableRow
@@ -28,7 +40,13 @@ export const Table = ({ data, columns, className = "", style = {} }) => {
 };
 
 // Table Header Component
-export const TableHeader = ({ columns, className = "", style = {} }) => {
+export const TableHeader = ({
+	columns,
+	className = "",
+	style = {},
+	sort,
+	onSort,
+}) => {
 	return (
 		<thead>
 			<tr
@@ -42,6 +60,7 @@ export const TableHeader = ({ columns, className = "", style = {} }) => {
 				{columns.map((column) => (
 					<th
 						key={column.key}
+						aria-sort={getAriaSort(column, sort)}
 						style={{
 							padding: "12px 0",
 							textAlign: column.align || "left",
@@ -49,7 +68,11 @@ export const TableHeader = ({ columns, className = "", style = {} }) => {
 							width: column.width,
 						}}
 					>
-						{column.label}
+						{column.sortable && onSort ? (
+							<SortButton column={column} sort={sort} onSort={onSort} />
+						) : (
+							column.label
+						)}
 					</th>
 				))}
 			</tr>
@@ -57,6 +80,39 @@ export const TableHeader = ({ columns, className = "", style = {} }) => {
 	);
 };
 
+const getAriaSort = (column, sort) => {
+	if (!column.sortable || sort?.orderby !== column.key) {
+		return undefined;
+	}
+
+	return sort.order === "asc" ? "ascending" : "descending";
+};
+
+// Sortable header cell content; clicking the active column flips the order
+const SortButton = ({ column, sort, onSort }) => {
+	const isActive = sort?.orderby === column.key;
+	let indicator = "";
+	if (isActive) {
+		indicator = sort.order === "asc" ? " ▲" : " ▼";
+	}
+
+	return (
+		<button
+			type="button"
+			className="cf-table__sort"
+			onClick={() =>
+				onSort({
+					orderby: column.key,
+					order: isActive && sort.order === "desc" ? "asc" : "desc",
+				})
+			}
+		>
+			{column.label}
+			<span aria-hidden="true">{indicator}</span>
+		</button>
+	);
+};
+
 // Table Row Component
 export const TableRow = ({ data, columns, className = "", style = {} }) => {
 	return (
@@ -94,29 +150,46 @@ export const TableCell = ({
 };
 
 // Action Button Component for tables
+// Renders a link, or a button when `onClick` is given instead of `href`.
 export const ActionButton = ({
 	href,
+	onClick,
 	label,
 	target,
 	rel,
 	className = "",
 	style = {},
 }) => {
+	const buttonStyle = {
+		color: "#2271b1",
+		textDecoration: "none",
+		fontSize: "12px",
+		padding: "4px 8px",
+		border: "1px solid #2271b1",
+		borderRadius: "3px",
+		...style,
+	};
+
+	if (onClick) {
+		return (
+			<button
+				type="button"
+				onClick={onClick}
+				className={className}
+				style={{ background: "none", cursor: "pointer", ...buttonStyle }}
+			>
+				{label}
+			</button>
+		);
+	}
+
 	return (
 		<a
 			href={href}
 			target={target}
 			rel={rel}
 			className={className}
-			style={{
-				color: "#2271b1",
-				textDecoration: "none",
-				fontSize: "12px",
-				padding: "4px 8px",
-				border: "1px solid #2271b1",
-				borderRadius: "3px",
-				...style,
-			}}
+			style={buttonStyle}
 		>
 			{label}
 		</a>
@@ -142,4 +215,77 @@ export const ActionButtons = ({ actions, className = "", style = {} }) => {
 	);
 };
 
+// Pagination Component
+export const TablePagination = ({ page, totalPages, total, onChange }) => {
+	if (totalPages <= 1) {
+		return null;
+	}
+
+	return (
+		<div className="cf-table__pagination">
+			<span className="cf-table__pagination-total">
+				{sprintf(
+					/* translators: %s: number of items */
+					_n("%s item", "%s items", total, "carbonfooter"),
+					total.toLocaleString(),
+				)}
+			</span>
+			<Button
+				isSecondary
+				isSmall
+				disabled={page <= 1}
+				onClick={() => onChange(page - 1)}
+			>
+				{__("Previous", "carbonfooter")}
+			</Button>
+			<span>
+				{sprintf(
+					/* translators: 1: current page, 2: total pages */
+					__("Page %1$s of %2$s", "carbonfooter"),
+					page,
+					totalPages,
+				)}
+			</span>
+			<Button
+				isSecondary
+				isSmall
+				disabled={page >= totalPages}
+				onClick={() => onChange(page + 1)}
+			>
+				{__("Next", "carbonfooter")}
+			</Button>
+		</div>
+	);
+};
+
+// Search Box Component
+// Calls `onSearch` once typing has paused, so views can query on each call.
+export const TableSearch = ({
+	value,
+	onSearch,
+	label = __("Search", "carbonfooter"),
+	delay = 300,
+}) => {
+	const [search, setSearch] = useState(value);
+
+	useEffect(() => {
+		if (search === value) {
+			return undefined;
+		}
+
+		const timeout = setTimeout(() => onSearch(search), delay);
+		return () => clearTimeout(timeout);
+	}, [search, value, onSearch, delay]);
+
+	return (
+		<SearchControl
+			className="cf-table__search"
+			label={label}
+			value={search}
+			onChange={setSearch}
+			__nextHasNoMarginBottom
+		/>
+	);
+};
+
 export default Table;
@@ -0,0 +1,118 @@
+import { useState, useEffect } from "@wordpress/element";
+import { useSelect } from "@wordpress/data";
+import { __ } from "@wordpress/i18n";
+import { Notice, Panel, PanelBody, Spinner } from "@wordpress/components";
+
+import PageDetail from "./PageDetail";
+import RecommendationList from "./RecommendationList";
+import Text from "./Text";
+import { getResourceLeaderboard, getErrorMessage } from "../lib/api";
+import { getTopOpportunities } from "../lib/recommendations";
+import { store as carbonfooterStore } from "../store";
+
+// Pages checked for the site-wide opportunities, heaviest first
+const OPPORTUNITY_PAGES = 100;
+
+/**
+ * Site-wide top opportunities
+ *
+ * Runs the recommendation rules on the heaviest measured pages and groups
+ * the results per rule, so the biggest savings across the site come first.
+ *
+ * @param {Object}  props
+ * @param {boolean} props.greenHost Current hosting status of the site
+ * @param {number}  [props.limit]   Number of opportunities to show
+ */
+const TopOpportunities = ({ greenHost, limit = 5 }) => {
+	const [pages, setPages] = useState(null);
+	const [error, setError] = useState(null);
+	const [detailId, setDetailId] = useState(null);
+	// Reload when a page is measured anywhere in the admin
+	const lastMeasuredAt = useSelect(
+		(select) => select(carbonfooterStore).getLastMeasuredAt(),
+		[],
+	);
+
+	useEffect(() => {
+		let isMounted = true;
+		setError(null);
+
+		getResourceLeaderboard({
+			type: "total",
+			metric: "transferSize",
+			limit: OPPORTUNITY_PAGES,
+		})
+			.then((response) => {
+				if (isMounted) {
+					setPages(response.pages);
+				}
+			})
+			.catch((fetchError) => {
+				console.error("Error loading top opportunities:", fetchError);
+				if (isMounted) {
+					setPages([]);
+					setError(
+						getErrorMessage(
+							fetchError,
+							__("Could not check your pages.", "carbonfooter"),
+						),
+					);
+				}
+			});
+
+		return () => {
+			isMounted = false;
+		};
+	}, [lastMeasuredAt]);
+
+	const opportunities = pages
+		? getTopOpportunities(pages, { greenHost }).slice(0, limit)
+		: [];
+
+	return (
+		<Panel>
+			<PanelBody
+				title={__("Top opportunities", "carbonfooter")}
+				initialOpen={true}
+				className="carbonfooter-settings-panel"
+			>
+				<Text>
+					{__(
+						"The changes that would save the most across your measured pages. Savings are estimates, based on what each page loads.",
+						"carbonfooter",
+					)}
+				</Text>
+
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{pages === null && <Spinner />}
+
+				{pages !== null && opportunities.length === 0 && !error && (
+					<Notice status="success" isDismissible={false}>
+						{__(
+							"No obvious improvements found on your measured pages.",
+							"carbonfooter",
+						)}
+					</Notice>
+				)}
+
+				{opportunities.length > 0 && (
+					<RecommendationList
+						recommendations={opportunities}
+						onOpenPage={setDetailId}
+					/>
+				)}
+
+				{detailId !== null && (
+					<PageDetail postId={detailId} onClose={() => setDetailId(null)} />
+				)}
+			</PanelBody>
+		</Panel>
+	);
+};
+
+export default TopOpportunities;
@@ -0,0 +1,275 @@
+import { useState, useEffect } from "@wordpress/element";
+import { __, _n, sprintf } from "@wordpress/i18n";
+import { useDispatch } from "@wordpress/data";
+import {
+	Button,
+	Notice,
+	Panel,
+	PanelBody,
+	Spinner,
+	TextControl,
+	__experimentalSpacer as Spacer,
+} from "@wordpress/components";
+
+import Text from "./Text";
+import { Table } from "./Table";
+import {
+	getTrackedUrls,
+	addTrackedUrl,
+	removeTrackedUrl,
+	importSitemap,
+	measureTrackedUrl,
+	getErrorMessage,
+} from "../lib/api";
+import { formatDate } from "../lib/formatDate";
+import { getUrlTypeLabel } from "../lib/urlTypes";
+import { store as carbonfooterStore } from "../store";
+
+const TrackedUrls = () => {
+	const [urls, setUrls] = useState(null);
+	const [newUrl, setNewUrl] = useState("");
+	const [sitemap, setSitemap] = useState("");
+	const [busyAction, setBusyAction] = useState(null);
+	const [notice, setNotice] = useState(null);
+	const { invalidateData } = useDispatch(carbonfooterStore);
+
+	const loadUrls = () =>
+		getTrackedUrls()
+			.then((response) => setUrls(response.urls))
+			.catch((error) => {
+				console.error("Error loading tracked URLs:", error);
+				setUrls([]);
+				setNotice({
+					type: "error",
+					message: getErrorMessage(
+						error,
+						__("Could not load the tracked URLs.", "carbonfooter"),
+					),
+				});
+			});
+
+	useEffect(() => {
+		loadUrls();
+	}, []);
+
+	// Run one action at a time and reload the list afterwards
+	const runAction = async (key, action, errorMessage) => {
+		setBusyAction(key);
+		setNotice(null);
+		try {
+			const message = await action();
+			if (message) {
+				setNotice({ type: "success", message });
+			}
+			await loadUrls();
+		} catch (error) {
+			console.error("Error updating tracked URLs:", error);
+			setNotice({
+				type: "error",
+				message: getErrorMessage(error, errorMessage),
+			});
+		} finally {
+			setBusyAction(null);
+		}
+	};
+
+	const addUrl = (event) => {
+		event.preventDefault();
+		runAction(
+			"add",
+			async () => {
+				await addTrackedUrl(newUrl.trim());
+				setNewUrl("");
+			},
+			__("The URL could not be added.", "carbonfooter"),
+		);
+	};
+
+	const runSitemapImport = () =>
+		runAction(
+			"sitemap",
+			async () => {
+				const result = await importSitemap(sitemap.trim());
+				return sprintf(
+					/* translators: 1: number of URLs added, 2: number of URLs found */
+					_n(
+						"%1$s new URL tracked, out of %2$s found in the sitemap.",
+						"%1$s new URLs tracked, out of %2$s found in the sitemap.",
+						result.added,
+						"carbonfooter",
+					),
+					result.added,
+					result.found,
+				);
+			},
+			__("The sitemap could not be imported.", "carbonfooter"),
+		);
+
+	const measureUrl = (url) =>
+		runAction(
+			`measure-${url.id}`,
+			async () => {
+				const result = await measureTrackedUrl(url.id);
+				if (result.status === "in_progress") {
+					return __("This URL is already being measured.", "carbonfooter");
+				}
+				invalidateData();
+				return sprintf(
+					/* translators: 1: URL, 2: emissions, e.g. "0.45g CO2" */
+					__("%1$s emits %2$s per view.", "carbonfooter"),
+					url.title || url.url,
+					result.formatted,
+				);
+			},
+			__("The URL could not be measured.", "carbonfooter"),
+		);
+
+	const removeUrl = (url) =>
+		runAction(
+			`remove-${url.id}`,
+			async () => {
+				await removeTrackedUrl(url.id);
+				invalidateData();
+			},
+			__("The URL could not be removed.", "carbonfooter"),
+		);
+
+	const columns = [
+		{ key: "title", label: __("URL", "carbonfooter"), align: "left" },
+		{ key: "type", label: __("Type", "carbonfooter"), align: "left" },
+		{
+			key: "emissions",
+			label: __("Emissions", "carbonfooter"),
+			align: "left",
+		},
+		{ key: "updated", label: __("Measured", "carbonfooter"), align: "left" },
+		{
+			key: "actions",
+			label: __("Actions", "carbonfooter"),
+			align: "right",
+		},
+	];
+
+	const rows = (urls || []).map((url) => ({
+		id: url.id,
+		title: (
+			<a href={url.url} target="_blank" rel="noopener noreferrer">
+				{url.title || url.url}
+			</a>
+		),
+		type: (
+			<span className="cf-url-type">{getUrlTypeLabel(url.type)}</span>
+		),
+		emissions:
+			url.emissions === null ? "–" : `${url.emissions.toFixed(2)}g CO2`,
+		updated: formatDate(url.updated),
+		actions: (
+			<div className="cf-tracked-urls__actions">
+				<Button
+					isSecondary
+					isSmall
+					isBusy={busyAction === `measure-${url.id}`}
+					disabled={busyAction !== null}
+					onClick={() => measureUrl(url)}
+				>
+					{url.emissions === null
+						? __("Measure", "carbonfooter")
+						: __("Measure again", "carbonfooter")}
+				</Button>
+				<Button
+					isDestructive
+					isSmall
+					isBusy={busyAction === `remove-${url.id}`}
+					disabled={busyAction !== null}
+					onClick={() => removeUrl(url)}
+				>
+					{__("Remove", "carbonfooter")}
+				</Button>
+			</div>
+		),
+	}));
+
+	return (
+		<Panel>
+			<PanelBody
+				title={__("Tracked URLs", "carbonfooter")}
+				className="carbonfooter-settings-panel cf-tracked-urls"
+				initialOpen={false}
+			>
+				{notice && (
+					<>
+						<Notice
+							status={notice.type}
+							isDismissible={true}
+							onRemove={() => setNotice(null)}
+						>
+							{notice.message}
+						</Notice>
+						<Spacer margin={3} />
+					</>
+				)}
+
+				<Text>
+					{__(
+						"Measure pages that are not a post, such as category and tag archives or author pages. Tracked URLs are included when you measure all pages and in the list of heaviest pages.",
+						"carbonfooter",
+					)}
+				</Text>
+				<Spacer margin={4} />
+
+				<form className="cf-tracked-urls__controls" onSubmit={addUrl}>
+					<TextControl
+						label={__("URL on this site", "carbonfooter")}
+						value={newUrl}
+						onChange={setNewUrl}
+						placeholder="/category/news/"
+					/>
+					<Button
+						isPrimary
+						type="submit"
+						isBusy={busyAction === "add"}
+						disabled={busyAction !== null || newUrl.trim() === ""}
+					>
+						{__("Add URL", "carbonfooter")}
+					</Button>
+				</form>
+
+				<div className="cf-tracked-urls__controls">
+					<TextControl
+						label={__("Sitemap", "carbonfooter")}
+						help={__(
+							"Leave empty to use the WordPress sitemap. Posts and pages are skipped.",
+							"carbonfooter",
+						)}
+						value={sitemap}
+						onChange={setSitemap}
+						placeholder="/wp-sitemap.xml"
+					/>
+					<Button
+						isSecondary
+						isBusy={busyAction === "sitemap"}
+						disabled={busyAction !== null}
+						onClick={runSitemapImport}
+					>
+						{__("Import from sitemap", "carbonfooter")}
+					</Button>
+				</div>
+				<Spacer margin={4} />
+
+				{urls === null && <Spinner />}
+				{urls !== null && rows.length === 0 && (
+					<Notice status="info" isDismissible={false}>
+						{__("No URLs are tracked yet.", "carbonfooter")}
+					</Notice>
+				)}
+				{rows.length > 0 && (
+					<div style={{ overflowX: "auto" }}>
+						<Table data={rows} columns={columns} />
+					</div>
+				)}
+			</PanelBody>
+		</Panel>
+	);
+};
+
+export default TrackedUrls;
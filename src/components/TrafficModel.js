@@ -0,0 +1,96 @@
+import {
+	Button,
+	Panel,
+	PanelBody,
+	TextControl,
+	ToggleControl,
+	__experimentalSpacer as Spacer,
+} from "@wordpress/components";
+
+import { __, sprintf } from "@wordpress/i18n";
+
+import Text from "../components/Text";
+import { calculateYearlyEmissions } from "../lib/yearlyEmissions";
+
+const TrafficModel = ({
+	pagesPerVisit,
+	setPagesPerVisit,
+	visitorsPerMonth,
+	setVisitorsPerMonth,
+	pageviewCounter,
+	setPageviewCounter,
+	saveTrafficModel,
+}) => {
+	const pageViewsPerYear = calculateYearlyEmissions(1, {
+		pagesPerVisit: Number(pagesPerVisit) || 0,
+		visitorsPerMonth: Number(visitorsPerMonth) || 0,
+	});
+
+	return (
+		<Panel>
+			<PanelBody
+				title={__("Traffic estimate", "carbonfooter")}
+				className="carbonfooter-settings-panel"
+				initialOpen={false}
+			>
+				<Text>
+					{__(
+						"The yearly emissions on the overview are projected from the average emissions per page and how much traffic your website gets. Fill in numbers close to your analytics to get realistic figures.",
+						"carbonfooter",
+					)}
+				</Text>
+				<Spacer margin={4} />
+
+				<div className="cf-traffic-model">
+					<TextControl
+						type="number"
+						label={__("Visitors per month", "carbonfooter")}
+						min={1}
+						step={1}
+						value={visitorsPerMonth}
+						onChange={setVisitorsPerMonth}
+						__nextHasNoMarginBottom
+					/>
+					<TextControl
+						type="number"
+						label={__("Pages per visit", "carbonfooter")}
+						min={1}
+						max={100}
+						step={0.1}
+						value={pagesPerVisit}
+						onChange={setPagesPerVisit}
+						__nextHasNoMarginBottom
+					/>
+				</div>
+				<Spacer margin={4} />
+
+				<Text>
+					{sprintf(
+						/* translators: %s: number of page views per year */
+						__("That is about %s page views per year.", "carbonfooter"),
+						Math.round(pageViewsPerYear).toLocaleString(),
+					)}
+				</Text>
+				<Spacer margin={6} />
+
+				<ToggleControl
+					label={__("Count page views on this site", "carbonfooter")}
+					help={__(
+						"Counts daily views per page without cookies or personal data, so yearly emissions use your real traffic instead of the estimate above. Views served from a page cache are not counted.",
+						"carbonfooter",
+					)}
+					checked={pageviewCounter}
+					onChange={setPageviewCounter}
+					__nextHasNoMarginBottom
+				/>
+				<Spacer margin={6} />
+
+				<Button isPrimary onClick={saveTrafficModel}>
+					{__("Save traffic estimate", "carbonfooter")}
+				</Button>
+			</PanelBody>
+		</Panel>
+	);
+};
+
+export default TrafficModel;
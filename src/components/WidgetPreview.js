@@ -1,7 +1,29 @@
 import { __ } from "@wordpress/i18n";
 import "../assets/styles/preview.scss";
 
-const WidgetPreview = ({ backgroundColor, textColor, widgetStyle }) => {
+/**
+ * Preview of the frontend widget
+ *
+ * @param {Object} props
+ * @param {string} props.backgroundColor
+ * @param {string} props.textColor
+ * @param {string} props.widgetStyle "minimal", "sticker" or "full"
+ * @param {number} [props.emissions] Grams of CO2 to show
+ * @param {string} [props.source]    "page", or "site" for the site average
+ */
+const WidgetPreview = ({
+	backgroundColor,
+	textColor,
+	widgetStyle,
+	emissions = 1.23,
+	source = "page",
+}) => {
+	const isSiteAverage = source === "site";
+	const value = Number(emissions).toFixed(2);
+	const intro = isSiteAverage
+		? __("On average, pages on this site produce", "carbonfooter")
+		: __("This page produced", "carbonfooter");
+
 	const cssVars = {
 		"--cf-color-background": backgroundColor,
 		"--cf-color-foreground": textColor,
@@ -54,9 +76,9 @@ const WidgetPreview = ({ backgroundColor, textColor, widgetStyle }) => {
 		<div className="cf-minimal">
 			<div className="cf-minimal__content">
 				<p className="cf-minimal__text">
-					{__("This page produced", "carbonfooter")}{" "}
+					{intro}{" "}
 					<span className="cf-minimal__value">
-						1.23 g CO<sub>2</sub>
+						{value} g CO<sub>2</sub>
 					</span>{" "}
 					{__("per page view. Want to learn more?", "carbonfooter")}{" "}
 					<span className="cf-minimal__link">
@@ -72,9 +94,9 @@ const WidgetPreview = ({ backgroundColor, textColor, widgetStyle }) => {
 		<div className="cf-sticker">
 			{cloudSvg}
 			<p className="cf-sticker__text">
-				{__("This page produced", "carbonfooter")}{" "}
+				{intro}{" "}
 				<span className="cf-sticker__value">
-					1.23 g CO<sub>2</sub>
+					{value} g CO<sub>2</sub>
 				</span>{" "}
 				{__("per page view.", "carbonfooter")}
 			</p>
@@ -133,9 +155,13 @@ const WidgetPreview = ({ backgroundColor, textColor, widgetStyle }) => {
 						<path d="M118.9,60.01c2.61-3.48,3.92-7.76,3.71-12.11-.22-4.34-1.95-8.48-4.9-11.67-10.44-12.34-25.49-5.13-25.49-5.13h0c-2.14-2.48-4.9-4.36-7.99-5.44-3.09-1.08-6.42-1.34-9.64-.73-3.39.47-6.6,1.8-9.33,3.87-2.73,2.07-4.87,4.8-6.24,7.94,0,0-8.9-8.73-20.71,3.53-11.81,12.25-2.22,22.76-2.22,22.76,0,0-14.54,6.15-9.06,21.38,1.5,4.29,4.3,8.01,8.01,10.65,3.71,2.64,8.14,4.06,12.69,4.07,0,0-.69,20.34,15.23,22.92,4.33.85,8.81.28,12.79-1.63,3.98-1.91,7.23-5.05,9.28-8.95,0,0,7.05,15.87,23.6,6.29,16.55-9.57,10.44-18.56,10.44-18.56,0,0,16.76-1.89,18.14-17.29,1.37-15.41-18.3-21.89-18.3-21.89h0ZM73.67,83.8c-5.08,1.62-11.76.62-14.24-4.65h0c-1.09-2.64-1.15-5.6-.17-8.28.98-2.68,2.93-4.91,5.46-6.23,2.73-1.45,5.15,2.68,2.42,4.13s-5.01,5.48-3.19,8.62c1.82,3.14,5.78,2.66,8.5,1.76,2.71-.9,4.18,3.72,1.23,4.65h0ZM88.37,74.32c-2.75,4.09-7.93,5.13-11.32,1.09h0c-1.41-1.87-2.2-4.14-2.24-6.49-.04-2.35.65-4.65,2-6.57,2.61-2.91,7.63-2.33,10.58-.32,4.21,2.8,3.45,8.59.99,12.29h0ZM102.17,82.36h-6.31,0c-.89,0-1.7-.49-2.14-1.25-.44-.77-.44-1.71,0-2.48.74-1.2,1.76-2.17,2.54-3.3l.11-.19c-.85.14-1.71-.13-2.32-.74-.61-.6-.89-1.46-.76-2.31.62-3.53,5.69-4.09,7.7-1.45,1.06,1.56,1.27,3.54.56,5.29-.2.52-.45,1.01-.76,1.46h1.39c.89,0,1.71.47,2.15,1.24.44.77.44,1.72,0,2.49-.44.77-1.26,1.24-2.15,1.24h0Z" />
 					</svg>
 					<p className="cf-full__title">
-						1.23 gram CO<sub>2</sub>
+						{value} gram CO<sub>2</sub>
+					</p>
+					<p className="cf-full__text">
+						{isSiteAverage
+							? __("per visit on average", "carbonfooter")
+							: __("per visit", "carbonfooter")}
 					</p>
-					<p className="cf-full__text">{__("per visit", "carbonfooter")}</p>
 				</div>
 			</div>
 			<div className="cf-full__cta">
@@ -0,0 +1,46 @@
+import { registerPlugin } from "@wordpress/plugins";
+import {
+	PluginDocumentSettingPanel,
+	PluginPrePublishPanel,
+} from "@wordpress/edit-post";
+import { useSelect } from "@wordpress/data";
+import { __ } from "@wordpress/i18n";
+import "./store";
+import EmissionsPanel from "./components/EmissionsPanel";
+import PrePublishCheck from "./components/PrePublishCheck";
+import "./assets/styles/editor.scss";
+
+const CarbonfooterDocumentPanel = () => {
+	const { postId, isPublished } = useSelect((select) => {
+		const editor = select("core/editor");
+		return {
+			postId: editor.getCurrentPostId(),
+			isPublished: editor.getCurrentPostAttribute("status") === "publish",
+		};
+	}, []);
+
+	if (!postId) {
+		return null;
+	}
+
+	return (
+		<>
+			<PluginDocumentSettingPanel
+				name="carbonfooter-emissions"
+				title={__("Carbon emissions", "carbonfooter")}
+			>
+				<EmissionsPanel postId={postId} isPublished={isPublished} />
+			</PluginDocumentSettingPanel>
+			{!isPublished && (
+				<PluginPrePublishPanel
+					title={__("Carbon emissions", "carbonfooter")}
+					initialOpen
+				>
+					<PrePublishCheck postId={postId} />
+				</PluginPrePublishPanel>
+			)}
+		</>
+	);
+};
+
+registerPlugin("carbonfooter", { render: CarbonfooterDocumentPanel });
@@ -1,4 +1,5 @@
 import { createRoot } from "@wordpress/element";
+import "./store";
 import AdminPage from "./views/AdminPage";
 import SettingsPage from "./views/SettingsPage";
 import ResultsPage from "./views/ResultsPage";
@@ -0,0 +1,160 @@
+import apiFetch from "@wordpress/api-fetch";
+import { __ } from "@wordpress/i18n";
+
+/**
+ * Low-level client for the plugin's `carbonfooter/v1` REST routes.
+ *
+ * Identical in-flight requests share one response and reads are retried with
+ * backoff on transient failures. An expired nonce is refreshed by apiFetch's
+ * nonce middleware. Failures always reject with an ApiError.
+ */
+
+const NAMESPACE = "carbonfooter/v1";
+const MAX_RETRIES = 2;
+const RETRY_DELAY = 500;
+
+const inFlight = new Map();
+
+/**
+ * Error thrown for every failed request
+ */
+export class ApiError extends Error {
+	/**
+	 * @param {string} message Human readable message, safe to show in a notice
+	 * @param {Object} [details]
+	 * @param {number} [details.status] HTTP status, 0 when no response arrived
+	 * @param {string} [details.code] REST error code, "fetch_error" or "invalid_json"
+	 */
+	constructor(message, { status = 0, code = "request_failed" } = {}) {
+		super(message);
+		this.name = "ApiError";
+		this.status = status;
+		this.code = code;
+	}
+
+	/**
+	 * Whether retrying the same request may succeed
+	 *
+	 * @return {boolean}
+	 */
+	get isTransient() {
+		return (
+			this.code === "fetch_error" ||
+			this.status === 408 ||
+			this.status === 429 ||
+			this.status >= 500
+		);
+	}
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Turn an apiFetch rejection into an ApiError
+ *
+ * @param {*} error apiFetch rejection: a REST error body or `{ code, message }`
+ * @return {ApiError}
+ */
+const toApiError = (error) => {
+	const status = error?.data?.status || 0;
+
+	if (error?.code === "fetch_error") {
+		return new ApiError(
+			__(
+				"Could not reach your site. Check your connection and try again.",
+				"carbonfooter",
+			),
+			{ code: error.code },
+		);
+	}
+
+	if (error?.code === "invalid_json") {
+		return new ApiError(
+			__("The server returned an unexpected response.", "carbonfooter"),
+			{ status, code: error.code },
+		);
+	}
+
+	return new ApiError(
+		error?.message ||
+			__("The request failed. Please try again.", "carbonfooter"),
+		{ status, code: error?.code || "request_failed" },
+	);
+};
+
+/**
+ * Send a request, retrying reads that failed for a transient reason
+ *
+ * Writes are not retried: a timed out measurement may still be running.
+ *
+ * @param {Object} options apiFetch options
+ * @return {Promise<*>}
+ */
+const sendWithRetry = async (options) => {
+	let attempt = 0;
+
+	while (true) {
+		try {
+			return await apiFetch(options);
+		} catch (fetchError) {
+			const error = toApiError(fetchError);
+			if (
+				options.method !== "GET" ||
+				!error.isTransient ||
+				attempt >= MAX_RETRIES
+			) {
+				throw error;
+			}
+
+			await wait(RETRY_DELAY * 2 ** attempt);
+			attempt++;
+		}
+	}
+};
+
+/**
+ * Call a `carbonfooter/v1` route
+ *
+ * Identical calls made while one is pending resolve with the same response.
+ *
+ * @param {string} route Route below the namespace, e.g. "pages/heaviest"
+ * @param {Object} [options]
+ * @param {string} [options.method] HTTP method, GET by default
+ * @param {Object} [options.query] Query parameters; undefined and null values are skipped
+ * @param {Object} [options.data] JSON body
+ * @return {Promise<*>} Response body
+ * @throws {ApiError}
+ */
+export const request = (route, { method = "GET", query = {}, data } = {}) => {
+	const params = new URLSearchParams();
+	for (const [key, value] of Object.entries(query)) {
+		if (value !== undefined && value !== null) {
+			params.set(key, String(value));
+		}
+	}
+
+	const search = params.toString();
+	const path = `${NAMESPACE}/${route}${search ? `?${search}` : ""}`;
+	const key = JSON.stringify([method, path, data]);
+
+	if (!inFlight.has(key)) {
+		inFlight.set(
+			key,
+			sendWithRetry({ path, method, data }).finally(() =>
+				inFlight.delete(key),
+			),
+		);
+	}
+
+	return inFlight.get(key);
+};
+
+/**
+ * Message to show for a failed request
+ *
+ * @param {*} error Rejection reason
+ * @param {string} fallback Message for errors that are not an ApiError
+ * @return {string}
+ */
+export const getErrorMessage = (error, fallback) =>
+	error instanceof ApiError ? error.message : fallback;
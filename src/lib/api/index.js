@@ -0,0 +1,324 @@
+import { request } from "./client";
+
+export { ApiError, getErrorMessage } from "./client";
+
+/**
+ * Typed methods for the plugin's REST routes
+ *
+ * All methods resolve with the response body and reject with an ApiError.
+ */
+
+/**
+ * Site-wide statistics
+ *
+ * @return {Promise<Object>} Stats from `Emissions::get_site_stats()`
+ */
+export const getStats = () => request("stats");
+
+/**
+ * Heaviest pages
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] Maximum number of pages (server default 10)
+ * @param {"emissions"|"impact"} [options.orderby] Sort metric
+ * @return {Promise<Array>} Pages, heaviest first
+ */
+export const getHeaviestPages = ({ limit, orderby } = {}) =>
+	request("pages/heaviest", { query: { limit, orderby } });
+
+/**
+ * Measured pages, one result page at a time
+ *
+ * @param {Object} [options]
+ * @param {number} [options.page] Result page, starting at 1
+ * @param {number} [options.perPage] Pages per result page (server default 20)
+ * @param {"emissions"|"page_size"|"updated"|"title"|"impact"} [options.orderby] Sort key
+ * @param {"asc"|"desc"} [options.order] Sort direction
+ * @param {string} [options.postType] Only this post type
+ * @param {string} [options.start] Last measured on or after (YYYY-MM-DD)
+ * @param {string} [options.end] Last measured on or before (YYYY-MM-DD)
+ * @param {string} [options.search] Search in page titles
+ * @param {boolean} [options.overBudget] Only pages over their budget
+ * @return {Promise<Object>} `{ pages, total, total_pages, page, per_page,
+ *   post_types }`; pages include their `history` and `delta`, see
+ *   `Database_Optimizer::query_measured_pages()`
+ */
+export const getMeasuredPages = ({
+	page,
+	perPage,
+	orderby,
+	order,
+	postType,
+	start,
+	end,
+	search,
+	overBudget,
+} = {}) =>
+	request("pages", {
+		query: {
+			page,
+			per_page: perPage,
+			orderby,
+			order,
+			post_type: postType || undefined,
+			start: start || undefined,
+			end: end || undefined,
+			search: search || undefined,
+			over_budget: overBudget ? 1 : undefined,
+		},
+	});
+
+/**
+ * Pages ranked by one resource type
+ *
+ * @param {Object} [options]
+ * @param {string} [options.type] "images", "script", "css", "font", "media",
+ *   "thirdParty" or "total" (server default "script")
+ * @param {"transferSize"|"requestCount"|"share"} [options.metric] Ranking metric,
+ *   `share` is the type's share of the page's bytes
+ * @param {number} [options.limit] Maximum number of pages (server default 10)
+ * @return {Promise<Object>} `{ type, metric, pages }`, each page with a
+ *   `resource: { transferSize, requestCount, share }`
+ */
+export const getResourceLeaderboard = ({ type, metric, limit } = {}) =>
+	request("pages/resources", { query: { type, metric, limit } });
+
+/**
+ * Detail of one page: latest measurement, resources, history and the
+ * hosting status at measurement time
+ *
+ * @param {number} postId Post ID
+ * @return {Promise<Object>} Page fields plus `{ resources, site_resources,
+ *   green_host, history, delta, stale }`, see
+ *   `Database_Optimizer::get_page_detail()`; `stale` is true when the cached
+ *   measurement is due for a refresh and null when never measured
+ */
+export const getPageDetail = (postId) => request(`pages/${postId}`);
+
+/**
+ * Published pages without a measurement, grouped by post type
+ *
+ * @return {Promise<Object>}
+ */
+export const getUntestedPages = () => request("pages/untested");
+
+/**
+ * Measure a single post
+ *
+ * @param {number|"home"} postId Post ID, or "home" for a front page that shows the latest posts
+ * @return {Promise<Object>} `{ status, emissions, formatted, fallback? }`, where
+ *   `fallback` (home only) is `{ post_id, title }` of the post measured instead
+ */
+export const measure = (postId) =>
+	request(`measure/${postId}`, { method: "POST" });
+
+/**
+ * Phase of a running measurement of a single post
+ *
+ * @param {number|"home"} postId Post ID, or "home"
+ * @return {Promise<Object>} `{ phase }`: "queued", "fetching", "storing" or null when none runs
+ */
+export const getMeasurePhase = (postId) => request(`measure/${postId}`);
+
+/**
+ * Measure the preview of an unpublished post, without storing the result
+ *
+ * @param {number} postId Post ID
+ * @return {Promise<Object>} `{ status, emissions, page_size, formatted,
+ *   threshold, reference, reference_emissions, reference_page_size, exceeded,
+ *   is_heavy }`; `reference` is "budget", "average" or null when there is
+ *   nothing to compare with
+ */
+export const measurePreview = (postId) =>
+	request(`measure/${postId}/preview`, { method: "POST" });
+
+/**
+ * Tracked URLs: archives and other pages that are not a post
+ *
+ * @return {Promise<Object>} `{ urls }`, each `{ id, url, type, title, source,
+ *   emissions, page_size, updated, history }`
+ */
+export const getTrackedUrls = () => request("urls");
+
+/**
+ * Track a URL on this site
+ *
+ * @param {string} url Absolute URL, or a path below the home URL
+ * @return {Promise<Object>} `{ url }`, the tracked URL
+ */
+export const addTrackedUrl = (url) =>
+	request("urls", { method: "POST", data: { url } });
+
+/**
+ * Stop tracking a URL and drop its measurements
+ *
+ * @param {number} id Tracked URL ID
+ * @return {Promise<Object>} `{ deleted }`
+ */
+export const removeTrackedUrl = (id) =>
+	request(`urls/${id}`, { method: "DELETE" });
+
+/**
+ * Track the archives and other non-post URLs of a sitemap
+ *
+ * @param {string} [sitemap] Sitemap or sitemap index URL, the WordPress
+ *   sitemap by default
+ * @return {Promise<Object>} `{ found, added, skipped }`
+ */
+export const importSitemap = (sitemap = "") =>
+	request("urls/sitemap", { method: "POST", data: { sitemap } });
+
+/**
+ * Measure a tracked URL
+ *
+ * @param {number} id Tracked URL ID
+ * @return {Promise<Object>} `{ status, emissions, formatted }`
+ */
+export const measureTrackedUrl = (id) =>
+	request(`urls/${id}/measure`, { method: "POST" });
+
+/**
+ * Status of the latest batch measurement job
+ *
+ * @return {Promise<Object>} `{ job }`, null when no job ran yet; see
+ *   `Batch_Processor::summarize()`
+ */
+export const getBatch = () => request("batch");
+
+/**
+ * Start measuring every untested page and tracked URL in the background
+ *
+ * @return {Promise<Object>} `{ job }`; rejects while another job is active
+ */
+export const startBatch = () => request("batch", { method: "POST" });
+
+/**
+ * Pause, resume or cancel the batch measurement job
+ *
+ * @param {"pause"|"resume"|"cancel"} action
+ * @return {Promise<Object>} `{ job }`
+ */
+export const controlBatch = (action) =>
+	request(`batch/${action}`, { method: "POST" });
+
+/**
+ * Site-wide emissions per week or month
+ *
+ * @param {Object} [options]
+ * @param {"week"|"month"} [options.interval] Bucket size (server default week)
+ * @param {string} [options.start] Range start (YYYY-MM-DD)
+ * @param {string} [options.end] Range end (YYYY-MM-DD)
+ * @param {boolean} [options.compare] Include the preceding period of equal length
+ * @return {Promise<Object>} `{ interval, start, end, current, previous, change }`;
+ *   `current` is `{ series, summary }`, `previous` and `change` are null
+ *   without `compare`
+ */
+export const getTimeline = ({ interval, start, end, compare } = {}) =>
+	request("timeline", {
+		query: {
+			interval,
+			start: start || undefined,
+			end: end || undefined,
+			compare: compare ? 1 : 0,
+		},
+	});
+
+/**
+ * Details of the latest traffic import
+ *
+ * @return {Promise<Object>} `{ imported }`, null when nothing was imported
+ */
+export const getTrafficImport = () => request("traffic/import");
+
+/**
+ * Match exported traffic rows to pages without storing them
+ *
+ * @param {Array} rows `{ url, views }` per row
+ * @return {Promise<Object>} `{ matched, unmatched, matched_rows, unmatched_rows,
+ *   imported: null }`
+ */
+export const previewTrafficImport = (rows) =>
+	request("traffic/import", {
+		method: "POST",
+		data: { rows, dry_run: true },
+	});
+
+/**
+ * Import exported traffic, replacing the previous import
+ *
+ * @param {Array} rows `{ url, views }` per row
+ * @param {number} periodDays Number of days the export covers
+ * @return {Promise<Object>} `{ matched, unmatched, imported }`
+ */
+export const importTraffic = (rows, periodDays) =>
+	request("traffic/import", {
+		method: "POST",
+		data: { rows, period_days: periodDays, dry_run: false },
+	});
+
+/**
+ * Remove imported traffic
+ *
+ * @return {Promise<Object>} `{ imported: null }`
+ */
+export const removeTrafficImport = () =>
+	request("traffic/import", { method: "DELETE" });
+
+/**
+ * Export the emissions history
+ *
+ * @param {Object} [options]
+ * @param {"json"|"csv-long"|"csv-wide"} [options.format] File format (server default json)
+ * @param {string} [options.postType] Only export this post type
+ * @param {string} [options.start] Only export measurements on or after (YYYY-MM-DD)
+ * @param {string} [options.end] Only export measurements on or before (YYYY-MM-DD)
+ * @return {Promise<Object>} `{ data, format, filename, message }`, `data` is the
+ *   file contents for CSV
+ */
+export const exportData = ({ format, postType, start, end } = {}) =>
+	request("export", {
+		query: {
+			format,
+			post_type: postType || undefined,
+			start: start || undefined,
+			end: end || undefined,
+		},
+	});
+
+/**
+ * Merge the entries of a JSON export into the stored history
+ *
+ * @param {Array} entries Entries of the exported file
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=true] Only match the entries
+ * @return {Promise<Object>} `{ merged, skipped, imported }`, `imported` is null
+ *   on a dry run
+ */
+export const importData = (entries, { dryRun = true } = {}) =>
+	request("import", {
+		method: "POST",
+		data: { entries, dry_run: dryRun },
+	});
+
+/**
+ * Delete all measurements, history and caches
+ *
+ * @return {Promise<Object>} `{ message, deleted_count, cache_cleared }`
+ */
+export const clearData = () => request("data", { method: "DELETE" });
+
+/**
+ * Widget and traffic settings
+ *
+ * @return {Promise<Object>}
+ */
+export const getSettings = () => request("settings");
+
+/**
+ * Save one or more settings
+ *
+ * @param {Object} settings Settings to update
+ * @return {Promise<Object>} All settings after the update
+ */
+export const saveSettings = (settings) =>
+	request("settings", { method: "POST", data: settings });
@@ -0,0 +1,84 @@
+/**
+ * Budgets with no limits set
+ *
+ * Mirrors the shape returned by `Budgets::get()` on the PHP side.
+ */
+export const EMPTY_BUDGETS = {
+	emissions: null,
+	page_size: null,
+	post_types: {},
+};
+
+/**
+ * Percentage above the budget or site average at which the pre-publish
+ * check warns
+ *
+ * Mirrors `Constants::DEFAULT_PREPUBLISH_THRESHOLD` on the PHP side.
+ */
+export const DEFAULT_PREPUBLISH_THRESHOLD = 20;
+
+const toField = (value, divisor = 1) =>
+	value ? String(Math.round((value / divisor) * 100) / 100) : "";
+
+const toLimit = (value) => {
+	const number = Number(value);
+	return value !== "" && Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const toBytes = (kilobytes) => {
+	const limit = toLimit(kilobytes);
+	return limit === null ? null : Math.round(limit * 1024);
+};
+
+/**
+ * Turn saved budgets into form fields
+ *
+ * Fields are strings so partially typed numbers survive re-renders, and page
+ * sizes are edited in KB instead of bytes.
+ *
+ * @param {Object} [budgets] - Budgets from the settings endpoint
+ * @returns {{emissions: string, pageSize: string, postTypes: Object}} Form fields
+ */
+export const toBudgetForm = (budgets = EMPTY_BUDGETS) => {
+	const postTypes = {};
+	for (const [name, limits] of Object.entries(budgets?.post_types || {})) {
+		postTypes[name] = {
+			emissions: toField(limits.emissions),
+			pageSize: toField(limits.page_size, 1024),
+		};
+	}
+
+	return {
+		emissions: toField(budgets?.emissions),
+		pageSize: toField(budgets?.page_size, 1024),
+		postTypes,
+	};
+};
+
+/**
+ * Turn form fields back into budgets for the settings endpoint
+ *
+ * Empty and invalid fields become null, meaning "no limit" (or, for a post
+ * type, "use the site-wide budget").
+ *
+ * @param {Object} form - Fields from `toBudgetForm()`
+ * @returns {Object} Budgets `{ emissions, page_size, post_types }`
+ */
+export const fromBudgetForm = (form) => {
+	const postTypes = {};
+	for (const [name, fields] of Object.entries(form.postTypes)) {
+		const limits = {
+			emissions: toLimit(fields.emissions),
+			page_size: toBytes(fields.pageSize),
+		};
+		if (limits.emissions !== null || limits.page_size !== null) {
+			postTypes[name] = limits;
+		}
+	}
+
+	return {
+		emissions: toLimit(form.emissions),
+		page_size: toBytes(form.pageSize),
+		post_types: postTypes,
+	};
+};
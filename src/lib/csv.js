@@ -0,0 +1,177 @@
+/**
+ * Header names (lowercase) recognised as the URL column
+ */
+const URL_HEADERS = [
+	"url",
+	"page",
+	"page path",
+	"page path and screen class",
+	"page location",
+	"landing page",
+	"path",
+	"pathname",
+];
+
+/**
+ * Header names (lowercase) recognised as the pageviews column
+ */
+const VIEWS_HEADERS = [
+	"views",
+	"pageviews",
+	"page views",
+	"screen page views",
+	"visits",
+	"visitors",
+	"hits",
+	"count",
+];
+
+/**
+ * Guess the delimiter of a CSV text from its first line
+ *
+ * @param {string} text - CSV text
+ * @returns {string} "," ";" or "\t"
+ */
+const detectDelimiter = (text) => {
+	const firstLine = text.split(/\r?\n/, 1)[0];
+	const counts = [",", ";", "\t"].map((delimiter) => ({
+		delimiter,
+		count: firstLine.split(delimiter).length,
+	}));
+
+	return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+/**
+ * Parse CSV text into rows of cells
+ *
+ * Handles quoted cells (including delimiters, newlines and "" escapes),
+ * CRLF line endings and a byte order mark. Empty lines are skipped.
+ *
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Cell delimiter, detected when omitted
+ * @returns {string[][]} Rows of trimmed cells
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+	const rows = [];
+	let row = [];
+	let cell = "";
+	let inQuotes = false;
+	const source = text.replace(/^\uFEFF/, "");
+
+	const endRow = () => {
+		row.push(cell.trim());
+		if (row.some((value) => value !== "")) {
+			rows.push(row);
+		}
+		row = [];
+		cell = "";
+	};
+
+	for (let i = 0; i < source.length; i++) {
+		const char = source[i];
+
+		if (inQuotes) {
+			if (char === '"' && source[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === delimiter) {
+			row.push(cell.trim());
+			cell = "";
+		} else if (char === "\n") {
+			endRow();
+		} else if (char !== "\r") {
+			cell += char;
+		}
+	}
+
+	endRow();
+
+	return rows;
+};
+
+/**
+ * Parse a pageview count as exported by analytics tools
+ *
+ * Thousands separators ("1,234", "1.234", "1 234") are ignored. Any other
+ * trailing "." or "," part is a decimal one ("12.5", "1,234.5", "1.234,5"),
+ * as in averaged exports, and is rounded.
+ *
+ * @param {string} value - Cell value
+ * @returns {number|null} Whole number of views, or null when not a number
+ */
+export const parseViews = (value) => {
+	const number = String(value).replace(/[\s']/g, "");
+
+	if (/^\d+$/.test(number) || /^\d{1,3}([,.])\d{3}(\1\d{3})*$/.test(number)) {
+		return Number(number.replace(/[,.]/g, ""));
+	}
+
+	const decimal = number.match(/^(\d[\d,.]*)([,.])(\d+)$/);
+	if (!decimal) {
+		return null;
+	}
+
+	const [, whole, separator, fraction] = decimal;
+	const thousands = separator === "." ? "," : ".";
+	if (whole.includes(separator)) {
+		return null;
+	}
+
+	const digits = whole.replaceAll(thousands, "");
+	return /^\d+$/.test(digits) ? Math.round(Number(`${digits}.${fraction}`)) : null;
+};
+
+/**
+ * Extract `{ url, views }` rows from an analytics CSV export
+ *
+ * Columns are found by their header name; without a recognised header the
+ * first column is used as URL and the second as views. Comment lines
+ * (starting with "#", as in Google Analytics exports) and rows without a
+ * numeric view count are skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {{rows: Array<{url: string, views: number}>, skipped: number}} Parsed rows and number of skipped rows
+ */
+export const parseTrafficCsv = (text) => {
+	const lines = parseCsv(text).filter((cells) => !cells[0].startsWith("#"));
+	if (lines.length === 0) {
+		return { rows: [], skipped: 0 };
+	}
+
+	const header = lines[0].map((cell) => cell.toLowerCase());
+	let urlColumn = header.findIndex((cell) => URL_HEADERS.includes(cell));
+	let viewsColumn = header.findIndex((cell) => VIEWS_HEADERS.includes(cell));
+	const hasHeader = urlColumn !== -1 || viewsColumn !== -1;
+
+	if (urlColumn === -1) {
+		urlColumn = 0;
+	}
+	if (viewsColumn === -1) {
+		viewsColumn = urlColumn === 1 ? 0 : 1;
+	}
+
+	const rows = [];
+	let skipped = 0;
+
+	for (const cells of hasHeader ? lines.slice(1) : lines) {
+		const url = cells[urlColumn] || "";
+		const views = parseViews(cells[viewsColumn] ?? "");
+
+		if (url === "" || views === null) {
+			skipped++;
+			continue;
+		}
+
+		rows.push({ url, views });
+	}
+
+	return { rows, skipped };
+};
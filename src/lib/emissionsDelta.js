@@ -0,0 +1,50 @@
+import { __, sprintf } from "@wordpress/i18n";
+
+/**
+ * Format the change between two measurements
+ *
+ * @param {number} delta - Difference in grams CO2 (latest minus previous)
+ * @returns {string} Signed label, e.g. "+0.40 g since last measurement"
+ */
+export const formatEmissionsDelta = (delta) => {
+	const sign = delta > 0 ? "+" : delta < 0 ? "−" : "±";
+
+	return sprintf(
+		/* translators: 1: sign (+, − or ±), 2: absolute change in grams CO2 */
+		__("%1$s%2$s g since last measurement", "carbonfooter"),
+		sign,
+		Math.abs(delta).toFixed(2),
+	);
+};
+
+/**
+ * Get the status of a change for styling
+ *
+ * A heavier page is worse, so an increase is reported as "up" (bad)
+ * and a decrease as "down" (good).
+ *
+ * @param {number} delta - Difference in grams CO2
+ * @returns {string} "up", "down" or "flat"
+ */
+export const getDeltaDirection = (delta) => {
+	if (delta > 0) return "up";
+	if (delta < 0) return "down";
+	return "flat";
+};
+
+/**
+ * Format a percentage change between two periods
+ *
+ * @param {number} change - Change in percent (current vs previous period)
+ * @returns {string} Signed label, e.g. "−12.5% vs previous period"
+ */
+export const formatPercentageChange = (change) => {
+	const sign = change > 0 ? "+" : change < 0 ? "−" : "±";
+
+	return sprintf(
+		/* translators: 1: sign (+, − or ±), 2: absolute change in percent */
+		__("%1$s%2$s%% vs previous period", "carbonfooter"),
+		sign,
+		Math.abs(change).toFixed(1),
+	);
+};
@@ -0,0 +1,54 @@
+/**
+ * Energy per gigabyte transferred in the Sustainable Web Design model
+ * version 4, in kWh, per segment
+ *
+ * Operational energy is used while the page loads; embodied energy is the
+ * share of making the hardware.
+ */
+export const KWH_PER_GB = {
+	dataCentre: { operational: 0.055, embodied: 0.012 },
+	network: { operational: 0.059, embodied: 0.013 },
+	device: { operational: 0.08, embodied: 0.081 },
+};
+
+/**
+ * Grams of CO2 per kWh: the global average grid, and renewable energy for
+ * green hosts
+ */
+export const GRID_INTENSITY = { global: 494, renewable: 50 };
+
+const BYTES_PER_GB = 1000 ** 3;
+
+/**
+ * Estimate the emissions of transferring a number of bytes
+ *
+ * A local version of the model behind the measurements, for instant
+ * estimates in the editor. The measurement service refines it with real
+ * visitor data, so measured values differ somewhat.
+ *
+ * @param {number}  bytes               Bytes transferred per view
+ * @param {Object}  [options]
+ * @param {boolean} [options.greenHost] Whether the host runs on renewable energy;
+ *   only the data centre's operational energy benefits
+ * @return {number} Grams of CO2 per view
+ */
+export const estimateEmissions = (bytes, { greenHost = false } = {}) => {
+	if (!(bytes > 0)) {
+		return 0;
+	}
+
+	const gigabytes = bytes / BYTES_PER_GB;
+	const dataCentreIntensity = greenHost
+		? GRID_INTENSITY.renewable
+		: GRID_INTENSITY.global;
+
+	let grams =
+		gigabytes * KWH_PER_GB.dataCentre.operational * dataCentreIntensity;
+	for (const [segment, energy] of Object.entries(KWH_PER_GB)) {
+		const operational = segment === "dataCentre" ? 0 : energy.operational;
+		grams +=
+			gigabytes * (operational + energy.embodied) * GRID_INTENSITY.global;
+	}
+
+	return grams;
+};
@@ -0,0 +1,13 @@
+/**
+ * Format a date stored by the plugin for display
+ *
+ * MySQL datetimes ("2025-01-31 12:00:00") are not portable Date input, so
+ * the space is swapped for a "T" first; ISO dates pass through unchanged.
+ *
+ * @param {string|null} dateString Stored date
+ * @return {string} Date in the browser's locale, "–" when there is none
+ */
+export const formatDate = (dateString) =>
+	dateString
+		? new Date(dateString.replace(" ", "T")).toLocaleDateString()
+		: "–";
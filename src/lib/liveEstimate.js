@@ -0,0 +1,91 @@
+/**
+ * Media files referenced by blocks, including nested blocks
+ *
+ * Counts image, video and gallery blocks, and file blocks that embed a PDF
+ * preview; other files only load when a visitor follows the link. Galleries
+ * made before WordPress 5.9 list their images in `ids` instead of inner
+ * image blocks.
+ *
+ * @param {Array} blocks Blocks from the block editor store
+ * @return {Array} `{ id, sizeSlug }` per file, `id` is undefined for files
+ *   outside the media library
+ */
+export const getMediaReferences = (blocks) => {
+	const references = [];
+
+	for (const block of blocks) {
+		const { attributes = {} } = block;
+
+		switch (block.name) {
+			case "core/image":
+				references.push({
+					id: attributes.id,
+					sizeSlug: attributes.sizeSlug,
+				});
+				break;
+			case "core/video":
+				references.push({ id: attributes.id });
+				break;
+			case "core/gallery":
+				if (!block.innerBlocks?.length) {
+					for (const id of attributes.ids || []) {
+						references.push({
+							id: Number(id),
+							sizeSlug: attributes.sizeSlug,
+						});
+					}
+				}
+				break;
+			case "core/file":
+				if (attributes.displayPreview) {
+					references.push({ id: attributes.id });
+				}
+				break;
+		}
+
+		if (block.innerBlocks?.length) {
+			references.push(...getMediaReferences(block.innerBlocks));
+		}
+	}
+
+	return references;
+};
+
+/**
+ * Size of a media library file as shown on the page
+ *
+ * @param {Object|undefined} media    Attachment from the `core` data store
+ * @param {string}           [sizeSlug] Image size used by the block
+ * @return {number|null} Bytes, null when unknown
+ */
+export const getMediaBytes = (media, sizeSlug) =>
+	media?.media_details?.sizes?.[sizeSlug]?.filesize ??
+	media?.media_details?.filesize ??
+	null;
+
+/**
+ * Weight of the page around its content: the last measurement without its
+ * images and media, or the site average when the page was never measured
+ *
+ * @param {Object} detail Page detail from `pages/<id>`
+ * @return {number} Bytes, 0 when nothing is measured yet
+ */
+export const getTemplateBytes = (detail) => {
+	const weightWithoutMedia = ({ total, images, media }) =>
+		Math.max(0, total - images - media);
+
+	if (detail.resources) {
+		return weightWithoutMedia({
+			total: detail.resources.total.transferSize,
+			images: detail.resources.images.transferSize,
+			media: detail.resources.media.transferSize,
+		});
+	}
+
+	const site = detail.site_resources || {};
+	return weightWithoutMedia({
+		total: site.total?.avgTransferSize || 0,
+		images: site.images?.avgTransferSize || 0,
+		media: site.media?.avgTransferSize || 0,
+	});
+};
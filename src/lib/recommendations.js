@@ -0,0 +1,317 @@
+import { __, _n, sprintf } from "@wordpress/i18n";
+import { formatBytes } from "./formatBytes";
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+/**
+ * Share of a page's emissions that moving to a green host removes
+ *
+ * Data centres account for about 15% of the emissions in the Sustainable Web
+ * Design model; renewable energy removes most of that part.
+ */
+export const GREEN_HOST_SAVING = 0.15;
+
+// Minimum share of the page (bytes, or emissions for hosting) per priority
+const PRIORITY_THRESHOLDS = { high: 0.2, medium: 0.05 };
+
+const getShare = (part, whole) => (whole > 0 ? part / whole : 0);
+
+const formatPercentage = (share) => `${Math.round(share * 100)}%`;
+
+/**
+ * Rules, checked against a page's resources
+ *
+ * `check` receives `{ resources, pageBytes }` and returns null when the rule
+ * does not apply, or `{ savingBytes, detail }`: the bytes the advice is
+ * expected to save and a sentence with the page's own figures.
+ *
+ * @return {Array} `{ id, title, advice, check }` per rule
+ */
+const getRules = () => [
+	{
+		id: "images",
+		title: __("Compress and resize images", "carbonfooter"),
+		advice: __(
+			"Serve images as WebP or AVIF, no larger than they are displayed, and lazy-load images below the fold. This often halves their size.",
+			"carbonfooter",
+		),
+		check: ({ resources, pageBytes }) => {
+			const share = getShare(resources.images.transferSize, pageBytes);
+			if (share <= 0.6) {
+				return null;
+			}
+			return {
+				savingBytes: resources.images.transferSize * 0.5,
+				detail: sprintf(
+					/* translators: 1: percentage, 2: size, e.g. "1.2 MB" */
+					__("Images make up %1$s of this page (%2$s).", "carbonfooter"),
+					formatPercentage(share),
+					formatBytes(resources.images.transferSize),
+				),
+			};
+		},
+	},
+	{
+		id: "fonts",
+		title: __("Load fewer font files", "carbonfooter"),
+		advice: __(
+			"Limit custom fonts to two files, for example one regular and one bold weight, or use a system font stack.",
+			"carbonfooter",
+		),
+		check: ({ resources }) => {
+			const { requestCount, transferSize } = resources.font;
+			if (requestCount <= 5) {
+				return null;
+			}
+			return {
+				savingBytes: (transferSize * (requestCount - 2)) / requestCount,
+				detail: sprintf(
+					/* translators: 1: number of font files, 2: size, e.g. "240 KB" */
+					_n(
+						"This page loads %1$s font file (%2$s).",
+						"This page loads %1$s font files (%2$s).",
+						requestCount,
+						"carbonfooter",
+					),
+					requestCount,
+					formatBytes(transferSize),
+				),
+			};
+		},
+	},
+	{
+		id: "third-party",
+		title: __("Review third-party scripts and embeds", "carbonfooter"),
+		advice: __(
+			"Remove trackers, widgets and embeds you no longer need, and load the others only after a click or when they scroll into view.",
+			"carbonfooter",
+		),
+		check: ({ resources, pageBytes }) => {
+			const share = getShare(resources.thirdParty.transferSize, pageBytes);
+			if (share <= 0.3) {
+				return null;
+			}
+			return {
+				savingBytes: resources.thirdParty.transferSize * 0.5,
+				detail: sprintf(
+					/* translators: 1: percentage, 2: size, e.g. "800 KB" */
+					__(
+						"Files from other domains make up %1$s of this page (%2$s).",
+						"carbonfooter",
+					),
+					formatPercentage(share),
+					formatBytes(resources.thirdParty.transferSize),
+				),
+			};
+		},
+	},
+	{
+		id: "scripts",
+		title: __("Reduce JavaScript", "carbonfooter"),
+		advice: __(
+			"Disable plugins that add scripts to pages that do not use them, and prefer features that work without JavaScript.",
+			"carbonfooter",
+		),
+		check: ({ resources }) => {
+			if (resources.script.transferSize <= 500 * KB) {
+				return null;
+			}
+			return {
+				savingBytes: resources.script.transferSize * 0.3,
+				detail: sprintf(
+					/* translators: %s: size, e.g. "700 KB" */
+					__("This page loads %s of JavaScript.", "carbonfooter"),
+					formatBytes(resources.script.transferSize),
+				),
+			};
+		},
+	},
+	{
+		id: "css",
+		title: __("Remove unused CSS", "carbonfooter"),
+		advice: __(
+			"Themes and page builders often load styles for every block on every page. Load only the styles a page uses.",
+			"carbonfooter",
+		),
+		check: ({ resources }) => {
+			if (resources.css.transferSize <= 150 * KB) {
+				return null;
+			}
+			return {
+				savingBytes: resources.css.transferSize * 0.5,
+				detail: sprintf(
+					/* translators: %s: size, e.g. "200 KB" */
+					__("This page loads %s of stylesheets.", "carbonfooter"),
+					formatBytes(resources.css.transferSize),
+				),
+			};
+		},
+	},
+	{
+		id: "media",
+		title: __("Load video and audio on demand", "carbonfooter"),
+		advice: __(
+			"Show a preview image and load the player only when a visitor presses play.",
+			"carbonfooter",
+		),
+		check: ({ resources }) => {
+			if (resources.media.transferSize <= MB) {
+				return null;
+			}
+			return {
+				savingBytes: resources.media.transferSize * 0.9,
+				detail: sprintf(
+					/* translators: %s: size, e.g. "4 MB" */
+					__(
+						"This page loads %s of video or audio before anyone presses play.",
+						"carbonfooter",
+					),
+					formatBytes(resources.media.transferSize),
+				),
+			};
+		},
+	},
+];
+
+const getPriority = (share) => {
+	if (share >= PRIORITY_THRESHOLDS.high) {
+		return "high";
+	}
+	return share >= PRIORITY_THRESHOLDS.medium ? "medium" : "low";
+};
+
+const getGreenHostRecommendation = () => ({
+	id: "green-host",
+	title: __("Move to a green host", "carbonfooter"),
+	advice: __(
+		"Hosting that runs on renewable energy lowers the emissions of every page view, without changing your website.",
+		"carbonfooter",
+	),
+});
+
+/**
+ * Recommendations for one page
+ *
+ * Savings are estimates: bytes are converted to grams with the page's own
+ * emissions per byte, and the green host saving is `GREEN_HOST_SAVING` of
+ * the page's emissions.
+ *
+ * @param {Object}       page
+ * @param {Object|null}  page.resources Resources by type, as returned by `pages/<id>`
+ * @param {number|null}  page.pageSize  Page size in bytes
+ * @param {number|null}  page.emissions Grams of CO2 per view
+ * @param {boolean|null} page.greenHost Hosting status; null when unknown
+ * @return {Array} `{ id, priority, title, advice, detail, savingBytes,
+ *   savingEmissions, share }`, largest saving first
+ */
+export const getRecommendations = ({
+	resources,
+	pageSize,
+	emissions,
+	greenHost,
+}) => {
+	const recommendations = [];
+	const pageBytes = Number(pageSize) || resources?.total?.transferSize || 0;
+	const gramsPerByte = emissions && pageBytes ? emissions / pageBytes : null;
+
+	if (resources) {
+		for (const rule of getRules()) {
+			const result = rule.check({ resources, pageBytes });
+			if (!result) {
+				continue;
+			}
+			const share = getShare(result.savingBytes, pageBytes);
+			recommendations.push({
+				id: rule.id,
+				title: rule.title,
+				advice: rule.advice,
+				detail: result.detail,
+				savingBytes: Math.round(result.savingBytes),
+				savingEmissions:
+					gramsPerByte === null ? null : result.savingBytes * gramsPerByte,
+				share,
+				priority: getPriority(share),
+			});
+		}
+	}
+
+	if (greenHost === false) {
+		recommendations.push({
+			...getGreenHostRecommendation(),
+			detail: __(
+				"Your host did not run on renewable energy when this page was measured.",
+				"carbonfooter",
+			),
+			savingBytes: null,
+			savingEmissions: emissions ? emissions * GREEN_HOST_SAVING : null,
+			share: GREEN_HOST_SAVING,
+			priority: getPriority(GREEN_HOST_SAVING),
+		});
+	}
+
+	return recommendations.sort((a, b) => b.share - a.share);
+};
+
+/**
+ * Site-wide opportunities: the recommendations of many pages, per rule
+ *
+ * @param {Array}   pages     Pages with `resources`, `page_size` and `emissions`
+ * @param {Object}  [options]
+ * @param {boolean} [options.greenHost] Current hosting status of the site
+ * @return {Array} `{ id, priority, title, advice, pages, savingBytes,
+ *   savingEmissions }` where `pages` lists `{ id, title }` and the savings are
+ *   totals of one view of every affected page, largest saving first
+ */
+export const getTopOpportunities = (pages, { greenHost = true } = {}) => {
+	const opportunities = {};
+
+	for (const page of pages) {
+		const recommendations = getRecommendations({
+			resources: page.resources,
+			pageSize: page.page_size,
+			emissions: page.emissions,
+			greenHost: null,
+		});
+		for (const recommendation of recommendations) {
+			const opportunity = opportunities[recommendation.id] || {
+				id: recommendation.id,
+				title: recommendation.title,
+				advice: recommendation.advice,
+				pages: [],
+				savingBytes: 0,
+				savingEmissions: 0,
+				priority: "low",
+			};
+			opportunity.pages.push({ id: page.id, title: page.title });
+			opportunity.savingBytes += recommendation.savingBytes;
+			opportunity.savingEmissions += recommendation.savingEmissions || 0;
+			// The most urgent page decides
+			if (
+				recommendation.priority === "high" ||
+				(recommendation.priority === "medium" &&
+					opportunity.priority === "low")
+			) {
+				opportunity.priority = recommendation.priority;
+			}
+			opportunities[recommendation.id] = opportunity;
+		}
+	}
+
+	if (!greenHost && pages.length > 0) {
+		opportunities["green-host"] = {
+			...getGreenHostRecommendation(),
+			pages: pages.map((page) => ({ id: page.id, title: page.title })),
+			savingBytes: null,
+			savingEmissions: pages.reduce(
+				(sum, page) => sum + (page.emissions || 0) * GREEN_HOST_SAVING,
+				0,
+			),
+			priority: getPriority(GREEN_HOST_SAVING),
+		};
+	}
+
+	return Object.values(opportunities).sort(
+		(a, b) => b.savingEmissions - a.savingEmissions,
+	);
+};
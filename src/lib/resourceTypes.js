@@ -0,0 +1,17 @@
+import { __ } from "@wordpress/i18n";
+
+/**
+ * Resource types of a measurement, in display order
+ *
+ * Keys match `Constants::RESOURCE_TYPES` on the server; `total` and
+ * `thirdParty` overlap these types and are not listed.
+ *
+ * @return {Array} `{ key, label, color }` per type
+ */
+export const getResourceTypes = () => [
+	{ key: "images", label: __("Images", "carbonfooter"), color: "#2271b1" },
+	{ key: "script", label: __("Scripts", "carbonfooter"), color: "#d63638" },
+	{ key: "css", label: __("Stylesheets", "carbonfooter"), color: "#dba617" },
+	{ key: "font", label: __("Fonts", "carbonfooter"), color: "#8c5cb8" },
+	{ key: "media", label: __("Media", "carbonfooter"), color: "#00a32a" },
+];
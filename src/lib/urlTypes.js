@@ -0,0 +1,23 @@
+import { __ } from "@wordpress/i18n";
+
+/**
+ * Label of a tracked URL type
+ *
+ * Types come from `Url_Registry::classify()` on the server.
+ *
+ * @param {string} type "home", "category", "tag", "taxonomy", "author", "archive" or "custom"
+ * @return {string} Translated label; unknown types are returned as is
+ */
+export const getUrlTypeLabel = (type) => {
+	const labels = {
+		home: __("Home page", "carbonfooter"),
+		category: __("Category", "carbonfooter"),
+		tag: __("Tag", "carbonfooter"),
+		taxonomy: __("Taxonomy", "carbonfooter"),
+		author: __("Author", "carbonfooter"),
+		archive: __("Archive", "carbonfooter"),
+		custom: __("Other URL", "carbonfooter"),
+	};
+
+	return labels[type] || type;
+};
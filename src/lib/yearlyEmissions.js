@@ -0,0 +1,57 @@
+/**
+ * Traffic model used when nothing has been saved yet
+ *
+ * Mirrors `Constants::DEFAULT_PAGES_PER_VISIT` and
+ * `Constants::DEFAULT_VISITORS_PER_MONTH` on the PHP side.
+ */
+export const DEFAULT_TRAFFIC_MODEL = {
+	pagesPerVisit: 2.5,
+	visitorsPerMonth: 1000,
+};
+
+/**
+ * Get the saved traffic model
+ *
+ * @returns {{pagesPerVisit: number, visitorsPerMonth: number}} Localized model with defaults applied
+ */
+export const getTrafficModel = () => {
+	const model = window.carbonfooterVars?.trafficModel || {};
+
+	return {
+		pagesPerVisit:
+			Number(model.pagesPerVisit) || DEFAULT_TRAFFIC_MODEL.pagesPerVisit,
+		visitorsPerMonth:
+			Number(model.visitorsPerMonth) || DEFAULT_TRAFFIC_MODEL.visitorsPerMonth,
+	};
+};
+
+/**
+ * Project yearly emissions from the average emissions per page view
+ *
+ * Formula: emissions × pages per visit × visitors per month × 12
+ *
+ * @param {number|string} emissions - Average CO2 emissions per page view in grams
+ * @param {Object} model - Traffic model ({ pagesPerVisit, visitorsPerMonth })
+ * @returns {number} CO2 emissions per year in grams
+ */
+export const calculateYearlyEmissions = (
+	emissions,
+	model = DEFAULT_TRAFFIC_MODEL,
+) => {
+	// Stats may arrive as numeric strings from PHP
+	const perPage = Number(emissions);
+	if (!Number.isFinite(perPage) || perPage < 0) {
+		return 0;
+	}
+
+	return perPage * model.pagesPerVisit * model.visitorsPerMonth * 12;
+};
+
+/**
+ * Check whether counted or imported traffic is usable
+ *
+ * @param {Object} traffic - `traffic` summary from the site stats
+ * @returns {boolean} True when at least one measured page has views
+ */
+export const hasCountedTraffic = (traffic) =>
+	Boolean(traffic && traffic.tracked_pages > 0 && traffic.yearly_views > 0);
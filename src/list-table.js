@@ -0,0 +1,20 @@
+import { createRoot } from "@wordpress/element";
+import "./store";
+import EmissionsColumn from "./components/EmissionsColumn";
+import BulkMeasureProgress from "./components/BulkMeasureProgress";
+import "./assets/styles/list-table.scss";
+
+// Replace the server-rendered emissions cells and follow bulk measuring
+document.addEventListener("DOMContentLoaded", () => {
+	for (const cell of document.querySelectorAll(
+		".carbonfooter-column[data-carbonfooter]",
+	)) {
+		const props = JSON.parse(cell.dataset.carbonfooter);
+		createRoot(cell).render(<EmissionsColumn {...props} />);
+	}
+
+	const progressRoot = document.getElementById("carbonfooter-bulk-progress");
+	if (progressRoot) {
+		createRoot(progressRoot).render(<BulkMeasureProgress />);
+	}
+});
@@ -0,0 +1,141 @@
+import { __ } from "@wordpress/i18n";
+import * as api from "../lib/api";
+
+const MEASURE_POLL_INTERVAL = 1500;
+// The server allows the remote API 60 seconds, plus time to queue and store
+const MEASURE_TIMEOUT = 90000;
+
+export const receiveStats = (stats) => ({ type: "RECEIVE_STATS", stats });
+
+export const receiveHeaviestPages = (query, pages) => ({
+	type: "RECEIVE_HEAVIEST_PAGES",
+	query,
+	pages,
+});
+
+export const receiveUntestedPages = (pages) => ({
+	type: "RECEIVE_UNTESTED_PAGES",
+	pages,
+});
+
+export const receiveSettings = (settings) => ({
+	type: "RECEIVE_SETTINGS",
+	settings,
+});
+
+export const receiveError = (key, message) => ({
+	type: "RECEIVE_ERROR",
+	key,
+	message,
+});
+
+export const setMeasurement = (postId, measurement) => ({
+	type: "SET_MEASUREMENT",
+	postId,
+	measurement,
+	receivedAt: Date.now(),
+});
+
+/**
+ * Reload stats and page lists the next time they are selected
+ */
+export const invalidateData =
+	() =>
+	({ dispatch }) => {
+		dispatch.invalidateResolutionForStoreSelector("getStats");
+		dispatch.invalidateResolutionForStoreSelector("getHeaviestPages");
+		dispatch.invalidateResolutionForStoreSelector("getUntestedPages");
+	};
+
+/**
+ * Measure a post and refresh everything that depends on it
+ *
+ * While the request runs, the measurement status carries the phase the server
+ * reports: queued, fetching or storing. When the request takes longer than
+ * MEASURE_TIMEOUT it fails with code "timeout"; a late result is still stored.
+ *
+ * @param {number|"home"} postId Post ID, or "home" for a front page that shows the latest posts
+ * @return {Promise<Object>} `{ status, emissions, formatted }`, rejects with an ApiError
+ */
+export const measurePost =
+	(postId) =>
+	async ({ dispatch }) => {
+		dispatch.setMeasurement(postId, { status: "measuring", phase: "queued" });
+
+		let isSettled = false;
+		const poll = setInterval(async () => {
+			try {
+				const { phase } = await api.getMeasurePhase(postId);
+				if (phase && !isSettled) {
+					dispatch.setMeasurement(postId, { status: "measuring", phase });
+				}
+			} catch {
+				// The measure request itself reports failures
+			}
+		}, MEASURE_POLL_INTERVAL);
+
+		let timer;
+		const timeout = new Promise((_resolve, reject) => {
+			timer = setTimeout(
+				() =>
+					reject(
+						new api.ApiError(
+							__(
+								"Measuring takes longer than expected. It may still finish in the background, so try again in a minute.",
+								"carbonfooter",
+							),
+							{ code: "timeout" },
+						),
+					),
+				MEASURE_TIMEOUT,
+			);
+		});
+
+		const request = api.measure(postId);
+		const storeResult = (result) => {
+			dispatch.setMeasurement(postId, result);
+			if (result.status === "completed") {
+				dispatch.invalidateData();
+			}
+		};
+
+		try {
+			const result = await Promise.race([request, timeout]);
+			storeResult(result);
+			return result;
+		} catch (error) {
+			dispatch.setMeasurement(postId, {
+				status: "failed",
+				error: error.message,
+			});
+			if (error.code === "timeout") {
+				request.then(storeResult, () => {});
+			}
+			throw error;
+		} finally {
+			isSettled = true;
+			clearInterval(poll);
+			clearTimeout(timer);
+		}
+	};
+
+/**
+ * Save settings
+ *
+ * Page lists are reloaded when budgets are saved, as they carry over-budget
+ * flags.
+ *
+ * @param {Object} settings Settings to update
+ * @return {Promise<Object>} All settings, rejects with an ApiError
+ */
+export const saveSettings =
+	(settings) =>
+	async ({ dispatch }) => {
+		// The response also carries a `success` flag next to the settings
+		const { success: _success, ...saved } = await api.saveSettings(settings);
+		dispatch.receiveSettings(saved);
+		if (settings.budgets) {
+			dispatch.invalidateData();
+		}
+		return saved;
+	};
@@ -0,0 +1,26 @@
+import { createReduxStore, register } from "@wordpress/data";
+import reducer from "./reducer";
+import * as actions from "./actions";
+import * as selectors from "./selectors";
+import * as resolvers from "./resolvers";
+
+/**
+ * Shared admin state: stats, page lists, settings and measurement status
+ *
+ * Registered in the default registry, so other plugins can read it through
+ * `wp.data.select( "carbonfooter" )`. Each bundle that uses the store
+ * registers it, so it only exists on their screens: the Carbonfooter pages
+ * (`carbonfooter-admin`), post lists (`carbonfooter-list-table`) and the
+ * block editor (`carbonfooter-editor`). There is no separate store handle;
+ * scripts using it should depend on the handle of the screen they run on.
+ */
+export const STORE_NAME = "carbonfooter";
+
+export const store = createReduxStore(STORE_NAME, {
+	reducer,
+	actions,
+	selectors,
+	resolvers,
+});
+
+register(store);
@@ -0,0 +1,109 @@
+import { combineReducers } from "@wordpress/data";
+
+/**
+ * Serialize a heaviest pages query into a state key
+ *
+ * @param {Object} [query]
+ * @param {number} [query.limit]
+ * @param {string} [query.orderby]
+ * @return {string}
+ */
+export const getHeaviestPagesKey = ({
+	limit = 10,
+	orderby = "emissions",
+} = {}) => `${orderby}:${limit}`;
+
+const stats = (state = null, action) => {
+	switch (action.type) {
+		case "RECEIVE_STATS":
+			return action.stats;
+		default:
+			return state;
+	}
+};
+
+const heaviestPages = (state = {}, action) => {
+	switch (action.type) {
+		case "RECEIVE_HEAVIEST_PAGES":
+			return { ...state, [getHeaviestPagesKey(action.query)]: action.pages };
+		default:
+			return state;
+	}
+};
+
+const untestedPages = (state = null, action) => {
+	switch (action.type) {
+		case "RECEIVE_UNTESTED_PAGES":
+			return action.pages;
+		default:
+			return state;
+	}
+};
+
+const settings = (state = null, action) => {
+	switch (action.type) {
+		case "RECEIVE_SETTINGS":
+			return action.settings;
+		default:
+			return state;
+	}
+};
+
+/**
+ * Measurement status per post: `{ status, phase, emissions, formatted, error }`
+ * where status is measuring | completed | in_progress | failed, and phase
+ * (while measuring) is queued | fetching | storing
+ */
+const measurements = (state = {}, action) => {
+	switch (action.type) {
+		case "SET_MEASUREMENT":
+			return { ...state, [action.postId]: action.measurement };
+		default:
+			return state;
+	}
+};
+
+/**
+ * Time of the latest completed measurement, so views with their own queries
+ * know when to reload
+ */
+const lastMeasuredAt = (state = null, action) => {
+	switch (action.type) {
+		case "SET_MEASUREMENT":
+			return action.measurement.status === "completed"
+				? action.receivedAt
+				: state;
+		default:
+			return state;
+	}
+};
+
+/**
+ * Latest load error per data type (stats, heaviestPages, untestedPages, settings)
+ */
+const errors = (state = {}, action) => {
+	switch (action.type) {
+		case "RECEIVE_ERROR":
+			return { ...state, [action.key]: action.message };
+		case "RECEIVE_STATS":
+			return { ...state, stats: null };
+		case "RECEIVE_HEAVIEST_PAGES":
+			return { ...state, heaviestPages: null };
+		case "RECEIVE_UNTESTED_PAGES":
+			return { ...state, untestedPages: null };
+		case "RECEIVE_SETTINGS":
+			return { ...state, settings: null };
+		default:
+			return state;
+	}
+};
+
+export default combineReducers({
+	stats,
+	heaviestPages,
+	untestedPages,
+	settings,
+	measurements,
+	lastMeasuredAt,
+	errors,
+});
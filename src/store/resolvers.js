@@ -0,0 +1,73 @@
+import { __ } from "@wordpress/i18n";
+import * as api from "../lib/api";
+
+export const getStats =
+	() =>
+	async ({ dispatch }) => {
+		try {
+			dispatch.receiveStats(await api.getStats());
+		} catch (error) {
+			console.error("Error loading stats:", error);
+			dispatch.receiveError(
+				"stats",
+				api.getErrorMessage(
+					error,
+					__("The statistics could not be loaded.", "carbonfooter"),
+				),
+			);
+		}
+	};
+
+export const getHomepageEmissions =
+	() =>
+	async ({ resolveSelect }) => {
+		await resolveSelect.getStats();
+	};
+
+export const getHeaviestPages =
+	(query = {}) =>
+	async ({ dispatch }) => {
+		try {
+			dispatch.receiveHeaviestPages(query, await api.getHeaviestPages(query));
+		} catch (error) {
+			console.error("Error loading heaviest pages:", error);
+			dispatch.receiveError(
+				"heaviestPages",
+				api.getErrorMessage(
+					error,
+					__("The heaviest pages could not be loaded.", "carbonfooter"),
+				),
+			);
+		}
+	};
+
+export const getUntestedPages =
+	() =>
+	async ({ dispatch }) => {
+		try {
+			dispatch.receiveUntestedPages(await api.getUntestedPages());
+		} catch (error) {
+			console.error("Error loading untested pages:", error);
+			dispatch.receiveError(
+				"untestedPages",
+				api.getErrorMessage(error, __("Error loading data", "carbonfooter")),
+			);
+		}
+	};
+
+export const getSettings =
+	() =>
+	async ({ dispatch }) => {
+		try {
+			dispatch.receiveSettings(await api.getSettings());
+		} catch (error) {
+			console.error("Error loading settings:", error);
+			dispatch.receiveError(
+				"settings",
+				api.getErrorMessage(
+					error,
+					__("The settings could not be loaded.", "carbonfooter"),
+				),
+			);
+		}
+	};
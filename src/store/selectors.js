@@ -0,0 +1,81 @@
+import { getHeaviestPagesKey } from "./reducer";
+
+/**
+ * Site-wide statistics
+ *
+ * @param {Object} state
+ * @return {Object|null} Stats, or null while loading
+ */
+export const getStats = (state) => state.stats;
+
+/**
+ * Emissions of the static homepage
+ *
+ * @param {Object} state
+ * @return {number|null} Grams CO2 per view, or null when unknown
+ */
+export const getHomepageEmissions = (state) =>
+	state.stats?.homepage_emissions ?? null;
+
+/**
+ * Heaviest pages
+ *
+ * @param {Object} state
+ * @param {Object} [query] `{ limit, orderby }`
+ * @return {Array|null} Pages, or null while loading
+ */
+export const getHeaviestPages = (state, query) =>
+	state.heaviestPages[getHeaviestPagesKey(query)] ?? null;
+
+/**
+ * Published pages without a measurement, grouped by post type
+ *
+ * @param {Object} state
+ * @return {Object|null} Groups, or null while loading
+ */
+export const getUntestedPages = (state) => state.untestedPages;
+
+/**
+ * Widget and traffic settings
+ *
+ * @param {Object} state
+ * @return {Object|null} Settings, or null while loading
+ */
+export const getSettings = (state) => state.settings;
+
+/**
+ * Measurement status of a post
+ *
+ * @param {Object} state
+ * @param {number} postId
+ * @return {Object|null} `{ status, phase, emissions, formatted, error }`
+ */
+export const getMeasurement = (state, postId) =>
+	state.measurements[postId] ?? null;
+
+/**
+ * Whether a post is being measured
+ *
+ * @param {Object} state
+ * @param {number} postId
+ * @return {boolean}
+ */
+export const isMeasuring = (state, postId) =>
+	state.measurements[postId]?.status === "measuring";
+
+/**
+ * Time of the latest completed measurement
+ *
+ * @param {Object} state
+ * @return {number|null} Timestamp in milliseconds
+ */
+export const getLastMeasuredAt = (state) => state.lastMeasuredAt;
+
+/**
+ * Latest load error
+ *
+ * @param {Object} state
+ * @param {string} key stats | heaviestPages | untestedPages | settings
+ * @return {string|null}
+ */
+export const getError = (state, key) => state.errors[key] ?? null;
@@ -1,4 +1,5 @@
 import { useState, useEffect } from "@wordpress/element";
+import { useSelect } from "@wordpress/data";
 import { __ } from "@wordpress/i18n";
 // import apiFetch from "@wordpress/api-fetch";
 import {
@@ -12,7 +13,10 @@ import { PageTitle, PageHeading } from "../components/PageTitle";
 import Overview from "../components/Overview";
 import OverViewDirtyPages from "../components/OverViewDirtyPages";
 import OverviewResources from "../components/OverviewResources";
+import EmissionsTimeline from "../components/EmissionsTimeline";
+import TopOpportunities from "../components/TopOpportunities";
 import { formatBytes } from "../lib/formatBytes";
+import { store as carbonfooterStore } from "../store";
 
 // Safe component fallbacks
 const Text = ({ children, size, weight, color, ...props }) => (
@@ -39,67 +43,35 @@ const formatDate = (dateString) => {
 	return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`;
 };
 
+const INITIAL_STATS = window.carbonfooterVars?.initialData || {
+	average: 0,
+	total_measured: 0,
+	hosting_status: false,
+	total_emissions: 0,
+	latest_test_date: null,
+	resource_stats: {},
+};
+
+const HEAVIEST_PAGES_QUERY = { limit: 10, orderby: "impact" };
+const NO_PAGES = [];
+
 const AdminPage = () => {
-	const [stats, setStats] = useState(
-		window.carbonfooterVars?.initialData || {
-			average: 0,
-			total_measured: 0,
-			hosting_status: false,
-			total_emissions: 0,
-			latest_test_date: null,
-			resource_stats: {},
-		},
-	);
-	const [heaviestPages, setHeaviestPages] = useState([]);
+	const { stats, heaviestPages, loadError } = useSelect((select) => {
+		const store = select(carbonfooterStore);
+		return {
+			stats: store.getStats() || INITIAL_STATS,
+			heaviestPages: store.getHeaviestPages(HEAVIEST_PAGES_QUERY) || NO_PAGES,
+			loadError: store.getError("stats") || store.getError("heaviestPages"),
+		};
+	}, []);
 	// const [isRefreshing, setIsRefreshing] = useState(false);
 	const [notice, setNotice] = useState(null);
 
-	// Load initial data
 	useEffect(() => {
-		loadStats();
-		loadHeaviestPages();
-	}, []);
-
-	const loadStats = async () => {
-		try {
-			const formData = new FormData();
-			formData.append("action", "carbonfooter_get_stats");
-			formData.append("nonce", window.carbonfooterVars?.nonce);
-
-			const response = await fetch(window.carbonfooterVars?.ajaxUrl, {
-				method: "POST",
-				body: formData,
-			});
-
-			const data = await response.json();
-			if (data.success) {
-				setStats(data.data);
-			}
-		} catch (error) {
-			console.error("Error loading stats:", error);
+		if (loadError) {
+			setNotice({ type: "error", message: loadError });
 		}
-	};
-
-	const loadHeaviestPages = async () => {
-		try {
-			const formData = new FormData();
-			formData.append("action", "carbonfooter_get_heaviest_pages");
-			formData.append("nonce", window.carbonfooterVars?.nonce);
-			formData.append("limit", "10");
-
-			const response = await fetch(window.carbonfooterVars?.ajaxUrl, {
-				method: "POST",
-				body: formData,
-			});
-
-			const data = await response.json();
-			if (data.success) {
-				setHeaviestPages(data.data);
-			}
-		} catch (error) {
-			console.error("Error loading heaviest pages:", error);
-		}
-	};
+	}, [loadError]);
 
 	return (
 		<div className="wrap">
@@ -131,8 +103,20 @@ const AdminPage = () => {
 
 			<Spacer margin={6} />
 
+			<EmissionsTimeline />
+
+			<Spacer margin={6} />
+
 			<OverViewDirtyPages heaviestPages={heaviestPages} maxPages={5} />
 
+			{stats.total_measured > 0 && (
+				<>
+					<Spacer margin={6} />
+
+					<TopOpportunities greenHost={Boolean(stats.hosting_status)} />
+				</>
+			)}
+
 			{stats.resource_stats && Object.keys(stats.resource_stats).length > 0 && (
 				<>
 					<Spacer margin={6} />
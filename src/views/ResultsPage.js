@@ -1,4 +1,5 @@
 import { useState, useEffect } from "@wordpress/element";
+import { useSelect } from "@wordpress/data";
 import { __ } from "@wordpress/i18n";
 // import apiFetch from "@wordpress/api-fetch";
 import {
@@ -13,8 +14,11 @@ import NotTestedPages from "../components/NotTestedPages";
 import OverviewResources from "../components/OverviewResources";
 import Spacer from "../components/Spacer";
 import Text from "../components/Text";
-import OverViewDirtyPages from "../components/OverViewDirtyPages";
+import MeasuredPages from "../components/MeasuredPages";
+import TrackedUrls from "../components/TrackedUrls";
+import ResourceLeaderboard from "../components/ResourceLeaderboard";
 import Overview from "../components/Overview";
+import { store as carbonfooterStore } from "../store";
 // Helper function to format date
 const formatDate = (dateString) => {
 	if (!dateString) return "";
@@ -22,66 +26,30 @@ const formatDate = (dateString) => {
 	return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`;
 };
 
+const INITIAL_STATS = window.carbonfooterVars?.initialData || {
+	average: 0,
+	total_measured: 0,
+	hosting_status: false,
+	total_emissions: 0,
+	latest_test_date: null,
+	resource_stats: {},
+};
+
 const ResultsPage = () => {
-	const [stats, setStats] = useState(
-		window.carbonfooterVars?.initialData || {
-			average: 0,
-			total_measured: 0,
-			hosting_status: false,
-			total_emissions: 0,
-			latest_test_date: null,
-			resource_stats: {},
-		},
-	);
-	const [heaviestPages, setHeaviestPages] = useState([]);
+	const { stats, loadError } = useSelect((select) => {
+		const store = select(carbonfooterStore);
+		return {
+			stats: store.getStats() || INITIAL_STATS,
+			loadError: store.getError("stats"),
+		};
+	}, []);
 	const [notice, setNotice] = useState(null);
 
-	// Load initial data
 	useEffect(() => {
-		loadStats();
-		loadHeaviestPages();
-	}, []);
-
-	const loadStats = async () => {
-		try {
-			const formData = new FormData();
-			formData.append("action", "carbonfooter_get_stats");
-			formData.append("nonce", window.carbonfooterVars?.nonce);
-
-			const response = await fetch(window.carbonfooterVars?.ajaxUrl, {
-				method: "POST",
-				body: formData,
-			});
-
-			const data = await response.json();
-			if (data.success) {
-				setStats(data.data);
-			}
-		} catch (error) {
-			console.error("Error loading stats:", error);
+		if (loadError) {
+			setNotice({ type: "error", message: loadError });
 		}
-	};
-
-	const loadHeaviestPages = async () => {
-		try {
-			const formData = new FormData();
-			formData.append("action", "carbonfooter_get_heaviest_pages");
-			formData.append("nonce", window.carbonfooterVars?.nonce);
-			formData.append("limit", "9999");
-
-			const response = await fetch(window.carbonfooterVars?.ajaxUrl, {
-				method: "POST",
-				body: formData,
-			});
-
-			const data = await response.json();
-			if (data.success) {
-				setHeaviestPages(data.data);
-			}
-		} catch (error) {
-			console.error("Error loading heaviest pages:", error);
-		}
-	};
+	}, [loadError]);
 
 	return (
 		<div className="wrap">
@@ -113,7 +81,13 @@ const ResultsPage = () => {
 
 			<Spacer margin={6} />
 
-			<OverViewDirtyPages heaviestPages={heaviestPages} />
+			<MeasuredPages />
+			<Spacer margin={4} />
+
+			<ResourceLeaderboard />
+			<Spacer margin={4} />
+
+			<TrackedUrls />
 			<Spacer margin={4} />
 
 			<NotTestedPages />
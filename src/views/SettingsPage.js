@@ -1,6 +1,6 @@
 import { useState, useEffect } from "@wordpress/element";
 import { __ } from "@wordpress/i18n";
-import apiFetch from "@wordpress/api-fetch";
+import { useSelect, useDispatch, resolveSelect } from "@wordpress/data";
 import WidgetPreview from "../components/WidgetPreview";
 import {
 	Button,
@@ -17,15 +17,58 @@ import { PageTitle, PageHeading } from "../components/PageTitle";
 import Text from "../components/Text";
 import HowItWorks from "../components/HowItWorks";
 import ExportData from "../components/ExportData";
+import ImportData from "../components/ImportData";
+import ImportTraffic from "../components/ImportTraffic";
 import ResetAllData from "./ResetAllData";
 import Troubleshooting from "../components/Troubleshooting";
 import StartModal from "../components/StartModal";
+import TrafficModel from "../components/TrafficModel";
+import Budgets from "../components/Budgets";
+import {
+	DEFAULT_TRAFFIC_MODEL,
+	getTrafficModel,
+} from "../lib/yearlyEmissions";
+import {
+	DEFAULT_PREPUBLISH_THRESHOLD,
+	fromBudgetForm,
+	toBudgetForm,
+} from "../lib/budgets";
+import { exportData, clearData, getErrorMessage } from "../lib/api";
+import { store as carbonfooterStore } from "../store";
+
+/**
+ * What to measure for the homepage
+ *
+ * @return {number|"home"} ID of the static front page, or "home" when the
+ *   front page shows the latest posts
+ */
+const getHomepageTarget = () => {
+	const showOnFront = window.carbonfooterVars?.siteSettings?.show_on_front;
+	const pageOnFront = window.carbonfooterVars?.siteSettings?.page_on_front;
+
+	if (showOnFront === "page" && pageOnFront) {
+		return Number.parseInt(pageOnFront);
+	}
+
+	return "home";
+};
 
 const SettingsPage = () => {
 	const [backgroundColor, setBackgroundColor] = useState("#000000");
 	const [textColor, setTextColor] = useState("#FFFFFF");
 	const [displaySetting, setDisplaySetting] = useState("shortcode");
 	const [widgetStyle, setWidgetStyle] = useState("minimal");
+	const [pagesPerVisit, setPagesPerVisit] = useState(
+		String(getTrafficModel().pagesPerVisit),
+	);
+	const [visitorsPerMonth, setVisitorsPerMonth] = useState(
+		String(getTrafficModel().visitorsPerMonth),
+	);
+	const [pageviewCounter, setPageviewCounter] = useState(false);
+	const [budgetForm, setBudgetForm] = useState(toBudgetForm);
+	const [prepublishThreshold, setPrepublishThreshold] = useState(
+		String(DEFAULT_PREPUBLISH_THRESHOLD),
+	);
 	const [notice, setNotice] = useState(null);
 	const [settingsNotice, setSettingsNotice] = useState(null);
 	const [displayNotice, setDisplayNotice] = useState(null);
@@ -34,125 +77,84 @@ const SettingsPage = () => {
 	const [isClearingData, setIsClearingData] = useState(false);
 	const [exportNotice, setExportNotice] = useState(null);
 	const [isExportingData, setIsExportingData] = useState(false);
-	const [isLoading, setIsLoading] = useState(false);
 	const [isOpen, setIsOpen] = useState(false);
-	const [measurementStatus, setMeasurementStatus] = useState(null);
-	const [homepageEmissions, setHomepageEmissions] = useState(null);
 	const [snackbarMessage, setSnackbarMessage] = useState(null);
-	const openModal = async () => {
-		setIsOpen(true);
-		setIsLoading(true);
+	const homepageTarget = getHomepageTarget();
+	const { homepageEmissions, homepageMeasurement, statsError } = useSelect(
+		(select) => {
+			const store = select(carbonfooterStore);
+			const measurement = store.getMeasurement(homepageTarget);
+
+			// A fresh measurement wins over stats that are still reloading
+			return {
+				homepageEmissions:
+					measurement?.emissions ?? store.getHomepageEmissions(),
+				homepageMeasurement: measurement,
+				statsError: store.getError("stats"),
+			};
+		},
+		[homepageTarget],
+	);
+	const {
+		measurePost,
+		saveSettings: persistSettings,
+		invalidateData,
+	} = useDispatch(carbonfooterStore);
 
-		// Trigger homepage measurement
+	const measureHomepage = async () => {
 		try {
-			// Get homepage post ID
-			const homepageId = getHomepagePostId();
-
-			if (homepageId) {
-				// Make AJAX request to measure homepage
-				const formData = new FormData();
-				formData.append("action", "carbonfooter_measure");
-				formData.append("nonce", window.carbonfooterVars?.nonce);
-				formData.append("post_id", homepageId);
-
-				const response = await fetch(window.carbonfooterVars?.ajaxUrl, {
-					method: "POST",
-					body: formData,
-				});
-
-				const data = await response.json();
-				if (data.success) {
-					console.log("Homepage measurement completed:", data.data);
-					console.log("Emissions value:", data.data.emissions);
-					setMeasurementStatus({
-						type: "success",
-						message: `Homepage measurement completed: ${data.data.formatted}`,
-						emissions: data.data.emissions,
-					});
-					// Update homepage emissions state so UI switches to "View homepage" button
-					setHomepageEmissions(data.data.emissions);
-				} else {
-					console.error("Homepage measurement failed:", data.data);
-					setMeasurementStatus({
-						type: "error",
-						message: "Homepage measurement failed. Please try again.",
-						data: null,
-					});
-				}
-			}
+			await measurePost(homepageTarget);
 		} catch (error) {
+			// The modal shows the error from the measurement status
 			console.error("Error measuring homepage:", error);
-			setMeasurementStatus({
-				type: "error",
-				message: "Error measuring homepage. Please try again.",
-			});
 		}
 	};
 
-	// Helper function to get homepage post ID
-	const getHomepagePostId = () => {
-		// Check if there's a static page set as homepage
-		const showOnFront = window.carbonfooterVars?.siteSettings?.show_on_front;
-		const pageOnFront = window.carbonfooterVars?.siteSettings?.page_on_front;
-
-		if (showOnFront === "page" && pageOnFront) {
-			return Number.parseInt(pageOnFront);
-		}
-
-		// If no static page is set, we can't measure a specific homepage
-		// The measurement will happen when user visits the homepage
-		return null;
+	const openModal = () => {
+		setIsOpen(true);
+		measureHomepage();
 	};
 
-	// Check if homepage already has emissions data
-	const checkHomepageEmissions = async () => {
-		const homepageId = getHomepagePostId();
-		if (!homepageId) return;
-
-		try {
-			const formData = new FormData();
-			formData.append("action", "carbonfooter_get_stats");
-			formData.append("nonce", window.carbonfooterVars?.nonce);
-
-			const response = await fetch(window.carbonfooterVars?.ajaxUrl, {
-				method: "POST",
-				body: formData,
-			});
-
-			const data = await response.json();
-			if (data.success) {
-				// Check if homepage has emissions data
-				const homepageEmissions = data.data.homepage_emissions;
-				console.log("Homepage emissions check:", homepageEmissions);
-				setHomepageEmissions(homepageEmissions);
-			}
-		} catch (error) {
-			console.error("Error checking homepage emissions:", error);
-		}
-	};
 	const closeModal = () => {
 		setIsOpen(false);
-		setIsLoading(false);
 	};
 
 	// Load initial data
 	useEffect(() => {
 		loadSettings();
-		checkHomepageEmissions();
 	}, []);
 
+	useEffect(() => {
+		if (statsError) {
+			setNotice({ type: "error", message: statsError });
+		}
+	}, [statsError]);
+
 	const loadSettings = async () => {
-		try {
-			const settings = await apiFetch({
-				path: "carbonfooter/v1/settings",
-			});
+		// Load errors are kept in the store; the resolver logs them
+		const settings = await resolveSelect(carbonfooterStore).getSettings();
 
+		if (settings) {
 			setBackgroundColor(settings.background_color || "#000000");
 			setTextColor(settings.text_color || "#FFFFFF");
 			setDisplaySetting(settings.display_setting || "auto");
 			setWidgetStyle(settings.widget_style || "minimal");
-		} catch (error) {
-			console.error("Error loading settings:", error);
+			setPagesPerVisit(
+				String(
+					settings.pages_per_visit || DEFAULT_TRAFFIC_MODEL.pagesPerVisit,
+				),
+			);
+			setVisitorsPerMonth(
+				String(
+					settings.visitors_per_month || DEFAULT_TRAFFIC_MODEL.visitorsPerMonth,
+				),
+			);
+			setPageviewCounter(Boolean(settings.pageview_counter));
+			setBudgetForm(toBudgetForm(settings.budgets));
+			setPrepublishThreshold(
+				String(settings.prepublish_threshold ?? DEFAULT_PREPUBLISH_THRESHOLD),
+			);
+		} else {
 			// Fallback to default values if API fails
 			setBackgroundColor("#000000");
 			setTextColor("#FFFFFF");
@@ -163,24 +165,58 @@ const SettingsPage = () => {
 
 	const saveSettings = async (section = "all") => {
 		try {
-			const response = await apiFetch({
-				path: "carbonfooter/v1/settings",
-				method: "POST",
-				data: {
-					background_color: backgroundColor,
-					text_color: textColor,
-					display_setting: displaySetting,
-					widget_style: widgetStyle,
-				},
+			const response = await persistSettings({
+				background_color: backgroundColor,
+				text_color: textColor,
+				display_setting: displaySetting,
+				widget_style: widgetStyle,
+				pages_per_visit: pagesPerVisit,
+				visitors_per_month: visitorsPerMonth,
+				pageview_counter: pageviewCounter,
+				budgets: fromBudgetForm(budgetForm),
+				prepublish_threshold: prepublishThreshold,
 			});
 
+			// Keep projections on this page in sync with the saved model
+			if (window.carbonfooterVars) {
+				window.carbonfooterVars.trafficModel = {
+					pagesPerVisit: response.pages_per_visit,
+					visitorsPerMonth: response.visitors_per_month,
+				};
+			}
+
+			// Show the saved values, as empty or invalid limits are dropped
+			setBudgetForm(toBudgetForm(response.budgets));
+			setPrepublishThreshold(String(response.prepublish_threshold));
+
 			// Show snackbar with success message
+			const messages = {
+				traffic: __("Your traffic estimate has been saved.", "carbonfooter"),
+				budgets: __("Your emission budgets have been saved.", "carbonfooter"),
+			};
 			setSnackbarMessage(
-				__("Carbonfooter widget settings have been saved.", "carbonfooter"),
+				messages[section] ||
+					__("Carbonfooter widget settings have been saved.", "carbonfooter"),
 			);
 		} catch (error) {
 			console.error("Error saving settings:", error);
 
+			if (section === "traffic" || section === "budgets") {
+				setSnackbarMessage(
+					error?.message ||
+						(section === "traffic"
+							? __(
+									"There was an error saving your traffic estimate.",
+									"carbonfooter",
+								)
+							: __(
+									"There was an error saving your emission budgets.",
+									"carbonfooter",
+								)),
+				);
+				return;
+			}
+
 			// Show snackbar error message
 			setSnackbarMessage(
 				__(
@@ -239,34 +275,20 @@ const SettingsPage = () => {
 
 		setIsClearingData(true);
 		try {
-			const formData = new FormData();
-			formData.append("action", "carbonfooter_clear_data");
-			formData.append("nonce", window.carbonfooterVars?.nonce);
-
-			const response = await fetch(window.carbonfooterVars?.ajaxUrl, {
-				method: "POST",
-				body: formData,
+			const result = await clearData();
+			invalidateData();
+			setClearDataNotice({
+				type: "success",
+				message: result.message,
 			});
-
-			const data = await response.json();
-			if (data.success) {
-				setClearDataNotice({
-					type: "success",
-					message: data.data.message,
-				});
-			} else {
-				setClearDataNotice({
-					type: "error",
-					message:
-						data.data ||
-						__("Failed to clear data. Please try again.", "carbonfooter"),
-				});
-			}
 		} catch (error) {
 			console.error("Error clearing data:", error);
 			setClearDataNotice({
 				type: "error",
-				message: __("Failed to clear data. Please try again.", "carbonfooter"),
+				message: getErrorMessage(
+					error,
+					__("Failed to clear data. Please try again.", "carbonfooter"),
+				),
 			});
 		} finally {
 			setIsClearingData(false);
@@ -276,54 +298,45 @@ const SettingsPage = () => {
 		setTimeout(() => setClearDataNotice(null), 6000);
 	};
 
-	const exportHistoricalData = async () => {
+	const exportHistoricalData = async (options) => {
 		setIsExportingData(true);
 		try {
-			const formData = new FormData();
-			formData.append("action", "carbonfooter_export_data");
-			formData.append("nonce", window.carbonfooterVars?.nonce);
+			const result = await exportData(options);
+			const isJson = !result.format || result.format === "json";
+
+			// Create and download the file; the BOM makes Excel read CSV as UTF-8
+			const blob = isJson
+				? new Blob([JSON.stringify(result.data, null, 2)], {
+						type: "application/json",
+					})
+				: new Blob(["\uFEFF", result.data], {
+						type: "text/csv;charset=utf-8",
+					});
+			const url = window.URL.createObjectURL(blob);
+			const a = document.createElement("a");
+			a.href = url;
+			a.download =
+				result.filename ||
+				`carbon-emissions-${new Date().toISOString().split("T")[0]}.json`;
+			document.body.appendChild(a);
+			a.click();
+			window.URL.revokeObjectURL(url);
+			document.body.removeChild(a);
 
-			const response = await fetch(window.carbonfooterVars?.ajaxUrl, {
-				method: "POST",
-				body: formData,
+			setExportNotice({
+				type: "success",
+				message:
+					result.message ||
+					__("Data is exported successfully.", "carbonfooter"),
 			});
-
-			const data = await response.json();
-			if (data.success) {
-				// Create and download the file
-				const blob = new Blob([JSON.stringify(data.data, null, 2)], {
-					type: "application/json",
-				});
-				const url = window.URL.createObjectURL(blob);
-				const a = document.createElement("a");
-				a.href = url;
-				a.download =
-					data.filename ||
-					`carbon-emissions-${new Date().toISOString().split("T")[0]}.json`;
-				document.body.appendChild(a);
-				a.click();
-				window.URL.revokeObjectURL(url);
-				document.body.removeChild(a);
-
-				setExportNotice({
-					type: "success",
-					message:
-						data.message ||
-						__("Data is exported successfully.", "carbonfooter"),
-				});
-			} else {
-				setExportNotice({
-					type: "error",
-					message:
-						data.data ||
-						__("Failed to export data. Please try again.", "carbonfooter"),
-				});
-			}
 		} catch (error) {
 			console.error("Error exporting data:", error);
 			setExportNotice({
 				type: "error",
-				message: __("Failed to export data. Please try again.", "carbonfooter"),
+				message: getErrorMessage(
+					error,
+					__("Failed to export data. Please try again.", "carbonfooter"),
+				),
 			});
 		} finally {
 			setIsExportingData(false);
@@ -613,6 +626,28 @@ const SettingsPage = () => {
 				</PanelBody>
 			</Panel>
 
+			<Spacer margin={2} />
+
+			<TrafficModel
+				pagesPerVisit={pagesPerVisit}
+				setPagesPerVisit={setPagesPerVisit}
+				visitorsPerMonth={visitorsPerMonth}
+				setVisitorsPerMonth={setVisitorsPerMonth}
+				pageviewCounter={pageviewCounter}
+				setPageviewCounter={setPageviewCounter}
+				saveTrafficModel={() => saveSettings("traffic")}
+			/>
+
+			<Spacer margin={2} />
+
+			<Budgets
+				budgetForm={budgetForm}
+				setBudgetForm={setBudgetForm}
+				prepublishThreshold={prepublishThreshold}
+				setPrepublishThreshold={setPrepublishThreshold}
+				saveBudgets={() => saveSettings("budgets")}
+			/>
+
 			<Spacer margin={8} />
 
 			<PageHeading title={__("Information & tools", "carbonfooter")} />
@@ -633,6 +668,14 @@ const SettingsPage = () => {
 
 			<Spacer margin={2} />
 
+			<ImportData />
+
+			<Spacer margin={2} />
+
+			<ImportTraffic />
+
+			<Spacer margin={2} />
+
 			<ResetAllData
 				clearAllData={clearAllData}
 				isClearingData={isClearingData}
@@ -642,17 +685,8 @@ const SettingsPage = () => {
 			<StartModal
 				isOpen={isOpen}
 				closeModal={closeModal}
-				isLoading={isLoading}
-				setIsLoading={setIsLoading}
-				emissions={homepageEmissions}
-				onMeasurementComplete={() => {
-					if (measurementStatus?.type === "success") {
-						// Show success message briefly
-						setTimeout(() => {
-							setMeasurementStatus(null);
-						}, 3000);
-					}
-				}}
+				measurement={homepageMeasurement}
+				onRetry={measureHomepage}
 			/>
 
 			{snackbarMessage && (
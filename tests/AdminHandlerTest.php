@@ -0,0 +1,113 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\AdminHandler;
+use CarbonfooterPlugin\Cache;
+use CarbonfooterPlugin\Constants;
+use CarbonfooterPlugin\Emissions;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-logger.php';
+require_once __DIR__ . '/../inc/class-cache.php';
+require_once __DIR__ . '/../inc/class-emissions.php';
+require_once __DIR__ . '/../inc/class-url-registry.php';
+require_once __DIR__ . '/../inc/class-batch-processor.php';
+require_once __DIR__ . '/../inc/class-admin-handler.php';
+
+if (!defined('WP_DEBUG')) {
+    define('WP_DEBUG', false);
+}
+
+if (!class_exists('WP_Error')) {
+    // Just enough of WP_Error for the code under test
+    class WP_Error
+    {
+        public $code;
+
+        public function __construct($code = '', $message = '', $data = '')
+        {
+            $this->code = $code;
+        }
+    }
+}
+
+class AdminHandlerTest extends TestCase
+{
+    /**
+     * In-memory options table.
+     */
+    private $options = [];
+
+    private $handler;
+
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+        if (!defined('MINUTE_IN_SECONDS')) define('MINUTE_IN_SECONDS', 60);
+
+        $this->options = [];
+        when('get_post_status')->alias(function ($post_id) {
+            return $post_id === 4 ? 'draft' : 'publish';
+        });
+        when('remove_query_arg')->alias(function ($keys, $url) {
+            return $url;
+        });
+        when('add_query_arg')->alias(function ($args, $value, $url = null) {
+            if (!is_array($args)) {
+                $args = [$args => $value];
+            } else {
+                $url = $value;
+            }
+            return $url . '&' . http_build_query($args);
+        });
+        when('is_wp_error')->alias(function ($value) {
+            return $value instanceof WP_Error;
+        });
+        when('current_time')->justReturn('2025-06-01 12:00:00');
+        when('wp_cache_delete')->justReturn(true);
+        when('get_option')->alias(function ($key, $default = false) {
+            return $this->options[$key] ?? $default;
+        });
+        when('update_option')->alias(function ($key, $value) {
+            $this->options[$key] = $value;
+            return true;
+        });
+        when('wp_next_scheduled')->justReturn(false);
+        when('wp_schedule_single_event')->justReturn(true);
+        when('__')->returnArg();
+
+        $this->handler = new AdminHandler($this->createMock(Emissions::class), $this->createMock(Cache::class));
+    }
+
+    protected function tearDown(): void
+    {
+        Brain\Monkey\tearDown();
+    }
+
+    public function test_bulk_measure_queues_published_posts_only()
+    {
+        $url = $this->handler->handle_bulk_measure('edit.php?post_type=page', Constants::BULK_ACTION_MEASURE, ['3', '4', '5']);
+
+        $this->assertSame('edit.php?post_type=page&carbonfooter_queued=2&carbonfooter_skipped=1', $url);
+        $this->assertSame([3 => 'queued', 5 => 'queued'], $this->options[Constants::OPTION_BATCH_JOB]['items']);
+    }
+
+    public function test_bulk_measure_does_not_replace_an_active_job()
+    {
+        $this->options[Constants::OPTION_BATCH_JOB] = ['status' => 'paused', 'items' => [7 => 'queued']];
+
+        $url = $this->handler->handle_bulk_measure('edit.php', Constants::BULK_ACTION_MEASURE, [3]);
+        $this->assertSame('edit.php&carbonfooter_bulk_error=batch_active', $url);
+        $this->assertSame([7 => 'queued'], $this->options[Constants::OPTION_BATCH_JOB]['items']);
+
+        $url = $this->handler->handle_bulk_measure('edit.php', Constants::BULK_ACTION_MEASURE, [4]);
+        $this->assertSame('edit.php&carbonfooter_bulk_error=nothing_to_measure', $url);
+    }
+
+    public function test_other_bulk_actions_are_left_alone()
+    {
+        $this->assertSame('edit.php', $this->handler->handle_bulk_measure('edit.php', 'trash', [3]));
+        $this->assertArrayNotHasKey(Constants::OPTION_BATCH_JOB, $this->options);
+    }
+}
@@ -11,6 +11,7 @@ require_once __DIR__ . '/../inc/class-constants.php';
 require_once __DIR__ . '/../inc/class-logger.php';
 require_once __DIR__ . '/../inc/class-cache.php';
 require_once __DIR__ . '/../inc/class-emissions.php';
+require_once __DIR__ . '/../inc/class-data-manager.php';
 require_once __DIR__ . '/../inc/class-ajax-handler.php';
 
 class AjaxHandlerTest extends TestCase
@@ -28,6 +29,7 @@ class AjaxHandlerTest extends TestCase
         // Error helpers
         when('status_header')->justReturn(null);
         when('wp_send_json_error')->justReturn(null);
+        when('is_wp_error')->alias(function ($thing) { return $thing instanceof \WP_Error; });
     }
 
     protected function tearDown(): void
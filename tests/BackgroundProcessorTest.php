@@ -41,6 +41,7 @@ class BackgroundProcessorTest extends TestCase
     {
         // Frontend singular view with a valid post
         when('is_singular')->justReturn(true);
+        when('is_preview')->justReturn(false);
         when('get_the_ID')->justReturn(123);
 
         // Unauthorized visitor
@@ -0,0 +1,141 @@
+<?php
+
+use function Brain\Monkey\Functions\expect;
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Batch_Processor;
+use CarbonfooterPlugin\Constants;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-logger.php';
+require_once __DIR__ . '/../inc/class-url-registry.php';
+require_once __DIR__ . '/../inc/class-batch-processor.php';
+
+if (!defined('DISABLE_WP_CRON')) {
+    define('DISABLE_WP_CRON', true);
+}
+
+if (!class_exists('WP_Error')) {
+    // Just enough of WP_Error for the code under test
+    class WP_Error
+    {
+        public $code;
+
+        public function __construct($code = '', $message = '', $data = '')
+        {
+            $this->code = $code;
+        }
+    }
+}
+
+class BatchProcessorTest extends TestCase
+{
+    /**
+     * In-memory options table.
+     */
+    private $options = [];
+
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+        if (!defined('MINUTE_IN_SECONDS')) define('MINUTE_IN_SECONDS', 60);
+
+        $this->options = [];
+        when('current_time')->justReturn('2025-06-01 12:00:00');
+        when('wp_cache_delete')->justReturn(true);
+        when('get_option')->alias(function ($key, $default = false) {
+            return $this->options[$key] ?? $default;
+        });
+        when('update_option')->alias(function ($key, $value) {
+            $this->options[$key] = $value;
+            return true;
+        });
+        when('wp_next_scheduled')->justReturn(false);
+        when('wp_schedule_single_event')->justReturn(true);
+        when('__')->returnArg();
+    }
+
+    protected function tearDown(): void
+    {
+        Brain\Monkey\tearDown();
+    }
+
+    public function test_create_job_queues_every_post()
+    {
+        $job = Batch_Processor::create_job([3, '7'], '2025-06-01 12:00:00');
+
+        $this->assertSame('running', $job['status']);
+        $this->assertSame([3 => 'queued', 7 => 'queued'], $job['items']);
+        $this->assertNull($job['finished_at']);
+
+        $this->assertSame('completed', Batch_Processor::create_job([], '2025-06-01 12:00:00')['status']);
+    }
+
+    public function test_create_job_keeps_tracked_url_keys_next_to_post_ids()
+    {
+        when('absint')->alias(function ($value) {
+            return abs((int) $value);
+        });
+
+        $job = Batch_Processor::create_job(['5', 'url-3'], '2025-06-01 12:00:00');
+
+        $this->assertSame([5 => 'queued', 'url-3' => 'queued'], $job['items']);
+        $this->assertSame([5, 'url-3'], Batch_Processor::next_batch($job, 3));
+    }
+
+    public function test_transition_only_allows_valid_actions()
+    {
+        $this->assertSame('paused', Batch_Processor::transition('running', 'pause'));
+        $this->assertSame('running', Batch_Processor::transition('paused', 'resume'));
+        $this->assertSame('cancelled', Batch_Processor::transition('paused', 'cancel'));
+        $this->assertNull(Batch_Processor::transition('running', 'resume'));
+        $this->assertNull(Batch_Processor::transition('completed', 'cancel'));
+    }
+
+    public function test_next_batch_respects_batch_size()
+    {
+        $job = ['items' => [1 => 'done', 2 => 'queued', 3 => 'failed', 4 => 'queued', 5 => 'queued', 6 => 'queued']];
+
+        $this->assertSame([2, 4, 5], Batch_Processor::next_batch($job, Constants::BATCH_SIZE));
+    }
+
+    public function test_stale_items_fail_and_job_completes()
+    {
+        $job = Batch_Processor::create_job([1, 2, 3], '2025-06-01 12:00:00');
+        $job['items'] = [1 => 'done', 2 => 'measuring', 3 => 'queued'];
+
+        $job = Batch_Processor::complete_if_finished(Batch_Processor::fail_stale($job));
+
+        $this->assertSame([1 => 'done', 2 => 'failed', 3 => 'queued'], $job['items']);
+        $this->assertSame('running', $job['status']);
+        $this->assertSame(66, Batch_Processor::summarize($job)['progress']);
+
+        $job['items'][3] = 'done';
+        $job = Batch_Processor::complete_if_finished($job);
+
+        $this->assertSame('completed', $job['status']);
+        $this->assertSame('2025-06-01 12:00:00', $job['finished_at']);
+    }
+
+    public function test_start_refuses_while_a_job_is_active()
+    {
+        $this->assertSame(2, Batch_Processor::start([1, 2])['total']);
+
+        $this->assertSame('paused', Batch_Processor::control('pause')['status']);
+        $this->assertInstanceOf(\WP_Error::class, Batch_Processor::start([3]));
+
+        Batch_Processor::control('cancel');
+        $this->assertSame([3 => 'queued'], Batch_Processor::start([3])['items']);
+    }
+
+    public function test_keep_alive_spawns_cron_instead_of_measuring_when_wp_cron_is_disabled()
+    {
+        Batch_Processor::start([1, 2]);
+
+        expect('wp_schedule_single_event')->once();
+        expect('spawn_cron')->once();
+        Batch_Processor::keep_alive();
+
+        $this->assertSame([1 => 'queued', 2 => 'queued'], Batch_Processor::get_status()['items']);
+    }
+}
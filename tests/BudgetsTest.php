@@ -0,0 +1,102 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Budgets;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-budgets.php';
+
+class BudgetsTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+
+        when('sanitize_key')->alias(function ($key) {
+            return preg_replace('/[^a-z0-9_\-]/', '', strtolower((string) $key));
+        });
+    }
+
+    protected function tearDown(): void
+    {
+        Brain\Monkey\tearDown();
+    }
+
+    public function test_sanitize_drops_empty_limits_and_overrides()
+    {
+        $budgets = Budgets::sanitize([
+            'emissions' => '0.456',
+            'page_size' => '',
+            'post_types' => [
+                'Page' => ['emissions' => '-1', 'page_size' => '1048576'],
+                'post' => ['emissions' => '', 'page_size' => 0],
+            ],
+        ]);
+
+        $this->assertSame([
+            'emissions' => 0.46,
+            'page_size' => null,
+            'post_types' => [
+                'page' => ['emissions' => null, 'page_size' => 1048576],
+            ],
+        ], $budgets);
+        $this->assertSame(['emissions' => null, 'page_size' => null, 'post_types' => []], Budgets::sanitize('nonsense'));
+    }
+
+    public function test_overrides_fall_back_to_the_default_per_limit()
+    {
+        $budgets = Budgets::sanitize([
+            'emissions' => 0.5,
+            'page_size' => 2000000,
+            'post_types' => ['page' => ['page_size' => 1000000]],
+        ]);
+
+        $this->assertSame(['emissions' => 0.5, 'page_size' => 1000000], Budgets::for_post_type('page', $budgets));
+        $this->assertSame(['emissions' => 0.5, 'page_size' => 2000000], Budgets::for_post_type('post', $budgets));
+    }
+
+    public function test_get_exceeded_checks_each_limit()
+    {
+        $budgets = Budgets::sanitize([
+            'emissions' => 0.5,
+            'post_types' => ['page' => ['page_size' => 1000000]],
+        ]);
+
+        $this->assertSame([], Budgets::get_exceeded(0.5, 1000000, 'page', $budgets));
+        $this->assertSame(['emissions', 'page_size'], Budgets::get_exceeded(0.6, 1500000, 'page', $budgets));
+        // Posts have no page size budget, and unknown sizes never count
+        $this->assertSame([], Budgets::get_exceeded(0.4, 1500000, 'post', $budgets));
+        $this->assertFalse(Budgets::is_over_budget(0.4, null, 'page', $budgets));
+    }
+
+    public function test_compare_allows_the_threshold_above_the_budget_or_average()
+    {
+        $budgets = Budgets::sanitize(['post_types' => ['page' => ['emissions' => 0.5, 'page_size' => 1000000]]]);
+
+        $result = Budgets::compare(0.55, 1300000, 'page', 0.2, 20, $budgets);
+        $this->assertSame('budget', $result['reference']);
+        $this->assertSame(['page_size'], $result['exceeded']);
+        $this->assertTrue($result['is_heavy']);
+
+        // Posts have no budget and are compared with the site average
+        $result = Budgets::compare(0.23, 1300000, 'post', 0.2, 20, $budgets);
+        $this->assertSame('average', $result['reference']);
+        $this->assertSame(0.2, $result['reference_emissions']);
+        $this->assertFalse($result['is_heavy']);
+        $this->assertSame(['emissions'], Budgets::compare(0.25, null, 'post', 0.2, 20, $budgets)['exceeded']);
+
+        $result = Budgets::compare(5.0, 5000000, 'post', 0.0, 20, $budgets);
+        $this->assertNull($result['reference']);
+        $this->assertFalse($result['is_heavy']);
+    }
+
+    public function test_without_budgets_nothing_is_over_budget()
+    {
+        when('get_option')->alias(function ($name, $default = false) {
+            return $default;
+        });
+
+        $this->assertFalse(Budgets::is_over_budget(100.0, 100000000, 'page'));
+    }
+}
@@ -8,6 +8,7 @@ use CarbonfooterPlugin\Constants;
 
 require_once __DIR__ . '/../inc/class-constants.php';
 require_once __DIR__ . '/../inc/class-cache.php';
+require_once __DIR__ . '/../inc/class-database-optimizer.php';
 
 class CacheTest extends TestCase
 {
@@ -131,6 +132,7 @@ class CacheTest extends TestCase
         $calls = [
             'delete' => [],
             'transient' => [],
+            'set' => [],
         ];
         when('wp_cache_delete')->alias(function ($k, $g) use (&$calls) {
             $calls['delete'][] = [$g, $k];
@@ -141,16 +143,19 @@ class CacheTest extends TestCase
             $calls['transient'][] = $t;
             return true;
         });
+        when('wp_cache_set')->alias(function ($k, $v, $g) use (&$calls) {
+            $calls['set'][] = [$g, $k];
+            return true;
+        });
 
         $cache = new Cache();
         $cache->clear_all();
 
         $this->assertContains([Constants::CACHE_GROUP, Constants::CACHE_STATS_KEY], $calls['delete']);
         $this->assertContains(Constants::TRANSIENT_STATS_CACHE, $calls['transient']);
-        $this->assertContains([Constants::CACHE_GROUP, Constants::CACHE_HEAVIEST_PAGES_KEY . ':10'], $calls['delete']);
-        $this->assertContains([Constants::CACHE_GROUP, Constants::CACHE_HEAVIEST_PAGES_KEY . ':20'], $calls['delete']);
-        $this->assertContains([Constants::CACHE_GROUP, Constants::CACHE_HEAVIEST_PAGES_KEY . ':50'], $calls['delete']);
-        $this->assertContains([Constants::CACHE_GROUP, Constants::CACHE_UNTESTED_PAGES_KEY], $calls['delete']);
+        // Listings are expired together by moving the group's last_changed on
+        $this->assertContains([Constants::CACHE_GROUP, 'last_changed'], $calls['set']);
+        $this->assertContains([Constants::CACHE_GROUP, Constants::CACHE_TRAFFIC_KEY], $calls['delete']);
     }
 
     public function test_back_compat_scalar_get_and_set()
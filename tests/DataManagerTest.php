@@ -0,0 +1,216 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Data_Manager;
+use CarbonfooterPlugin\Emissions;
+use CarbonfooterPlugin\Cache;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-logger.php';
+require_once __DIR__ . '/../inc/class-cache.php';
+require_once __DIR__ . '/../inc/class-emissions.php';
+require_once __DIR__ . '/../inc/class-data-manager.php';
+
+if (!class_exists('WP_Error')) {
+    // Just enough of WP_Error for the code under test
+    class WP_Error
+    {
+        public $code;
+
+        public function __construct($code = '', $message = '', $data = '')
+        {
+            $this->code = $code;
+        }
+    }
+}
+
+class DataManagerTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+        if (!defined('MINUTE_IN_SECONDS')) define('MINUTE_IN_SECONDS', 60);
+
+        when('__')->returnArg();
+    }
+
+    protected function tearDown(): void
+    {
+        unset($GLOBALS['wpdb']);
+        Brain\Monkey\tearDown();
+    }
+
+    public function test_measure_post_releases_the_lock_when_measuring_fails()
+    {
+        $locks = [];
+        when('get_transient')->alias(function ($key) use (&$locks) {
+            return $locks[$key] ?? false;
+        });
+        when('set_transient')->alias(function ($key) use (&$locks) {
+            $locks[$key] = true;
+            return true;
+        });
+        when('delete_transient')->alias(function ($key) use (&$locks) {
+            unset($locks[$key]);
+            return true;
+        });
+
+        // Errors are always logged
+        when('wp_get_upload_dir')->justReturn(['basedir' => sys_get_temp_dir()]);
+        when('trailingslashit')->alias(function ($path) { return rtrim($path, '/') . '/'; });
+        when('wp_mkdir_p')->justReturn(true);
+        when('wp_json_encode')->alias('json_encode');
+
+        $emissions = $this->createMock(Emissions::class);
+        $emissions->method('process_post')->with(42)->willReturn(false);
+
+        $manager = new Data_Manager($emissions, $this->createMock(Cache::class));
+        $result = $manager->measure_post(42);
+
+        $this->assertInstanceOf(\WP_Error::class, $result);
+        $this->assertSame('carbonfooter_measure_failed', $result->code);
+        $this->assertSame([], $locks);
+    }
+
+    public function test_measure_post_reports_its_phase_while_running()
+    {
+        $locks = [];
+        when('get_transient')->alias(function ($key) use (&$locks) {
+            return $locks[$key] ?? false;
+        });
+        when('set_transient')->alias(function ($key, $value) use (&$locks) {
+            $locks[$key] = $value;
+            return true;
+        });
+        when('delete_transient')->alias(function ($key) use (&$locks) {
+            unset($locks[$key]);
+            return true;
+        });
+
+        $manager = null;
+        $phases = [];
+        $emissions = $this->createMock(Emissions::class);
+        $emissions->method('process_post')->willReturnCallback(function ($post_id, $on_phase) use (&$manager, &$phases) {
+            $phases[] = $manager->get_measure_phase($post_id);
+            $on_phase('fetching');
+            $phases[] = $manager->get_measure_phase($post_id);
+            $on_phase('storing');
+            $phases[] = $manager->get_measure_phase($post_id);
+            return 0.42;
+        });
+
+        $manager = new Data_Manager($emissions, $this->createMock(Cache::class));
+        $result = $manager->measure_post(42);
+
+        $this->assertSame('completed', $result['status']);
+        $this->assertSame(['queued', 'fetching', 'storing'], $phases);
+        $this->assertNull($manager->get_measure_phase(42));
+    }
+
+    public function test_measure_home_reports_the_post_measured_instead()
+    {
+        when('get_transient')->justReturn(false);
+        when('set_transient')->justReturn(true);
+        when('delete_transient')->justReturn(true);
+        when('get_the_title')->justReturn('Latest news');
+
+        $emissions = $this->createMock(Emissions::class);
+        $emissions->method('process_home')->willReturn([
+            'emissions' => 0.5,
+            'page_size' => 1000,
+            'updated' => '2025-06-01 10:00:00',
+            'url' => 'https://example.com/latest-news/',
+            'post_id' => 7,
+        ]);
+
+        $manager = new Data_Manager($emissions, $this->createMock(Cache::class));
+        $result = $manager->measure_home();
+
+        $this->assertSame('completed', $result['status']);
+        $this->assertSame(0.5, $result['emissions']);
+        $this->assertSame(['post_id' => 7, 'title' => 'Latest news'], $result['fallback']);
+    }
+
+    public function test_export_history_returns_an_error_without_history()
+    {
+        $GLOBALS['wpdb'] = new class {
+            public $posts = 'wp_posts';
+            public $postmeta = 'wp_postmeta';
+
+            public function prepare($query)
+            {
+                return $query;
+            }
+
+            public function get_results($query)
+            {
+                return [];
+            }
+        };
+
+        $manager = new Data_Manager($this->createMock(Emissions::class), $this->createMock(Cache::class));
+        $result = $manager->export_history();
+
+        $this->assertInstanceOf(\WP_Error::class, $result);
+        $this->assertSame('carbonfooter_nothing_to_export', $result->code);
+    }
+
+    public function test_export_history_writes_long_and_wide_csv_within_the_date_range()
+    {
+        $GLOBALS['wpdb'] = new class {
+            public $posts = 'wp_posts';
+            public $postmeta = 'wp_postmeta';
+
+            public function prepare($query)
+            {
+                return $query;
+            }
+
+            public function get_results($query)
+            {
+                return [
+                    (object) [
+                        'ID' => 7,
+                        'post_title' => '=HYPERLINK("x")',
+                        'post_name' => 'about',
+                        'post_type' => 'page',
+                        'history' => [
+                            ['date' => '2025-01-01 09:00:00', 'value' => 0.9],
+                            ['date' => '2025-02-01 09:00:00', 'value' => 0.7],
+                            ['date' => '2025-02-01 18:00:00', 'value' => 0.6],
+                        ],
+                        'current_emissions' => '0.6',
+                        'page_size' => '204800',
+                        'updated' => '2025-02-01 18:00:00',
+                    ],
+                ];
+            }
+        };
+        when('maybe_unserialize')->returnArg();
+        when('get_permalink')->justReturn('https://example.com/about/');
+        when('get_current_user_id')->justReturn(1);
+        when('get_bloginfo')->justReturn('Example');
+        when('sanitize_title')->justReturn('example');
+
+        $manager = new Data_Manager($this->createMock(Emissions::class), $this->createMock(Cache::class));
+
+        $long = $manager->export_history(['format' => 'csv-long', 'start' => '2025-02-01']);
+        $lines = explode("\n", trim($long['data']));
+        $this->assertCount(3, $lines);
+        $this->assertSame(
+            '7,"\'=HYPERLINK(""x"")",https://example.com/about/,page,204800,"2025-02-01 18:00:00",0.6,"2025-02-01 09:00:00",0.7',
+            $lines[1]
+        );
+        $this->assertStringEndsWith('-measurements.csv', $long['filename']);
+
+        $wide = $manager->export_history(['format' => 'csv-wide']);
+        $lines = explode("\n", trim($wide['data']));
+        $this->assertStringEndsWith(',2025-01-01,2025-02-01', $lines[0]);
+        // The last measurement of a day wins
+        $this->assertStringEndsWith(',0.9,0.6', $lines[1]);
+
+        $json = $manager->export_history(['end' => '2024-12-31']);
+        $this->assertSame('carbonfooter_nothing_to_export', $json->code);
+    }
+}
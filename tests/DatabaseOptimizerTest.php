@@ -0,0 +1,296 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Database_Optimizer;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-pageview-counter.php';
+require_once __DIR__ . '/../inc/class-traffic-import.php';
+require_once __DIR__ . '/../inc/class-budgets.php';
+require_once __DIR__ . '/../inc/class-emissions-history.php';
+require_once __DIR__ . '/../inc/class-database-optimizer.php';
+
+/**
+ * Minimal $wpdb double: records queries and answers them from fixtures.
+ */
+class DatabaseOptimizerTestWpdb
+{
+    public $posts = 'wp_posts';
+    public $postmeta = 'wp_postmeta';
+    public $queries = [];
+    public $pages = [];
+
+    public function prepare($query, ...$args)
+    {
+        foreach ($args as $arg) {
+            $value = is_array($arg) ? $arg : [$arg];
+            foreach ($value as $item) {
+                $query = preg_replace('/%[sdf]/', is_int($item) || is_float($item) ? (string) $item : "'{$item}'", $query, 1);
+            }
+        }
+        return $query;
+    }
+
+    public function esc_like($text)
+    {
+        return addcslashes($text, '_%\\');
+    }
+
+    public function get_var($query)
+    {
+        $this->queries[] = $query;
+        return count($this->pages);
+    }
+
+    public function get_results($query)
+    {
+        $this->queries[] = $query;
+        return $this->pages;
+    }
+}
+
+class DatabaseOptimizerTest extends TestCase
+{
+    private $wpdb;
+
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+
+        when('absint')->alias(function ($value) {
+            return abs((int) $value);
+        });
+        when('current_time')->justReturn('2025-06-01');
+        when('get_option')->justReturn('2025-06-01');
+        when('get_permalink')->justReturn('https://example.com/');
+        when('get_edit_post_link')->justReturn('https://example.com/wp-admin/');
+        when('maybe_unserialize')->alias(function ($value) {
+            return is_string($value) ? unserialize($value) : $value;
+        });
+
+        $this->wpdb = new DatabaseOptimizerTestWpdb();
+        $GLOBALS['wpdb'] = $this->wpdb;
+    }
+
+    protected function tearDown(): void
+    {
+        unset($GLOBALS['wpdb']);
+        Brain\Monkey\tearDown();
+    }
+
+    private function row($id, $emissions)
+    {
+        return (object) [
+            'ID' => $id,
+            'post_title' => 'Post ' . $id,
+            'post_type' => 'page',
+            'emissions' => (string) $emissions,
+            'page_size' => '2048',
+            'updated' => '2025-05-01 10:00:00',
+        ];
+    }
+
+    public function test_query_measured_pages_paginates_and_filters_in_sql()
+    {
+        $this->wpdb->pages = [$this->row(1, 0.5), $this->row(2, 0.4)];
+
+        $result = Database_Optimizer::query_measured_pages([
+            'page' => 3,
+            'per_page' => 2,
+            'orderby' => 'title',
+            'order' => 'asc',
+            'post_type' => 'post',
+            'search' => '50%',
+        ]);
+
+        $select = $this->wpdb->queries[1];
+        $this->assertStringContainsString('ORDER BY p.post_title ASC, p.ID ASC', $select);
+        $this->assertStringContainsString('LIMIT 2 OFFSET 4', $select);
+        $this->assertStringContainsString("p.post_type = 'post'", $select);
+        $this->assertStringContainsString("p.post_title LIKE '%50\\%%'", $select);
+
+        $this->assertSame(2, $result['total']);
+        $this->assertSame(1, $result['total_pages']);
+        $this->assertSame(2048, $result['pages'][0]['page_size']);
+        $this->assertNull($result['pages'][0]['impact']);
+    }
+
+    public function test_query_measured_pages_includes_each_pages_history()
+    {
+        $measured = $this->row(1, 0.5);
+        $measured->history = serialize([
+            ['date' => '2025-05-01 10:00:00', 'value' => 0.5],
+            ['date' => '2025-04-01 10:00:00', 'value' => 0.75],
+        ]);
+        $this->wpdb->pages = [$measured, $this->row(2, 0.4)];
+
+        $result = Database_Optimizer::query_measured_pages();
+
+        $this->assertStringNotContainsString('_carbon_emissions_history', $this->wpdb->queries[0]);
+        $this->assertStringContainsString("history.meta_key = '_carbon_emissions_history'", $this->wpdb->queries[1]);
+        $this->assertSame([0.75, 0.5], array_column($result['pages'][0]['history'], 'value'));
+        $this->assertSame(-0.25, $result['pages'][0]['delta']);
+        $this->assertSame([], $result['pages'][1]['history']);
+        $this->assertNull($result['pages'][1]['delta']);
+    }
+
+    public function test_query_measured_pages_rejects_unknown_sort_keys()
+    {
+        Database_Optimizer::query_measured_pages(['orderby' => 'ID; DROP TABLE wp_posts', 'order' => 'sideways']);
+
+        $this->assertStringContainsString('ORDER BY CAST(pm.meta_value AS DECIMAL(10,2)) DESC', $this->wpdb->queries[1]);
+        $this->assertStringNotContainsString('DROP', $this->wpdb->queries[1]);
+    }
+
+    public function test_query_measured_pages_sorts_impact_in_sql()
+    {
+        $counted = $this->row(2, 1.0);
+        $counted->views = '1000';
+        $this->wpdb->pages = [$counted, $this->row(1, 2.0)];
+
+        $result = Database_Optimizer::query_measured_pages([
+            'page' => 2,
+            'per_page' => 2,
+            'orderby' => 'impact',
+            'order' => 'asc',
+        ]);
+
+        $select = $this->wpdb->queries[1];
+        $this->assertStringContainsString("views.meta_key = '_carbon_yearly_views'", $select);
+        $this->assertStringContainsString(
+            'ORDER BY views.meta_value IS NOT NULL ASC, CAST(pm.meta_value AS DECIMAL(10,4)) * CAST(views.meta_value AS UNSIGNED) ASC',
+            $select
+        );
+        $this->assertStringContainsString('LIMIT 2 OFFSET 2', $select);
+        $this->assertSame([1000, null], array_column($result['pages'], 'views'));
+        $this->assertSame([1000.0, null], array_column($result['pages'], 'impact'));
+    }
+
+    public function test_query_measured_pages_filters_and_flags_over_budget_pages()
+    {
+        $budgets = [
+            'emissions' => 0.45,
+            'post_types' => ['page' => ['page_size' => 1024]],
+        ];
+        when('get_option')->alias(function ($name, $default = false) use ($budgets) {
+            return $name === 'carbonfooter_budgets' ? $budgets : $default;
+        });
+        when('sanitize_key')->returnArg();
+        $this->wpdb->pages = [$this->row(1, 0.5), $this->row(2, 0.4)];
+
+        $result = Database_Optimizer::query_measured_pages(['over_budget' => true]);
+
+        $this->assertStringContainsString(
+            "((p.post_type = 'page' AND (CAST(pm.meta_value AS DECIMAL(10,2)) > 0.45 OR CAST(size.meta_value AS UNSIGNED) > 1024))"
+            . " OR (p.post_type NOT IN ('page') AND (CAST(pm.meta_value AS DECIMAL(10,2)) > 0.45)))",
+            $this->wpdb->queries[1]
+        );
+        // Both rows are 2048 bytes, over the page budget of 1024
+        $this->assertSame([true, true], array_column($result['pages'], 'over_budget'));
+    }
+
+    public function test_get_page_detail_combines_resources_history_and_green_host()
+    {
+        $meta = [
+            '_carbon_emissions' => '0.42',
+            '_carbon_page_size' => '204800',
+            '_carbon_emissions_updated' => '2025-05-01 10:00:00',
+            '_carbon_resources' => ['images' => ['transferSize' => 102400, 'requestCount' => '4'], 'unknown' => []],
+            '_carbon_green_host' => '1',
+            '_carbon_emissions_history' => [
+                ['date' => '2025-05-01 10:00:00', 'value' => 0.42],
+                ['date' => '2025-04-01 10:00:00', 'value' => 0.5],
+            ],
+        ];
+        when('get_post')->alias(function ($id) {
+            return $id === 7 ? (object) ['ID' => 7, 'post_type' => 'page'] : null;
+        });
+        when('get_the_title')->justReturn('About');
+        when('get_post_meta')->alias(function ($id, $key) use (&$meta) {
+            return $meta[$key] ?? '';
+        });
+        when('maybe_unserialize')->returnArg();
+        when('wp_cache_get')->alias(function ($key) {
+            return $key === 'carbonfooter_resource_stats' ? ['pages_analyzed' => 3] : false;
+        });
+
+        $detail = Database_Optimizer::get_page_detail(7);
+
+        $this->assertSame(0.42, $detail['emissions']);
+        $this->assertSame(204800, $detail['page_size']);
+        $this->assertSame(['transferSize' => 102400, 'requestCount' => 4], $detail['resources']['images']);
+        $this->assertSame(['transferSize' => 0, 'requestCount' => 0], $detail['resources']['thirdParty']);
+        $this->assertArrayNotHasKey('unknown', $detail['resources']);
+        $this->assertSame(['pages_analyzed' => 3], $detail['site_resources']);
+        $this->assertTrue($detail['green_host']);
+        $this->assertSame(['2025-04-01 10:00:00', '2025-05-01 10:00:00'], array_column($detail['history'], 'date'));
+        $this->assertSame(-0.08, $detail['delta']);
+
+        // Measurements stored before the status was recorded, and unknown posts
+        unset($meta['_carbon_green_host'], $meta['_carbon_resources'], $meta['_carbon_emissions']);
+        $detail = Database_Optimizer::get_page_detail(7);
+        $this->assertNull($detail['green_host']);
+        $this->assertNull($detail['resources']);
+        $this->assertNull($detail['emissions']);
+        $this->assertNull(Database_Optimizer::get_page_detail(8));
+    }
+
+    public function test_resource_leaderboard_ranks_pages_by_the_chosen_metric()
+    {
+        when('maybe_unserialize')->returnArg();
+        when('wp_cache_get_last_changed')->justReturn('1');
+        when('wp_cache_get')->justReturn(false);
+        when('wp_cache_set')->justReturn(true);
+        $page = function ($id, $script, $total) {
+            $row = $this->row($id, 0.5);
+            $row->resources = ['script' => $script, 'total' => ['transferSize' => $total, 'requestCount' => 20]];
+            return $row;
+        };
+        $this->wpdb->pages = [
+            $page(1, ['transferSize' => 300000, 'requestCount' => 4], 1000000),
+            $page(2, ['transferSize' => 200000, 'requestCount' => 9], 250000),
+            $page(3, ['transferSize' => 0, 'requestCount' => 0], 500000),
+            (object) ((array) $this->row(4, 0.5) + ['resources' => 'not resource data']),
+        ];
+
+        $by_size = Database_Optimizer::get_resource_leaderboard('script');
+        $this->assertSame([1, 2], array_column($by_size, 'id'));
+        $this->assertSame(['transferSize' => 300000, 'requestCount' => 4, 'share' => 30.0], $by_size[0]['resource']);
+        $this->assertSame(['transferSize' => 1000000, 'requestCount' => 20], $by_size[0]['resources']['total']);
+
+        $this->assertSame([2, 1], array_column(Database_Optimizer::get_resource_leaderboard('script', 'requestCount'), 'id'));
+        $this->assertSame([2, 1], array_column(Database_Optimizer::get_resource_leaderboard('script', 'share'), 'id'));
+        $this->assertSame([1], array_column(Database_Optimizer::get_resource_leaderboard('script', 'transferSize', 1), 'id'));
+        $this->assertSame([], Database_Optimizer::get_resource_leaderboard('html'));
+    }
+
+    public function test_resource_leaderboard_is_cached_until_the_listings_change()
+    {
+        $cache = [];
+        $last_changed = '1';
+        when('wp_cache_get_last_changed')->alias(function () use (&$last_changed) {
+            return $last_changed;
+        });
+        when('wp_cache_get')->alias(function ($key) use (&$cache) {
+            return $cache[$key] ?? false;
+        });
+        when('wp_cache_set')->alias(function ($key, $value) use (&$cache, &$last_changed) {
+            if ($key === 'last_changed') {
+                $last_changed = $value;
+            } else {
+                $cache[$key] = $value;
+            }
+            return true;
+        });
+
+        Database_Optimizer::get_resource_leaderboard('script');
+        Database_Optimizer::get_resource_leaderboard('script');
+        $this->assertCount(1, $this->wpdb->queries);
+        $this->assertArrayHasKey('resource_leaderboard:script:transferSize:10:1', $cache);
+
+        Database_Optimizer::invalidate_listing_caches();
+        Database_Optimizer::get_resource_leaderboard('script');
+        $this->assertCount(2, $this->wpdb->queries);
+    }
+}
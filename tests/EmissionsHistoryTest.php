@@ -0,0 +1,119 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Emissions_History;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-emissions-history.php';
+
+class EmissionsHistoryTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+        if (!defined('DAY_IN_SECONDS')) define('DAY_IN_SECONDS', 86400);
+        if (!defined('WEEK_IN_SECONDS')) define('WEEK_IN_SECONDS', 604800);
+
+        when('maybe_unserialize')->alias(function ($value) {
+            return is_string($value) && @unserialize($value) !== false ? unserialize($value) : $value;
+        });
+    }
+
+    protected function tearDown(): void
+    {
+        Brain\Monkey\tearDown();
+    }
+
+    private function ts(string $date): int
+    {
+        return strtotime($date . ' UTC');
+    }
+
+    public function test_normalize_drops_malformed_entries_and_sorts()
+    {
+        $raw = serialize([
+            ['date' => '2025-02-01 10:00:00', 'value' => '2.5'],
+            ['date' => 'not a date', 'value' => 1],
+            ['value' => 3],
+            ['date' => '2025-01-01 10:00:00', 'value' => 1.5],
+        ]);
+
+        $entries = Emissions_History::normalize($raw);
+
+        $this->assertSame([
+            ['date' => '2025-01-01 10:00:00', 'value' => 1.5],
+            ['date' => '2025-02-01 10:00:00', 'value' => 2.5],
+        ], $entries);
+    }
+
+    public function test_get_delta_requires_two_entries()
+    {
+        $this->assertNull(Emissions_History::get_delta([['date' => '2025-01-01', 'value' => 1.0]]));
+        $this->assertSame(-0.5, Emissions_History::get_delta([
+            ['date' => '2025-01-01', 'value' => 2.0],
+            ['date' => '2025-01-08', 'value' => 1.5],
+        ]));
+    }
+
+    public function test_build_timeline_groups_by_week_using_latest_value_per_post()
+    {
+        $histories = [
+            // Two measurements in the same week: only the later one counts
+            1 => [
+                ['date' => '2025-01-06 09:00:00', 'value' => 4.0],
+                ['date' => '2025-01-08 09:00:00', 'value' => 2.0],
+            ],
+            2 => [
+                ['date' => '2025-01-07 09:00:00', 'value' => 1.0],
+                ['date' => '2025-01-21 09:00:00', 'value' => 3.0],
+            ],
+        ];
+
+        $timeline = Emissions_History::build_timeline(
+            $histories,
+            'week',
+            $this->ts('2025-01-06 00:00:00'),
+            $this->ts('2025-01-26 23:59:59')
+        );
+
+        $this->assertSame([
+            ['period' => '2025-01-06', 'average' => 1.5, 'measured' => 2],
+            ['period' => '2025-01-13', 'average' => null, 'measured' => 0],
+            ['period' => '2025-01-20', 'average' => 3.0, 'measured' => 1],
+        ], $timeline['series']);
+
+        // Summary uses each post's latest value in range: (2.0 + 3.0) / 2
+        $this->assertSame(['average' => 2.5, 'measured' => 2], $timeline['summary']);
+    }
+
+    public function test_build_timeline_groups_by_month_and_ignores_out_of_range_entries()
+    {
+        $histories = [
+            1 => [
+                ['date' => '2024-12-31 23:00:00', 'value' => 9.0],
+                ['date' => '2025-01-15 09:00:00', 'value' => 2.0],
+                ['date' => '2025-02-10 09:00:00', 'value' => 1.0],
+            ],
+        ];
+
+        $timeline = Emissions_History::build_timeline(
+            $histories,
+            'month',
+            $this->ts('2025-01-01 00:00:00'),
+            $this->ts('2025-02-28 23:59:59')
+        );
+
+        $this->assertSame(['2025-01-01', '2025-02-01'], array_column($timeline['series'], 'period'));
+        $this->assertSame([2.0, 1.0], array_column($timeline['series'], 'average'));
+        $this->assertSame(['average' => 1.0, 'measured' => 1], $timeline['summary']);
+    }
+
+    public function test_percentage_change()
+    {
+        $this->assertSame(-25.0, Emissions_History::percentage_change(1.5, 2.0));
+        $this->assertSame(100.0, Emissions_History::percentage_change(4, 2));
+        $this->assertNull(Emissions_History::percentage_change(1.0, 0));
+        $this->assertNull(Emissions_History::percentage_change(null, 2.0));
+    }
+}
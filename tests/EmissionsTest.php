@@ -0,0 +1,105 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Emissions;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-logger.php';
+require_once __DIR__ . '/../inc/class-helpers.php';
+require_once __DIR__ . '/../inc/class-cache.php';
+require_once __DIR__ . '/../inc/class-database-optimizer.php';
+require_once __DIR__ . '/../inc/class-emissions.php';
+
+if (!defined('CARBONFOOTER_VERSION')) {
+    define('CARBONFOOTER_VERSION', 'test');
+}
+
+class EmissionsTest extends TestCase
+{
+    /**
+     * URLs requested with `wp_remote_get()`.
+     */
+    private $requested = [];
+
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+
+        $this->requested = [];
+        $GLOBALS['wpdb'] = new class {
+            public $posts = 'wp_posts';
+            public $queries = 0;
+
+            public function get_var($query)
+            {
+                $this->queries++;
+                return null;
+            }
+        };
+
+        when('__')->returnArg();
+        when('get_option')->justReturn(true);
+        when('home_url')->justReturn('https://example.com/');
+        when('set_url_scheme')->returnArg();
+        when('wp_get_environment_type')->justReturn('production');
+        when('get_site_url')->justReturn('https://example.com');
+        when('add_query_arg')->alias(function ($args, $url) {
+            return $url . '?' . http_build_query($args);
+        });
+        when('is_wp_error')->justReturn(false);
+        when('wp_remote_retrieve_response_code')->alias(function ($response) {
+            return $response['response']['code'];
+        });
+        when('wp_remote_retrieve_response_message')->justReturn('');
+        when('esc_html')->returnArg();
+
+        // Errors are always logged
+        when('wp_get_upload_dir')->justReturn(['basedir' => sys_get_temp_dir()]);
+        when('trailingslashit')->alias(function ($path) { return rtrim($path, '/') . '/'; });
+        when('wp_mkdir_p')->justReturn(true);
+        when('wp_json_encode')->alias('json_encode');
+    }
+
+    protected function tearDown(): void
+    {
+        unset($GLOBALS['wpdb']);
+        Brain\Monkey\tearDown();
+    }
+
+    /**
+     * Answer the front page and the measurement service with the given status codes.
+     */
+    private function respond(int $front_page, int $service): void
+    {
+        when('wp_remote_get')->alias(function ($url) use ($front_page, $service) {
+            $this->requested[] = $url;
+            $code = strpos($url, 'https://example.com/') === 0 ? $front_page : $service;
+            return ['response' => ['code' => $code]];
+        });
+    }
+
+    public function test_process_home_looks_for_the_latest_post_when_the_front_page_cannot_be_fetched()
+    {
+        $this->respond(404, 200);
+
+        $emissions = new Emissions();
+        $this->assertFalse($emissions->process_home());
+
+        $this->assertSame(['https://example.com/'], $this->requested);
+        $this->assertSame(1, $GLOBALS['wpdb']->queries);
+        $this->assertStringContainsString('could not be fetched', $emissions->get_last_error());
+    }
+
+    public function test_process_home_does_not_fall_back_when_the_service_fails()
+    {
+        $this->respond(200, 504);
+
+        $emissions = new Emissions();
+        $this->assertFalse($emissions->process_home());
+
+        $this->assertCount(2, $this->requested);
+        $this->assertSame(0, $GLOBALS['wpdb']->queries);
+        $this->assertSame('API Error: Status 504', $emissions->get_last_error());
+    }
+}
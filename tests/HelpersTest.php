@@ -0,0 +1,64 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Helpers;
+use CarbonfooterPlugin\Constants;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-helpers.php';
+
+class HelpersTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Brain\Monkey\tearDown();
+    }
+
+    public function test_sanitize_pages_per_visit_rounds_and_clamps()
+    {
+        $this->assertSame(3.33, Helpers::sanitize_pages_per_visit('3.333'));
+        $this->assertSame((float) Constants::MIN_PAGES_PER_VISIT, Helpers::sanitize_pages_per_visit('0'));
+        $this->assertSame((float) Constants::MAX_PAGES_PER_VISIT, Helpers::sanitize_pages_per_visit(5000));
+    }
+
+    public function test_sanitize_visitors_per_month_clamps()
+    {
+        $this->assertSame(2500, Helpers::sanitize_visitors_per_month('2500'));
+        $this->assertSame(1, Helpers::sanitize_visitors_per_month('0'));
+        $this->assertSame(Constants::MAX_VISITORS_PER_MONTH, Helpers::sanitize_visitors_per_month(Constants::MAX_VISITORS_PER_MONTH * 10));
+    }
+
+    public function test_get_traffic_model_uses_defaults_when_unset()
+    {
+        when('get_option')->alias(function ($name, $default = false) {
+            return $default;
+        });
+
+        $this->assertSame([
+            'pagesPerVisit' => Constants::DEFAULT_PAGES_PER_VISIT,
+            'visitorsPerMonth' => Constants::DEFAULT_VISITORS_PER_MONTH,
+        ], Helpers::get_traffic_model());
+    }
+
+    public function test_get_traffic_model_casts_saved_values()
+    {
+        $options = [
+            Constants::OPTION_PAGES_PER_VISIT => '4',
+            Constants::OPTION_VISITORS_PER_MONTH => '200000',
+        ];
+        when('get_option')->alias(function ($name, $default = false) use ($options) {
+            return $options[$name] ?? $default;
+        });
+
+        $this->assertSame([
+            'pagesPerVisit' => 4.0,
+            'visitorsPerMonth' => 200000,
+        ], Helpers::get_traffic_model());
+    }
+}
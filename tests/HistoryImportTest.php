@@ -0,0 +1,166 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\History_Import;
+use CarbonfooterPlugin\Constants;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-logger.php';
+require_once __DIR__ . '/../inc/class-emissions-history.php';
+require_once __DIR__ . '/../inc/class-database-optimizer.php';
+require_once __DIR__ . '/../inc/class-history-import.php';
+
+class HistoryImportTest extends TestCase
+{
+    private $meta;
+
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+
+        // Post 10 "About" (about) and post 11 "Contact" (contact) are published
+        $posts = [
+            10 => (object) ['ID' => 10, 'post_title' => 'About', 'post_name' => 'about', 'post_type' => 'page', 'post_status' => 'publish'],
+            11 => (object) ['ID' => 11, 'post_title' => 'Contact', 'post_name' => 'contact', 'post_type' => 'page', 'post_status' => 'publish'],
+        ];
+        $this->meta = [
+            10 => [
+                Constants::META_EMISSIONS_HISTORY => [['date' => '2025-03-01 10:00:00', 'value' => 0.5]],
+                Constants::META_EMISSIONS => '0.5',
+                Constants::META_EMISSIONS_UPDATED => '2025-03-01 10:00:00',
+            ],
+        ];
+
+        when('__')->returnArg();
+        when('absint')->alias(function ($value) {
+            return abs((int) $value);
+        });
+        when('sanitize_text_field')->returnArg();
+        when('sanitize_title')->returnArg();
+        when('sanitize_key')->returnArg();
+        when('maybe_unserialize')->returnArg();
+        when('wp_cache_delete')->justReturn(true);
+        when('wp_cache_set')->justReturn(true);
+        when('get_post')->alias(function ($id) use ($posts) {
+            return $posts[$id] ?? null;
+        });
+        when('get_the_title')->alias(function ($id) use ($posts) {
+            return $posts[$id]->post_title;
+        });
+        when('get_post_meta')->alias(function ($id, $key) {
+            return $this->meta[$id][$key] ?? '';
+        });
+        when('update_post_meta')->alias(function ($id, $key, $value) {
+            $this->meta[$id][$key] = $value;
+            return true;
+        });
+
+        // Slug and title lookups: SELECT ... WHERE post_name|post_title = '<value>'
+        $GLOBALS['wpdb'] = new class ($posts) {
+            public $posts = 'wp_posts';
+            private $rows;
+
+            public function __construct($rows)
+            {
+                $this->rows = $rows;
+            }
+
+            public function prepare($query, ...$args)
+            {
+                foreach ($args as $arg) {
+                    $query = preg_replace('/%s/', "'{$arg}'", $query, 1);
+                }
+                return $query;
+            }
+
+            public function get_col($query)
+            {
+                preg_match("/WHERE (post_name|post_title) = '([^']*)'/", $query, $match);
+                $ids = [];
+                foreach ($this->rows as $row) {
+                    if ($row->{$match[1]} === $match[2]) {
+                        $ids[] = (string) $row->ID;
+                    }
+                }
+                return $ids;
+            }
+        };
+    }
+
+    protected function tearDown(): void
+    {
+        unset($GLOBALS['wpdb']);
+        Brain\Monkey\tearDown();
+    }
+
+    private function entries()
+    {
+        return [
+            // Same ID and slug: only the new measurement is added
+            [
+                'ID' => 10,
+                'post_title' => 'About us',
+                'slug' => 'about',
+                'emissions' => 0.4,
+                'updated' => '2025-04-01 10:00:00',
+                'history' => [
+                    ['date' => '2025-03-01 10:00:00', 'value' => 0.5],
+                    ['date' => '2025-04-01 10:00:00', 'value' => 0.4],
+                ],
+            ],
+            // The ID belongs to another page on this site, the slug does not
+            [
+                'ID' => 10,
+                'post_title' => 'Contact',
+                'slug' => 'contact',
+                'emissions' => 0.8,
+                'history' => [['date' => '2025-01-01', 'value' => '0.8'], ['date' => 'never', 'value' => 1]],
+            ],
+            ['ID' => 99, 'post_title' => 'Gone', 'history' => [['date' => '2025-01-01', 'value' => 1]]],
+            ['ID' => 11, 'post_title' => 'Contact', 'history' => [['date' => '2025-01-01', 'value' => -1]]],
+            'not an entry',
+        ];
+    }
+
+    public function test_plan_matches_by_id_then_slug_and_explains_skips()
+    {
+        $plan = History_Import::plan($this->entries());
+
+        $this->assertSame(
+            [[10, 'id', 1, true], [11, 'slug', 1, true]],
+            array_map(function ($item) {
+                return [$item['post_id'], $item['matched_by'], $item['new_entries'], $item['updates_current']];
+            }, $plan['merged'])
+        );
+        $this->assertSame(
+            [2 => 'No matching published post', 3 => 'No valid measurements', 4 => 'No valid measurements'],
+            array_column($plan['skipped'], 'reason', 'index')
+        );
+
+        // Nothing is written on a dry run
+        $this->assertSame('0.5', $this->meta[10][Constants::META_EMISSIONS]);
+    }
+
+    public function test_import_merges_history_and_keeps_newer_current_emissions()
+    {
+        $this->meta[11][Constants::META_EMISSIONS] = '0.3';
+        $this->meta[11][Constants::META_EMISSIONS_UPDATED] = '2025-05-01 10:00:00';
+
+        $result = History_Import::import($this->entries());
+
+        $this->assertSame(['posts' => 2, 'entries' => 2], $result['imported']);
+        $this->assertSame([
+            ['date' => '2025-03-01 10:00:00', 'value' => 0.5],
+            ['date' => '2025-04-01 10:00:00', 'value' => 0.4],
+        ], $this->meta[10][Constants::META_EMISSIONS_HISTORY]);
+        $this->assertSame(0.4, $this->meta[10][Constants::META_EMISSIONS]);
+        $this->assertSame([['date' => '2025-01-01 00:00:00', 'value' => 0.8]], $this->meta[11][Constants::META_EMISSIONS_HISTORY]);
+        $this->assertSame('0.3', $this->meta[11][Constants::META_EMISSIONS]);
+
+        // Importing the same file again adds nothing
+        $again = History_Import::plan($this->entries());
+        $this->assertSame([], $again['merged']);
+        $this->assertSame('Already up to date', $again['skipped'][0]['reason']);
+    }
+}
@@ -0,0 +1,135 @@
+<?php
+
+use function Brain\Monkey\Functions\expect;
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Pageview_Counter;
+use CarbonfooterPlugin\Constants;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-pageview-counter.php';
+
+class PageviewCounterTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+        if (!defined('DAY_IN_SECONDS')) define('DAY_IN_SECONDS', 86400);
+
+        // add_action is called in constructor; no-op
+        when('add_action')->justReturn(true);
+    }
+
+    protected function tearDown(): void
+    {
+        unset($GLOBALS['wpdb']);
+        Brain\Monkey\tearDown();
+    }
+
+    /**
+     * Install a $wpdb double that records queries.
+     */
+    private function mock_wpdb()
+    {
+        $GLOBALS['wpdb'] = new class {
+            public $prefix = 'wp_';
+            public $queries = [];
+
+            public function prepare($query, ...$args)
+            {
+                foreach ($args as $arg) {
+                    $query = preg_replace('/%[sd]/', is_int($arg) ? (string) $arg : "'{$arg}'", $query, 1);
+                }
+                return $query;
+            }
+
+            public function query($query)
+            {
+                $this->queries[] = $query;
+                return 1;
+            }
+        };
+
+        return $GLOBALS['wpdb'];
+    }
+
+    public function test_is_countable_request_skips_bots_prefetch_and_non_get()
+    {
+        $counter = new Pageview_Counter();
+        $browser = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 Safari/605.1.15';
+
+        $this->assertTrue($counter->is_countable_request(['REQUEST_METHOD' => 'GET', 'HTTP_USER_AGENT' => $browser]));
+        $this->assertFalse($counter->is_countable_request(['REQUEST_METHOD' => 'GET', 'HTTP_USER_AGENT' => 'Googlebot/2.1']));
+        $this->assertFalse($counter->is_countable_request(['REQUEST_METHOD' => 'GET', 'HTTP_USER_AGENT' => '']));
+        $this->assertFalse($counter->is_countable_request(['REQUEST_METHOD' => 'HEAD', 'HTTP_USER_AGENT' => $browser]));
+        $this->assertFalse($counter->is_countable_request([
+            'REQUEST_METHOD' => 'GET',
+            'HTTP_USER_AGENT' => $browser,
+            'HTTP_SEC_PURPOSE' => 'prefetch;prerender',
+        ]));
+    }
+
+    public function test_increment_upserts_todays_count()
+    {
+        $wpdb = $this->mock_wpdb();
+        expect('add_option')->never();
+
+        Pageview_Counter::increment(42, '2025-06-01');
+
+        $this->assertCount(1, $wpdb->queries);
+        $this->assertStringContainsString('INSERT INTO wp_carbonfooter_pageviews (post_id, day, views)', $wpdb->queries[0]);
+        $this->assertStringContainsString("VALUES (42, '2025-06-01', 1)", $wpdb->queries[0]);
+        $this->assertStringContainsString('ON DUPLICATE KEY UPDATE views = views + 1', $wpdb->queries[0]);
+    }
+
+    public function test_mark_started_keeps_the_first_day_counting_was_enabled()
+    {
+        when('get_option')->justReturn(true);
+        when('current_time')->justReturn('2025-06-01');
+        expect('add_option')->once()->with(Constants::OPTION_PAGEVIEW_COUNTER_STARTED, '2025-06-01', '', false);
+
+        Pageview_Counter::mark_started();
+    }
+
+    public function test_mark_started_skips_when_counting_is_disabled()
+    {
+        when('get_option')->justReturn(false);
+        expect('add_option')->never();
+
+        Pageview_Counter::mark_started();
+    }
+
+    public function test_prune_deletes_days_outside_the_retention_window()
+    {
+        $wpdb = $this->mock_wpdb();
+
+        Pageview_Counter::prune('2025-06-01');
+
+        $this->assertSame(["DELETE FROM wp_carbonfooter_pageviews WHERE day < '2024-06-02'"], $wpdb->queries);
+    }
+
+    public function test_calculate_yearly_views_extrapolates_from_counting_start()
+    {
+        $counts = ['2025-01-01' => 5, '2025-01-10' => 5];
+
+        // 10 views in 10 days of counting -> 365 per year
+        $this->assertSame(365, Pageview_Counter::calculate_yearly_views($counts, '2025-01-01', '2025-01-10'));
+
+        // A full year of counting is not extrapolated
+        $this->assertSame(10, Pageview_Counter::calculate_yearly_views($counts, '2024-01-01', '2025-01-10'));
+    }
+
+    public function test_summarize_weights_emissions_by_views()
+    {
+        $summary = Pageview_Counter::summarize(
+            [1 => 1000, 2 => 10, 3 => 500], // Post 3 is counted but not measured
+            [1 => 0.5, 2 => 4.0]
+        );
+
+        $this->assertSame([
+            'tracked_pages' => 2,
+            'yearly_views' => 1010,
+            'yearly_emissions' => 540.0,
+        ], $summary);
+    }
+}
@@ -0,0 +1,83 @@
+<?php
+
+use function Brain\Monkey\Functions\expect;
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Cache;
+use CarbonfooterPlugin\Emissions;
+use CarbonfooterPlugin\RestApiHandler;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-logger.php';
+require_once __DIR__ . '/../inc/class-cache.php';
+require_once __DIR__ . '/../inc/class-emissions.php';
+require_once __DIR__ . '/../inc/class-emissions-history.php';
+require_once __DIR__ . '/../inc/class-data-manager.php';
+require_once __DIR__ . '/../inc/class-rest-api-handler.php';
+
+if (!class_exists('WP_Error')) {
+    // Just enough of WP_Error for the code under test
+    class WP_Error
+    {
+        public $code;
+
+        public function __construct($code = '', $message = '', $data = '')
+        {
+            $this->code = $code;
+        }
+    }
+}
+
+if (!class_exists('WP_REST_Request')) {
+    // Just enough of WP_REST_Request for the code under test
+    class WP_REST_Request
+    {
+        private $params;
+
+        public function __construct(array $params = [])
+        {
+            $this->params = $params;
+        }
+
+        public function get_param($key)
+        {
+            return $this->params[$key] ?? null;
+        }
+    }
+}
+
+class RestApiHandlerTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+        if (!defined('DAY_IN_SECONDS')) define('DAY_IN_SECONDS', 86400);
+
+        when('__')->returnArg();
+        when('current_time')->justReturn('2025-06-01');
+    }
+
+    protected function tearDown(): void
+    {
+        Brain\Monkey\tearDown();
+    }
+
+    private function handler(): RestApiHandler
+    {
+        return new RestApiHandler($this->createMock(Emissions::class), $this->createMock(Cache::class));
+    }
+
+    public function test_timeline_rejects_ranges_longer_than_the_maximum()
+    {
+        expect('rest_ensure_response')->never();
+
+        $response = $this->handler()->handle_get_timeline_request(new WP_REST_Request([
+            'interval' => 'week',
+            'start' => '2015-01-01',
+            'end' => '2025-06-01',
+        ]));
+
+        $this->assertInstanceOf(WP_Error::class, $response);
+        $this->assertSame('carbonfooter_range_too_long', $response->code);
+    }
+}
@@ -0,0 +1,115 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Shortcodes;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-cache.php';
+require_once __DIR__ . '/../inc/class-emissions.php';
+require_once __DIR__ . '/../inc/class-shortcodes.php';
+
+if (!defined('WP_DEBUG')) {
+    define('WP_DEBUG', false);
+}
+
+class ShortcodesTest extends TestCase
+{
+    private $options;
+
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+
+        $this->options = [
+            'carbonfooter_widget_style' => 'full',
+            'carbonfooter_widget_background_color' => '#000000',
+            'carbonfooter_widget_text_color' => '#ffffff',
+        ];
+
+        when('add_shortcode')->justReturn(true);
+        when('get_option')->alias(function ($key, $default = false) {
+            return $this->options[$key] ?? $default;
+        });
+        when('shortcode_atts')->alias(function ($pairs, $atts) {
+            $out = [];
+            foreach ($pairs as $name => $default) {
+                $out[$name] = array_key_exists($name, $atts) ? $atts[$name] : $default;
+            }
+            return $out;
+        });
+        when('sanitize_hex_color')->alias(function ($color) {
+            return preg_match('/^#([A-Fa-f0-9]{3}){1,2}$/', $color) ? $color : null;
+        });
+        when('wp_cache_get')->justReturn(['average_emissions' => 0.5]);
+        when('get_queried_object_id')->justReturn(0);
+        when('get_the_ID')->justReturn(0);
+        when('__')->returnArg();
+        when('esc_html__')->returnArg();
+        when('esc_html')->returnArg();
+        when('esc_attr')->returnArg();
+        when('esc_url')->returnArg();
+        when('wp_kses_post')->returnArg();
+        when('wp_unique_id')->alias(function ($prefix) {
+            static $id = 0;
+            return $prefix . (string) ++$id;
+        });
+    }
+
+    protected function tearDown(): void
+    {
+        Brain\Monkey\tearDown();
+    }
+
+    public function test_attributes_override_the_widget_settings()
+    {
+        $html = (new Shortcodes())->render_carbonfooter([
+            'style' => 'sticker',
+            'background_color' => '#1e1e1e',
+            'source' => 'site',
+        ]);
+
+        $this->assertStringContainsString('class="cf-sticker"', $html);
+        $this->assertStringContainsString('--cf-color-background: #1e1e1e;', $html);
+        $this->assertStringContainsString('--cf-color-foreground: #ffffff;', $html);
+        $this->assertStringContainsString('On average, pages on this site produce', $html);
+        $this->assertStringContainsString('0.50 g CO<sub>2</sub>', $html);
+    }
+
+    public function test_missing_or_invalid_attributes_fall_back_to_the_settings()
+    {
+        $this->options['carbonfooter_widget_style'] = 'minimal';
+        $shortcodes = new Shortcodes();
+
+        $html = $shortcodes->render_carbonfooter('');
+        $this->assertStringContainsString('class="cf-minimal"', $html);
+        $this->assertStringContainsString('This page produced', $html);
+
+        $html = $shortcodes->render_carbonfooter([
+            'style' => 'banner',
+            'text_color' => 'red;background:url(x)',
+            'source' => 'everywhere',
+        ]);
+        $this->assertStringContainsString('class="cf-minimal"', $html);
+        $this->assertStringContainsString('--cf-color-foreground: #ffffff;', $html);
+        $this->assertStringContainsString('This page produced', $html);
+    }
+
+    public function test_each_widget_gets_its_own_id_and_scoped_styles()
+    {
+        $shortcodes = new Shortcodes();
+        $first = $shortcodes->render_carbonfooter(['style' => 'full']);
+        $second = $shortcodes->render_carbonfooter(['style' => 'minimal', 'background_color' => '#1e1e1e']);
+
+        preg_match('/<div id="(carbonfooter-\d+)" class="carbonfooter-widget cf-full"/', $first, $first_id);
+        preg_match('/<div id="(carbonfooter-\d+)" class="carbonfooter-widget"/', $second, $second_id);
+        $this->assertNotEmpty($first_id);
+        $this->assertNotEmpty($second_id);
+        $this->assertNotSame($first_id[1], $second_id[1]);
+
+        $this->assertStringContainsString("#{$first_id[1]}.cf-full {", $first);
+        $this->assertStringContainsString("#{$first_id[1]} .cf-full__row {", $first);
+        $this->assertStringContainsString("#{$second_id[1]} .cf-minimal {", $second);
+        $this->assertStringNotContainsString('id="carbonfooter"', $first . $second);
+    }
+}
@@ -0,0 +1,120 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Traffic_Import;
+use CarbonfooterPlugin\Constants;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-logger.php';
+require_once __DIR__ . '/../inc/class-traffic-import.php';
+
+class TrafficImportTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+
+        when('home_url')->alias(function ($path = '') {
+            return 'https://example.com' . $path;
+        });
+        when('wp_parse_url')->alias(function ($url, $component = -1) {
+            return parse_url($url, $component);
+        });
+        when('untrailingslashit')->alias(function ($value) {
+            return rtrim($value, '/\\');
+        });
+        when('absint')->alias(function ($value) {
+            return abs((int) $value);
+        });
+        when('get_the_title')->alias(function ($post_id) {
+            return 'Post ' . $post_id;
+        });
+        when('get_post_status')->justReturn('publish');
+        when('get_option')->alias(function ($key, $default = false) {
+            return ['show_on_front' => 'page', 'page_on_front' => 2][$key] ?? $default;
+        });
+        when('url_to_postid')->alias(function ($url) {
+            return [
+                'https://example.com/about/' => 10,
+                'https://example.com/about' => 10,
+                'https://www.example.com/blog/' => 11,
+            ][$url] ?? 0;
+        });
+    }
+
+    protected function tearDown(): void
+    {
+        Brain\Monkey\tearDown();
+    }
+
+    public function test_match_rows_resolves_paths_and_sums_duplicates()
+    {
+        $result = Traffic_Import::match_rows([
+            ['url' => '/about/', 'views' => 100],
+            ['url' => 'https://example.com/about?utm_source=news', 'views' => 20],
+            ['url' => 'www.example.com/blog/', 'views' => 5],
+            ['url' => '/', 'views' => 300],
+            ['url' => '/missing/', 'views' => 7],
+            ['url' => 'https://other.org/about/', 'views' => 9],
+            ['url' => '', 'views' => 1],
+        ]);
+
+        $this->assertSame([
+            ['post_id' => 10, 'title' => 'Post 10', 'url' => '/about/', 'views' => 120],
+            ['post_id' => 11, 'title' => 'Post 11', 'url' => 'www.example.com/blog/', 'views' => 5],
+            ['post_id' => 2, 'title' => 'Post 2', 'url' => '/', 'views' => 300],
+        ], $result['matched']);
+
+        $this->assertSame([
+            ['url' => '/missing/', 'views' => 7],
+            ['url' => 'https://other.org/about/', 'views' => 9],
+        ], $result['unmatched']);
+        $this->assertSame(4, $result['matched_rows']);
+    }
+
+    public function test_import_replaces_previous_import_with_yearly_views()
+    {
+        $deleted = [];
+        $stored = [];
+        $option = null;
+        when('current_time')->justReturn('2025-06-01 12:00:00');
+        when('delete_post_meta_by_key')->alias(function ($key) use (&$deleted) {
+            $deleted[] = $key;
+            return true;
+        });
+        when('update_post_meta')->alias(function ($post_id, $key, $value) use (&$stored) {
+            $stored[$post_id] = [$key, $value];
+            return true;
+        });
+        when('update_option')->alias(function ($key, $value) use (&$option) {
+            $option = [$key, $value];
+            return true;
+        });
+
+        $details = Traffic_Import::import([
+            ['post_id' => 10, 'views' => 100],
+            ['post_id' => 11, 'views' => 3],
+        ], 73);
+
+        $this->assertSame([Constants::META_IMPORTED_VIEWS], $deleted);
+        $this->assertSame([
+            10 => [Constants::META_IMPORTED_VIEWS, 500],
+            11 => [Constants::META_IMPORTED_VIEWS, 15],
+        ], $stored);
+        $this->assertSame([
+            'imported_at' => '2025-06-01 12:00:00',
+            'period_days' => 73,
+            'pages' => 2,
+            'views' => 103,
+        ], $details);
+        $this->assertSame([Constants::OPTION_TRAFFIC_IMPORT, $details], $option);
+    }
+
+    public function test_to_yearly_views_scales_by_period()
+    {
+        $this->assertSame(3650, Traffic_Import::to_yearly_views(300, 30));
+        $this->assertSame(100, Traffic_Import::to_yearly_views(100, 365));
+        $this->assertSame(365, Traffic_Import::to_yearly_views(1, 0));
+    }
+}
@@ -0,0 +1,197 @@
+<?php
+
+use function Brain\Monkey\Functions\when;
+use PHPUnit\Framework\TestCase;
+use CarbonfooterPlugin\Url_Registry;
+use CarbonfooterPlugin\Constants;
+
+require_once __DIR__ . '/../inc/class-constants.php';
+require_once __DIR__ . '/../inc/class-logger.php';
+require_once __DIR__ . '/../inc/class-budgets.php';
+require_once __DIR__ . '/../inc/class-url-registry.php';
+
+if (!defined('WP_DEBUG')) {
+    define('WP_DEBUG', false);
+}
+
+class UrlRegistryTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        Brain\Monkey\setUp();
+
+        when('home_url')->alias(function ($path = '') {
+            return 'https://example.com/blog' . $path;
+        });
+        when('wp_parse_url')->alias(function ($url, $component = -1) {
+            return parse_url($url, $component);
+        });
+        when('esc_url_raw')->returnArg();
+        when('absint')->alias(function ($value) {
+            return abs((int) $value);
+        });
+        when('get_taxonomies')->justReturn([
+            (object) ['name' => 'category', 'rewrite' => ['slug' => 'category']],
+            (object) ['name' => 'post_tag', 'rewrite' => ['slug' => 'tag']],
+            (object) ['name' => 'genre', 'rewrite' => ['slug' => 'genres']],
+        ]);
+        when('get_post_types')->justReturn([
+            (object) ['name' => 'book', 'has_archive' => 'library', 'rewrite' => ['slug' => 'book']],
+        ]);
+
+        $GLOBALS['wp_rewrite'] = (object) ['author_base' => 'author'];
+    }
+
+    protected function tearDown(): void
+    {
+        unset($GLOBALS['wp_rewrite'], $GLOBALS['wpdb']);
+        Brain\Monkey\tearDown();
+    }
+
+    public function test_classify_uses_the_archive_bases_of_the_site()
+    {
+        $types = array_map([Url_Registry::class, 'classify'], [
+            'https://example.com/blog/',
+            'https://example.com/blog/?s=green',
+            'https://example.com/blog/2025/03/',
+            'https://example.com/blog/author/jo/',
+            'https://example.com/blog/category/news/page/2/',
+            'https://example.com/blog/tag/solar/',
+            'https://example.com/blog/genres/fiction/',
+            'https://example.com/blog/library/',
+            'https://example.com/blog/landing/',
+        ]);
+
+        $this->assertSame(
+            ['home', 'custom', 'archive', 'author', 'category', 'tag', 'taxonomy', 'archive', 'custom'],
+            $types
+        );
+    }
+
+    public function test_normalize_url_only_accepts_urls_on_this_site()
+    {
+        $this->assertSame('https://example.com/blog/tag/solar/', Url_Registry::normalize_url(' /tag/solar/ '));
+        $this->assertSame('https://EXAMPLE.com/shop/', Url_Registry::normalize_url('https://EXAMPLE.com/shop/#top'));
+        $this->assertNull(Url_Registry::normalize_url('https://other.example/'));
+        $this->assertNull(Url_Registry::normalize_url('//other.example/'));
+        $this->assertNull(Url_Registry::normalize_url(''));
+    }
+
+    public function test_item_keys_tell_tracked_urls_from_posts()
+    {
+        $this->assertSame('url-7', Url_Registry::to_item_key(7));
+        $this->assertSame(7, Url_Registry::parse_item_key('url-7'));
+        $this->assertSame(0, Url_Registry::parse_item_key(7));
+        $this->assertSame(0, Url_Registry::parse_item_key('7'));
+    }
+
+    public function test_import_sitemap_only_fetches_sitemaps_on_this_site_and_batches_checks()
+    {
+        $sitemaps = [
+            'https://example.com/blog/wp-sitemap.xml' => '<sitemapindex>'
+                . '<sitemap><loc>https://example.com/blog/wp-sitemap-taxonomies-category-1.xml</loc></sitemap>'
+                . '<sitemap><loc>http://169.254.169.254/latest/meta-data/</loc></sitemap>'
+                . '<sitemap><loc>https://example.com/blog/wp-sitemap-posts-page-1.xml</loc></sitemap>'
+                . '</sitemapindex>',
+            'https://example.com/blog/wp-sitemap-taxonomies-category-1.xml' => '<urlset>'
+                . '<url><loc>https://example.com/blog/</loc></url>'
+                . '<url><loc>https://example.com/blog/category/news/</loc></url>'
+                . '<url><loc>https://example.com/blog/category/solar/</loc></url>'
+                . '<url><loc>https://example.com/blog/category/wind/</loc></url>'
+                . '</urlset>',
+        ];
+        $fetched = [];
+        when('wp_safe_remote_get')->alias(function ($url, $args) use ($sitemaps, &$fetched) {
+            $fetched[] = $url;
+            $this->assertSame(Constants::MAX_SITEMAP_BYTES, $args['limit_response_size']);
+            return ['body' => $sitemaps[$url]];
+        });
+        when('wp_remote_retrieve_response_code')->justReturn(200);
+        when('wp_remote_retrieve_body')->alias(function ($response) {
+            return $response['body'];
+        });
+        when('is_wp_error')->justReturn(false);
+        when('get_option')->justReturn('posts');
+        when('get_post_types')->alias(function ($args, $output = 'names') {
+            return $output === 'objects' ? [] : ['post' => 'post', 'page' => 'page'];
+        });
+        when('url_to_postid')->justReturn(0);
+        when('current_time')->justReturn('2025-06-01 12:00:00');
+
+        // News is tracked already and there is room for one more URL
+        $GLOBALS['wpdb'] = $wpdb = new class {
+            public $prefix = 'wp_';
+            public $insert_id = 0;
+            public $queries = [];
+            public $inserted = [];
+
+            public function prepare($query, ...$args)
+            {
+                return $query;
+            }
+
+            public function get_var($query)
+            {
+                $this->queries[] = $query;
+                return Constants::MAX_TRACKED_URLS - 1;
+            }
+
+            public function get_col($query)
+            {
+                $this->queries[] = $query;
+                return [md5('https://example.com/blog/category/news/')];
+            }
+
+            public function insert($table, $row)
+            {
+                $this->inserted[] = $row['url'];
+                $this->insert_id++;
+                return 1;
+            }
+        };
+
+        $result = Url_Registry::import_sitemap();
+
+        $this->assertSame([
+            'https://example.com/blog/wp-sitemap.xml',
+            'https://example.com/blog/wp-sitemap-taxonomies-category-1.xml',
+        ], $fetched);
+        $this->assertSame(['https://example.com/blog/category/solar/'], $wpdb->inserted);
+        $this->assertCount(2, $wpdb->queries);
+        $this->assertSame(['found' => 4, 'added' => 1, 'skipped' => 3], $result);
+    }
+
+    public function test_get_heaviest_lists_the_home_measurement_unless_a_post_stood_in()
+    {
+        $GLOBALS['wpdb'] = new class {
+            public $prefix = 'wp_';
+
+            public function prepare($query, ...$args)
+            {
+                return $query;
+            }
+
+            public function get_results($query)
+            {
+                return [];
+            }
+        };
+        when('__')->returnArg();
+        $budgets = ['emissions' => 0.5, 'page_size' => null, 'post_types' => []];
+        $measurement = ['emissions' => 0.8, 'page_size' => 2048, 'updated' => '2025-06-01 12:00:00', 'post_id' => null];
+
+        when('get_option')->alias(function ($option) use (&$measurement) {
+            return $option === Constants::OPTION_HOME_MEASUREMENT ? $measurement : 'posts';
+        });
+        $pages = Url_Registry::get_heaviest(10, $budgets);
+
+        $this->assertCount(1, $pages);
+        $this->assertSame('home', $pages[0]['id']);
+        $this->assertSame('https://example.com/blog/', $pages[0]['url']);
+        $this->assertSame(0.8, $pages[0]['emissions']);
+        $this->assertTrue($pages[0]['over_budget']);
+
+        $measurement['post_id'] = 12;
+        $this->assertSame([], Url_Registry::get_heaviest(10, $budgets));
+    }
+}
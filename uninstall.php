@@ -18,5 +18,12 @@ $wpdb->query("DELETE FROM {$wpdb->postmeta} WHERE meta_key LIKE '_carbon_%'");
 // Delete all options
 $wpdb->query("DELETE FROM {$wpdb->options} WHERE option_name LIKE 'carbonfooter_%'");
 
+// Drop the tracked URLs and pageview tables
+$wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}carbonfooter_urls");
+$wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}carbonfooter_pageviews");
+
+// Stop the pageview maintenance job
+wp_clear_scheduled_hook('carbonfooter_pageviews_daily');
+
 // Clear any cached data
 wp_cache_flush();
@@ -40,7 +40,12 @@ if (!defined('ABSPATH')) {
             <a href="<?php echo esc_url(get_edit_post_link($page->ID)); ?>">
               <?php echo esc_html($page->post_title); ?>
             </a>
-            <span class="emissions"><?php echo esc_html(number_format($page->emissions, 2)); ?>g CO2</span>
+            <span class="emissions">
+              <?php if ($page->over_budget): ?>
+                <span class="over-budget"><?php echo esc_html__('Over budget', 'carbonfooter'); ?></span>
+              <?php endif; ?>
+              <?php echo esc_html(number_format($page->emissions, 2)); ?>g CO2
+            </span>
           </li>
         <?php endforeach; ?>
       </ul>
@@ -125,6 +130,12 @@ if (!defined('ABSPATH')) {
     color: #646970;
   }
 
+  .carbonfooter-dashboard-pages .over-budget {
+    margin-right: 6px;
+    font-weight: 600;
+    color: #d63638;
+  }
+
   .carbonfooter-dashboard-links {
     margin: 20px 0 0;
     text-align: right;